@@ -8,12 +8,8 @@ const App = (() => {
     // Private variables
     let currentPage = 'dashboard';
     let currentUser = null;
-    let appSettings = {
-        currency: 'USD',
-        savingsTarget: 20, // Default savings target percentage
-        theme: 'light',
-        notificationsEnabled: true
-    };
+    let appSettings = { ...Repository.DEFAULT_SETTINGS };
+    let autoLockTimer = null;
     
     // DOM Elements
     const elements = {
@@ -33,12 +29,95 @@ const App = (() => {
     const init = () => {
         console.log('Initializing CashBoard application...');
         
+        // Writes land in the background, so a full quota or closed database surfaces here
+        Repository.onWriteError(() => {
+            showNotification(I18n.t('notify.saveFailed'), 'error');
+        });
+        
+        // Storage loads asynchronously; nothing can read data until it is ready
+        Storage.init()
+            .then(adapterName => {
+                console.log(`Storage ready (${adapterName})`);
+                if (Repository.isLocked()) {
+                    showLockScreen();
+                } else {
+                    startApp();
+                }
+            })
+            .catch(error => {
+                console.error('Failed to initialize storage:', error);
+                showNotification(I18n.t('notify.loadFailed'), 'error');
+            });
+    };
+    
+    /**
+     * Ask for the PIN or passphrase before starting the application
+     */
+    const showLockScreen = () => {
+        if (elements.loader) {
+            elements.loader.style.display = 'none';
+        }
+        
+        // Settings are encrypted while locked, so the lock screen follows the browser language
+        I18n.setLanguage(navigator.language);
+        
+        LockScreen.show({
+            kind: Repository.getLockKind(),
+            onUnlock: (secret) => Repository.unlock(secret).then(() => {
+                LockScreen.hide();
+                startApp();
+            }),
+            onReset: () => {
+                Repository.clearAll();
+                Repository.flush()
+                    .then(() => window.location.reload())
+                    .catch(error => console.error('Failed to reset data:', error));
+            }
+        });
+    };
+    
+    /**
+     * Start the application once storage is ready
+     */
+    const startApp = () => {
+        // Show the interface in the chosen language, and redraw it when the language changes
+        I18n.setLanguage(Repository.getSettings().language);
+        I18n.onChange(() => {
+            updateSettingsUI();
+            // The settings page is static markup, already translated and listened to
+            if (currentPage !== 'settings') {
+                loadPageContent(currentPage);
+            }
+        });
+        
+        // Load financial data
+        DataService.init();
+        
+        // Create any recurring transactions that fell due while the app was closed
+        RecurrenceService.onFailure((failures) => {
+            showNotification(I18n.t('upcoming.generateFailed', { count: failures.length, title: failures[0].title }), 'error');
+        });
+        RecurrenceService.start();
+        
+        // Take today's automatic snapshot if it is due
+        SnapshotService.start().then(updateSnapshotUI);
+        
+        // Mask amounts if privacy mode was left on, and redraw them when it changes
+        PrivacyMode.init();
+        PrivacyMode.onChange((enabled) => {
+            appSettings.privacyMode = enabled;
+            loadPageContent(currentPage);
+        });
+        
         // Load user data and settings
         loadUserData();
         
         // Set up event listeners
         setupEventListeners();
         
+        // Lock again after a period without input
+        setupAutoLock();
+        
         // Display current date
         updateDateDisplay();
         
@@ -56,12 +135,47 @@ const App = (() => {
         console.log('CashBoard initialization complete');
     };
     
+    /**
+     * Restart the inactivity timer on any user input
+     */
+    const setupAutoLock = () => {
+        ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(eventName => {
+            document.addEventListener(eventName, resetAutoLockTimer, { passive: true });
+        });
+        resetAutoLockTimer();
+    };
+    
+    /**
+     * Schedule the inactivity lock, if a lock is set
+     */
+    const resetAutoLockTimer = () => {
+        clearTimeout(autoLockTimer);
+        
+        const minutes = Number(appSettings.autoLockMinutes);
+        if (!minutes || !Repository.getLockKind()) return;
+        
+        autoLockTimer = setTimeout(lockApp, minutes * 60 * 1000);
+    };
+    
+    /**
+     * Lock the app. Reloading discards every decrypted value held in
+     * memory, and the lock screen is shown again on start.
+     */
+    const lockApp = () => {
+        if (!Repository.getLockKind()) return;
+        
+        // Lock even if a write failed; the failure has already been reported
+        Repository.flush()
+            .catch(error => console.error('Failed to save before locking:', error))
+            .then(() => window.location.reload());
+    };
+    
     /**
      * Load user data from storage
      */
     const loadUserData = () => {
         // Attempt to load user data
-        const userData = StorageUtil.getItem('currentUser');
+        const userData = Repository.getUser();
         if (userData) {
             currentUser = userData;
             updateUserProfileUI();
@@ -71,10 +185,7 @@ const App = (() => {
         }
         
         // Load application settings
-        const savedSettings = StorageUtil.getItem('appSettings');
-        if (savedSettings) {
-            appSettings = {...appSettings, ...savedSettings};
-        }
+        appSettings = Repository.getSettings();
         
         // Update UI based on settings
         updateSettingsUI();
@@ -93,7 +204,7 @@ const App = (() => {
         };
         
         currentUser = demoUser;
-        StorageUtil.setItem('currentUser', demoUser);
+        Repository.saveUser(demoUser);
         
         // Create some demo data
         createDemoData();
@@ -109,21 +220,28 @@ const App = (() => {
         const currentMonth = today.getMonth();
         const currentYear = today.getFullYear();
         
+        // Transactions store local calendar dates as YYYY-MM-DD
+        const toDateString = (year, month, day) => CalendarDate.toKey(new Date(year, month, day));
+        
+        // Amounts are stored in minor units of the base currency
+        const currency = CurrencyService.getBaseCurrency();
+        const toMinor = (amount) => Money.toMinor(amount, currency);
+        
         // Create income data
         const incomeData = [
             {
                 id: 'inc-1',
-                description: 'Salary',
-                amount: 5000,
-                date: new Date(currentYear, currentMonth, 15).toISOString(),
+                title: 'Salary',
+                amount: toMinor(5000),
+                date: toDateString(currentYear, currentMonth, 15),
                 category: 'Salary',
                 recurring: true
             },
             {
                 id: 'inc-2',
-                description: 'Freelance Work',
-                amount: 800,
-                date: new Date(currentYear, currentMonth, 20).toISOString(),
+                title: 'Freelance Work',
+                amount: toMinor(800),
+                date: toDateString(currentYear, currentMonth, 20),
                 category: 'Side Income',
                 recurring: false
             }
@@ -133,63 +251,63 @@ const App = (() => {
         const expenseData = [
             {
                 id: 'exp-1',
-                description: 'Rent',
-                amount: 1200,
-                date: new Date(currentYear, currentMonth, 1).toISOString(),
+                title: 'Rent',
+                amount: toMinor(1200),
+                date: toDateString(currentYear, currentMonth, 1),
                 category: 'Housing',
                 recurring: true
             },
             {
                 id: 'exp-2',
-                description: 'Groceries',
-                amount: 400,
-                date: new Date(currentYear, currentMonth, 10).toISOString(),
+                title: 'Groceries',
+                amount: toMinor(400),
+                date: toDateString(currentYear, currentMonth, 10),
                 category: 'Food',
                 recurring: true
             },
             {
                 id: 'exp-3',
-                description: 'Internet',
-                amount: 60,
-                date: new Date(currentYear, currentMonth, 5).toISOString(),
+                title: 'Internet',
+                amount: toMinor(60),
+                date: toDateString(currentYear, currentMonth, 5),
                 category: 'Utilities',
                 recurring: true
             },
             {
                 id: 'exp-4',
-                description: 'Movie Night',
-                amount: 50,
-                date: new Date(currentYear, currentMonth, 18).toISOString(),
+                title: 'Movie Night',
+                amount: toMinor(50),
+                date: toDateString(currentYear, currentMonth, 18),
                 category: 'Entertainment',
                 recurring: false
             }
         ];
         
-        // Save to storage
-        StorageUtil.setItem('incomeData', incomeData);
-        StorageUtil.setItem('expenseData', expenseData);
+        // Save through the data service so every view sees them
+        incomeData.forEach(income => DataService.addIncome(income));
+        expenseData.forEach(expense => DataService.addExpense(expense));
         
         // Create savings goals
         const savingsGoals = [
             {
                 id: 'goal-1',
                 name: 'Emergency Fund',
-                targetAmount: 10000,
-                currentAmount: 2500,
-                deadline: new Date(currentYear + 1, 5, 1).toISOString(),
+                targetAmount: toMinor(10000),
+                currentAmount: toMinor(2500),
+                deadline: toDateString(currentYear + 1, 5, 1),
                 priority: 'high'
             },
             {
                 id: 'goal-2',
                 name: 'Vacation',
-                targetAmount: 3000,
-                currentAmount: 800,
-                deadline: new Date(currentYear, 8, 1).toISOString(),
+                targetAmount: toMinor(3000),
+                currentAmount: toMinor(800),
+                deadline: toDateString(currentYear, 8, 1),
                 priority: 'medium'
             }
         ];
         
-        StorageUtil.setItem('savingsGoals', savingsGoals);
+        Repository.saveSavingsGoals(savingsGoals);
     };
     
     /**
@@ -220,6 +338,7 @@ const App = (() => {
         // Currency selector
         if (elements.currencySelector) {
             elements.currencySelector.addEventListener('change', (e) => {
+                DataService.rescaleBaseAmounts(appSettings.currency, e.target.value);
                 appSettings.currency = e.target.value;
                 saveSettings();
                 // Refresh current page to update currency display
@@ -230,8 +349,8 @@ const App = (() => {
         // Notification toggle
         if (elements.notificationBell) {
             elements.notificationBell.addEventListener('click', () => {
-                appSettings.notificationsEnabled = !appSettings.notificationsEnabled;
-                elements.notificationBell.classList.toggle('active', appSettings.notificationsEnabled);
+                appSettings.notifications = !appSettings.notifications;
+                elements.notificationBell.classList.toggle('active', appSettings.notifications);
                 saveSettings();
             });
         }
@@ -282,6 +401,12 @@ const App = (() => {
             case 'budget':
                 renderBudgetPage();
                 break;
+            case 'accounts':
+                renderAccountsPage();
+                break;
+            case 'calendar':
+                CalendarComponent.render(elements.contentArea);
+                break;
             case 'savings':
                 renderSavingsPage();
                 break;
@@ -294,7 +419,7 @@ const App = (() => {
             default:
                 // Handle unknown page
                 if (elements.contentArea) {
-                    elements.contentArea.innerHTML = '<div class="error-message">Page not found</div>';
+                    elements.contentArea.innerHTML = `<div class="error-message">${I18n.t('app.pageNotFound')}</div>`;
                 }
         }
     };
@@ -305,40 +430,51 @@ const App = (() => {
     const renderDashboardPage = () => {
         if (!elements.contentArea) return;
         
-        // Get financial data
-        const financialSummary = DataService.getFinancialSummary();
+        // Get financial data for the current month
+        const now = new Date();
+        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+        const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+        const financialSummary = DataService.getFinancialSummary(startOfMonth, endOfMonth);
         
         let html = `
             <div class="dashboard-container">
-                <h1 class="page-title">Dashboard</h1>
+                <h1 class="page-title">${I18n.t('dashboard.title')}</h1>
                 
                 <div class="summary-cards">
                     <div class="card income-card">
-                        <h3>Income</h3>
+                        <h3>${I18n.t('summary.income')}</h3>
                         <div class="amount">${formatCurrency(financialSummary.totalIncome)}</div>
                     </div>
                     
                     <div class="card expense-card">
-                        <h3>Expenses</h3>
+                        <h3>${I18n.t('summary.expenses')}</h3>
                         <div class="amount">${formatCurrency(financialSummary.totalExpenses)}</div>
                     </div>
                     
                     <div class="card balance-card">
-                        <h3>Balance</h3>
-                        <div class="amount">${formatCurrency(financialSummary.totalIncome - financialSummary.totalExpenses)}</div>
+                        <h3>${I18n.t('summary.balance')}</h3>
+                        <div class="amount">${formatCurrency(financialSummary.net)}</div>
                     </div>
                 </div>
                 
                 <div class="recent-transactions">
-                    <h2>Recent Transactions</h2>
+                    <h2>${I18n.t('dashboard.recentTransactions')}</h2>
                     <div class="transactions-container">
                         ${renderRecentTransactions()}
                     </div>
                 </div>
+                
+                <div class="upcoming-transactions">
+                    <h2>${I18n.t('dashboard.upcoming')}</h2>
+                    <div class="transactions-container">
+                        ${renderUpcomingTransactions()}
+                    </div>
+                </div>
             </div>
         `;
         
         elements.contentArea.innerHTML = html;
+        setupUpcomingEventListeners();
         
         // Initialize any charts or interactive elements
         initializeDashboardCharts();
@@ -355,34 +491,91 @@ const App = (() => {
         const transactions = DataService.getRecentTransactions(5);
         
         if (!transactions || transactions.length === 0) {
-            return '<p>No recent transactions found.</p>';
+            return `<p>${I18n.t('dashboard.noRecent')}</p>`;
         }
         
         let html = `
             <table class="transactions-table">
                 <thead>
                     <tr>
-                        <th>Date</th>
-                        <th>Description</th>
-                        <th>Category</th>
-                        <th>Amount</th>
+                        <th>${I18n.t('common.date')}</th>
+                        <th>${I18n.t('common.description')}</th>
+                        <th>${I18n.t('common.category')}</th>
+                        <th>${I18n.t('common.amount')}</th>
                     </tr>
                 </thead>
                 <tbody>
         `;
         
         transactions.forEach(transaction => {
-            const date = new Date(transaction.date);
-            const formattedDate = `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
+            const formattedDate = FormatService.formatDate(transaction.date);
             const transactionType = transaction.type === 'income' ? 'income' : 'expense';
             const amount = transaction.type === 'income' ? transaction.amount : -transaction.amount;
             
             html += `
                 <tr class="${transactionType}-row">
                     <td>${formattedDate}</td>
-                    <td>${transaction.description}</td>
-                    <td>${transaction.category}</td>
-                    <td class="amount ${transactionType}">${formatCurrency(amount)}</td>
+                    <td>${FormatService.escapeHtml(transaction.title)}</td>
+                    <td>${FormatService.escapeHtml(transaction.category)}</td>
+                    <td class="amount ${transactionType}">${formatCurrency(amount, transaction.currency)}</td>
+                </tr>
+            `;
+        });
+        
+        html += '</tbody></table>';
+        return html;
+    };
+    
+    /**
+     * Render recurring occurrences due in the next 30 days
+     * @returns {string} HTML for upcoming transactions
+     */
+    const renderUpcomingTransactions = () => {
+        const occurrences = RecurrenceService.getUpcoming(30);
+        
+        if (occurrences.length === 0) {
+            return `<p>${I18n.t('dashboard.noUpcoming', { count: 30 })}</p>`;
+        }
+        
+        let html = `
+            <table class="transactions-table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('common.date')}</th>
+                        <th>${I18n.t('common.description')}</th>
+                        <th>${I18n.t('common.category')}</th>
+                        <th>${I18n.t('common.amount')}</th>
+                        <th>${I18n.t('common.actions')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        occurrences.forEach(occurrence => {
+            const amount = occurrence.type === 'income' ? occurrence.amount : -occurrence.amount;
+            const dataAttributes = `data-type="${occurrence.type}" data-template-id="${FormatService.escapeHtml(occurrence.templateId)}" data-date="${occurrence.scheduledDate}"`;
+            
+            html += `
+                <tr class="${occurrence.type}-row ${occurrence.skipped ? 'skipped' : ''}">
+                    <td>${FormatService.formatDate(occurrence.date)}</td>
+                    <td>${FormatService.escapeHtml(occurrence.title)}${occurrence.edited ? ` ${I18n.t('upcoming.edited')}` : ''}</td>
+                    <td>${FormatService.escapeHtml(occurrence.category)}</td>
+                    <td class="amount ${occurrence.type}">${occurrence.skipped ? I18n.t('upcoming.skipped') : formatCurrency(amount, occurrence.currency)}</td>
+                    <td>
+                        ${occurrence.skipped || occurrence.edited ? `
+                            <button class="icon-button restore-occurrence" title="${I18n.t('upcoming.undo')}" ${dataAttributes}>
+                                <span class="material-icons">undo</span>
+                            </button>
+                        ` : ''}
+                        ${occurrence.skipped ? '' : `
+                            <button class="icon-button edit-occurrence" title="${I18n.t('upcoming.edit')}" ${dataAttributes}>
+                                <span class="material-icons">edit</span>
+                            </button>
+                            <button class="icon-button skip-occurrence" title="${I18n.t('upcoming.skip')}" ${dataAttributes}>
+                                <span class="material-icons">skip_next</span>
+                            </button>
+                        `}
+                    </td>
                 </tr>
             `;
         });
@@ -391,6 +584,86 @@ const App = (() => {
         return html;
     };
     
+    /**
+     * Set up skip, edit and undo buttons of upcoming occurrences
+     */
+    const setupUpcomingEventListeners = () => {
+        const readOccurrence = (btn) => [
+            btn.getAttribute('data-type'),
+            btn.getAttribute('data-template-id'),
+            btn.getAttribute('data-date')
+        ];
+        
+        document.querySelectorAll('.skip-occurrence').forEach(btn => {
+            btn.addEventListener('click', () => {
+                RecurrenceService.skipOccurrence(...readOccurrence(btn));
+                renderDashboardPage();
+            });
+        });
+        
+        document.querySelectorAll('.restore-occurrence').forEach(btn => {
+            btn.addEventListener('click', () => {
+                RecurrenceService.restoreOccurrence(...readOccurrence(btn));
+                renderDashboardPage();
+            });
+        });
+        
+        document.querySelectorAll('.edit-occurrence').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const [type, templateId, date] = readOccurrence(btn);
+                const occurrence = RecurrenceService.getUpcoming(30)
+                    .find(item => item.templateId === templateId && item.scheduledDate === date);
+                if (occurrence) showOccurrenceModal(occurrence);
+            });
+        });
+    };
+    
+    /**
+     * Show modal for changing a single upcoming occurrence
+     * @param {Object} occurrence - Upcoming occurrence from RecurrenceService.getUpcoming
+     */
+    const showOccurrenceModal = (occurrence) => {
+        const currency = CurrencyService.getCurrency(occurrence);
+        const modalContent = `
+            <form id="occurrence-form" class="form-container">
+                <p>${I18n.t('upcoming.editNote', { date: FormatService.formatDate(occurrence.scheduledDate) })}</p>
+                
+                <div class="form-group">
+                    <label for="occurrence-title">${I18n.t('common.description')}</label>
+                    <input type="text" id="occurrence-title" class="form-control" value="${FormatService.escapeHtml(occurrence.title)}" required>
+                </div>
+                
+                <div class="form-group">
+                    <label for="occurrence-amount">${I18n.t('common.amount')}</label>
+                    <input type="number" id="occurrence-amount" class="form-control" value="${Money.toDecimalString(occurrence.amount, currency)}"
+                        min="0" step="0.01" required>
+                </div>
+                
+                <div class="form-actions">
+                    <button type="submit" class="btn-primary">${I18n.t('common.save')}</button>
+                    <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.cancel')}</button>
+                </div>
+            </form>
+        `;
+        
+        const { modal, close } = createModal('occurrence-modal', I18n.t('upcoming.editTitle'), modalContent);
+        
+        modal.querySelector('#occurrence-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const changes = { title: modal.querySelector('#occurrence-title').value.trim() };
+            const amount = Money.toMinor(modal.querySelector('#occurrence-amount').value, currency);
+            if (amount !== occurrence.amount) {
+                changes.amount = amount;
+            }
+            
+            RecurrenceService.editOccurrence(occurrence.type, occurrence.templateId, occurrence.scheduledDate, changes);
+            
+            close();
+            renderDashboardPage();
+        });
+    };
+    
     /**
      * Initialize dashboard charts using a charting library
      */
@@ -407,7 +680,7 @@ const App = (() => {
         // Implementation for income page rendering would go here
         console.log('Income page rendering would go here');
         if (elements.contentArea) {
-            elements.contentArea.innerHTML = '<h1>Income Page</h1><p>Income management would be implemented here.</p>';
+            elements.contentArea.innerHTML = `<h1>${I18n.t('income.pageTitle')}</h1><p>${I18n.t('income.pageBody')}</p>`;
         }
     };
     
@@ -418,7 +691,7 @@ const App = (() => {
         // Implementation for expenses page rendering would go here
         console.log('Expenses page rendering would go here');
         if (elements.contentArea) {
-            elements.contentArea.innerHTML = '<h1>Expenses Page</h1><p>Expense management would be implemented here.</p>';
+            elements.contentArea.innerHTML = `<h1>${I18n.t('expenses.pageTitle')}</h1><p>${I18n.t('expenses.pageBody')}</p>`;
         }
     };
     
@@ -444,29 +717,29 @@ const App = (() => {
         // Render the budget page content
         let html = `
             <div class="budget-container">
-                <h1 class="page-title">Budget Management</h1>
+                <h1 class="page-title">${I18n.t('budget.title')}</h1>
                 
                 <div class="budget-header">
                     <div class="budget-period">
-                        <h3>Budget for ${now.toLocaleString('default', { month: 'long', year: 'numeric' })}</h3>
+                        <h3>${I18n.t('budget.forMonth', { month: FormatService.formatMonth(now) })}</h3>
                     </div>
-                    <button id="add-budget-btn" class="primary-button">+ Create New Budget</button>
+                    <button id="add-budget-btn" class="primary-button">+ ${I18n.t('budget.createNew')}</button>
                 </div>
                 
                 <div class="budget-summary">
                     <div class="summary-cards">
                         <div class="card budget-total-card">
-                            <h3>Total Budget</h3>
+                            <h3>${I18n.t('budget.totalBudget')}</h3>
                             <div class="amount">${formatCurrency(allBudgets.reduce((sum, budget) => sum + budget.amount, 0))}</div>
                         </div>
                         
                         <div class="card budget-spent-card">
-                            <h3>Total Spent</h3>
+                            <h3>${I18n.t('budget.totalSpent')}</h3>
                             <div class="amount">${formatCurrency(Object.values(expensesByCategory).reduce((sum, amount) => sum + amount, 0))}</div>
                         </div>
                         
                         <div class="card budget-remaining-card">
-                            <h3>Remaining</h3>
+                            <h3>${I18n.t('budget.remaining')}</h3>
                             <div class="amount">${formatCurrency(
                                 allBudgets.reduce((sum, budget) => sum + budget.amount, 0) - 
                                 Object.values(expensesByCategory).reduce((sum, amount) => sum + amount, 0)
@@ -476,23 +749,23 @@ const App = (() => {
                 </div>
                 
                 <div class="budget-list-container">
-                    <h2>Your Budgets</h2>
+                    <h2>${I18n.t('budget.yourBudgets')}</h2>
                     
                     ${allBudgets.length > 0 ? 
                         renderBudgetTable(allBudgets, budgetStatuses) : 
-                        '<p class="empty-state">No budgets created yet. Click the "Create New Budget" button to get started.</p>'
+                        `<p class="empty-state">${I18n.t('budget.empty')}</p>`
                     }
                 </div>
                 
                 <div class="budget-visualization">
-                    <h2>Budget Overview</h2>
+                    <h2>${I18n.t('budget.overview')}</h2>
                     <div id="budget-chart-container">
                         <canvas id="budget-chart"></canvas>
                     </div>
                 </div>
                 
                 <div class="budget-insights">
-                    <h2>Budget Insights</h2>
+                    <h2>${I18n.t('budget.insights')}</h2>
                     <div class="insights-container">
                         ${renderBudgetInsights(allBudgets, budgetStatuses)}
                     </div>
@@ -520,12 +793,12 @@ const App = (() => {
             <table class="budget-table">
                 <thead>
                     <tr>
-                        <th>Category</th>
-                        <th>Budget</th>
-                        <th>Spent</th>
-                        <th>Remaining</th>
-                        <th>Progress</th>
-                        <th>Actions</th>
+                        <th>${I18n.t('common.category')}</th>
+                        <th>${I18n.t('budget.budget')}</th>
+                        <th>${I18n.t('budget.spent')}</th>
+                        <th>${I18n.t('budget.remaining')}</th>
+                        <th>${I18n.t('budget.progress')}</th>
+                        <th>${I18n.t('common.actions')}</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -542,7 +815,7 @@ const App = (() => {
             
             html += `
                 <tr data-budget-id="${budget.id}">
-                    <td class="budget-category">${budget.category}</td>
+                    <td class="budget-category">${FormatService.escapeHtml(budget.category)}</td>
                     <td class="budget-amount">${formatCurrency(budget.amount)}</td>
                     <td class="budget-spent">${formatCurrency(status.spent)}</td>
                     <td class="budget-remaining">${formatCurrency(status.remaining)}</td>
@@ -553,10 +826,10 @@ const App = (() => {
                         <span class="progress-text">${Math.round(status.percentage)}%</span>
                     </td>
                     <td class="budget-actions">
-                        <button class="icon-button edit-budget" title="Edit Budget" data-budget-id="${budget.id}">
+                        <button class="icon-button edit-budget" title="${I18n.t('budget.edit')}" data-budget-id="${budget.id}">
                             <span class="material-icons">edit</span>
                         </button>
-                        <button class="icon-button delete-budget" title="Delete Budget" data-budget-id="${budget.id}">
+                        <button class="icon-button delete-budget" title="${I18n.t('budget.delete')}" data-budget-id="${budget.id}">
                             <span class="material-icons">delete</span>
                         </button>
                     </td>
@@ -576,7 +849,7 @@ const App = (() => {
      */
     const renderBudgetInsights = (budgets, budgetStatuses) => {
         if (budgets.length === 0) {
-            return '<p class="empty-state">Create budgets to see insights.</p>';
+            return `<p class="empty-state">${I18n.t('budget.insightsEmpty')}</p>`;
         }
         
         // Find budgets that are over or close to exceeding their limits
@@ -602,15 +875,16 @@ const App = (() => {
         // Over budget items
         if (overBudget.length > 0) {
             html += '<div class="insight-category danger">';
-            html += '<h3>Over Budget</h3>';
+            html += `<h3>${I18n.t('budget.overBudget')}</h3>`;
             html += '<ul>';
             overBudget.forEach(item => {
                 html += `
                     <li>
-                        <strong>${item.budget.category}:</strong> You've spent 
-                        ${formatCurrency(item.status.spent)} of your 
-                        ${formatCurrency(item.budget.amount)} budget 
-                        (${Math.round(item.status.percentage)}%).
+                        <strong>${FormatService.escapeHtml(item.budget.category)}:</strong> ${I18n.t('budget.spentOf', {
+                            spent: formatCurrency(item.status.spent),
+                            budget: formatCurrency(item.budget.amount),
+                            percentage: Math.round(item.status.percentage)
+                        })}
                     </li>
                 `;
             });
@@ -621,15 +895,16 @@ const App = (() => {
         // Near limit items
         if (nearLimit.length > 0) {
             html += '<div class="insight-category warning">';
-            html += '<h3>Approaching Limit</h3>';
+            html += `<h3>${I18n.t('budget.approachingLimit')}</h3>`;
             html += '<ul>';
             nearLimit.forEach(item => {
                 html += `
                     <li>
-                        <strong>${item.budget.category}:</strong> You've spent 
-                        ${formatCurrency(item.status.spent)} of your 
-                        ${formatCurrency(item.budget.amount)} budget 
-                        (${Math.round(item.status.percentage)}%).
+                        <strong>${FormatService.escapeHtml(item.budget.category)}:</strong> ${I18n.t('budget.spentOf', {
+                            spent: formatCurrency(item.status.spent),
+                            budget: formatCurrency(item.budget.amount),
+                            percentage: Math.round(item.status.percentage)
+                        })}
                     </li>
                 `;
             });
@@ -640,15 +915,16 @@ const App = (() => {
         // Healthy budget items
         if (healthyBudget.length > 0) {
             html += '<div class="insight-category success">';
-            html += '<h3>On Track</h3>';
+            html += `<h3>${I18n.t('budget.onTrack')}</h3>`;
             html += '<ul>';
             healthyBudget.forEach(item => {
                 html += `
                     <li>
-                        <strong>${item.budget.category}:</strong> You've spent 
-                        ${formatCurrency(item.status.spent)} of your 
-                        ${formatCurrency(item.budget.amount)} budget 
-                        (${Math.round(item.status.percentage)}%).
+                        <strong>${FormatService.escapeHtml(item.budget.category)}:</strong> ${I18n.t('budget.spentOf', {
+                            spent: formatCurrency(item.status.spent),
+                            budget: formatCurrency(item.budget.amount),
+                            percentage: Math.round(item.status.percentage)
+                        })}
                     </li>
                 `;
             });
@@ -658,14 +934,13 @@ const App = (() => {
         
         // Add tips based on budget performance
         html += '<div class="budget-tips">';
-        html += '<h3>Budget Tips</h3>';
+        html += `<h3>${I18n.t('budget.tips')}</h3>`;
         
         if (overBudget.length > 0) {
             html += `
                 <div class="tip danger">
                     <span class="material-icons">warning</span>
-                    <p>You have ${overBudget.length} ${overBudget.length === 1 ? 'category' : 'categories'} over budget. 
-                    Consider adjusting your spending or increasing these budgets next month.</p>
+                    <p>${I18n.t('budget.tipOver', { count: overBudget.length })}</p>
                 </div>
             `;
         }
@@ -674,8 +949,7 @@ const App = (() => {
             html += `
                 <div class="tip warning">
                     <span class="material-icons">info</span>
-                    <p>Monitor your spending in ${nearLimit.length} ${nearLimit.length === 1 ? 'category' : 'categories'} 
-                    that are approaching their limits.</p>
+                    <p>${I18n.t('budget.tipNearLimit', { count: nearLimit.length })}</p>
                 </div>
             `;
         }
@@ -684,8 +958,7 @@ const App = (() => {
             html += `
                 <div class="tip success">
                     <span class="material-icons">check_circle</span>
-                    <p>Great job! You're staying within budget for ${healthyBudget.length} 
-                    ${healthyBudget.length === 1 ? 'category' : 'categories'}.</p>
+                    <p>${I18n.t('budget.tipOnTrack', { count: healthyBudget.length })}</p>
                 </div>
             `;
         }
@@ -717,7 +990,7 @@ const App = (() => {
             plugins: {
                 title: {
                     display: true,
-                    text: 'Budget vs. Actual Spending',
+                    text: I18n.t('budget.chartTitle'),
                     font: {
                         size: 16
                     }
@@ -758,7 +1031,7 @@ const App = (() => {
         deleteBtns.forEach(btn => {
             btn.addEventListener('click', () => {
                 const budgetId = btn.getAttribute('data-budget-id');
-                if (confirm('Are you sure you want to delete this budget?')) {
+                if (confirm(I18n.t('budget.confirmDelete'))) {
                     DataService.deleteBudget(budgetId);
                     navigateToPage('budget'); // Refresh the page
                 }
@@ -772,7 +1045,7 @@ const App = (() => {
      */
     const showBudgetModal = (budget = null) => {
         const isEdit = budget !== null;
-        const modalTitle = isEdit ? 'Edit Budget' : 'Create New Budget';
+        const modalTitle = isEdit ? I18n.t('budget.edit') : I18n.t('budget.createNew');
         
         // Get all expense categories for dropdown
         const expenseCategories = DataService.getAllExpenseCategories();
@@ -780,48 +1053,48 @@ const App = (() => {
         let modalContent = `
             <form id="budget-form" class="form-container">
                 <div class="form-group">
-                    <label for="budget-category">Category</label>
+                    <label for="budget-category">${I18n.t('common.category')}</label>
                     <select id="budget-category" class="form-control" ${isEdit ? 'disabled' : ''} required>
-                        ${isEdit ? `<option value="${budget.category}" selected>${budget.category}</option>` : 
-                            `<option value="">Select a Category</option>
+                        ${isEdit ? `<option value="${FormatService.escapeHtml(budget.category)}" selected>${FormatService.escapeHtml(budget.category)}</option>` : 
+                            `<option value="">${I18n.t('form.selectCategory')}</option>
                             ${expenseCategories.map(category => 
-                                `<option value="${category}" ${budget && budget.category === category ? 'selected' : ''}>${category}</option>`
+                                `<option value="${FormatService.escapeHtml(category)}" ${budget && budget.category === category ? 'selected' : ''}>${FormatService.escapeHtml(category)}</option>`
                             ).join('')}`
                         }
-                        <option value="new-category">+ Add New Category</option>
+                        <option value="new-category">+ ${I18n.t('budget.addCategory')}</option>
                     </select>
                     
                     <div id="new-category-group" class="form-group" style="display: none;">
-                        <label for="new-category-name">New Category Name</label>
-                        <input type="text" id="new-category-name" class="form-control" placeholder="Enter category name" maxlength="30">
+                        <label for="new-category-name">${I18n.t('budget.newCategoryName')}</label>
+                        <input type="text" id="new-category-name" class="form-control" placeholder="${I18n.t('budget.newCategoryPlaceholder')}" maxlength="30">
                     </div>
                 </div>
                 
                 <div class="form-group">
-                    <label for="budget-amount">Budget Amount</label>
-                    <input type="number" id="budget-amount" class="form-control" value="${budget ? budget.amount : ''}" 
-                        min="0" step="0.01" placeholder="Enter amount" required>
+                    <label for="budget-amount">${I18n.t('budget.amount')}</label>
+                    <input type="number" id="budget-amount" class="form-control" value="${budget ? Money.toDecimalString(budget.amount, appSettings.currency) : ''}" 
+                        min="0" step="0.01" placeholder="${I18n.t('budget.amountPlaceholder')}" required>
                 </div>
                 
                 <div class="form-group">
-                    <label for="budget-period">Budget Period</label>
+                    <label for="budget-period">${I18n.t('budget.period')}</label>
                     <select id="budget-period" class="form-control" required>
-                        <option value="monthly" ${budget && budget.period === 'monthly' ? 'selected' : ''}>Monthly</option>
-                        <option value="yearly" ${budget && budget.period === 'yearly' ? 'selected' : ''}>Yearly</option>
-                        <option value="weekly" ${budget && budget.period === 'weekly' ? 'selected' : ''}>Weekly</option>
+                        <option value="monthly" ${budget && budget.period === 'monthly' ? 'selected' : ''}>${I18n.t('interval.monthly')}</option>
+                        <option value="yearly" ${budget && budget.period === 'yearly' ? 'selected' : ''}>${I18n.t('interval.yearly')}</option>
+                        <option value="weekly" ${budget && budget.period === 'weekly' ? 'selected' : ''}>${I18n.t('interval.weekly')}</option>
                     </select>
                 </div>
                 
                 <div class="form-group">
-                    <h4>Alert Thresholds</h4>
+                    <h4>${I18n.t('budget.alertThresholds')}</h4>
                     <div class="alert-settings">
                         <div class="alert-item">
-                            <label for="warning-threshold">Warning at (%)</label>
+                            <label for="warning-threshold">${I18n.t('budget.warningAt')}</label>
                             <input type="number" id="warning-threshold" class="form-control" 
                                 value="${budget ? budget.alerts.warning : '75'}" min="1" max="100" required>
                         </div>
                         <div class="alert-item">
-                            <label for="danger-threshold">Danger at (%)</label>
+                            <label for="danger-threshold">${I18n.t('budget.dangerAt')}</label>
                             <input type="number" id="danger-threshold" class="form-control" 
                                 value="${budget ? budget.alerts.danger : '90'}" min="1" max="100" required>
                         </div>
@@ -831,13 +1104,13 @@ const App = (() => {
                 <div class="form-group">
                     <label>
                         <input type="checkbox" id="enable-notifications" ${budget && budget.notifications ? 'checked' : ''}>
-                        Enable notifications when approaching limits
+                        ${I18n.t('budget.enableNotifications')}
                     </label>
                 </div>
                 
                 <div class="form-actions">
-                    <button type="submit" class="btn-primary">${isEdit ? 'Update Budget' : 'Create Budget'}</button>
-                    <button type="button" class="btn-secondary cancel-modal">Cancel</button>
+                    <button type="submit" class="btn-primary">${isEdit ? I18n.t('budget.update') : I18n.t('budget.create')}</button>
+                    <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.cancel')}</button>
                 </div>
             </form>
         `;
@@ -888,12 +1161,12 @@ const App = (() => {
                 if (category === 'new-category') {
                     category = document.getElementById('new-category-name').value.trim();
                     if (!category) {
-                        alert('Please enter a category name');
+                        alert(I18n.t('budget.categoryRequired'));
                         return;
                     }
                 }
                 
-                const amount = parseFloat(document.getElementById('budget-amount').value);
+                const amount = Money.toMinor(document.getElementById('budget-amount').value, appSettings.currency);
                 const period = document.getElementById('budget-period').value;
                 const warningThreshold = parseInt(document.getElementById('warning-threshold').value);
                 const dangerThreshold = parseInt(document.getElementById('danger-threshold').value);
@@ -901,7 +1174,7 @@ const App = (() => {
                 
                 // Validate thresholds
                 if (warningThreshold >= dangerThreshold) {
-                    alert('Warning threshold must be less than danger threshold');
+                    alert(I18n.t('budget.thresholdOrder'));
                     return;
                 }
                 
@@ -965,157 +1238,549 @@ const App = (() => {
     };
     
     /**
-     * Render the savings page
-     */
-    const renderSavingsPage = () => {
-        // Implementation for savings page rendering would go here
-        console.log('Savings page rendering would go here');
-        if (elements.contentArea) {
-            elements.contentArea.innerHTML = '<h1>Savings Page</h1><p>Savings goals would be implemented here.</p>';
-        }
-    };
-    
-    /**
-     * Render the reports page
+     * Show a modal dialog
+     * @param {string} id - Element ID for the modal
+     * @param {string} title - Modal title
+     * @param {string} content - HTML for the modal body
+     * @returns {Object} The modal element and a function that closes it
      */
-    const renderReportsPage = () => {
-        if (!elements.contentArea) return;
+    const createModal = (id, title, content) => {
+        const modal = document.createElement('div');
+        modal.id = id;
+        modal.className = 'modal';
         
-        let html = `
-            <div class="reports-container-page">
-                <h1 class="page-title">Financial Reports</h1>
-                
-                <div class="report-filters">
-                    <div class="filter-group">
-                        <label for="report-period">Period:</label>
-                        <select id="report-period">
-                            <option value="1month">Last Month</option>
-                            <option value="3months">Last 3 Months</option>
-                            <option value="6months" selected>Last 6 Months</option>
-                            <option value="1year">Last Year</option>
-                        </select>
-                    </div>
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>${title}</h3>
+                    <span class="close-modal">&times;</span>
                 </div>
-                
-                <div class="reports-grid">
-                    <div class="report-card">
-                        <h3>Income vs Expenses</h3>
-                        <canvas id="income-expense-chart" class="report-chart"></canvas>
-                    </div>
-                    
-                    <div class="report-card">
-                        <h3>Expense Categories</h3>
-                        <canvas id="expense-categories-chart" class="report-chart"></canvas>
-                    </div>
-                    
-                    <div class="report-card">
-                        <h3>Monthly Trends</h3>
-                        <canvas id="monthly-trends-chart" class="report-chart"></canvas>
-                    </div>
-                    
-                    <div class="report-card">
-                        <h3>Summary Statistics</h3>
-                        <div id="summary-stats" class="stats-container">
-                            <!-- Stats will be populated here -->
-                        </div>
-                    </div>
+                <div class="modal-body">
+                    ${content}
                 </div>
             </div>
         `;
         
-        elements.contentArea.innerHTML = html;
+        document.body.appendChild(modal);
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
         
-        // Generate reports
-        generateReports();
+        const close = () => {
+            modal.classList.remove('active');
+            document.body.style.overflow = '';
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
         
-        // Set up period filter
-        const periodSelect = document.getElementById('report-period');
-        if (periodSelect) {
-            periodSelect.addEventListener('change', () => {
-                generateReports();
-            });
-        }
+        modal.querySelectorAll('.close-modal, .cancel-modal').forEach(button => {
+            button.addEventListener('click', close);
+        });
+        
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        
+        return { modal, close };
     };
     
     /**
-     * Generate financial reports and charts
+     * Render the accounts page
      */
-    const generateReports = () => {
-        const period = document.getElementById('report-period')?.value || '6months';
-        const data = getReportData(period);
+    const renderAccountsPage = () => {
+        if (!elements.contentArea) return;
         
-        // Income vs Expenses Chart
-        createIncomeExpenseChart(data);
+        const balances = DataService.getAccountBalances();
+        const netWorth = balances.reduce((total, entry) => total + entry.balance, 0);
+        const transfers = DataService.query({ type: 'transfer', sort: 'date-desc' });
+        const accountName = (id) => {
+            const account = DataService.getAccount(id);
+            return account ? account.name : I18n.t('accounts.deleted');
+        };
         
-        // Expense Categories Chart
-        createExpenseCategoriesChart(data);
+        let html = `
+            <div class="page-header">
+                <h1>${I18n.t('accounts.title')}</h1>
+                <div class="page-actions">
+                    <button id="add-account-btn" class="btn-primary">
+                        <span class="material-icons">add</span> ${I18n.t('accounts.add')}
+                    </button>
+                    <button id="add-transfer-btn" class="btn-secondary" ${balances.length < 2 ? 'disabled' : ''}>
+                        <span class="material-icons">swap_horiz</span> ${I18n.t('transfers.transfer')}
+                    </button>
+                </div>
+            </div>
+            
+            <div class="summary-cards">
+                <div class="summary-card">
+                    <h3>${I18n.t('accounts.netWorth')}</h3>
+                    <p class="amount ${netWorth >= 0 ? 'positive' : 'negative'}">${formatCurrency(netWorth)}</p>
+                </div>
+            </div>
+        `;
         
-        // Monthly Trends Chart
-        createMonthlyTrendsChart(data);
+        if (balances.length === 0) {
+            html += `
+                <div class="empty-state">
+                    <p>${I18n.t('accounts.empty')}</p>
+                </div>
+            `;
+        } else {
+            html += `
+                <table class="budget-table accounts-table">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('accounts.account')}</th>
+                            <th>${I18n.t('accounts.type')}</th>
+                            <th>${I18n.t('accounts.institution')}</th>
+                            <th>${I18n.t('summary.balance')}</th>
+                            <th>${I18n.t('common.actions')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${balances.map(({ account, balance }) => `
+                            <tr data-account-id="${FormatService.escapeHtml(account.id)}" class="${account.archived ? 'archived' : ''}">
+                                <td>${FormatService.escapeHtml(account.name)}</td>
+                                <td>${ACCOUNT_TYPES[account.type] ? I18n.t(`accountType.${account.type}`) : FormatService.escapeHtml(account.type)}</td>
+                                <td>${FormatService.escapeHtml(account.institution || '-')}</td>
+                                <td class="${balance >= 0 ? 'positive' : 'negative'}">${formatCurrency(balance)}</td>
+                                <td>
+                                    <button class="icon-button edit-account" title="${I18n.t('accounts.edit')}" data-account-id="${FormatService.escapeHtml(account.id)}">
+                                        <span class="material-icons">edit</span>
+                                    </button>
+                                    <button class="icon-button delete-account" title="${I18n.t('accounts.delete')}" data-account-id="${FormatService.escapeHtml(account.id)}">
+                                        <span class="material-icons">delete</span>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
         
-        // Summary Statistics
-        createSummaryStats(data);
+        if (transfers.length > 0) {
+            html += `
+                <h2>${I18n.t('transfers.title')}</h2>
+                <table class="budget-table transfers-table">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('common.date')}</th>
+                            <th>${I18n.t('transfers.from')}</th>
+                            <th>${I18n.t('transfers.to')}</th>
+                            <th>${I18n.t('common.amount')}</th>
+                            <th>${I18n.t('common.actions')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${transfers.map(transfer => `
+                            <tr data-transfer-id="${transfer.id}">
+                                <td>${FormatService.formatDate(transfer.date)}</td>
+                                <td>${FormatService.escapeHtml(accountName(transfer.fromAccountId))}</td>
+                                <td>${FormatService.escapeHtml(accountName(transfer.toAccountId))}</td>
+                                <td>${formatCurrency(transfer.amount)}</td>
+                                <td>
+                                    <button class="icon-button delete-transfer" title="${I18n.t('transfers.delete')}" data-transfer-id="${transfer.id}">
+                                        <span class="material-icons">delete</span>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        
+        elements.contentArea.innerHTML = html;
+        setupAccountEventListeners();
     };
     
     /**
-     * Get report data for specified period
+     * Set up event listeners for the accounts page
      */
-    const getReportData = (period) => {
-        const now = new Date();
-        let startDate = new Date();
-        
-        switch (period) {
-            case '1month':
-                startDate.setMonth(now.getMonth() - 1);
-                break;
-            case '3months':
-                startDate.setMonth(now.getMonth() - 3);
-                break;
-            case '6months':
-                startDate.setMonth(now.getMonth() - 6);
-                break;
-            case '1year':
-                startDate.setFullYear(now.getFullYear() - 1);
-                break;
+    const setupAccountEventListeners = () => {
+        const addAccountBtn = document.getElementById('add-account-btn');
+        if (addAccountBtn) {
+            addAccountBtn.addEventListener('click', () => showAccountModal());
         }
         
-        const incomes = StorageUtil.getItem('incomes') || [];
-        const expenses = StorageUtil.getItem('expenses') || [];
+        const addTransferBtn = document.getElementById('add-transfer-btn');
+        if (addTransferBtn) {
+            addTransferBtn.addEventListener('click', () => showTransferModal());
+        }
         
-        const filteredIncomes = incomes.filter(income => 
-            new Date(income.date) >= startDate
-        );
+        document.querySelectorAll('.edit-account').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const account = DataService.getAccount(btn.getAttribute('data-account-id'));
+                if (account) showAccountModal(account);
+            });
+        });
         
-        const filteredExpenses = expenses.filter(expense => 
-            new Date(expense.date) >= startDate
-        );
+        document.querySelectorAll('.delete-account').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const accountId = btn.getAttribute('data-account-id');
+                if (confirm(I18n.t('accounts.confirmDelete'))) {
+                    DataService.deleteAccount(accountId);
+                    showNotification(I18n.t('accounts.deletedNotice'), 'success');
+                    renderAccountsPage();
+                }
+            });
+        });
         
-        return { incomes: filteredIncomes, expenses: filteredExpenses, startDate, endDate: now };
+        document.querySelectorAll('.delete-transfer').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (confirm(I18n.t('transfers.confirmDelete'))) {
+                    DataService.deleteTransfer(btn.getAttribute('data-transfer-id'));
+                    showNotification(I18n.t('transfers.deletedNotice'), 'success');
+                    renderAccountsPage();
+                }
+            });
+        });
     };
     
     /**
-     * Create Income vs Expenses chart
+     * Show modal for adding or editing an account
+     * @param {Account} account - Existing account for editing (null for new account)
      */
-    const createIncomeExpenseChart = (data) => {
-        const ctx = document.getElementById('income-expense-chart');
-        if (!ctx) return;
-        
-        const totalIncome = data.incomes.reduce((sum, income) => sum + income.amount, 0);
-        const totalExpenses = data.expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    const showAccountModal = (account = null) => {
+        const isEdit = account !== null;
         
-        new Chart(ctx, {
-            type: 'doughnut',
-            data: {
-                labels: ['Income', 'Expenses', 'Savings'],
-                datasets: [{
-                    data: [totalIncome, totalExpenses, Math.max(0, totalIncome - totalExpenses)],
-                    backgroundColor: ['#4CAF50', '#F44336', '#2196F3'],
-                    borderWidth: 2,
-                    borderColor: '#fff'
-                }]
-            },
-            options: {
-                responsive: true,
+        const modalContent = `
+            <form id="account-form" class="form-container">
+                <div class="form-group">
+                    <label for="account-name">${I18n.t('accounts.name')}</label>
+                    <input type="text" id="account-name" class="form-control" value="${isEdit ? FormatService.escapeHtml(account.name) : ''}"
+                        maxlength="50" placeholder="${I18n.t('accounts.namePlaceholder')}" required>
+                </div>
+                
+                <div class="form-group">
+                    <label for="account-type">${I18n.t('accounts.type')}</label>
+                    <select id="account-type" class="form-control" required>
+                        ${Object.keys(ACCOUNT_TYPES).map(value =>
+                            `<option value="${value}" ${isEdit && account.type === value ? 'selected' : ''}>${I18n.t(`accountType.${value}`)}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="account-institution">${I18n.t('accounts.institutionOptional')}</label>
+                    <input type="text" id="account-institution" class="form-control" value="${isEdit ? FormatService.escapeHtml(account.institution) : ''}">
+                </div>
+                
+                <div class="form-group">
+                    <label for="account-opening-balance">${I18n.t('accounts.openingBalance')}</label>
+                    <input type="number" id="account-opening-balance" class="form-control"
+                        value="${isEdit ? Money.toDecimalString(account.openingBalance, appSettings.currency) : 0}" step="0.01" required>
+                </div>
+                
+                <div class="form-group">
+                    <label for="account-opening-date">${I18n.t('accounts.openingDate')}</label>
+                    <input type="date" id="account-opening-date" class="form-control"
+                        value="${isEdit ? account.openingDate : CalendarDate.today()}" required>
+                </div>
+                
+                ${isEdit ? `
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="account-archived" ${account.archived ? 'checked' : ''}>
+                        ${I18n.t('accounts.archived')}
+                    </label>
+                </div>
+                ` : ''}
+                
+                <div class="form-actions">
+                    <button type="submit" class="btn-primary">${isEdit ? I18n.t('accounts.update') : I18n.t('accounts.create')}</button>
+                    <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.cancel')}</button>
+                </div>
+            </form>
+        `;
+        
+        const { modal, close } = createModal('account-modal', isEdit ? I18n.t('accounts.edit') : I18n.t('accounts.add'), modalContent);
+        
+        modal.querySelector('#account-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const archivedInput = modal.querySelector('#account-archived');
+            const accountData = {
+                name: modal.querySelector('#account-name').value.trim(),
+                type: modal.querySelector('#account-type').value,
+                institution: modal.querySelector('#account-institution').value.trim(),
+                openingBalance: Money.toMinor(modal.querySelector('#account-opening-balance').value, appSettings.currency) || 0,
+                openingDate: modal.querySelector('#account-opening-date').value,
+                archived: archivedInput ? archivedInput.checked : false
+            };
+            
+            if (!accountData.name) {
+                alert(I18n.t('accounts.nameRequired'));
+                return;
+            }
+            
+            if (isEdit) {
+                DataService.updateAccount(account.id, accountData);
+            } else {
+                DataService.addAccount(accountData);
+            }
+            
+            close();
+            showNotification(isEdit ? I18n.t('accounts.updatedNotice') : I18n.t('accounts.addedNotice'), 'success');
+            renderAccountsPage();
+        });
+    };
+    
+    /**
+     * Show modal for moving money between two accounts
+     */
+    const showTransferModal = () => {
+        const accountOptions = DataService.getAllAccounts(false)
+            .map(account => `<option value="${account.id}">${FormatService.escapeHtml(account.name)}</option>`)
+            .join('');
+        
+        const modalContent = `
+            <form id="transfer-form" class="form-container">
+                <div class="form-group">
+                    <label for="transfer-from">${I18n.t('transfers.fromAccount')}</label>
+                    <select id="transfer-from" class="form-control" required>${accountOptions}</select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="transfer-to">${I18n.t('transfers.toAccount')}</label>
+                    <select id="transfer-to" class="form-control" required>${accountOptions}</select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="transfer-amount">${I18n.t('common.amount')}</label>
+                    <input type="number" id="transfer-amount" class="form-control" min="0.01" step="0.01" required>
+                </div>
+                
+                <div class="form-group">
+                    <label for="transfer-date">${I18n.t('common.date')}</label>
+                    <input type="date" id="transfer-date" class="form-control"
+                        value="${CalendarDate.today()}" required>
+                </div>
+                
+                <div class="form-group">
+                    <label for="transfer-notes">${I18n.t('form.notes')}</label>
+                    <textarea id="transfer-notes" class="form-control" rows="2"></textarea>
+                </div>
+                
+                <div class="form-actions">
+                    <button type="submit" class="btn-primary">${I18n.t('transfers.transfer')}</button>
+                    <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.cancel')}</button>
+                </div>
+            </form>
+        `;
+        
+        const { modal, close } = createModal('transfer-modal', I18n.t('transfers.modalTitle'), modalContent);
+        
+        // Default to two different accounts
+        const toSelect = modal.querySelector('#transfer-to');
+        if (toSelect.options.length > 1) {
+            toSelect.selectedIndex = 1;
+        }
+        
+        modal.querySelector('#transfer-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const transfer = DataService.addTransfer({
+                fromAccountId: modal.querySelector('#transfer-from').value,
+                toAccountId: toSelect.value,
+                amount: Money.toMinor(modal.querySelector('#transfer-amount').value, appSettings.currency),
+                date: modal.querySelector('#transfer-date').value,
+                notes: modal.querySelector('#transfer-notes').value
+            });
+            
+            if (!transfer) {
+                alert(I18n.t('transfers.invalid'));
+                return;
+            }
+            
+            close();
+            showNotification(I18n.t('transfers.savedNotice'), 'success');
+            renderAccountsPage();
+        });
+    };
+    
+    /**
+     * Render the savings page
+     */
+    const renderSavingsPage = () => {
+        // Implementation for savings page rendering would go here
+        console.log('Savings page rendering would go here');
+        if (elements.contentArea) {
+            elements.contentArea.innerHTML = `<h1>${I18n.t('savings.pageTitle')}</h1><p>${I18n.t('savings.pageBody')}</p>`;
+        }
+    };
+    
+    /**
+     * Render the reports page
+     */
+    const renderReportsPage = () => {
+        if (!elements.contentArea) return;
+        
+        let html = `
+            <div class="reports-container-page">
+                <h1 class="page-title">${I18n.t('reports.title')}</h1>
+                
+                <div class="report-filters">
+                    <div class="filter-group">
+                        <label for="report-period">${I18n.t('reports.period')}</label>
+                        <select id="report-period">
+                            <option value="1month">${I18n.t('reports.lastMonth')}</option>
+                            <option value="3months">${I18n.t('reports.last3Months')}</option>
+                            <option value="6months" selected>${I18n.t('reports.last6Months')}</option>
+                            <option value="1year">${I18n.t('reports.lastYear')}</option>
+                        </select>
+                    </div>
+                    <div class="filter-group statement-options">
+                        <label for="statement-month">${I18n.t('statement.month')}</label>
+                        <input type="month" id="statement-month" value="${CalendarDate.today().slice(0, 7)}">
+                        <label for="statement-from">${I18n.t('statement.from')}</label>
+                        <input type="date" id="statement-from">
+                        <label for="statement-to">${I18n.t('statement.to')}</label>
+                        <input type="date" id="statement-to">
+                        <button class="btn-secondary" id="download-statement">${I18n.t('statement.download')}</button>
+                    </div>
+                </div>
+                
+                <div class="reports-grid">
+                    <div class="report-card">
+                        <h3>${I18n.t('dashboard.incomeVsExpenses')}</h3>
+                        <canvas id="income-expense-chart" class="report-chart"></canvas>
+                    </div>
+                    
+                    <div class="report-card">
+                        <h3>${I18n.t('reports.expenseCategories')}</h3>
+                        <canvas id="expense-categories-chart" class="report-chart"></canvas>
+                    </div>
+                    
+                    <div class="report-card">
+                        <h3>${I18n.t('reports.monthlyTrends')}</h3>
+                        <canvas id="monthly-trends-chart" class="report-chart"></canvas>
+                    </div>
+                    
+                    <div class="report-card">
+                        <h3>${I18n.t('reports.summaryStatistics')}</h3>
+                        <div id="summary-stats" class="stats-container">
+                            <!-- Stats will be populated here -->
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        elements.contentArea.innerHTML = html;
+        
+        // Generate reports
+        generateReports();
+        
+        // Set up period filter
+        const periodSelect = document.getElementById('report-period');
+        if (periodSelect) {
+            periodSelect.addEventListener('change', () => {
+                generateReports();
+            });
+        }
+        
+        // PDF statement download
+        const statementBtn = document.getElementById('download-statement');
+        if (statementBtn) {
+            statementBtn.addEventListener('click', downloadStatement);
+        }
+    };
+    
+    /**
+     * Download a PDF statement for the chosen month, or for the custom range when both ends are set
+     */
+    const downloadStatement = () => {
+        const from = document.getElementById('statement-from').value;
+        const to = document.getElementById('statement-to').value;
+        const month = document.getElementById('statement-month').value;
+        
+        let range;
+        if (from && to) {
+            range = { startDate: CalendarDate.parse(from), endDate: CalendarDate.parse(to) };
+        } else if (month) {
+            range = StatementService.getMonthRange(month);
+        } else {
+            showNotification(I18n.t('statement.rangeRequired'), 'error');
+            return;
+        }
+        
+        if (range.startDate > range.endDate) {
+            showNotification(I18n.t('statement.rangeReversed'), 'error');
+            return;
+        }
+        
+        const charts = {
+            trend: ChartComponent.renderChartImage('income-expense', ChartComponent.getPeriodChartData(range.startDate, range.endDate)),
+            breakdown: ChartComponent.renderChartImage('expense-breakdown', ChartComponent.getExpenseBreakdownData(range.startDate, range.endDate))
+        };
+        
+        if (StatementService.exportPdfToFile(range.startDate, range.endDate, charts)) {
+            showNotification(I18n.t('statement.downloaded'));
+        } else {
+            showNotification(I18n.t('statement.failed'), 'error');
+        }
+    };
+    
+    /**
+     * Generate financial reports and charts
+     */
+    const generateReports = () => {
+        const period = document.getElementById('report-period')?.value || '6months';
+        const data = getReportData(period);
+        
+        // Income vs Expenses Chart
+        createIncomeExpenseChart(data);
+        
+        // Expense Categories Chart
+        createExpenseCategoriesChart(data);
+        
+        // Monthly Trends Chart
+        createMonthlyTrendsChart(data);
+        
+        // Summary Statistics
+        createSummaryStats(data);
+    };
+    
+    /**
+     * Get report data for specified period
+     */
+    const getReportData = (period) => {
+        const now = new Date();
+        const monthsBack = { '1month': 1, '3months': 3, '6months': 6, '1year': 12 };
+        const startDate = CalendarDate.parse(CalendarDate.addMonths(now, -(monthsBack[period] || 0)));
+        
+        const incomes = DataService.query({ type: 'income', from: startDate, to: now, sort: 'date-asc' });
+        const expenses = DataService.query({ type: 'expense', from: startDate, to: now, sort: 'date-asc' });
+        const summary = DataService.getFinancialSummary(startDate, now);
+        
+        return { incomes, expenses, summary, startDate, endDate: now };
+    };
+    
+    /**
+     * Create Income vs Expenses chart
+     */
+    const createIncomeExpenseChart = (data) => {
+        const ctx = document.getElementById('income-expense-chart');
+        if (!ctx) return;
+        
+        const { totalIncome, totalExpenses } = data.summary;
+        
+        new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: [I18n.t('summary.income'), I18n.t('summary.expenses'), I18n.t('dashboard.savings')],
+                datasets: [{
+                    data: [totalIncome, totalExpenses, Math.max(0, totalIncome - totalExpenses)],
+                    backgroundColor: ['#4CAF50', '#F44336', '#2196F3'],
+                    borderWidth: 2,
+                    borderColor: '#fff'
+                }]
+            },
+            options: {
+                responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
                     legend: {
@@ -1133,14 +1798,17 @@ const App = (() => {
         const ctx = document.getElementById('expense-categories-chart');
         if (!ctx) return;
         
-        // Group expenses by category
+        // Group expenses by category, counting split lines separately, in the base currency
         const categoryTotals = {};
         data.expenses.forEach(expense => {
-            categoryTotals[expense.category] = (categoryTotals[expense.category] || 0) + expense.amount;
+            DataService.getExpenseAllocations(expense).forEach(allocation => {
+                categoryTotals[allocation.category] = (categoryTotals[allocation.category] || 0) +
+                    CurrencyService.toBase(allocation.amount, expense);
+            });
         });
         
         const labels = Object.keys(categoryTotals);
-        const amounts = Object.values(categoryTotals);
+        const amounts = Object.values(categoryTotals).map(amount => Money.toMajor(amount, appSettings.currency));
         const colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40'];
         
         new Chart(ctx, {
@@ -1173,24 +1841,25 @@ const App = (() => {
         const ctx = document.getElementById('monthly-trends-chart');
         if (!ctx) return;
         
-        // Group data by month
+        // Group data by YYYY-MM month
         const monthlyData = {};
         
         data.incomes.forEach(income => {
-            const month = new Date(income.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+            const month = income.date.slice(0, 7);
             if (!monthlyData[month]) monthlyData[month] = { income: 0, expenses: 0 };
-            monthlyData[month].income += income.amount;
+            monthlyData[month].income += income.baseAmount;
         });
         
         data.expenses.forEach(expense => {
-            const month = new Date(expense.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+            const month = expense.date.slice(0, 7);
             if (!monthlyData[month]) monthlyData[month] = { income: 0, expenses: 0 };
-            monthlyData[month].expenses += expense.amount;
+            monthlyData[month].expenses += expense.baseAmount;
         });
         
-        const labels = Object.keys(monthlyData).sort();
-        const incomeData = labels.map(month => monthlyData[month].income);
-        const expenseData = labels.map(month => monthlyData[month].expenses);
+        const months = Object.keys(monthlyData).sort();
+        const labels = months.map(month => FormatService.formatMonth(`${month}-01`, 'short'));
+        const incomeData = months.map(month => Money.toMajor(monthlyData[month].income, appSettings.currency));
+        const expenseData = months.map(month => Money.toMajor(monthlyData[month].expenses, appSettings.currency));
         
         new Chart(ctx, {
             type: 'line',
@@ -1198,14 +1867,14 @@ const App = (() => {
                 labels: labels,
                 datasets: [
                     {
-                        label: 'Income',
+                        label: I18n.t('summary.income'),
                         data: incomeData,
                         borderColor: '#4CAF50',
                         backgroundColor: 'rgba(76, 175, 80, 0.1)',
                         tension: 0.4
                     },
                     {
-                        label: 'Expenses',
+                        label: I18n.t('summary.expenses'),
                         data: expenseData,
                         borderColor: '#F44336',
                         backgroundColor: 'rgba(244, 67, 54, 0.1)',
@@ -1237,27 +1906,24 @@ const App = (() => {
         const container = document.getElementById('summary-stats');
         if (!container) return;
         
-        const totalIncome = data.incomes.reduce((sum, income) => sum + income.amount, 0);
-        const totalExpenses = data.expenses.reduce((sum, expense) => sum + expense.amount, 0);
-        const savings = totalIncome - totalExpenses;
-        const savingsRate = totalIncome > 0 ? ((savings / totalIncome) * 100).toFixed(1) : 0;
+        const { totalIncome, totalExpenses, net: savings } = data.summary;
         
         container.innerHTML = `
             <div class="stat-item">
-                <h4>Total Income</h4>
+                <h4>${I18n.t('reports.totalIncome')}</h4>
                 <div class="stat-value income">${formatCurrency(totalIncome)}</div>
             </div>
             <div class="stat-item">
-                <h4>Total Expenses</h4>
+                <h4>${I18n.t('reports.totalExpenses')}</h4>
                 <div class="stat-value expense">${formatCurrency(totalExpenses)}</div>
             </div>
             <div class="stat-item">
-                <h4>Net Savings</h4>
+                <h4>${I18n.t('reports.netSavings')}</h4>
                 <div class="stat-value ${savings >= 0 ? 'income' : 'expense'}">${formatCurrency(savings)}</div>
             </div>
             <div class="stat-item">
-                <h4>Savings Rate</h4>
-                <div class="stat-value">${savingsRate}%</div>
+                <h4>${I18n.t('reports.savingsRate')}</h4>
+                <div class="stat-value">${FormatService.formatNumber(data.summary.savingsRate / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })}</div>
             </div>
         `;
     };
@@ -1282,6 +1948,21 @@ const App = (() => {
             currencySelect.value = appSettings.currency;
         }
         
+        // Update language select
+        const languageSelect = document.getElementById('language');
+        if (languageSelect) {
+            languageSelect.innerHTML = I18n.getLanguages()
+                .map(({ code, name }) => `<option value="${code}" lang="${code}">${name}</option>`)
+                .join('');
+            languageSelect.value = I18n.getLanguage();
+        }
+        
+        // Update date format select
+        const dateFormatSelect = document.getElementById('date-format');
+        if (dateFormatSelect) {
+            dateFormatSelect.value = appSettings.dateFormat;
+        }
+        
         // Update theme buttons
         const themeButtons = document.querySelectorAll('.theme-btn');
         themeButtons.forEach(btn => {
@@ -1290,6 +1971,176 @@ const App = (() => {
                 btn.classList.add('active');
             }
         });
+        
+        // Update inactivity lock select
+        const autoLockSelect = document.getElementById('auto-lock-minutes');
+        if (autoLockSelect) {
+            autoLockSelect.value = String(appSettings.autoLockMinutes);
+        }
+        
+        // Update automatic snapshots checkbox
+        const autoSnapshotsCheckbox = document.getElementById('auto-snapshots');
+        if (autoSnapshotsCheckbox) {
+            autoSnapshotsCheckbox.checked = Boolean(appSettings.autoSnapshots);
+        }
+        
+        updateExchangeRateUI();
+        updateLockUI();
+        updateSnapshotUI();
+    };
+    
+    /**
+     * Show the exchange-rate table and any currencies it cannot convert
+     */
+    const updateExchangeRateUI = () => {
+        const list = document.getElementById('exchange-rate-list');
+        if (!list) return;
+        
+        UIComponent.populateCurrencySelects();
+        
+        // Suggest a rate into the base currency for today
+        const rateDate = document.getElementById('rate-date');
+        const rateFrom = document.getElementById('rate-from');
+        const rateTo = document.getElementById('rate-to');
+        if (!rateDate.value) {
+            rateDate.value = CalendarDate.today();
+        }
+        if (rateFrom.value === rateTo.value) {
+            const other = [...rateFrom.options].find(option => option.value !== appSettings.currency);
+            rateFrom.value = other ? other.value : rateFrom.value;
+            rateTo.value = appSettings.currency;
+        }
+        
+        const status = document.getElementById('exchange-rate-status');
+        const missing = DataService.getMissingRates();
+        if (missing.length > 0) {
+            status.classList.add('negative');
+            status.textContent = missing
+                .map(({ currency, count }) => I18n.t('rates.missing', { currency, base: appSettings.currency, count }))
+                .join(' ');
+        } else {
+            status.classList.remove('negative');
+            status.textContent = I18n.t('rates.status', { base: appSettings.currency });
+        }
+        
+        const rates = CurrencyService.getRates();
+        const shown = rates.slice(0, 10);
+        list.innerHTML = rates.length === 0 ? `<p class="empty-state">${I18n.t('rates.empty')}</p>` : `
+            <table class="transactions-table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('common.date')}</th>
+                        <th>${I18n.t('rates.rate')}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${shown.map(rate => `
+                        <tr>
+                            <td>${FormatService.formatDate(rate.date)}</td>
+                            <td>${FormatService.formatNumber(1)} ${rate.from} = ${FormatService.formatNumber(rate.rate, { maximumFractionDigits: 10 })} ${rate.to}</td>
+                            <td>
+                                <button class="icon-button delete-rate" title="${I18n.t('rates.delete')}" data-rate-id="${rate.id}">
+                                    <span class="material-icons">delete</span>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${rates.length > shown.length ? `<p class="exchange-rate-status">${I18n.t('rates.older', { count: rates.length - shown.length })}</p>` : ''}
+        `;
+    };
+    
+    /**
+     * Import exchange rates from a CSV file
+     * @param {File} file - CSV file selected by the user
+     */
+    const importExchangeRates = (file) => {
+        Repository.readFileAsText(file)
+            .then(text => {
+                const { added, updated, errors } = CurrencyService.importRatesCsv(text);
+                updateExchangeRateUI();
+                
+                const skipped = errors.length > 0 ? ` ${I18n.t('import.skippedLines', { lines: errors.join(', ') })}` : '';
+                showNotification(`${I18n.t('rates.imported', { added, updated })}${skipped}`);
+            })
+            .catch(error => {
+                console.error('Exchange rate import error:', error);
+                showNotification(error.message || I18n.t('rates.importFailed'), 'error');
+            });
+    };
+    
+    /**
+     * Show when the last snapshot was taken and where backup files are written
+     */
+    const updateSnapshotUI = () => {
+        const status = document.getElementById('snapshot-status');
+        const folderStatus = document.getElementById('backup-folder-status');
+        if (!status) return;
+        
+        if (!SnapshotService.isSupported()) {
+            status.textContent = I18n.t('backups.unsupported');
+            return;
+        }
+        
+        SnapshotService.listSnapshots()
+            .then(snapshots => {
+                status.textContent = snapshots.length
+                    ? I18n.t('backups.kept', { count: snapshots.length, date: FormatService.formatDate(new Date(snapshots[0].createdAt)) })
+                    : I18n.t('backups.empty');
+            })
+            .catch(error => console.error('Error reading snapshots:', error));
+        
+        const folderVisible = SnapshotService.isFolderSupported();
+        document.querySelectorAll('.backup-folder').forEach(el => {
+            el.style.display = folderVisible ? '' : 'none';
+        });
+        if (!folderVisible || !folderStatus) return;
+        
+        SnapshotService.getFolderStatus()
+            .then(folder => {
+                const chooseBtn = document.getElementById('choose-backup-folder');
+                const forgetBtn = document.getElementById('forget-backup-folder');
+                
+                if (!folder) {
+                    folderStatus.textContent = I18n.t('backups.browserOnly');
+                } else if (Repository.getLockKind()) {
+                    folderStatus.textContent = I18n.t('backups.folderLocked', { folder: folder.name });
+                } else if (folder.permission === 'granted') {
+                    folderStatus.textContent = I18n.t('backups.folderActive', { folder: folder.name });
+                } else {
+                    folderStatus.textContent = I18n.t('backups.folderPermission', { folder: folder.name });
+                }
+                
+                chooseBtn.textContent = folder && folder.permission === 'prompt' ? I18n.t('backups.allowAccess') : I18n.t('backups.chooseFolder');
+                forgetBtn.parentNode.style.display = folder ? '' : 'none';
+            })
+            .catch(error => console.error('Error reading backup folder:', error));
+    };
+    
+    /**
+     * Show whether an app lock is set and the actions that apply
+     */
+    const updateLockUI = () => {
+        const kind = Repository.getLockKind();
+        
+        const status = document.getElementById('lock-status');
+        if (status) {
+            status.textContent = kind ? I18n.t(`lock.status.${kind}`) : I18n.t('lock.statusOff');
+        }
+        
+        const kindSelect = document.getElementById('lock-kind');
+        if (kindSelect && kind) {
+            kindSelect.value = kind;
+        }
+        
+        document.querySelectorAll('.lock-on').forEach(el => {
+            el.style.display = kind ? '' : 'none';
+        });
+        document.querySelectorAll('.lock-off').forEach(el => {
+            el.style.display = kind ? 'none' : '';
+        });
     };
     
     /**
@@ -1300,9 +2151,34 @@ const App = (() => {
         const currencySelect = document.getElementById('currency');
         if (currencySelect) {
             currencySelect.addEventListener('change', (e) => {
+                DataService.rescaleBaseAmounts(appSettings.currency, e.target.value);
                 appSettings.currency = e.target.value;
                 saveSettings();
-                showNotification('Currency updated successfully');
+                updateExchangeRateUI();
+                showNotification(I18n.t('settings.currencyUpdated'));
+            });
+        }
+        
+        // Language change, applied without a reload
+        const languageSelect = document.getElementById('language');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (e) => {
+                appSettings.language = e.target.value;
+                saveSettings();
+                I18n.setLanguage(appSettings.language);
+                showNotification(I18n.t('settings.languageUpdated'));
+            });
+        }
+        
+        // Date format change
+        const dateFormatSelect = document.getElementById('date-format');
+        if (dateFormatSelect) {
+            dateFormatSelect.addEventListener('change', (e) => {
+                appSettings.dateFormat = e.target.value;
+                saveSettings();
+                updateExchangeRateUI();
+                updateSnapshotUI();
+                showNotification(I18n.t('settings.dateFormatUpdated', { format: e.target.value }));
             });
         }
         
@@ -1319,20 +2195,206 @@ const App = (() => {
                 themeButtons.forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 
-                showNotification(`${theme.charAt(0).toUpperCase() + theme.slice(1)} theme applied`);
+                showNotification(I18n.t(`settings.themeApplied.${theme}`));
             });
         });
         
+        // Exchange rates
+        const exchangeRateForm = document.getElementById('exchange-rate-form');
+        if (exchangeRateForm) {
+            exchangeRateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                
+                const rate = {
+                    date: document.getElementById('rate-date').value,
+                    from: document.getElementById('rate-from').value,
+                    to: document.getElementById('rate-to').value,
+                    rate: parseFloat(document.getElementById('rate-value').value)
+                };
+                const error = CurrencyService.validateRate(rate);
+                if (error) {
+                    showNotification(error, 'error');
+                    return;
+                }
+                
+                CurrencyService.addRate(rate);
+                document.getElementById('rate-value').value = '';
+                updateExchangeRateUI();
+                showNotification(I18n.t('rates.saved'));
+            });
+        }
+        
+        const exchangeRateList = document.getElementById('exchange-rate-list');
+        if (exchangeRateList) {
+            exchangeRateList.addEventListener('click', (e) => {
+                const button = e.target.closest('.delete-rate');
+                if (!button || !confirm(I18n.t('rates.confirmDelete'))) return;
+                
+                CurrencyService.deleteRate(button.dataset.rateId);
+                updateExchangeRateUI();
+                showNotification(I18n.t('rates.deleted'));
+            });
+        }
+        
+        const importRatesBtn = document.getElementById('import-rates');
+        if (importRatesBtn) {
+            importRatesBtn.addEventListener('click', () => {
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = '.csv,text/csv';
+                input.onchange = (e) => {
+                    const file = e.target.files[0];
+                    if (file) {
+                        importExchangeRates(file);
+                    }
+                };
+                input.click();
+            });
+        }
+        
+        // Inactivity lock
+        const autoLockSelect = document.getElementById('auto-lock-minutes');
+        if (autoLockSelect) {
+            autoLockSelect.addEventListener('change', (e) => {
+                appSettings.autoLockMinutes = Number(e.target.value);
+                saveSettings();
+                resetAutoLockTimer();
+                showNotification(I18n.t('lock.autoLockUpdated'));
+            });
+        }
+        
+        // App lock
+        const lockKindSelect = document.getElementById('lock-kind');
+        const setLockBtn = document.getElementById('set-lock');
+        if (setLockBtn) {
+            setLockBtn.addEventListener('click', () => setAppLock(lockKindSelect.value));
+        }
+        
+        const changeLockBtn = document.getElementById('change-lock');
+        if (changeLockBtn) {
+            changeLockBtn.addEventListener('click', () => changeAppLock(lockKindSelect.value));
+        }
+        
+        const removeLockBtn = document.getElementById('remove-lock');
+        if (removeLockBtn) {
+            removeLockBtn.addEventListener('click', removeAppLock);
+        }
+        
+        const lockNowBtn = document.getElementById('lock-now');
+        if (lockNowBtn) {
+            lockNowBtn.addEventListener('click', lockApp);
+        }
+        
+        // Automatic snapshots
+        const autoSnapshotsCheckbox = document.getElementById('auto-snapshots');
+        if (autoSnapshotsCheckbox) {
+            autoSnapshotsCheckbox.addEventListener('change', (e) => {
+                appSettings.autoSnapshots = e.target.checked;
+                saveSettings();
+                if (appSettings.autoSnapshots) {
+                    SnapshotService.runDue().then(updateSnapshotUI);
+                }
+                showNotification(appSettings.autoSnapshots ? I18n.t('backups.enabled') : I18n.t('backups.disabled'));
+            });
+        }
+        
+        const snapshotNowBtn = document.getElementById('snapshot-now');
+        if (snapshotNowBtn) {
+            snapshotNowBtn.addEventListener('click', takeSnapshot);
+        }
+        
+        const restoreSnapshotBtn = document.getElementById('restore-snapshot');
+        if (restoreSnapshotBtn) {
+            restoreSnapshotBtn.addEventListener('click', () => {
+                SnapshotRestore.open(() => {
+                    reloadStoredData();
+                    showNotification(I18n.t('backups.restored'));
+                }).catch(error => {
+                    console.error('Error reading snapshots:', error);
+                    showNotification(I18n.t('backups.readFailed'), 'error');
+                });
+            });
+        }
+        
+        const chooseFolderBtn = document.getElementById('choose-backup-folder');
+        if (chooseFolderBtn) {
+            chooseFolderBtn.addEventListener('click', chooseBackupFolder);
+        }
+        
+        const forgetFolderBtn = document.getElementById('forget-backup-folder');
+        if (forgetFolderBtn) {
+            forgetFolderBtn.addEventListener('click', () => {
+                SnapshotService.forgetFolder()
+                    .then(() => {
+                        updateSnapshotUI();
+                        showNotification(I18n.t('backups.folderForgotten'));
+                    })
+                    .catch(error => console.error('Error removing backup folder:', error));
+            });
+        }
+        
         // Data export
         const exportBtn = document.getElementById('export-data');
         if (exportBtn) {
             exportBtn.addEventListener('click', exportData);
         }
         
-        // Data import
+        // Passphrase-protected data export
+        const exportEncryptedBtn = document.getElementById('export-encrypted');
+        if (exportEncryptedBtn) {
+            exportEncryptedBtn.addEventListener('click', exportEncryptedData);
+        }
+        
+        // QIF export
+        const exportQifBtn = document.getElementById('export-qif');
+        if (exportQifBtn) {
+            exportQifBtn.addEventListener('click', () => {
+                if (ExportService.exportQifToFile()) {
+                    showNotification(I18n.t('data.transactionsExported'));
+                } else {
+                    showNotification(I18n.t('data.transactionsExportFailed'), 'error');
+                }
+            });
+        }
+        
+        // ledger, hledger or beancount journal export
+        const exportJournalBtn = document.getElementById('export-journal');
+        if (exportJournalBtn) {
+            exportJournalBtn.addEventListener('click', () => {
+                const dialect = document.getElementById('journal-format').value;
+                if (ExportService.exportJournalToFile(dialect)) {
+                    showNotification(I18n.t('data.journalExported'));
+                } else {
+                    showNotification(I18n.t('data.journalFailed'), 'error');
+                }
+            });
+        }
+        
+        // Data import, merged into what is stored
         const importBtn = document.getElementById('import-data');
         if (importBtn) {
             importBtn.addEventListener('click', () => {
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = '.json';
+                input.onchange = (e) => {
+                    const file = e.target.files[0];
+                    if (file) {
+                        mergeData(file);
+                    }
+                };
+                input.click();
+            });
+        }
+        
+        // Data restore, replacing what is stored
+        const restoreBtn = document.getElementById('restore-data');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => {
+                if (!confirm(I18n.t('data.confirmRestore'))) {
+                    return;
+                }
+                
                 const input = document.createElement('input');
                 input.type = 'file';
                 input.accept = '.json';
@@ -1346,13 +2408,30 @@ const App = (() => {
             });
         }
         
+        // Bank statement import
+        const importCsvBtn = document.getElementById('import-csv');
+        if (importCsvBtn) {
+            importCsvBtn.addEventListener('click', () => {
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = '.csv,.ofx,.qfx,.qif,.xml,.sta,.mt940,.940,.ledger,.journal,.hledger,.beancount,.bean,.txt,text/csv';
+                input.onchange = (e) => {
+                    const file = e.target.files[0];
+                    if (file) {
+                        importStatement(file);
+                    }
+                };
+                input.click();
+            });
+        }
+        
         // Clear data
         const clearBtn = document.getElementById('clear-data');
         if (clearBtn) {
             clearBtn.addEventListener('click', () => {
-                if (confirm('Are you sure you want to clear all data? This action cannot be undone.')) {
+                if (confirm(I18n.t('data.confirmClear'))) {
                     clearAllData();
-                    showNotification('All data cleared successfully');
+                    showNotification(I18n.t('data.cleared'));
                 }
             });
         }
@@ -1362,7 +2441,7 @@ const App = (() => {
         if (saveBtn) {
             saveBtn.addEventListener('click', () => {
                 saveSettings();
-                showNotification('Settings saved successfully');
+                showNotification(I18n.t('settings.saved'));
             });
         }
     };
@@ -1371,88 +2450,297 @@ const App = (() => {
      * Export user data
      */
     const exportData = () => {
-        try {
-            const data = {
-                incomes: StorageUtil.getItem('incomes') || [],
-                expenses: StorageUtil.getItem('expenses') || [],
-                budgets: StorageUtil.getItem('budgets') || [],
-                settings: appSettings,
-                exportDate: new Date().toISOString()
-            };
-            
-            const dataStr = JSON.stringify(data, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = `cashboard-data-${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
-            
-            showNotification('Data exported successfully');
-        } catch (error) {
-            console.error('Export error:', error);
-            showNotification('Failed to export data', 'error');
+        if (Repository.exportDataToFile()) {
+            showNotification(I18n.t('data.exported'));
+        } else {
+            showNotification(I18n.t('data.exportFailed'), 'error');
         }
     };
     
     /**
-     * Import user data
+     * Ask for a new PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @param {string} title - Dialog title
+     * @param {string} message - Explanation shown in the dialog
+     * @param {string} submitLabel - Label of the submit button
+     * @returns {Promise<string|null>} New PIN or passphrase, or null if cancelled
      */
-    const importData = (file) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
+    const requestNewLockSecret = (kind, title, message, submitLabel) => {
+        return PassphraseDialog.open({
+            title,
+            message,
+            kind,
+            numeric: kind === 'pin',
+            confirm: true,
+            validate: (secret) => StorageEncryption.validateSecret(secret, kind),
+            submitLabel
+        });
+    };
+    
+    /**
+     * Ask for the current PIN or passphrase, checking it before closing
+     * @param {string} title - Dialog title
+     * @returns {Promise<string|null>} Current PIN or passphrase, or null if cancelled
+     */
+    const requestCurrentLockSecret = (title) => {
+        const kind = Repository.getLockKind();
+        
+        return PassphraseDialog.open({
+            title,
+            message: I18n.t('lock.enterCurrent', { kind: I18n.t(`lock.name.${kind}`) }),
+            kind,
+            numeric: kind === 'pin',
+            verify: (secret) => Repository.verifyLock(secret),
+            submitLabel: I18n.t('common.continue')
+        });
+    };
+    
+    /**
+     * Tell the user why an app lock change failed
+     * @param {Error} error - Error from the lock change
+     * @param {string} fallback - Message for unexpected errors
+     */
+    const showLockError = (error, fallback) => {
+        console.error('App lock error:', error);
+        showNotification(error.code ? error.message : fallback, 'error');
+    };
+    
+    /**
+     * Set an app lock and encrypt stored data
+     * @param {string} kind - 'pin' or 'passphrase'
+     */
+    const setAppLock = (kind) => {
+        const message = I18n.t('lock.setMessage', { kind: I18n.t(`lock.name.${kind}`) });
+        
+        requestNewLockSecret(kind, I18n.t('lock.setTitle', { kind: I18n.t(`lock.${kind}`) }), message, I18n.t('lock.turnOn'))
+            .then(secret => {
+                if (secret === null) return;
                 
-                if (data.incomes) StorageUtil.setItem('incomes', data.incomes);
-                if (data.expenses) StorageUtil.setItem('expenses', data.expenses);
-                if (data.budgets) StorageUtil.setItem('budgets', data.budgets);
-                if (data.settings) {
-                    appSettings = { ...appSettings, ...data.settings };
-                    saveSettings();
-                    applyTheme(appSettings.theme);
-                }
+                return Repository.setLock(secret, kind).then(() => {
+                    updateLockUI();
+                    resetAutoLockTimer();
+                    showNotification(I18n.t('lock.turnedOn'));
+                });
+            })
+            .catch(error => showLockError(error, I18n.t('lock.turnOnFailed')));
+    };
+    
+    /**
+     * Replace the PIN or passphrase after checking the current one
+     * @param {string} kind - Kind of the new lock, 'pin' or 'passphrase'
+     */
+    const changeAppLock = (kind) => {
+        const label = I18n.t(`lock.${kind}`);
+        
+        requestCurrentLockSecret(I18n.t('lock.change'))
+            .then(current => {
+                if (current === null) return;
                 
-                showNotification('Data imported successfully');
-                // Refresh the current page to show imported data
-                renderPage(currentPage);
-            } catch (error) {
-                console.error('Import error:', error);
-                showNotification('Failed to import data. Please check the file format.', 'error');
-            }
+                const name = I18n.t(`lock.name.${kind}`);
+                return requestNewLockSecret(kind, I18n.t('lock.newTitle', { kind: label }), I18n.t('lock.chooseNew', { kind: name }), I18n.t('lock.changeButton'))
+                    .then(secret => {
+                        if (secret === null) return;
+                        
+                        return Repository.changeLock(current, secret, kind).then(() => {
+                            updateLockUI();
+                            showNotification(I18n.t('lock.changed', { kind: label }));
+                        });
+                    });
+            })
+            .catch(error => showLockError(error, I18n.t('lock.changeFailed')));
+    };
+    
+    /**
+     * Remove the app lock after checking the current PIN or passphrase
+     */
+    const removeAppLock = () => {
+        requestCurrentLockSecret(I18n.t('lock.remove'))
+            .then(secret => {
+                if (secret === null) return;
+                
+                return Repository.removeLock(secret).then(() => {
+                    updateLockUI();
+                    resetAutoLockTimer();
+                    showNotification(I18n.t('lock.removed'));
+                });
+            })
+            .catch(error => showLockError(error, I18n.t('lock.removeFailed')));
+    };
+    
+    /**
+     * Export user data encrypted with a passphrase the user chooses
+     */
+    const exportEncryptedData = () => {
+        PassphraseDialog.open({
+            title: I18n.t('backup.encryptedTitle'),
+            message: I18n.t('backup.choosePassphrase'),
+            confirm: true,
+            minLength: BackupCrypto.MIN_PASSPHRASE_LENGTH,
+            submitLabel: I18n.t('common.export')
+        }).then(passphrase => {
+            if (passphrase === null) return;
+            
+            return Repository.exportEncryptedDataToFile(passphrase)
+                .then(() => showNotification(I18n.t('backup.encryptedExported')));
+        }).catch(error => {
+            console.error('Encrypted export error:', error);
+            showNotification(error.code ? error.message : I18n.t('data.exportFailed'), 'error');
+        });
+    };
+    
+    /**
+     * Ask for the passphrase of an encrypted backup
+     * @returns {Promise<string|null>} Passphrase, or null if cancelled
+     */
+    const requestBackupPassphrase = () => PassphraseDialog.open({
+        title: I18n.t('backup.encryptedTitle'),
+        message: I18n.t('backup.enterPassphrase'),
+        submitLabel: I18n.t('backup.decrypt')
+    });
+    
+    /**
+     * Tell the user why a backup could not be read
+     * @param {Error} error - Error from reading the backup
+     * @param {string} fallback - Message for unexpected errors
+     */
+    const showBackupError = (error, fallback) => {
+        if (error.code === 'CANCELLED') return;
+        
+        const messages = {
+            WRONG_PASSPHRASE: I18n.t('backup.wrongPassphrase'),
+            TAMPERED: I18n.t('backup.tampered')
         };
-        reader.readAsText(file);
+        showNotification(messages[error.code] || (error.code ? error.message : fallback), 'error');
     };
     
     /**
-     * Clear all user data
+     * Import transactions from a bank statement
+     * @param {File} file - Statement file selected by the user
      */
+    const importStatement = (file) => {
+        ImportWizard.open(file, (result) => {
+            const count = result.incomes + result.expenses;
+            const notes = [
+                result.duplicates ? I18n.t('import.duplicates', { count: result.duplicates }) : '',
+                result.skipped ? I18n.t('import.unreadable', { count: result.skipped }) : ''
+            ].filter(Boolean).join(I18n.t('common.listSeparator'));
+            const imported = I18n.t('import.imported', { count });
+            showNotification(notes ? I18n.t('import.importedSkipped', { imported, notes }) : imported);
+            loadPageContent(currentPage);
+        }).catch(error => {
+            console.error('Statement import error:', error);
+            showNotification(I18n.t('import.readFailed'), 'error');
+        });
+    };
+    
+    /**
+     * Merge a backup into the current data after the user reviews conflicts
+     * @param {File} file - Backup file selected by the user
+     */
+    const mergeData = (file) => {
+        Repository.readBackupFile(file, requestBackupPassphrase)
+            .then(backup => {
+                MergeReview.open(MergeService.analyze(backup), (report) => {
+                    DataService.init();
+                    showNotification(I18n.t('backup.merged', report));
+                    loadPageContent(currentPage);
+                });
+            })
+            .catch(error => {
+                console.error('Merge error:', error);
+                showBackupError(error, I18n.t('backup.readFailed'));
+            });
+    };
+    
+    /**
+     * Import user data, replacing what is stored
+     * @param {File} file - Backup file selected by the user
+     */
+    const importData = (file) => {
+        Repository.importDataFromFile(file, requestBackupPassphrase)
+            .then(() => {
+                reloadStoredData();
+                showNotification(I18n.t('data.imported'));
+            })
+            .catch(error => {
+                console.error('Import error:', error);
+                showBackupError(error, I18n.t('data.importFailed'));
+            });
+    };
+    
+    /**
+     * Reload everything that was read from storage after the data was replaced
+     */
+    const reloadStoredData = () => {
+        DataService.init();
+        appSettings = Repository.getSettings();
+        applyTheme(appSettings.theme);
+        
+        // Applying the stored language also refreshes the settings and the current page
+        I18n.setLanguage(appSettings.language);
+    };
+    
+    /**
+     * Take a snapshot of all data now
+     */
+    const takeSnapshot = () => {
+        SnapshotService.createSnapshot('manual')
+            .then(() => {
+                updateSnapshotUI();
+                showNotification(I18n.t('backups.saved'));
+            })
+            .catch(error => {
+                console.error('Snapshot error:', error);
+                showNotification(I18n.t('backups.saveFailed'), 'error');
+            });
+    };
+    
+    /**
+     * Pick a folder for backup files, or allow access to the chosen one again
+     */
+    const chooseBackupFolder = () => {
+        SnapshotService.getFolderStatus()
+            .then(folder => {
+                if (folder && folder.permission === 'prompt') {
+                    return SnapshotService.reconnectFolder().then(granted => {
+                        if (!granted) return;
+                        showNotification(I18n.t('backups.folderChosen', { folder: folder.name }));
+                        return SnapshotService.createSnapshot('manual');
+                    });
+                }
+                
+                return SnapshotService.chooseFolder().then(name => {
+                    showNotification(I18n.t('backups.folderChosen', { folder: name }));
+                    return SnapshotService.createSnapshot('manual');
+                });
+            })
+            .then(updateSnapshotUI)
+            .catch(error => {
+                // Closing the folder picker is not an error
+                if (error && error.name === 'AbortError') return;
+                console.error('Backup folder error:', error);
+                showNotification(I18n.t('backups.folderFailed'), 'error');
+            });
+    };
+    
     /**
      * Clear all user data
      */
     const clearAllData = () => {
-        StorageUtil.removeItem('incomes');
-        StorageUtil.removeItem('expenses');
-        StorageUtil.removeItem('budgets');
-        
-        // Reset to default settings
-        appSettings = {
-            currency: 'INR',
-            theme: 'light',
-            language: 'en'
-        };
-        saveSettings();
-        applyTheme('light');
+        Repository.clearAll();
+        DataService.init();
         
-        // Refresh the current page
-        renderPage(currentPage);
+        // Reset to default settings, which also refreshes the settings and the current page
+        appSettings = Repository.getSettings();
+        applyTheme(appSettings.theme);
+        I18n.setLanguage(appSettings.language);
     };
 
     /**
      * Save application settings
      */
     const saveSettings = () => {
-        StorageUtil.setItem('appSettings', appSettings);
+        Repository.saveSettings(appSettings);
     };
 
     /**
@@ -1466,23 +2754,12 @@ const App = (() => {
 
     /**
      * Format currency based on current settings
-     * @param {number} amount - The amount to format
-     * @returns {string} Formatted currency string
-     */
-    const formatCurrency = (amount) => {
-        const currency = appSettings.currency || 'INR';
-        const symbols = {
-            'USD': '$',
-            'EUR': '€', 
-            'GBP': '£',
-            'JPY': '¥',
-            'INR': '₹',
-            'CAD': '$',
-            'AUD': '$'
-        };
-        
-        const symbol = symbols[currency] || currency;
-        return `${symbol}${amount.toLocaleString()}`;
+     * @param {number} amount - Amount in minor units of the currency
+     * @param {string} currency - ISO currency code (defaults to the base currency)
+     * @returns {string} Formatted currency string, as masked HTML in privacy mode
+     */
+    const formatCurrency = (amount, currency = appSettings.currency) => {
+        return PrivacyMode.maskAmount(FormatService.formatCurrency(amount, currency));
     };
     
     /**
@@ -1495,7 +2772,7 @@ const App = (() => {
         notification.style.cssText = `
             position: fixed;
             top: 20px;
-            right: 20px;
+            inset-inline-end: 20px;
             padding: 12px 20px;
             background: ${type === 'error' ? '#f44336' : '#4caf50'};
             color: white;
@@ -0,0 +1,308 @@
+/**
+ * CashBoard Calendar Component
+ * Month and week calendar of incomes, expenses and projected recurring transactions
+ */
+
+const CalendarComponent = (function() {
+    // Current view state
+    let container = null;
+    let view = 'month';
+    let cursor = new Date();
+    let listening = false;
+
+    /**
+     * Render the calendar into a container
+     * @param {HTMLElement} target - Element to render into
+     */
+    function render(target) {
+        container = target;
+        if (!container) return;
+
+        // Re-render when transactions change while the calendar is showing
+        if (!listening) {
+            DataService.onDataChanged(() => {
+                if (container && container.querySelector('.calendar')) {
+                    draw();
+                }
+            });
+            listening = true;
+        }
+
+        draw();
+    }
+
+    /**
+     * Draw the current view
+     */
+    function draw() {
+        const days = getVisibleDays();
+        const entriesByDay = getEntriesByDay(days[0], days[days.length - 1]);
+        const todayKey = CalendarDate.today();
+
+        container.innerHTML = `
+            <div class="calendar">
+                <div class="page-header">
+                    <h1>${I18n.t('nav.calendar')}</h1>
+                    <div class="page-actions calendar-toolbar">
+                        <button class="icon-button" data-action="prev" title="${I18n.t('calendar.previous')}">
+                            <span class="material-icons">chevron_left</span>
+                        </button>
+                        <span class="calendar-title">${getTitle(days)}</span>
+                        <button class="icon-button" data-action="next" title="${I18n.t('calendar.next')}">
+                            <span class="material-icons">chevron_right</span>
+                        </button>
+                        <button class="btn-secondary" data-action="today">${I18n.t('calendar.today')}</button>
+                        <select class="calendar-view-select">
+                            <option value="month" ${view === 'month' ? 'selected' : ''}>${I18n.t('calendar.month')}</option>
+                            <option value="week" ${view === 'week' ? 'selected' : ''}>${I18n.t('calendar.week')}</option>
+                        </select>
+                    </div>
+                </div>
+
+                <div class="calendar-grid calendar-${view}">
+                    ${days.slice(0, 7).map(day => `<div class="calendar-weekday">${FormatService.formatDateParts(day, { weekday: 'short' })}</div>`).join('')}
+                    ${days.map(day => renderDay(day, entriesByDay[CalendarDate.toKey(day)] || [], todayKey)).join('')}
+                </div>
+            </div>
+        `;
+
+        setupEventListeners();
+    }
+
+    /**
+     * Get the days shown by the current view, starting on a Monday
+     * @returns {Array<Date>} Visible days
+     */
+    function getVisibleDays() {
+        const anchor = view === 'month'
+            ? new Date(cursor.getFullYear(), cursor.getMonth(), 1)
+            : new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate());
+
+        // Step back to Monday
+        const offset = (anchor.getDay() + 6) % 7;
+        const start = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() - offset);
+        const count = view === 'month' ? 42 : 7;
+
+        return Array.from({ length: count }, (_, i) =>
+            new Date(start.getFullYear(), start.getMonth(), start.getDate() + i)
+        );
+    }
+
+    /**
+     * Get the heading for the current view
+     * @param {Array<Date>} days - Visible days
+     * @returns {string} Month name or week range
+     */
+    function getTitle(days) {
+        if (view === 'month') {
+            return FormatService.formatMonth(cursor);
+        }
+
+        const first = days[0];
+        const last = days[days.length - 1];
+        const format = { day: 'numeric', month: 'short' };
+        return `${FormatService.formatDateParts(first, format)} - ${FormatService.formatDateParts(last, { ...format, year: 'numeric' })}`;
+    }
+
+    /**
+     * Collect recorded and projected transactions by day
+     * @param {Date} from - First visible day
+     * @param {Date} to - Last visible day
+     * @returns {Object} Calendar entries by YYYY-MM-DD date
+     */
+    function getEntriesByDay(from, to) {
+        const byDay = {};
+        const add = (entry) => {
+            if (!byDay[entry.date]) byDay[entry.date] = [];
+            byDay[entry.date].push(entry);
+        };
+
+        DataService.query({ type: 'all', from, to, sort: 'date-asc' }).forEach(transaction => {
+            add({ ...transaction, projected: false });
+        });
+
+        RecurrenceService.getProjected(from, to)
+            .filter(occurrence => !occurrence.skipped)
+            .forEach(occurrence => add({ ...occurrence, projected: true }));
+
+        return byDay;
+    }
+
+    /**
+     * Render a single day cell
+     * @param {Date} day - Day to render
+     * @param {Array<Object>} entries - Transactions on that day
+     * @param {string} todayKey - Today's date as YYYY-MM-DD
+     * @returns {string} HTML for the day cell
+     */
+    function renderDay(day, entries, todayKey) {
+        const dateKey = CalendarDate.toKey(day);
+        const outside = view === 'month' && day.getMonth() !== cursor.getMonth();
+        const net = entries.reduce((total, entry) => {
+            const amount = CurrencyService.toBase(entry.amount, entry);
+            return total + (entry.type === 'income' ? amount : -amount);
+        }, 0);
+
+        const classes = ['calendar-day'];
+        if (outside) classes.push('outside');
+        if (dateKey === todayKey) classes.push('today');
+
+        return `
+            <div class="${classes.join(' ')}" data-date="${dateKey}">
+                <div class="calendar-day-header">
+                    <span class="calendar-day-number">${day.getDate()}</span>
+                    ${entries.length > 0 ? `
+                        <span class="calendar-day-net ${net >= 0 ? 'positive' : 'negative'}">${formatCurrency(net)}</span>
+                    ` : ''}
+                </div>
+                <ul class="calendar-entries">
+                    ${entries.map(entry => renderEntry(entry)).join('')}
+                </ul>
+                <div class="calendar-day-actions">
+                    <button class="calendar-add" data-type="income" data-date="${dateKey}" title="${I18n.t('income.add')}">${I18n.t('calendar.addIncome')}</button>
+                    <button class="calendar-add" data-type="expense" data-date="${dateKey}" title="${I18n.t('expenses.add')}">${I18n.t('calendar.addExpense')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a transaction on the calendar
+     * Projected recurring occurrences can be dragged to another day.
+     * @param {Object} entry - Calendar entry
+     * @returns {string} HTML for the entry
+     */
+    function renderEntry(entry) {
+        const sign = entry.type === 'income' ? '+' : '-';
+        const attributes = entry.projected
+            ? `draggable="true" data-type="${entry.type}" data-template-id="${FormatService.escapeHtml(entry.templateId)}" data-scheduled-date="${entry.scheduledDate}"`
+            : '';
+
+        return `
+            <li class="calendar-entry ${entry.type} ${entry.projected ? 'projected' : ''}"
+                style="border-inline-start-color: ${getCategoryColor(entry.category)}"
+                title="${FormatService.escapeHtml(entry.projected ? I18n.t('calendar.scheduled', { category: entry.category }) : entry.category)}" ${attributes}>
+                <span class="calendar-entry-title">${FormatService.escapeHtml(entry.title)}</span>
+                <span class="calendar-entry-amount">${sign}${formatCurrency(entry.amount, entry.currency)}</span>
+            </li>
+        `;
+    }
+
+    /**
+     * Set up navigation, click-to-add and drag-to-reschedule
+     */
+    function setupEventListeners() {
+        container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.getAttribute('data-action');
+                const step = action === 'prev' ? -1 : 1;
+
+                if (action === 'today') {
+                    cursor = new Date();
+                } else if (view === 'month') {
+                    cursor = new Date(cursor.getFullYear(), cursor.getMonth() + step, 1);
+                } else {
+                    cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + step * 7);
+                }
+                draw();
+            });
+        });
+
+        const viewSelect = container.querySelector('.calendar-view-select');
+        if (viewSelect) {
+            viewSelect.addEventListener('change', () => {
+                view = viewSelect.value;
+                draw();
+            });
+        }
+
+        container.querySelectorAll('.calendar-add').forEach(button => {
+            button.addEventListener('click', () => {
+                openTransactionModal(button.getAttribute('data-type'), button.getAttribute('data-date'));
+            });
+        });
+
+        container.querySelectorAll('.calendar-entry.projected').forEach(entry => {
+            entry.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', JSON.stringify({
+                    type: entry.getAttribute('data-type'),
+                    templateId: entry.getAttribute('data-template-id'),
+                    scheduledDate: entry.getAttribute('data-scheduled-date')
+                }));
+            });
+        });
+
+        container.querySelectorAll('.calendar-day').forEach(day => {
+            day.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                day.classList.add('drop-target');
+            });
+
+            day.addEventListener('dragleave', () => {
+                day.classList.remove('drop-target');
+            });
+
+            day.addEventListener('drop', (e) => {
+                e.preventDefault();
+                day.classList.remove('drop-target');
+
+                try {
+                    const occurrence = JSON.parse(e.dataTransfer.getData('text/plain'));
+                    RecurrenceService.moveOccurrence(
+                        occurrence.type,
+                        occurrence.templateId,
+                        occurrence.scheduledDate,
+                        day.getAttribute('data-date')
+                    );
+                    draw();
+                } catch (error) {
+                    console.error('Failed to reschedule occurrence:', error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Open the income or expense form with a date filled in
+     * @param {string} type - 'income' or 'expense'
+     * @param {string} dateKey - Date as YYYY-MM-DD
+     */
+    function openTransactionModal(type, dateKey) {
+        const modal = document.getElementById(`${type}-modal`);
+        const dateInput = document.getElementById(`${type}-date`);
+        if (!modal || !dateInput) return;
+
+        dateInput.value = dateKey;
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Pick a stable color for a category
+     * @param {string} category - Category name
+     * @returns {string} CSS color
+     */
+    function getCategoryColor(category = '') {
+        let hash = 0;
+        for (let i = 0; i < category.length; i++) {
+            hash = (hash * 31 + category.charCodeAt(i)) % 360;
+        }
+        return `hsl(${hash}, 60%, 50%)`;
+    }
+
+    /**
+     * Format currency amount
+     * @param {number} amount - Amount in minor units of the currency
+     * @param {string} currency - ISO currency code (defaults to the base currency)
+     * @returns {string} Formatted amount, as masked HTML in privacy mode
+     */
+    function formatCurrency(amount, currency = null) {
+        return PrivacyMode.maskAmount(FormatService.formatCurrency(amount, currency));
+    }
+
+    // Public API
+    return {
+        render
+    };
+})();
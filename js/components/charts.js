@@ -1,12 +1,54 @@
 /**
  * CashBoard Charts Component
- * Handles chart rendering and visualization
+ * Handles chart rendering and visualization. Amounts come from DataService
+ * totals, so they are minor units of the base currency.
  */
 
 const ChartComponent = (function() {
     // Chart instances
     const chartInstances = {};
     
+    // Set while drawing charts for documents, which always show amounts
+    let showAmounts = false;
+    
+    /**
+     * Check whether amounts should be hidden by privacy mode
+     * @returns {boolean} Whether to mask amounts
+     */
+    function isMasked() {
+        return !showAmounts && PrivacyMode.isEnabled();
+    }
+    
+    /**
+     * Format an amount for a tooltip
+     * @param {number} value - Amount in minor units
+     * @returns {string} Amount with currency symbol, or the mask in privacy mode
+     */
+    function formatTooltipAmount(value) {
+        if (isMasked()) return PrivacyMode.MASK;
+        
+        return FormatService.formatCurrency(value);
+    }
+    
+    /**
+     * Format a value axis tick, hiding it in privacy mode
+     * @param {number} value - Tick value in minor units
+     * @returns {string} Tick label
+     */
+    function formatAxisTick(value) {
+        if (isMasked()) return PrivacyMode.MASK;
+        
+        return FormatService.formatNumber(Money.toMajor(value, CurrencyService.getBaseCurrency()));
+    }
+    
+    /**
+     * Check whether the interface reads right to left
+     * @returns {boolean} Whether legends should be laid out right to left
+     */
+    function isRightToLeft() {
+        return I18n.getDirection() === 'rtl';
+    }
+    
     /**
      * Initialize income vs expenses chart
      * @param {string} elementId - Canvas element ID
@@ -36,7 +78,7 @@ const ChartComponent = (function() {
                 labels: chartData.labels,
                 datasets: [
                     {
-                        label: 'Income',
+                        label: I18n.t('summary.income'),
                         backgroundColor: 'rgba(76, 175, 80, 0.6)',
                         borderColor: 'rgba(76, 175, 80, 1)',
                         borderWidth: 1,
@@ -44,7 +86,7 @@ const ChartComponent = (function() {
                         barPercentage: 0.6
                     },
                     {
-                        label: 'Expenses',
+                        label: I18n.t('summary.expenses'),
                         backgroundColor: 'rgba(244, 67, 54, 0.6)',
                         borderColor: 'rgba(244, 67, 54, 1)',
                         borderWidth: 1,
@@ -61,6 +103,9 @@ const ChartComponent = (function() {
                         beginAtZero: true,
                         grid: {
                             color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            callback: formatAxisTick
                         }
                     },
                     x: {
@@ -72,7 +117,8 @@ const ChartComponent = (function() {
                 plugins: {
                     legend: {
                         position: 'top',
-                        align: 'end'
+                        align: 'end',
+                        rtl: isRightToLeft()
                     },
                     tooltip: {
                         callbacks: {
@@ -81,10 +127,8 @@ const ChartComponent = (function() {
                                 if (label) {
                                     label += ': ';
                                 }
-                                const settings = StorageUtil.getData(StorageUtil.KEYS.SETTINGS, StorageUtil.DEFAULT_SETTINGS);
-                                const currencySymbol = settings.currencySymbol || '₹';
                                 if (context.parsed.y !== null) {
-                                    label += currencySymbol + context.parsed.y.toFixed(2);
+                                    label += formatTooltipAmount(context.parsed.y);
                                 }
                                 return label;
                             }
@@ -153,8 +197,9 @@ const ChartComponent = (function() {
                 maintainAspectRatio: false,
                 plugins: {
                     legend: {
-                        position: 'right',
-                        align: 'start'
+                        position: isRightToLeft() ? 'left' : 'right',
+                        align: 'start',
+                        rtl: isRightToLeft()
                     },
                     tooltip: {
                         callbacks: {
@@ -163,9 +208,10 @@ const ChartComponent = (function() {
                                 const value = context.parsed || 0;
                                 const total = context.dataset.data.reduce((a, b) => a + b, 0);
                                 const percentage = Math.round((value / total) * 100);
-                                const settings = StorageUtil.getData(StorageUtil.KEYS.SETTINGS, StorageUtil.DEFAULT_SETTINGS);
-                                const currencySymbol = settings.currencySymbol || '₹';
-                                return `${label}: ${currencySymbol}${value} (${percentage}%)`;
+                                if (isMasked()) {
+                                    return `${label}: ${percentage}%`;
+                                }
+                                return `${label}: ${FormatService.formatCurrency(value)} (${percentage}%)`;
                             }
                         }
                     }
@@ -209,7 +255,7 @@ const ChartComponent = (function() {
                 labels: chartData.labels,
                 datasets: [
                     {
-                        label: 'Actual Savings',
+                        label: I18n.t('charts.actualSavings'),
                         backgroundColor: 'rgba(76, 175, 80, 0.1)',
                         borderColor: 'rgba(76, 175, 80, 1)',
                         borderWidth: 2,
@@ -220,7 +266,7 @@ const ChartComponent = (function() {
                         tension: 0.4
                     },
                     {
-                        label: 'Target Savings',
+                        label: I18n.t('charts.targetSavings'),
                         borderColor: 'rgba(54, 162, 235, 1)',
                         borderWidth: 2,
                         borderDash: [5, 5],
@@ -239,6 +285,9 @@ const ChartComponent = (function() {
                         beginAtZero: true,
                         grid: {
                             color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            callback: formatAxisTick
                         }
                     },
                     x: {
@@ -250,7 +299,8 @@ const ChartComponent = (function() {
                 plugins: {
                     legend: {
                         position: 'top',
-                        align: 'end'
+                        align: 'end',
+                        rtl: isRightToLeft()
                     },
                     tooltip: {
                         callbacks: {
@@ -259,10 +309,8 @@ const ChartComponent = (function() {
                                 if (label) {
                                     label += ': ';
                                 }
-                                const settings = StorageUtil.getData(StorageUtil.KEYS.SETTINGS, StorageUtil.DEFAULT_SETTINGS);
-                                const currencySymbol = settings.currencySymbol || '₹';
                                 if (context.parsed.y !== null) {
-                                    label += currencySymbol + context.parsed.y.toFixed(2);
+                                    label += formatTooltipAmount(context.parsed.y);
                                 }
                                 return label;
                             }
@@ -308,7 +356,7 @@ const ChartComponent = (function() {
                 labels: chartData.labels,
                 datasets: [
                     {
-                        label: 'Budget',
+                        label: I18n.t('budget.budget'),
                         backgroundColor: 'rgba(54, 162, 235, 0.6)',
                         borderColor: 'rgba(54, 162, 235, 1)',
                         borderWidth: 1,
@@ -316,7 +364,7 @@ const ChartComponent = (function() {
                         barPercentage: 0.7
                     },
                     {
-                        label: 'Actual',
+                        label: I18n.t('charts.actual'),
                         backgroundColor: 'rgba(255, 99, 132, 0.6)',
                         borderColor: 'rgba(255, 99, 132, 1)',
                         borderWidth: 1,
@@ -333,6 +381,9 @@ const ChartComponent = (function() {
                         beginAtZero: true,
                         grid: {
                             color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            callback: formatAxisTick
                         }
                     },
                     x: {
@@ -344,7 +395,8 @@ const ChartComponent = (function() {
                 plugins: {
                     legend: {
                         position: 'top',
-                        align: 'end'
+                        align: 'end',
+                        rtl: isRightToLeft()
                     },
                     tooltip: {
                         callbacks: {
@@ -353,10 +405,8 @@ const ChartComponent = (function() {
                                 if (label) {
                                     label += ': ';
                                 }
-                                const settings = StorageUtil.getData(StorageUtil.KEYS.SETTINGS, StorageUtil.DEFAULT_SETTINGS);
-                                const currencySymbol = settings.currencySymbol || '₹';
                                 if (context.parsed.y !== null) {
-                                    label += currencySymbol + context.parsed.y.toFixed(2);
+                                    label += formatTooltipAmount(context.parsed.y);
                                 }
                                 return label;
                             }
@@ -409,6 +459,103 @@ const ChartComponent = (function() {
         chart.update();
     }
     
+    /**
+     * Render a chart off screen and capture it as a JPEG image
+     * Used to put charts into documents such as the PDF statement. The chart
+     * is drawn on a white background without animation, then removed.
+     * @param {string} type - 'income-expense', 'expense-breakdown' or 'budget-comparison'
+     * @param {Object} data - Chart data for the matching init function
+     * @param {Object} size - { width, height } in pixels
+     * @returns {string|null} JPEG data URL, or null if the chart could not be drawn
+     */
+    function renderChartImage(type, data, size = { width: 800, height: 400 }) {
+        const initializers = {
+            'income-expense': initIncomeExpenseChart,
+            'expense-breakdown': initExpenseBreakdownChart,
+            'budget-comparison': initBudgetComparisonChart
+        };
+        if (!initializers[type] || typeof Chart === 'undefined') return null;
+        
+        const container = document.createElement('div');
+        container.style.cssText = `position: fixed; left: -10000px; top: 0; width: ${size.width}px; height: ${size.height}px;`;
+        const canvas = document.createElement('canvas');
+        canvas.id = `chart-image-${type}`;
+        canvas.width = size.width;
+        canvas.height = size.height;
+        container.appendChild(canvas);
+        document.body.appendChild(container);
+        
+        try {
+            showAmounts = true;
+            const chart = initializers[type](canvas.id, data, {
+                responsive: false,
+                animation: false,
+                devicePixelRatio: 2
+            });
+            if (!chart) return null;
+            
+            // JPEG has no transparency, so flatten onto white
+            const image = document.createElement('canvas');
+            image.width = canvas.width;
+            image.height = canvas.height;
+            const ctx = image.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, image.width, image.height);
+            ctx.drawImage(canvas, 0, 0);
+            
+            chart.destroy();
+            delete chartInstances[canvas.id];
+            return image.toDataURL('image/jpeg', 0.92);
+        } catch (error) {
+            console.error('Failed to render chart image:', error);
+            return null;
+        } finally {
+            showAmounts = false;
+            document.body.removeChild(container);
+        }
+    }
+    
+    /**
+     * Get income and expenses per day or per month of a date range
+     * Ranges of up to 31 days are shown per day, longer ones per month.
+     * @param {Date} startDate - Start of the range
+     * @param {Date} endDate - End of the range
+     * @returns {Object} Formatted data for the income vs expenses chart
+     */
+    function getPeriodChartData(startDate, endDate) {
+        const labels = [];
+        const incomeData = [];
+        const expenseData = [];
+        const days = Math.round((endDate - startDate) / 86400000) + 1;
+        
+        if (days <= 31) {
+            for (let i = 0; i < days; i++) {
+                const day = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + i);
+                labels.push(String(day.getDate()));
+                incomeData.push(DataService.getTotalIncome(day, day));
+                expenseData.push(DataService.getTotalExpenses(day, day));
+            }
+        } else {
+            let month = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+            while (month <= endDate) {
+                const monthStart = month < startDate ? startDate : month;
+                const monthEnd = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+                const rangeEnd = monthEnd > endDate ? endDate : monthEnd;
+                
+                labels.push(FormatService.formatMonth(month, 'short'));
+                incomeData.push(DataService.getTotalIncome(monthStart, rangeEnd));
+                expenseData.push(DataService.getTotalExpenses(monthStart, rangeEnd));
+                month = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+            }
+        }
+        
+        return {
+            labels,
+            income: incomeData,
+            expenses: expenseData
+        };
+    }
+    
     /**
      * Get monthly data for chart display
      * @param {number} months - Number of months to include
@@ -424,13 +571,10 @@ const ChartComponent = (function() {
         // Generate data for each month
         for (let i = months - 1; i >= 0; i--) {
             // Calculate month and year
-            const month = new Date();
-            month.setMonth(today.getMonth() - i);
+            const month = new Date(today.getFullYear(), today.getMonth() - i, 1);
             
             // Format month label
-            const monthLabel = month.toLocaleString('default', { month: 'short' });
-            const yearLabel = month.getFullYear();
-            labels.push(`${monthLabel} ${yearLabel}`);
+            labels.push(FormatService.formatMonth(month, 'short'));
             
             // Calculate date range for this month
             const startDate = new Date(month.getFullYear(), month.getMonth(), 1);
@@ -484,7 +628,7 @@ const ChartComponent = (function() {
                 .slice(8)
                 .reduce((sum, [, data]) => sum + data.amount, 0);
             
-            labels.push('Other');
+            labels.push(I18n.t('charts.other'));
             values.push(otherAmount);
         }
         
@@ -538,7 +682,9 @@ const ChartComponent = (function() {
         initSavingsProgressChart,
         initBudgetComparisonChart,
         updateChartData,
+        renderChartImage,
         getMonthlyChartData,
+        getPeriodChartData,
         getExpenseBreakdownData,
         getBudgetComparisonData
     };
@@ -0,0 +1,593 @@
+/**
+ * CashBoard Import Wizard
+ * Step-by-step statement import: CSV files are mapped column by column, OFX/QFX,
+ * QIF, camt.053 and MT940 statements are matched to accounts, and both are previewed before importing
+ */
+
+const ImportWizard = (function() {
+    // Number of rows shown in the preview
+    const PREVIEW_ROWS = 10;
+
+    // Message keys for the encodings offered when detection gets it wrong
+    const ENCODING_KEYS = {
+        'utf-8': 'import.encodingUtf8',
+        'windows-1252': 'import.encodingWindows1252',
+        'iso-8859-1': 'import.encodingLatin1',
+        'utf-16le': 'import.encodingUtf16'
+    };
+
+    // Message keys for delimiter names
+    const DELIMITER_KEYS = {
+        ',': 'import.delimiterComma',
+        ';': 'import.delimiterSemicolon',
+        '\t': 'import.delimiterTab',
+        '|': 'import.delimiterPipe'
+    };
+
+    // Message keys for statement account types
+    const ACCOUNT_TYPE_KEYS = {
+        CHECKING: 'import.accountChecking',
+        SAVINGS: 'import.accountSavings',
+        MONEYMRKT: 'import.accountMoneyMarket',
+        CREDITLINE: 'import.accountCreditLine',
+        CREDITCARD: 'import.accountCreditCard',
+        CASH: 'import.accountCash'
+    };
+
+    // Wizard state for the file being imported
+    let state = null;
+
+    // File contents, profile and account names are user text
+    const escapeHtml = FormatService.escapeHtml;
+
+    /**
+     * Open the wizard for a statement file
+     * @param {File} file - Statement file chosen by the user
+     * @param {Function} onComplete - Called with the import result
+     * @returns {Promise<void>}
+     */
+    function open(file, onComplete) {
+        return Repository.readFileAsArrayBuffer(file).then(buffer => {
+            state = {
+                fileName: file.name,
+                buffer,
+                format: ImportService.detectFormat(file.name, buffer),
+                onComplete
+            };
+
+            if (state.format === 'csv') {
+                prepareCsv();
+            } else {
+                prepareStatements();
+            }
+
+            showModal();
+        });
+    }
+
+    /**
+     * Read a CSV file and suggest how to map it
+     */
+    function prepareCsv() {
+        const csv = ImportService.readCsv(state.buffer);
+        if (csv.rows.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        Object.assign(state, {
+            encoding: csv.encoding,
+            delimiter: csv.delimiter,
+            rows: csv.rows,
+            options: ImportService.suggestOptions(csv.rows),
+            accountId: ''
+        });
+
+        // Files matching a saved profile are read the way the profile says
+        const profile = state.options.profile;
+        if (profile && (profile.encoding !== state.encoding || profile.delimiter !== state.delimiter)) {
+            rereadFile(profile.encoding, profile.delimiter);
+        }
+    }
+
+    /**
+     * Read a statement file and match its statements to accounts
+     * Statement accounts seen before go to the same account again; other
+     * named accounts get a new account unless the user picks an existing one.
+     */
+    function prepareStatements() {
+        const statements = ImportService.readStatements(state.format, state.buffer);
+        if (statements.length === 0) {
+            throw new Error('The file has no statements');
+        }
+
+        state.statements = statements;
+        state.links = statements.map(statement => {
+            const account = ImportService.findStatementAccount(statement);
+            const named = statement.accountId || statement.accountName;
+            return { accountId: account ? account.id : (named ? 'new' : ''), paymentMethod: '' };
+        });
+    }
+
+    /**
+     * Parse the file again with a different encoding or delimiter
+     * @param {string} encoding - Encoding label
+     * @param {string} delimiter - Cell delimiter
+     */
+    function rereadFile(encoding, delimiter) {
+        const csv = ImportService.readCsv(state.buffer, { encoding, delimiter });
+        state.encoding = csv.encoding;
+        state.delimiter = csv.delimiter;
+        state.rows = csv.rows;
+    }
+
+    /**
+     * Get display names for the file's columns
+     * @returns {Array<string>} Header text, or "Column N" without a header row
+     */
+    function getColumnNames() {
+        const firstRow = state.rows[0] || [];
+        return firstRow.map((cell, i) => state.options.hasHeader && cell ? cell : I18n.t('import.column', { number: i + 1 }));
+    }
+
+    /**
+     * Translate the message keys of a choice map
+     * @param {Object} keys - Message keys by value
+     * @returns {Object} Labels by value
+     */
+    function translateChoices(keys) {
+        const labels = {};
+        Object.entries(keys).forEach(([value, key]) => {
+            labels[value] = I18n.t(key);
+        });
+        return labels;
+    }
+
+    /**
+     * Render a select element from value/label pairs
+     * @param {string} id - Element ID
+     * @param {Object} choices - Labels by value
+     * @param {string} selected - Selected value
+     * @returns {string} HTML for the select
+     */
+    function renderSelect(id, choices, selected) {
+        return `
+            <select id="${id}" class="form-control">
+                ${Object.entries(choices).map(([value, label]) =>
+                    `<option value="${escapeHtml(value)}" ${String(selected) === value ? 'selected' : ''}>${escapeHtml(label)}</option>`
+                ).join('')}
+            </select>
+        `;
+    }
+
+    /**
+     * Show the wizard modal
+     */
+    function showModal() {
+        close();
+
+        const modal = document.createElement('div');
+        modal.id = 'import-wizard-modal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content import-wizard">
+                <div class="modal-header">
+                    <h3>${I18n.t('import.title', { fileName: escapeHtml(state.fileName) })}</h3>
+                    <span class="close-modal">&times;</span>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        modal.querySelector('.close-modal').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+
+        renderBody();
+    }
+
+    /**
+     * Render the wizard body for the current state
+     */
+    function renderBody() {
+        const body = document.querySelector('#import-wizard-modal .modal-body');
+        if (!body) return;
+
+        if (state.format === 'csv') {
+            renderCsvBody(body);
+        } else {
+            renderStatementBody(body);
+        }
+    }
+
+    /**
+     * Render the column mapping form for a CSV file
+     * @param {HTMLElement} body - Wizard body
+     */
+    function renderCsvBody(body) {
+        const { options } = state;
+        const columns = getColumnNames();
+        const columnChoices = { '': I18n.t('import.notInFile') };
+        columns.forEach((name, i) => {
+            columnChoices[i] = name;
+        });
+
+        const dateFormats = {};
+        CsvParser.DATE_FORMATS.forEach(format => {
+            dateFormats[format] = format;
+        });
+
+        const accounts = { '': I18n.t('form.noAccount') };
+        DataService.getAllAccounts(false).forEach(account => {
+            accounts[account.id] = account.name;
+        });
+
+        body.innerHTML = `
+            <form id="import-wizard-form" class="form-container">
+                ${options.profile ? `<p class="import-profile-note">${I18n.t('import.usingProfile', { name: escapeHtml(options.profile.name) })}</p>` : ''}
+
+                <h4>${I18n.t('import.stepLayout')}</h4>
+                <div class="import-grid">
+                    <div class="form-group">
+                        <label for="import-encoding">${I18n.t('import.encoding')}</label>
+                        ${renderSelect('import-encoding', translateChoices(ENCODING_KEYS), state.encoding)}
+                    </div>
+                    <div class="form-group">
+                        <label for="import-delimiter">${I18n.t('import.delimiter')}</label>
+                        ${renderSelect('import-delimiter', translateChoices(DELIMITER_KEYS), state.delimiter)}
+                    </div>
+                    <div class="form-group">
+                        <label for="import-date-format">${I18n.t('import.dateFormat')}</label>
+                        ${renderSelect('import-date-format', dateFormats, options.dateFormat)}
+                    </div>
+                    <div class="form-group">
+                        <label for="import-decimal">${I18n.t('import.decimalSeparator')}</label>
+                        ${renderSelect('import-decimal', translateChoices({ '.': 'import.decimalPoint', ',': 'import.decimalComma' }), options.decimalSeparator)}
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="import-has-header" ${options.hasHeader ? 'checked' : ''}>
+                        ${I18n.t('import.hasHeader')}
+                    </label>
+                    <label>
+                        <input type="checkbox" id="import-invert" ${options.invertAmounts ? 'checked' : ''}>
+                        ${I18n.t('import.invertAmounts')}
+                    </label>
+                </div>
+
+                <h4>${I18n.t('import.stepColumns')}</h4>
+                <div class="import-grid">
+                    ${Object.entries(ImportService.CSV_FIELDS).map(([field, labelKey]) => `
+                        <div class="form-group">
+                            <label for="import-map-${field}">${I18n.t(labelKey)}</label>
+                            ${renderSelect(`import-map-${field}`, columnChoices, options.mapping[field] === null ? '' : options.mapping[field])}
+                        </div>
+                    `).join('')}
+                </div>
+
+                <h4>${I18n.t('import.stepPreview')}</h4>
+                <div class="import-preview">${renderPreview()}</div>
+
+                <h4>${I18n.t('import.stepImport')}</h4>
+                <div class="import-grid">
+                    <div class="form-group">
+                        <label for="import-account">${I18n.t('import.assignAccount')}</label>
+                        ${renderSelect('import-account', accounts, state.accountId)}
+                    </div>
+                    <div class="form-group">
+                        <label for="import-profile-name">${I18n.t('import.profileName')}</label>
+                        <input type="text" id="import-profile-name" class="form-control"
+                            value="${options.profile ? escapeHtml(options.profile.name) : ''}" placeholder="${I18n.t('import.profilePlaceholder')}">
+                    </div>
+                </div>
+
+                <div class="form-actions">
+                    <button type="submit" class="btn-primary">${I18n.t('import.submit')}</button>
+                    <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.cancel')}</button>
+                </div>
+            </form>
+        `;
+
+        setupCsvEventListeners(body);
+    }
+
+    /**
+     * Render the preview of mapped rows
+     * @returns {string} HTML for the preview table and row errors
+     */
+    function renderPreview() {
+        const { transactions, errors } = ImportService.mapRows(state.rows, state.options);
+
+        const describeError = (error) => I18n.t('import.rowError', { row: error.row, message: escapeHtml(error.message) });
+
+        if (transactions.length === 0) {
+            return `<p class="import-errors">${I18n.t('import.noRows')}${errors.length > 0 ? ` ${describeError(errors[0])}` : ''}</p>`;
+        }
+
+        const shownErrors = errors.slice(0, 3).map(describeError);
+        if (errors.length > 3) shownErrors.push('...');
+
+        return `
+            ${renderTransactionTable(transactions)}
+            <p>${I18n.t('import.rowsReady', { count: transactions.length })}</p>
+            ${errors.length > 0 ? `
+                <p class="import-errors">
+                    ${I18n.t('import.rowsSkipped', { count: errors.length })}
+                    ${shownErrors.join(I18n.t('common.listSeparator'))}
+                </p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render the first transactions of an import as a table
+     * @param {Array<Object>} transactions - Plain transactions
+     * @returns {string} HTML for the table
+     */
+    function renderTransactionTable(transactions) {
+        return `
+            <table class="transactions-table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('common.date')}</th>
+                        <th>${I18n.t('common.description')}</th>
+                        <th>${I18n.t('import.type')}</th>
+                        <th>${I18n.t('common.amount')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${transactions.slice(0, PREVIEW_ROWS).map(transaction => `
+                        <tr>
+                            <td>${FormatService.formatDate(transaction.date)}</td>
+                            <td>${escapeHtml(transaction.title)}</td>
+                            <td>${I18n.t(transaction.amount > 0 ? 'import.typeIncome' : 'import.typeExpense')}</td>
+                            <td class="amount ${transaction.amount > 0 ? 'income' : 'expense'}">${FormatService.formatNumber(Math.abs(transaction.amount), { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Read the form controls back into the wizard state
+     * @param {HTMLElement} body - Wizard body
+     */
+    function readForm(body) {
+        const value = (id) => body.querySelector(`#${id}`).value;
+        const mapping = {};
+
+        Object.keys(ImportService.CSV_FIELDS).forEach(field => {
+            const column = value(`import-map-${field}`);
+            mapping[field] = column === '' ? null : Number(column);
+        });
+
+        state.options = {
+            ...state.options,
+            hasHeader: body.querySelector('#import-has-header').checked,
+            invertAmounts: body.querySelector('#import-invert').checked,
+            dateFormat: value('import-date-format'),
+            decimalSeparator: value('import-decimal'),
+            mapping
+        };
+        state.accountId = value('import-account');
+    }
+
+    /**
+     * Set up the CSV form controls
+     * @param {HTMLElement} body - Wizard body
+     */
+    function setupCsvEventListeners(body) {
+        const form = body.querySelector('#import-wizard-form');
+
+        // Layout changes need the file parsed again
+        ['import-encoding', 'import-delimiter'].forEach(id => {
+            body.querySelector(`#${id}`).addEventListener('change', () => {
+                readForm(body);
+                rereadFile(body.querySelector('#import-encoding').value, body.querySelector('#import-delimiter').value);
+                renderBody();
+            });
+        });
+
+        // Anything else only changes how rows are read
+        form.querySelectorAll('select, input[type="checkbox"]').forEach(control => {
+            if (control.id === 'import-encoding' || control.id === 'import-delimiter') return;
+            control.addEventListener('change', () => {
+                readForm(body);
+                if (control.id === 'import-has-header') {
+                    renderBody();
+                } else {
+                    body.querySelector('.import-preview').innerHTML = renderPreview();
+                }
+            });
+        });
+
+        body.querySelector('.cancel-modal').addEventListener('click', close);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            readForm(body);
+            runCsvImport(body.querySelector('#import-profile-name').value.trim());
+        });
+    }
+
+    /**
+     * Import the mapped rows and optionally save the settings as a profile
+     * @param {string} profileName - Name to save the profile under (empty to skip)
+     */
+    function runCsvImport(profileName) {
+        const { transactions, errors } = ImportService.mapRows(state.rows, state.options);
+        if (transactions.length === 0) {
+            alert(I18n.t('import.nothingToImport'));
+            return;
+        }
+
+        if (profileName) {
+            ImportService.saveProfile({
+                id: state.options.profile ? state.options.profile.id : null,
+                name: profileName,
+                headers: state.options.hasHeader ? state.rows[0] : [],
+                encoding: state.encoding,
+                delimiter: state.delimiter,
+                hasHeader: state.options.hasHeader,
+                dateFormat: state.options.dateFormat,
+                decimalSeparator: state.options.decimalSeparator,
+                invertAmounts: state.options.invertAmounts,
+                mapping: state.options.mapping
+            });
+        }
+
+        const result = ImportService.importTransactions(transactions, { accountId: state.accountId });
+        finish({ ...result, skipped: errors.length });
+    }
+
+    /**
+     * Render the account matching form for a statement file
+     * @param {HTMLElement} body - Wizard body
+     */
+    function renderStatementBody(body) {
+        const imported = ImportService.getImportedIds();
+        const accounts = { new: I18n.t('import.newAccount') };
+        DataService.getAllAccounts(false).forEach(account => {
+            accounts[account.id] = account.name;
+        });
+        accounts[''] = I18n.t('form.noAccount');
+
+        const paymentMethods = { '': I18n.t('import.paymentFromAccount') };
+        PAYMENT_METHODS.forEach(method => {
+            paymentMethods[method] = method;
+        });
+
+        body.innerHTML = `
+            <form id="import-wizard-form" class="form-container">
+                ${state.statements.map((statement, i) => {
+                    const { transactions } = statement;
+                    const duplicates = transactions.filter(transaction => imported.has(transaction.importId)).length;
+                    const dates = transactions.map(transaction => transaction.date).sort();
+                    const count = I18n.t('import.transactionCount', { count: transactions.length });
+                    const summary = [
+                        dates.length > 0
+                            ? I18n.t('import.dateRange', { count, from: FormatService.formatDate(dates[0]), to: FormatService.formatDate(dates[dates.length - 1]) })
+                            : count,
+                        duplicates > 0 ? I18n.t('import.alreadyImported', { count: duplicates }) : ''
+                    ].filter(Boolean).join(I18n.t('common.listSeparator'));
+
+                    return `
+                        <div class="import-statement">
+                            <h4>${escapeHtml(getStatementTitle(statement))}</h4>
+                            <p>${I18n.t('import.statementSummary', { summary })}</p>
+                            ${statement.errors > 0 ? `<p class="import-errors">${I18n.t('import.unreadableSkipped', { count: statement.errors })}</p>` : ''}
+                            <div class="import-grid">
+                                <div class="form-group">
+                                    <label for="import-account-${i}">${I18n.t('import.intoAccount')}</label>
+                                    ${renderSelect(`import-account-${i}`, accounts, state.links[i].accountId)}
+                                </div>
+                                <div class="form-group">
+                                    <label for="import-payment-${i}">${I18n.t('import.paymentMethod')}</label>
+                                    ${renderSelect(`import-payment-${i}`, paymentMethods, state.links[i].paymentMethod)}
+                                </div>
+                            </div>
+                            ${transactions.length > 0 ? `<div class="import-preview">${renderTransactionTable(transactions)}</div>` : ''}
+                        </div>
+                    `;
+                }).join('')}
+
+                <div class="form-actions">
+                    <button type="submit" class="btn-primary">${I18n.t('import.submit')}</button>
+                    <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.cancel')}</button>
+                </div>
+            </form>
+        `;
+
+        body.querySelector('.cancel-modal').addEventListener('click', close);
+
+        body.querySelector('#import-wizard-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            state.links = state.statements.map((statement, i) => ({
+                accountId: body.querySelector(`#import-account-${i}`).value,
+                paymentMethod: body.querySelector(`#import-payment-${i}`).value
+            }));
+            runStatementImport();
+        });
+    }
+
+    /**
+     * Get the heading for a statement
+     * @param {Object} statement - Statement from ImportService.readStatements
+     * @returns {string} Account name, or institution, account type and number
+     */
+    function getStatementTitle(statement) {
+        const typeName = I18n.t(ACCOUNT_TYPE_KEYS[statement.accountType] || 'import.account');
+        let title = typeName;
+
+        if (statement.accountName) {
+            title = I18n.t('import.statementNamed', { name: statement.accountName, type: typeName });
+        } else if (statement.accountId) {
+            title = I18n.t('import.statementEnding', { type: typeName, digits: statement.accountId.slice(-4) });
+            if (statement.institution) {
+                title = I18n.t('import.statementInstitution', { institution: statement.institution, title });
+            }
+        }
+
+        return statement.currency ? I18n.t('import.statementCurrency', { title, currency: statement.currency }) : title;
+    }
+
+    /**
+     * Import every statement into its chosen account
+     */
+    function runStatementImport() {
+        const total = { incomes: 0, expenses: 0, duplicates: 0, skipped: 0 };
+
+        state.statements.forEach((statement, i) => {
+            const link = state.links[i];
+            const accountId = link.accountId ? ImportService.linkStatementAccount(statement, link.accountId) : null;
+            const result = ImportService.importTransactions(statement.transactions, {
+                accountId,
+                paymentMethod: link.paymentMethod,
+                currency: statement.currency
+            });
+
+            total.incomes += result.incomes;
+            total.expenses += result.expenses;
+            total.duplicates += result.duplicates;
+            total.skipped += statement.errors;
+        });
+
+        finish(total);
+    }
+
+    /**
+     * Close the wizard and report the import result
+     * @param {Object} result - { incomes, expenses, duplicates, skipped }
+     */
+    function finish(result) {
+        const onComplete = state.onComplete;
+        close();
+
+        if (onComplete) {
+            onComplete(result);
+        }
+    }
+
+    /**
+     * Close the wizard
+     */
+    function close() {
+        const modal = document.getElementById('import-wizard-modal');
+        if (modal) {
+            modal.parentNode.removeChild(modal);
+            document.body.style.overflow = '';
+        }
+    }
+
+    // Public API
+    return {
+        open,
+        close
+    };
+})();
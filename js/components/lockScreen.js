@@ -0,0 +1,96 @@
+/**
+ * CashBoard Lock Screen
+ * Covers the app until the PIN or passphrase has unlocked the stored data
+ */
+
+const LockScreen = (function() {
+    /**
+     * Show the lock screen
+     * @param {Object} options - Lock screen options
+     * @param {string} options.kind - 'pin' or 'passphrase'
+     * @param {Function} options.onUnlock - Called with the entry; a rejection is shown as an error
+     * @param {Function} options.onReset - Called when the user chooses to erase their data
+     */
+    function show(options) {
+        hide();
+
+        const kind = StorageEncryption.LOCK_KINDS[options.kind] ? options.kind : 'passphrase';
+        const name = I18n.t(`lock.name.${kind}`);
+        const screen = document.createElement('div');
+        screen.id = 'lock-screen';
+        screen.className = 'lock-screen';
+        screen.innerHTML = `
+            <form class="lock-panel" id="lock-form">
+                <h1>CashBoard</h1>
+                <p>${I18n.t('lockScreen.message', { kind: name })}</p>
+                <div class="form-group">
+                    <label for="lock-input">${I18n.t(`lock.${kind}`)}</label>
+                    <input type="password" id="lock-input" autocomplete="current-password"
+                        ${options.kind === 'pin' ? 'inputmode="numeric"' : ''} required>
+                </div>
+                <p class="passphrase-error" role="alert"></p>
+                <button type="submit" class="btn-primary full-width">${I18n.t('lockScreen.unlock')}</button>
+                <button type="button" class="lock-reset" id="lock-reset">${I18n.t('lockScreen.forgot', { kind: name })}</button>
+            </form>
+        `;
+
+        document.body.appendChild(screen);
+        document.body.style.overflow = 'hidden';
+
+        setupEventListeners(screen, options, name);
+        screen.querySelector('#lock-input').focus();
+    }
+
+    /**
+     * Set up unlocking and resetting
+     * @param {HTMLElement} screen - Lock screen element
+     * @param {Object} options - Lock screen options
+     * @param {string} name - How the PIN or passphrase is named in messages
+     */
+    function setupEventListeners(screen, options, name) {
+        const input = screen.querySelector('#lock-input');
+        const errorElement = screen.querySelector('.passphrase-error');
+        const submitButton = screen.querySelector('button[type="submit"]');
+
+        screen.querySelector('#lock-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            submitButton.disabled = true;
+            submitButton.textContent = I18n.t('lockScreen.unlocking');
+            errorElement.textContent = '';
+
+            Promise.resolve()
+                .then(() => options.onUnlock(input.value))
+                .catch(error => {
+                    submitButton.disabled = false;
+                    submitButton.textContent = I18n.t('lockScreen.unlock');
+                    errorElement.textContent = error.message;
+                    input.value = '';
+                    input.focus();
+                });
+        });
+
+        screen.querySelector('#lock-reset').addEventListener('click', () => {
+            if (confirm(I18n.t('lockScreen.confirmReset', { kind: name }))) {
+                options.onReset();
+            }
+        });
+    }
+
+    /**
+     * Remove the lock screen
+     */
+    function hide() {
+        const screen = document.getElementById('lock-screen');
+        if (screen) {
+            screen.parentNode.removeChild(screen);
+            document.body.style.overflow = '';
+        }
+    }
+
+    // Public API
+    return {
+        show,
+        hide
+    };
+})();
@@ -0,0 +1,189 @@
+/**
+ * CashBoard Merge Review
+ * Shows what merging a backup will do and lets the user settle each conflict
+ */
+
+const MergeReview = (function() {
+    // Message keys for data type names
+    const TYPE_KEYS = {
+        INCOME: 'merge.typeIncome',
+        EXPENSES: 'merge.typeExpense',
+        BUDGETS: 'merge.typeBudget',
+        ACCOUNTS: 'merge.typeAccount',
+        TRANSFERS: 'merge.typeTransfer',
+        EXCHANGE_RATES: 'merge.typeExchangeRate',
+        SAVINGS_GOALS: 'merge.typeSavingsGoal',
+        IMPORT_PROFILES: 'merge.typeImportProfile'
+    };
+
+    // Message keys for conflict resolutions
+    const RESOLUTION_KEYS = {
+        mine: 'merge.keepMine',
+        theirs: 'merge.keepTheirs',
+        both: 'merge.keepBoth'
+    };
+
+    // Plan being reviewed
+    let plan = null;
+    let onComplete = null;
+
+    /**
+     * Open the review for a merge plan
+     * @param {Object} mergePlan - Plan from MergeService.analyze
+     * @param {Function} callback - Called with the merge report once applied
+     */
+    function open(mergePlan, callback) {
+        plan = mergePlan;
+        onComplete = callback;
+        close();
+
+        const modal = document.createElement('div');
+        modal.id = 'merge-review-modal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content merge-review">
+                <div class="modal-header">
+                    <h3>${I18n.t('merge.title')}</h3>
+                    <span class="close-modal">&times;</span>
+                </div>
+                <div class="modal-body">
+                    ${render()}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        setupEventListeners(modal);
+    }
+
+    /**
+     * Render the summary and conflict list
+     * @returns {string} HTML for the modal body
+     */
+    function render() {
+        const { added, unchanged, conflicts } = plan;
+
+        return `
+            <p class="merge-summary">
+                ${I18n.t('merge.added', { count: added.length })}
+                ${I18n.t('merge.unchanged', { count: unchanged })}
+                ${conflicts.length === 0 ? I18n.t('merge.nothingToReview') : I18n.t('merge.toReview', { count: conflicts.length })}
+            </p>
+
+            ${conflicts.length > 0 ? `
+                <div class="merge-bulk-actions">
+                    ${MergeService.RESOLUTIONS.map(resolution => `
+                        <button type="button" class="btn-secondary" data-resolve-all="${resolution}">${I18n.t(`${RESOLUTION_KEYS[resolution]}All`)}</button>
+                    `).join('')}
+                </div>
+
+                <table class="transactions-table merge-conflicts">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('merge.type')}</th>
+                            <th>${I18n.t('merge.mine')}</th>
+                            <th>${I18n.t('merge.theirs')}</th>
+                            <th>${I18n.t('merge.keep')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${conflicts.map(conflict => renderConflict(conflict)).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+
+            <div class="form-actions">
+                <button type="button" class="btn-primary" id="merge-apply">${I18n.t('merge.apply')}</button>
+                <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.cancel')}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a conflict row
+     * @param {Object} conflict - Conflict from the merge plan
+     * @returns {string} HTML for the table row
+     */
+    function renderConflict(conflict) {
+        const reason = I18n.t(conflict.match === 'id' ? 'merge.reasonChanged' : 'merge.reasonDuplicate');
+
+        return `
+            <tr>
+                <td>${TYPE_KEYS[conflict.type] ? I18n.t(TYPE_KEYS[conflict.type]) : conflict.type}<br><small>${reason}</small></td>
+                <td>${MergeService.describeRecord(conflict.type, conflict.mine)}</td>
+                <td>${MergeService.describeRecord(conflict.type, conflict.theirs)}</td>
+                <td class="merge-resolution">
+                    ${MergeService.RESOLUTIONS.map(resolution => `
+                        <label>
+                            <input type="radio" name="merge-conflict-${conflict.id}" value="${resolution}"
+                                data-conflict-id="${conflict.id}" ${conflict.resolution === resolution ? 'checked' : ''}>
+                            ${I18n.t(RESOLUTION_KEYS[resolution])}
+                        </label>
+                    `).join('')}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Set up resolution choices and buttons
+     * @param {HTMLElement} modal - Review modal
+     */
+    function setupEventListeners(modal) {
+        modal.querySelectorAll('.close-modal, .cancel-modal').forEach(button => {
+            button.addEventListener('click', close);
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+
+        modal.querySelectorAll('input[data-conflict-id]').forEach(input => {
+            input.addEventListener('change', () => {
+                plan.conflicts[Number(input.getAttribute('data-conflict-id'))].resolution = input.value;
+            });
+        });
+
+        modal.querySelectorAll('[data-resolve-all]').forEach(button => {
+            button.addEventListener('click', () => {
+                const resolution = button.getAttribute('data-resolve-all');
+                plan.conflicts.forEach(conflict => {
+                    conflict.resolution = resolution;
+                });
+                modal.querySelectorAll(`input[data-conflict-id][value="${resolution}"]`).forEach(input => {
+                    input.checked = true;
+                });
+            });
+        });
+
+        modal.querySelector('#merge-apply').addEventListener('click', () => {
+            const report = MergeService.apply(plan);
+            const callback = onComplete;
+            close();
+
+            if (callback) {
+                callback(report);
+            }
+        });
+    }
+
+    /**
+     * Close the review without merging
+     */
+    function close() {
+        const modal = document.getElementById('merge-review-modal');
+        if (modal) {
+            modal.parentNode.removeChild(modal);
+            document.body.style.overflow = '';
+        }
+    }
+
+    // Public API
+    return {
+        open,
+        close
+    };
+})();
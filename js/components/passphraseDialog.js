@@ -0,0 +1,185 @@
+/**
+ * CashBoard Passphrase Dialog
+ * Asks for a passphrase in a masked field, optionally twice to confirm a new one
+ */
+
+const PassphraseDialog = (function() {
+    // Settles the open dialog's promise
+    let settle = null;
+
+    /**
+     * Ask the user for a passphrase
+     * @param {Object} options - Dialog options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.message - Explanation shown above the field
+     * @param {string} options.kind - 'pin' or 'passphrase' (default), naming the field
+     * @param {boolean} options.numeric - Show a numeric keypad on touch devices
+     * @param {boolean} options.confirm - Ask twice and require both entries to match
+     * @param {number} options.minLength - Shortest passphrase accepted
+     * @param {Function} options.validate - Returns an error message for an unacceptable entry
+     * @param {Function} options.verify - Checks the entry; a rejection keeps the dialog open with its message
+     * @param {string} options.submitLabel - Label of the submit button
+     * @returns {Promise<string|null>} Passphrase, or null if cancelled
+     */
+    function open(options = {}) {
+        close();
+
+        const inputMode = options.numeric ? 'inputmode="numeric"' : '';
+        const modal = document.createElement('div');
+        modal.id = 'passphrase-modal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content passphrase-dialog">
+                <div class="modal-header">
+                    <h3>${options.title || I18n.t('passphrase.title')}</h3>
+                    <span class="close-modal">&times;</span>
+                </div>
+                <div class="modal-body">
+                    <form id="passphrase-form">
+                        ${options.message ? `<p>${options.message}</p>` : ''}
+                        <div class="form-group">
+                            <label for="passphrase-input">${I18n.t(`lock.${getKind(options)}`)}</label>
+                            <input type="password" id="passphrase-input" ${inputMode} autocomplete="${options.confirm ? 'new-password' : 'current-password'}" required>
+                        </div>
+                        ${options.confirm ? `
+                            <div class="form-group">
+                                <label for="passphrase-confirm">${I18n.t('passphrase.confirm', { kind: getFieldName(options) })}</label>
+                                <input type="password" id="passphrase-confirm" ${inputMode} autocomplete="new-password" required>
+                            </div>
+                        ` : ''}
+                        <p class="passphrase-error" role="alert"></p>
+                        <div class="form-actions">
+                            <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.cancel')}</button>
+                            <button type="submit" class="btn-primary">${options.submitLabel || I18n.t('common.ok')}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        return new Promise(resolve => {
+            settle = resolve;
+            setupEventListeners(modal, options);
+            modal.querySelector('#passphrase-input').focus();
+        });
+    }
+
+    /**
+     * Set up the form and close buttons
+     * @param {HTMLElement} modal - Dialog modal
+     * @param {Object} options - Dialog options
+     */
+    function setupEventListeners(modal, options) {
+        modal.querySelectorAll('.close-modal, .cancel-modal').forEach(button => {
+            button.addEventListener('click', () => close());
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') close();
+        });
+
+        modal.querySelector('#passphrase-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const passphrase = modal.querySelector('#passphrase-input').value;
+            const errorElement = modal.querySelector('.passphrase-error');
+            const error = validate(passphrase, options, modal);
+            if (error) {
+                errorElement.textContent = error;
+                return;
+            }
+
+            if (!options.verify) {
+                close(passphrase);
+                return;
+            }
+
+            const submitButton = modal.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            errorElement.textContent = '';
+
+            Promise.resolve()
+                .then(() => options.verify(passphrase))
+                .then(() => close(passphrase))
+                .catch(verifyError => {
+                    submitButton.disabled = false;
+                    errorElement.textContent = verifyError.message;
+                    modal.querySelector('#passphrase-input').select();
+                });
+        });
+    }
+
+    /**
+     * Get what kind of secret the dialog asks for
+     * @param {Object} options - Dialog options
+     * @returns {string} 'pin' or 'passphrase'
+     */
+    function getKind(options) {
+        return options.kind === 'pin' ? 'pin' : 'passphrase';
+    }
+
+    /**
+     * Get how the entry is named in sentences
+     * @param {Object} options - Dialog options
+     * @returns {string} E.g. 'passphrase' or 'PIN'
+     */
+    function getFieldName(options) {
+        return I18n.t(`lock.name.${getKind(options)}`);
+    }
+
+    /**
+     * Check an entered passphrase against the dialog options
+     * @param {string} passphrase - Entered passphrase
+     * @param {Object} options - Dialog options
+     * @param {HTMLElement} modal - Dialog modal
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validate(passphrase, options, modal) {
+        if (!passphrase) {
+            return I18n.t('passphrase.required', { kind: getFieldName(options) });
+        }
+        if (options.minLength && passphrase.length < options.minLength) {
+            return I18n.t(`lock.errorLength.${getKind(options)}`, { count: options.minLength });
+        }
+        if (options.validate) {
+            const problem = options.validate(passphrase);
+            if (problem) return problem;
+        }
+        if (options.confirm && passphrase !== modal.querySelector('#passphrase-confirm').value) {
+            return I18n.t('passphrase.mismatch');
+        }
+        return null;
+    }
+
+    /**
+     * Close the dialog
+     * @param {string|null} passphrase - Passphrase to resolve with, null when cancelled
+     */
+    function close(passphrase = null) {
+        const modal = document.getElementById('passphrase-modal');
+        if (modal) {
+            modal.parentNode.removeChild(modal);
+            document.body.style.overflow = '';
+        }
+
+        if (settle) {
+            const resolve = settle;
+            settle = null;
+            resolve(passphrase);
+        }
+    }
+
+    // Public API
+    return {
+        open,
+        close
+    };
+})();
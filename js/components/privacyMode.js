@@ -0,0 +1,134 @@
+/**
+ * CashBoard Privacy Mode
+ * Hides amounts on screen for meetings and shared screens. Masked amounts
+ * can be revealed one at a time by hovering, focusing or tapping them.
+ */
+
+const PrivacyMode = (function() {
+    // Shown in place of an amount
+    const MASK = '•••';
+
+    // Alt+Shift+P, matched by key position so it works on any keyboard layout
+    const SHORTCUT = { code: 'KeyP', altKey: true, shiftKey: true };
+
+    // Called with the new state whenever privacy mode is switched
+    const listeners = [];
+
+    /**
+     * Check whether privacy mode is on
+     * @returns {boolean} Whether amounts are masked
+     */
+    function isEnabled() {
+        return Boolean(Repository.getSettings().privacyMode);
+    }
+
+    /**
+     * Switch privacy mode on or off
+     * @param {boolean} enabled - Whether to mask amounts
+     */
+    function setEnabled(enabled) {
+        Repository.updateSettings({ privacyMode: Boolean(enabled) });
+        applyState();
+        listeners.forEach(listener => listener(Boolean(enabled)));
+    }
+
+    /**
+     * Switch privacy mode to the opposite state
+     * @returns {boolean} Whether privacy mode is now on
+     */
+    function toggle() {
+        setEnabled(!isEnabled());
+        return isEnabled();
+    }
+
+    /**
+     * Register a listener for privacy mode changes
+     * @param {Function} listener - Called with whether privacy mode is on
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Mask a formatted amount for display as HTML
+     * @param {string} formatted - Formatted amount, e.g. '₹1,200'
+     * @returns {string} The amount, or a masked element that reveals it
+     */
+    function maskAmount(formatted) {
+        if (!isEnabled()) return formatted;
+
+        return `<span class="masked-amount" tabindex="0" role="button" aria-label="${I18n.t('privacy.hiddenAmount')}" data-amount="${formatted}"></span>`;
+    }
+
+    /**
+     * Reflect the current state on the page and the toggle button
+     */
+    function applyState() {
+        const enabled = isEnabled();
+        document.body.classList.toggle('privacy-mode', enabled);
+
+        const button = document.getElementById('privacy-toggle');
+        if (button) {
+            button.setAttribute('aria-pressed', String(enabled));
+            button.title = I18n.t(enabled ? 'privacy.show' : 'privacy.hide', { shortcut: 'Alt+Shift+P' });
+            button.innerHTML = `<i class="fas ${enabled ? 'fa-eye-slash' : 'fa-eye'}"></i>`;
+        }
+    }
+
+    /**
+     * Toggle privacy mode on the keyboard shortcut
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    function handleShortcut(e) {
+        const matches = e.code === SHORTCUT.code && e.altKey === SHORTCUT.altKey &&
+            e.shiftKey === SHORTCUT.shiftKey && !e.ctrlKey && !e.metaKey;
+        if (!matches) return;
+
+        e.preventDefault();
+        toggle();
+    }
+
+    /**
+     * Reveal or hide a single masked amount on tap, click or Enter
+     * @param {Event} e - Click or keydown event
+     */
+    function handleReveal(e) {
+        if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+
+        const amount = e.target.closest && e.target.closest('.masked-amount');
+        if (!amount) return;
+
+        e.preventDefault();
+        amount.classList.toggle('revealed');
+    }
+
+    /**
+     * Set up the toggle button, shortcut and reveal handling
+     */
+    function init() {
+        const button = document.getElementById('privacy-toggle');
+        if (button) {
+            button.addEventListener('click', toggle);
+        }
+
+        document.addEventListener('keydown', handleShortcut);
+        document.addEventListener('keydown', handleReveal);
+        document.addEventListener('click', handleReveal);
+
+        // The button title is worded in the interface language
+        I18n.onChange(applyState);
+
+        applyState();
+    }
+
+    // Public API
+    return {
+        MASK,
+        init,
+        isEnabled,
+        setEnabled,
+        toggle,
+        onChange,
+        maskAmount
+    };
+})();
@@ -0,0 +1,217 @@
+/**
+ * CashBoard Snapshot Restore
+ * Lists the automatic snapshots with their dates and record counts, and
+ * restores, downloads or deletes them
+ */
+
+const SnapshotRestore = (function() {
+    // Message keys for why a snapshot was taken
+    const REASON_KEYS = {
+        auto: 'snapshots.reasonAuto',
+        manual: 'snapshots.reasonManual',
+        'before-restore': 'snapshots.reasonBeforeRestore'
+    };
+
+    // Message keys for retention tiers
+    const TIER_KEYS = {
+        daily: 'interval.daily',
+        weekly: 'interval.weekly',
+        monthly: 'interval.monthly'
+    };
+
+    // Message keys for record counts, by StorageKeys type
+    const COUNT_KEYS = {
+        INCOME: 'snapshots.incomes',
+        EXPENSES: 'snapshots.expenses',
+        BUDGETS: 'snapshots.budgets',
+        ACCOUNTS: 'snapshots.accounts',
+        TRANSFERS: 'snapshots.transfers'
+    };
+
+    // Called with the migration report after a restore
+    let onRestored = null;
+
+    /**
+     * Open the snapshot list
+     * @param {Function} callback - Called with the migration report once a snapshot is restored
+     * @returns {Promise<void>}
+     */
+    function open(callback) {
+        onRestored = callback;
+
+        return SnapshotService.listSnapshots().then(snapshots => {
+            close();
+
+            const modal = document.createElement('div');
+            modal.id = 'snapshot-restore-modal';
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-content snapshot-restore">
+                    <div class="modal-header">
+                        <h3>${I18n.t('backups.restore')}</h3>
+                        <span class="close-modal">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        ${render(snapshots)}
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            modal.classList.add('active');
+            document.body.style.overflow = 'hidden';
+
+            setupEventListeners(modal);
+        });
+    }
+
+    /**
+     * Render the snapshot table
+     * @param {Array} snapshots - Snapshots, newest first
+     * @returns {string} HTML for the modal body
+     */
+    function render(snapshots) {
+        const { daily, weekly, monthly } = SnapshotService.RETENTION;
+
+        return `
+            <p class="snapshot-summary">
+                ${I18n.t('snapshots.retention', {
+                    days: I18n.t('snapshots.days', { count: daily }),
+                    weeks: I18n.t('snapshots.weeks', { count: weekly }),
+                    months: I18n.t('snapshots.months', { count: monthly })
+                })}
+                ${I18n.t('snapshots.restoreNote')}
+            </p>
+
+            ${snapshots.length === 0 ? `<p class="empty-state">${I18n.t('backups.empty')}</p>` : `
+                <table class="transactions-table snapshot-list">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('snapshots.taken')}</th>
+                            <th>${I18n.t('snapshots.keptAs')}</th>
+                            <th>${I18n.t('snapshots.records')}</th>
+                            <th>${I18n.t('common.actions')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${snapshots.map(snapshot => renderSnapshot(snapshot)).join('')}
+                    </tbody>
+                </table>
+            `}
+
+            <div class="form-actions">
+                <button type="button" class="btn-secondary cancel-modal">${I18n.t('common.close')}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a snapshot row
+     * @param {Object} snapshot - Snapshot with its retention tiers
+     * @returns {string} HTML for the table row
+     */
+    function renderSnapshot(snapshot) {
+        const taken = new Date(snapshot.createdAt);
+
+        return `
+            <tr>
+                <td>
+                    ${FormatService.formatDate(taken)} ${FormatService.formatTime(taken)}
+                    <br><small>${REASON_KEYS[snapshot.reason] ? I18n.t(REASON_KEYS[snapshot.reason]) : snapshot.reason}</small>
+                </td>
+                <td>${snapshot.tiers.map(tier => I18n.t(TIER_KEYS[tier])).join(I18n.t('common.listSeparator'))}</td>
+                <td>${snapshot.unreadable ? I18n.t('snapshots.unreadable') : describeCounts(snapshot.counts)}</td>
+                <td class="snapshot-actions">
+                    ${snapshot.unreadable ? '' : `
+                        <button type="button" class="btn-primary" data-restore="${snapshot.id}">${I18n.t('snapshots.restore')}</button>
+                        <button type="button" class="btn-secondary" data-download="${snapshot.id}">${I18n.t('snapshots.download')}</button>
+                    `}
+                    <button type="button" class="btn-danger" data-delete="${snapshot.id}">${I18n.t('common.delete')}</button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Describe the record counts of a snapshot
+     * @param {Object} counts - Record counts by StorageKeys type
+     * @returns {string} E.g. '12 incomes, 1 budget'
+     */
+    function describeCounts(counts) {
+        return Object.entries(COUNT_KEYS)
+            .map(([type, key]) => I18n.t(key, { count: counts[type] || 0 }))
+            .join(I18n.t('common.listSeparator'));
+    }
+
+    /**
+     * Set up the snapshot buttons
+     * @param {HTMLElement} modal - Snapshot modal
+     */
+    function setupEventListeners(modal) {
+        modal.querySelectorAll('.close-modal, .cancel-modal').forEach(button => {
+            button.addEventListener('click', close);
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+
+        modal.querySelectorAll('[data-restore]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!confirm(I18n.t('snapshots.confirmRestore'))) return;
+
+                const callback = onRestored;
+                SnapshotService.restoreSnapshot(button.getAttribute('data-restore'))
+                    .then(report => {
+                        close();
+                        if (callback) {
+                            callback(report);
+                        }
+                    })
+                    .catch(error => {
+                        console.error('Snapshot restore error:', error);
+                        App.showNotification(I18n.t('snapshots.restoreFailed'), 'error');
+                    });
+            });
+        });
+
+        modal.querySelectorAll('[data-download]').forEach(button => {
+            button.addEventListener('click', () => {
+                SnapshotService.downloadSnapshot(button.getAttribute('data-download')).catch(error => {
+                    console.error('Snapshot download error:', error);
+                    App.showNotification(I18n.t('snapshots.downloadFailed'), 'error');
+                });
+            });
+        });
+
+        modal.querySelectorAll('[data-delete]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!confirm(I18n.t('snapshots.confirmDelete'))) return;
+
+                SnapshotService.deleteSnapshot(button.getAttribute('data-delete'))
+                    .then(() => open(onRestored))
+                    .catch(error => {
+                        console.error('Snapshot delete error:', error);
+                        App.showNotification(I18n.t('snapshots.deleteFailed'), 'error');
+                    });
+            });
+        });
+    }
+
+    /**
+     * Close the snapshot list
+     */
+    function close() {
+        const modal = document.getElementById('snapshot-restore-modal');
+        if (modal) {
+            modal.parentNode.removeChild(modal);
+            document.body.style.overflow = '';
+        }
+    }
+
+    // Public API
+    return {
+        open,
+        close
+    };
+})();
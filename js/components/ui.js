@@ -14,6 +14,19 @@ const UIComponent = (function() {
         // Setup modal forms
         setupIncomeForm();
         setupExpenseForm();
+        setupRecurrenceFields('income');
+        setupRecurrenceFields('expense');
+        
+        // Offer the known currencies, defaulting to the base currency
+        populateCurrencySelects();
+        fillCurrency('income');
+        fillCurrency('expense');
+        
+        // Keep account pickers in sync with the account list
+        populateAccountSelects();
+        DataService.onDataChanged(type => {
+            if (type === 'account') populateAccountSelects();
+        });
         
         // Setup search and filter functionality
         setupTableFilters();
@@ -29,14 +42,13 @@ const UIComponent = (function() {
         
         if (!prevMonthBtn || !nextMonthBtn || !currentPeriodElem) return;
         
-        // Store the current view date
-        let viewDate = new Date();
+        // Store the first day of the month in view, so stepping from the 31st never skips a month
+        const today = new Date();
+        let viewDate = new Date(today.getFullYear(), today.getMonth(), 1);
         
         // Update the period display
         function updatePeriodDisplay() {
-            const monthName = viewDate.toLocaleString('default', { month: 'long' });
-            const year = viewDate.getFullYear();
-            currentPeriodElem.textContent = `${monthName} ${year}`;
+            currentPeriodElem.textContent = FormatService.formatMonth(viewDate);
             
             // Dispatch event so other components can update
             window.dispatchEvent(new CustomEvent('period-changed', {
@@ -63,6 +75,109 @@ const UIComponent = (function() {
         });
     }
     
+    /**
+     * Fill every account picker with the active accounts
+     * An archived account stays listed where it is already selected.
+     */
+    function populateAccountSelects() {
+        document.querySelectorAll('.account-select').forEach(select => {
+            const selected = select.value;
+            const accounts = DataService.getAllAccounts()
+                .filter(account => !account.archived || account.id === selected);
+            
+            select.innerHTML = `<option value="">${I18n.t('form.noAccount')}</option>` +
+                accounts.map(account => `<option value="${account.id}">${FormatService.escapeHtml(account.name)}</option>`).join('');
+            select.value = selected;
+        });
+    }
+    
+    /**
+     * Fill every currency picker with the supported currencies and any
+     * currency the exchange-rate table has rates for
+     */
+    function populateCurrencySelects() {
+        const currencies = [...new Set([
+            ...Repository.getCurrencies(),
+            ...CurrencyService.getRates().flatMap(rate => [rate.from, rate.to])
+        ])].sort();
+        
+        document.querySelectorAll('.currency-select').forEach(select => {
+            const selected = select.value;
+            select.innerHTML = currencies
+                .map(currency => `<option value="${currency}">${currency} (${Repository.getCurrencySymbol(currency)})</option>`)
+                .join('');
+            select.value = selected || CurrencyService.getBaseCurrency();
+        });
+    }
+    
+    /**
+     * Set the currency of a form to a record's, or to the base currency
+     * @param {string} prefix - Form field prefix ('income' or 'expense')
+     * @param {Object} record - Record being edited (omit for a new record)
+     */
+    function fillCurrency(prefix, record = {}) {
+        const select = document.getElementById(`${prefix}-currency`);
+        if (select) {
+            select.value = record.currency || CurrencyService.getBaseCurrency();
+        }
+    }
+    
+    /**
+     * Get the currency chosen in a form, which its amounts are entered in
+     * @param {string} prefix - Form field prefix ('income' or 'expense')
+     * @returns {string} ISO currency code
+     */
+    function getFormCurrency(prefix) {
+        const select = document.getElementById(`${prefix}-currency`);
+        return (select && select.value) || CurrencyService.getBaseCurrency();
+    }
+    
+    /**
+     * Show the recurrence options of a form only while "repeat" is ticked
+     * @param {string} prefix - Form field prefix ('income' or 'expense')
+     */
+    function setupRecurrenceFields(prefix) {
+        const checkbox = document.getElementById(`${prefix}-recurring`);
+        const options = document.getElementById(`${prefix}-recurrence-options`);
+        if (!checkbox || !options) return;
+        
+        checkbox.addEventListener('change', () => {
+            options.style.display = checkbox.checked ? 'block' : 'none';
+        });
+    }
+    
+    /**
+     * Read the recurrence fields of a form
+     * @param {string} prefix - Form field prefix ('income' or 'expense')
+     * @returns {Object} Recurrence properties for the record
+     */
+    function collectRecurrence(prefix) {
+        const count = parseInt(document.getElementById(`${prefix}-recurrence-count`).value, 10);
+        
+        return {
+            recurring: document.getElementById(`${prefix}-recurring`).checked,
+            recurrenceInterval: document.getElementById(`${prefix}-recurrence-interval`).value,
+            recurrenceEndDate: document.getElementById(`${prefix}-recurrence-end`).value || null,
+            recurrenceCount: count > 0 ? count : null
+        };
+    }
+    
+    /**
+     * Fill the recurrence fields of a form
+     * @param {string} prefix - Form field prefix ('income' or 'expense')
+     * @param {Object} record - Income or expense record (empty to reset)
+     */
+    function fillRecurrence(prefix, record = {}) {
+        const checkbox = document.getElementById(`${prefix}-recurring`);
+        if (!checkbox) return;
+        
+        checkbox.checked = Boolean(record.recurring);
+        document.getElementById(`${prefix}-recurrence-interval`).value = record.recurrenceInterval || 'monthly';
+        document.getElementById(`${prefix}-recurrence-end`).value = record.recurrenceEndDate || '';
+        document.getElementById(`${prefix}-recurrence-count`).value = record.recurrenceCount || '';
+        document.getElementById(`${prefix}-recurrence-options`).style.display = checkbox.checked ? 'block' : 'none';
+    }
+    
     /**
      * Setup income form handling
      */
@@ -77,25 +192,31 @@ const UIComponent = (function() {
             const formData = {
                 date: document.getElementById('income-date').value,
                 category: document.getElementById('income-category').value,
-                description: document.getElementById('income-description').value,
-                amount: parseFloat(document.getElementById('income-amount').value),
-                notes: document.getElementById('income-notes').value
+                title: document.getElementById('income-description').value,
+                amount: Money.toMinor(document.getElementById('income-amount').value, getFormCurrency('income')),
+                currency: document.getElementById('income-currency').value,
+                accountId: document.getElementById('income-account').value || null,
+                notes: document.getElementById('income-notes').value,
+                ...collectRecurrence('income')
             };
             
             // Validate form data
-            if (!formData.date || !formData.category || !formData.description || isNaN(formData.amount)) {
-                window.CashBoard.showToast('Please fill out all required fields', 'error');
+            if (!formData.date || !formData.category || !formData.title || isNaN(formData.amount)) {
+                window.CashBoard.showToast(I18n.t('form.required'), 'error');
                 return;
             }
             
-            // Add income via data service
+            // Add income via data service, then catch up on any past occurrences
             DataService.addIncome(formData);
+            RecurrenceService.processDue();
             
             // Show success message
-            window.CashBoard.showToast('Income added successfully', 'success');
+            window.CashBoard.showToast(I18n.t('income.added'), 'success');
             
             // Reset form and close modal
             incomeForm.reset();
+            fillCurrency('income');
+            fillRecurrence('income');
             document.getElementById('income-modal').classList.remove('active');
             document.body.style.overflow = '';
         });
@@ -114,6 +235,8 @@ const UIComponent = (function() {
             receiptInput.addEventListener('change', handleReceiptUpload);
         }
         
+        setupSplitEditor();
+        
         expenseForm.addEventListener('submit', function(e) {
             e.preventDefault();
             
@@ -121,26 +244,37 @@ const UIComponent = (function() {
             const formData = {
                 date: document.getElementById('expense-date').value,
                 category: document.getElementById('expense-category').value,
-                description: document.getElementById('expense-description').value,
-                amount: parseFloat(document.getElementById('expense-amount').value),
+                title: document.getElementById('expense-description').value,
+                amount: Money.toMinor(document.getElementById('expense-amount').value, getFormCurrency('expense')),
+                currency: document.getElementById('expense-currency').value,
+                accountId: document.getElementById('expense-account').value || null,
                 notes: document.getElementById('expense-notes').value,
-                receipt: receiptInput ? receiptInput.dataset.receipt || null : null
+                receipt: receiptInput ? receiptInput.dataset.receipt || null : null,
+                splits: collectSplits(),
+                ...collectRecurrence('expense')
             };
             
             // Validate form data
-            if (!formData.date || !formData.category || !formData.description || isNaN(formData.amount)) {
-                window.CashBoard.showToast('Please fill out all required fields', 'error');
+            if (!formData.date || !formData.category || !formData.title || isNaN(formData.amount)) {
+                window.CashBoard.showToast(I18n.t('form.required'), 'error');
                 return;
             }
             
             // Add expense via data service
-            DataService.addExpense(formData);
+            if (!DataService.addExpense(formData)) {
+                window.CashBoard.showToast(I18n.t('expenses.splitMismatch'), 'error');
+                return;
+            }
+            RecurrenceService.processDue();
             
             // Show success message
-            window.CashBoard.showToast('Expense added successfully', 'success');
+            window.CashBoard.showToast(I18n.t('expenses.added'), 'success');
             
             // Reset form and close modal
             expenseForm.reset();
+            fillCurrency('expense');
+            fillRecurrence('expense');
+            renderSplitRows([]);
             document.getElementById('expense-modal').classList.remove('active');
             document.body.style.overflow = '';
             
@@ -152,6 +286,112 @@ const UIComponent = (function() {
         });
     }
     
+    /**
+     * Setup the split line editor of the expense form
+     */
+    function setupSplitEditor() {
+        const addSplitBtn = document.getElementById('add-expense-split');
+        const amountInput = document.getElementById('expense-amount');
+        if (!addSplitBtn) return;
+        
+        addSplitBtn.addEventListener('click', () => {
+            addSplitRow();
+            updateSplitSummary();
+        });
+        
+        if (amountInput) {
+            amountInput.addEventListener('input', updateSplitSummary);
+        }
+    }
+    
+    /**
+     * Add a split line row to the expense form
+     * @param {Object} split - Existing split line (empty for a new line)
+     */
+    function addSplitRow(split = {}) {
+        const container = document.getElementById('expense-splits');
+        const categorySelect = document.getElementById('expense-category');
+        if (!container || !categorySelect) return;
+        
+        const row = document.createElement('div');
+        row.className = 'split-row';
+        row.innerHTML = `
+            <select class="split-category" required>${categorySelect.innerHTML}</select>
+            <input type="number" class="split-amount" step="0.01" min="0" placeholder="0.00" required>
+            <input type="text" class="split-tags" placeholder="${I18n.t('expenses.splitTags')}">
+            <input type="text" class="split-notes" placeholder="${I18n.t('expenses.splitNotes')}">
+            <button type="button" class="icon-button remove-split" title="${I18n.t('expenses.removeSplit')}">&times;</button>
+        `;
+        
+        row.querySelector('.split-category').value = split.category || categorySelect.value;
+        row.querySelector('.split-amount').value = split.amount !== undefined ? Money.toDecimalString(split.amount, getFormCurrency('expense')) : '';
+        row.querySelector('.split-tags').value = (split.tags || []).join(', ');
+        row.querySelector('.split-notes').value = split.notes || '';
+        
+        row.querySelector('.split-amount').addEventListener('input', updateSplitSummary);
+        row.querySelector('.remove-split').addEventListener('click', () => {
+            row.remove();
+            updateSplitSummary();
+        });
+        
+        container.appendChild(row);
+    }
+    
+    /**
+     * Replace the split line rows of the expense form
+     * @param {Array} splits - Split lines to show
+     */
+    function renderSplitRows(splits = []) {
+        const container = document.getElementById('expense-splits');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        splits.forEach(split => addSplitRow(split));
+        updateSplitSummary();
+    }
+    
+    /**
+     * Read the split lines entered in the expense form
+     * @returns {Array<Object>} Split lines
+     */
+    function collectSplits() {
+        const currency = getFormCurrency('expense');
+        return Array.from(document.querySelectorAll('#expense-splits .split-row')).map(row => ({
+            category: row.querySelector('.split-category').value,
+            amount: Money.toMinor(row.querySelector('.split-amount').value, currency) || 0,
+            tags: row.querySelector('.split-tags').value
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(Boolean),
+            notes: row.querySelector('.split-notes').value
+        }));
+    }
+    
+    /**
+     * Show how much of the expense amount is still unallocated
+     */
+    function updateSplitSummary() {
+        const summary = document.getElementById('expense-split-summary');
+        if (!summary) return;
+        
+        const splits = collectSplits();
+        if (splits.length === 0) {
+            summary.textContent = '';
+            summary.classList.remove('negative');
+            return;
+        }
+        
+        const currency = getFormCurrency('expense');
+        const total = Money.toMinor(document.getElementById('expense-amount').value, currency) || 0;
+        const allocated = splits.reduce((sum, split) => sum + split.amount, 0);
+        const remaining = total - allocated;
+        
+        summary.innerHTML = remaining === 0
+            ? I18n.t('expenses.splitsMatch')
+            : I18n.t(remaining > 0 ? 'expenses.splitsLeft' : 'expenses.splitsOver', { amount: formatCurrency(Math.abs(remaining), currency) });
+        summary.classList.toggle('negative', remaining !== 0);
+    }
+    
     /**
      * Handle receipt file uploads
      * @param {Event} e - Change event
@@ -162,7 +402,7 @@ const UIComponent = (function() {
         
         // Check file size (limit to 2MB)
         if (file.size > 2 * 1024 * 1024) {
-            window.CashBoard.showToast('Receipt file size exceeds 2MB limit', 'error');
+            window.CashBoard.showToast(I18n.t('expenses.receiptTooLarge'), 'error');
             e.target.value = '';
             return;
         }
@@ -170,7 +410,7 @@ const UIComponent = (function() {
         // Check file type
         const validTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
         if (!validTypes.includes(file.type)) {
-            window.CashBoard.showToast('Please select an image or PDF file', 'error');
+            window.CashBoard.showToast(I18n.t('expenses.receiptType'), 'error');
             e.target.value = '';
             return;
         }
@@ -182,54 +422,66 @@ const UIComponent = (function() {
             e.target.dataset.receipt = base64String;
         };
         reader.onerror = function() {
-            window.CashBoard.showToast('Error processing receipt file', 'error');
+            window.CashBoard.showToast(I18n.t('expenses.receiptFailed'), 'error');
         };
         reader.readAsDataURL(file);
     }
     
+    // Search and category filter controls of the transaction tables, by type
+    const TABLE_FILTERS = {
+        income: { search: 'income-search', filter: 'income-filter', table: 'income-table' },
+        expense: { search: 'expense-search', filter: 'expense-filter', table: 'expense-table' }
+    };
+    
     /**
      * Setup search and filter functionality for tables
      */
     function setupTableFilters() {
-        // Income table filter
-        setupTableFilter('income-search', 'income-filter', 'income-table');
+        // Income and expense table filters
+        Object.keys(TABLE_FILTERS).forEach(setupTableFilter);
         
-        // Expense table filter
-        setupTableFilter('expense-search', 'expense-filter', 'expense-table');
+        // Export buttons above both tables
+        setupTableExports();
+    }
+    
+    /**
+     * Get the search and category filter a transaction table is showing
+     * @param {string} type - 'income' or 'expense'
+     * @returns {Object} DataService.query criteria: { type, text, categories }
+     */
+    function getTableFilter(type) {
+        const ids = TABLE_FILTERS[type];
+        const searchInput = ids ? document.getElementById(ids.search) : null;
+        const filterSelect = ids ? document.getElementById(ids.filter) : null;
+        const category = filterSelect ? filterSelect.value : 'all';
+        
+        return {
+            type,
+            text: searchInput ? searchInput.value.trim() : '',
+            categories: category && category !== 'all' ? [category] : []
+        };
     }
     
     /**
      * Setup filter for a specific table
-     * @param {string} searchInputId - Search input element ID
-     * @param {string} filterSelectId - Filter select element ID
-     * @param {string} tableId - Table element ID
+     * Rows are matched with the same DataService.query the exports use, so
+     * an export holds exactly the rows the table shows.
+     * @param {string} type - 'income' or 'expense'
      */
-    function setupTableFilter(searchInputId, filterSelectId, tableId) {
-        const searchInput = document.getElementById(searchInputId);
-        const filterSelect = document.getElementById(filterSelectId);
-        const tableBody = document.querySelector(`#${tableId} tbody`);
+    function setupTableFilter(type) {
+        const ids = TABLE_FILTERS[type];
+        const searchInput = document.getElementById(ids.search);
+        const filterSelect = document.getElementById(ids.filter);
+        const tableBody = document.querySelector(`#${ids.table} tbody`);
         
         if (!searchInput || !filterSelect || !tableBody) return;
         
         // Function to filter table rows
         function filterTable() {
-            const searchTerm = searchInput.value.toLowerCase();
-            const filterValue = filterSelect.value;
-            
-            const rows = tableBody.querySelectorAll('tr');
+            const shown = new Set(DataService.query(getTableFilter(type)).map(transaction => transaction.id));
             
-            rows.forEach(row => {
-                const category = row.querySelector('td:nth-child(2)').textContent.toLowerCase();
-                const description = row.querySelector('td:nth-child(3)').textContent.toLowerCase();
-                
-                // Check if row matches filter criteria
-                const categoryMatch = filterValue === 'all' || category === filterValue;
-                const searchMatch = !searchTerm || 
-                    description.includes(searchTerm) || 
-                    category.includes(searchTerm);
-                
-                // Show or hide row
-                row.style.display = categoryMatch && searchMatch ? '' : 'none';
+            tableBody.querySelectorAll('tr[data-id]').forEach(row => {
+                row.style.display = shown.has(row.getAttribute('data-id')) ? '' : 'none';
             });
         }
         
@@ -238,8 +490,31 @@ const UIComponent = (function() {
         filterSelect.addEventListener('change', filterTable);
     }
     
+    /**
+     * Setup the CSV and Excel export buttons of the transaction tables
+     * Both export what the tables show after searching and filtering.
+     */
+    function setupTableExports() {
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                const format = button.getAttribute('data-export-format');
+                const exported = format === 'xlsx'
+                    ? ExportService.exportXlsxToFile({
+                        income: getTableFilter('income'),
+                        expense: getTableFilter('expense')
+                    })
+                    : ExportService.exportCsvToFile(getTableFilter(button.getAttribute('data-export-type')));
+                
+                if (!exported) {
+                    App.showNotification(I18n.t('data.transactionsExportFailed'), 'error');
+                }
+            });
+        });
+    }
+    
     /**
      * Populate a table with data
+     * Rows carry their item's id as data-id, which the table filters match on.
      * @param {string} tableId - Table element ID
      * @param {Array} data - Data array to populate table with
      * @param {Function} rowRenderer - Function to render each row
@@ -256,13 +531,14 @@ const UIComponent = (function() {
             // No data message
             const emptyRow = document.createElement('tr');
             emptyRow.innerHTML = `
-                <td colspan="5" class="empty-table-message">No data to display</td>
+                <td colspan="5" class="empty-table-message">${I18n.t('table.empty')}</td>
             `;
             tableBody.appendChild(emptyRow);
         } else {
             // Add each data row
             data.forEach(item => {
                 const row = document.createElement('tr');
+                if (item.id) row.setAttribute('data-id', item.id);
                 row.innerHTML = rowRenderer(item);
                 tableBody.appendChild(row);
             });
@@ -298,13 +574,13 @@ const UIComponent = (function() {
                 const type = this.dataset.type; // 'income' or 'expense'
                 
                 // Confirm deletion
-                if (confirm('Are you sure you want to delete this entry?')) {
+                if (confirm(I18n.t('table.confirmDelete'))) {
                     if (type === 'income') {
                         DataService.deleteIncome(id);
-                        window.CashBoard.showToast('Income entry deleted', 'success');
+                        window.CashBoard.showToast(I18n.t('income.deleted'), 'success');
                     } else if (type === 'expense') {
                         DataService.deleteExpense(id);
-                        window.CashBoard.showToast('Expense entry deleted', 'success');
+                        window.CashBoard.showToast(I18n.t('expenses.deleted'), 'success');
                     }
                 }
             });
@@ -323,9 +599,12 @@ const UIComponent = (function() {
         // Fill form with data
         document.getElementById('income-date').value = incomeData.getFormattedDate();
         document.getElementById('income-category').value = incomeData.category;
-        document.getElementById('income-description').value = incomeData.description;
-        document.getElementById('income-amount').value = incomeData.amount;
+        document.getElementById('income-description').value = incomeData.title;
+        fillCurrency('income', incomeData);
+        document.getElementById('income-amount').value = Money.toDecimalString(incomeData.amount, getFormCurrency('income'));
+        document.getElementById('income-account').value = incomeData.accountId || '';
         document.getElementById('income-notes').value = incomeData.notes || '';
+        fillRecurrence('income', incomeData);
         
         // Create hidden field for ID
         let idField = document.getElementById('income-id');
@@ -348,25 +627,31 @@ const UIComponent = (function() {
             const formData = {
                 date: document.getElementById('income-date').value,
                 category: document.getElementById('income-category').value,
-                description: document.getElementById('income-description').value,
-                amount: parseFloat(document.getElementById('income-amount').value),
-                notes: document.getElementById('income-notes').value
+                title: document.getElementById('income-description').value,
+                amount: Money.toMinor(document.getElementById('income-amount').value, getFormCurrency('income')),
+                currency: document.getElementById('income-currency').value,
+                accountId: document.getElementById('income-account').value || null,
+                notes: document.getElementById('income-notes').value,
+                ...collectRecurrence('income')
             };
             
             // Validate form data
-            if (!formData.date || !formData.category || !formData.description || isNaN(formData.amount)) {
-                window.CashBoard.showToast('Please fill out all required fields', 'error');
+            if (!formData.date || !formData.category || !formData.title || isNaN(formData.amount)) {
+                window.CashBoard.showToast(I18n.t('form.required'), 'error');
                 return;
             }
             
             // Update income via data service
             DataService.updateIncome(id, formData);
+            RecurrenceService.processDue();
             
             // Show success message
-            window.CashBoard.showToast('Income updated successfully', 'success');
+            window.CashBoard.showToast(I18n.t('income.updated'), 'success');
             
             // Reset form and close modal
             incomeForm.reset();
+            fillCurrency('income');
+            fillRecurrence('income');
             document.getElementById('income-modal').classList.remove('active');
             document.body.style.overflow = '';
             
@@ -391,9 +676,13 @@ const UIComponent = (function() {
         // Fill form with data
         document.getElementById('expense-date').value = expenseData.getFormattedDate();
         document.getElementById('expense-category').value = expenseData.category;
-        document.getElementById('expense-description').value = expenseData.description;
-        document.getElementById('expense-amount').value = expenseData.amount;
+        document.getElementById('expense-description').value = expenseData.title;
+        fillCurrency('expense', expenseData);
+        document.getElementById('expense-amount').value = Money.toDecimalString(expenseData.amount, getFormCurrency('expense'));
+        document.getElementById('expense-account').value = expenseData.accountId || '';
         document.getElementById('expense-notes').value = expenseData.notes || '';
+        fillRecurrence('expense', expenseData);
+        renderSplitRows(expenseData.splits);
         
         // Handle receipt if exists
         const receiptInput = document.getElementById('expense-receipt');
@@ -411,7 +700,7 @@ const UIComponent = (function() {
                 }
                 
                 previewContainer.innerHTML = `
-                    <img src="${expenseData.receipt}" alt="Receipt preview">
+                    <img src="${FormatService.escapeHtml(expenseData.receipt)}" alt="Receipt preview">
                     <button type="button" class="remove-receipt">×</button>
                 `;
                 
@@ -444,26 +733,37 @@ const UIComponent = (function() {
             const formData = {
                 date: document.getElementById('expense-date').value,
                 category: document.getElementById('expense-category').value,
-                description: document.getElementById('expense-description').value,
-                amount: parseFloat(document.getElementById('expense-amount').value),
+                title: document.getElementById('expense-description').value,
+                amount: Money.toMinor(document.getElementById('expense-amount').value, getFormCurrency('expense')),
+                currency: document.getElementById('expense-currency').value,
+                accountId: document.getElementById('expense-account').value || null,
                 notes: document.getElementById('expense-notes').value,
-                receipt: receiptInput ? receiptInput.dataset.receipt || null : null
+                receipt: receiptInput ? receiptInput.dataset.receipt || null : null,
+                splits: collectSplits(),
+                ...collectRecurrence('expense')
             };
             
             // Validate form data
-            if (!formData.date || !formData.category || !formData.description || isNaN(formData.amount)) {
-                window.CashBoard.showToast('Please fill out all required fields', 'error');
+            if (!formData.date || !formData.category || !formData.title || isNaN(formData.amount)) {
+                window.CashBoard.showToast(I18n.t('form.required'), 'error');
                 return;
             }
             
             // Update expense via data service
-            DataService.updateExpense(id, formData);
+            if (!DataService.updateExpense(id, formData)) {
+                window.CashBoard.showToast(I18n.t('expenses.splitMismatch'), 'error');
+                return;
+            }
+            RecurrenceService.processDue();
             
             // Show success message
-            window.CashBoard.showToast('Expense updated successfully', 'success');
+            window.CashBoard.showToast(I18n.t('expenses.updated'), 'success');
             
             // Reset form and close modal
             expenseForm.reset();
+            fillCurrency('expense');
+            fillRecurrence('expense');
+            renderSplitRows([]);
             document.getElementById('expense-modal').classList.remove('active');
             document.body.style.overflow = '';
             
@@ -485,33 +785,28 @@ const UIComponent = (function() {
     /**
      * Format a date object to a readable string
      * @param {Date|string} date - Date object or date string
-     * @returns {string} Formatted date string
+     * @returns {string} Date in the dateFormat setting
      */
     function formatDate(date) {
-        const dateObj = date instanceof Date ? date : new Date(date);
-        const day = dateObj.getDate().toString().padStart(2, '0');
-        const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
-        const year = dateObj.getFullYear();
-        
-        return `${day}/${month}/${year}`;
+        return FormatService.formatDate(date);
     }
     
     /**
      * Format currency amount based on user settings
-     * @param {number} amount - Amount to format
-     * @returns {string} Formatted currency string
+     * @param {number} amount - Amount in minor units of the currency
+     * @param {string} currency - ISO currency code (defaults to the base currency)
+     * @returns {string} Formatted currency string, as masked HTML in privacy mode
      */
-    function formatCurrency(amount) {
-        const settings = StorageUtil.getData(StorageUtil.KEYS.SETTINGS, StorageUtil.DEFAULT_SETTINGS);
-        const currencySymbol = settings.currencySymbol || '₹';
-        
-        return currencySymbol + amount.toFixed(2);
+    function formatCurrency(amount, currency = null) {
+        return PrivacyMode.maskAmount(FormatService.formatCurrency(amount, currency));
     }
     
     // Public API
     return {
         init,
+        getTableFilter,
         populateTable,
+        populateCurrencySelects,
         formatDate,
         formatCurrency
     };
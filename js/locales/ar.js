@@ -0,0 +1,685 @@
+/**
+ * CashBoard Arabic Messages
+ * Written right to left. Counted messages give all six Arabic plural forms.
+ */
+
+I18n.addLocale('ar', {
+    name: 'العربية',
+    dir: 'rtl',
+    messages: {
+        // Application
+        'app.title': 'CashBoard - إدارة مالية ذكية',
+        'app.tagline': 'إدارة مالية ذكية',
+        'app.footer': '© 2025 CashBoard. إدارة مالية ذكية.',
+        'app.pageNotFound': 'الصفحة غير موجودة',
+        'install.prompt': 'ثبّت CashBoard لتجربة أفضل',
+        'install.button': 'تثبيت',
+        'notify.loadFailed': 'تعذّر تحميل بياناتك. يُرجى إعادة تحميل الصفحة.',
+        'notify.saveFailed': 'تعذّر حفظ تغييراتك. يُرجى إعادة تحميل الصفحة والمحاولة مرة أخرى.',
+
+        // Shared labels
+        'common.date': 'التاريخ',
+        'common.category': 'الفئة',
+        'common.description': 'الوصف',
+        'common.amount': 'المبلغ',
+        'common.currency': 'العملة',
+        'common.actions': 'الإجراءات',
+        'common.allCategories': 'كل الفئات',
+        'common.exportCsv': 'تصدير CSV',
+        'common.exportExcel': 'تصدير Excel',
+        'common.apply': 'تطبيق',
+        'common.save': 'حفظ',
+        'common.cancel': 'إلغاء',
+        'common.close': 'إغلاق',
+        'common.delete': 'حذف',
+        'common.export': 'تصدير',
+        'common.continue': 'متابعة',
+        'common.ok': 'موافق',
+        'common.listSeparator': '، ',
+
+        // Navigation
+        'nav.dashboard': 'لوحة المعلومات',
+        'nav.income': 'الدخل',
+        'nav.expenses': 'المصروفات',
+        'nav.budget': 'الميزانية',
+        'nav.calendar': 'التقويم',
+        'nav.accounts': 'الحسابات',
+        'nav.reports': 'التقارير',
+        'nav.settings': 'الإعدادات',
+
+        // Dashboard
+        'dashboard.title': 'لوحة المعلومات',
+        'dashboard.previousMonth': 'الشهر السابق',
+        'dashboard.nextMonth': 'الشهر التالي',
+        'dashboard.savings': 'المدخرات',
+        'dashboard.incomeVsExpenses': 'الدخل مقابل المصروفات',
+        'dashboard.expenseBreakdown': 'توزيع المصروفات',
+        'dashboard.recentTransactions': 'أحدث المعاملات',
+        'dashboard.upcoming': 'المعاملات المتكررة القادمة',
+        'dashboard.noRecent': 'لا توجد معاملات حديثة.',
+        'dashboard.noUpcoming': {
+            zero: 'لا توجد معاملات متكررة مستحقة اليوم.',
+            one: 'لا توجد معاملات متكررة مستحقة خلال اليوم القادم.',
+            two: 'لا توجد معاملات متكررة مستحقة خلال اليومين القادمين.',
+            few: 'لا توجد معاملات متكررة مستحقة خلال الأيام الـ{count} القادمة.',
+            many: 'لا توجد معاملات متكررة مستحقة خلال الـ{count} يومًا القادمة.',
+            other: 'لا توجد معاملات متكررة مستحقة خلال الـ{count} يوم القادمة.'
+        },
+        'summary.income': 'الدخل',
+        'summary.expenses': 'المصروفات',
+        'summary.balance': 'الرصيد',
+
+        // Upcoming recurring occurrences
+        'upcoming.edited': '(معدّلة)',
+        'upcoming.skipped': 'متخطاة',
+        'upcoming.undo': 'تراجع',
+        'upcoming.edit': 'تعديل هذا الموعد',
+        'upcoming.skip': 'تخطي هذا الموعد',
+        'upcoming.editTitle': 'تعديل الموعد',
+        'upcoming.editNote': 'تنطبق التغييرات على موعد {date} فقط.',
+        'upcoming.generateFailed': {
+            one: 'تعذّر إنشاء المعاملة المتكررة "{title}".',
+            two: 'تعذّر إنشاء معاملتين متكررتين، أولاهما "{title}".',
+            few: 'تعذّر إنشاء {count} معاملات متكررة، أولاها "{title}".',
+            many: 'تعذّر إنشاء {count} معاملة متكررة، أولاها "{title}".',
+            other: 'تعذّر إنشاء {count} معاملة متكررة، أولاها "{title}".'
+        },
+
+        // Income and expense forms and tables
+        'income.title': 'إدارة الدخل',
+        'income.add': 'إضافة دخل',
+        'income.search': 'البحث في الدخل...',
+        'income.empty': 'لا توجد بيانات دخل. أضف أول إدخال للدخل.',
+        'income.placeholder': 'مثال: الراتب الشهري',
+        'income.repeat': 'كرّر هذا الدخل',
+        'income.save': 'حفظ الدخل',
+        'income.added': 'تمت إضافة الدخل بنجاح',
+        'income.updated': 'تم تحديث الدخل بنجاح',
+        'income.deleted': 'تم حذف إدخال الدخل',
+        'income.pageTitle': 'صفحة الدخل',
+        'income.pageBody': 'ستتوفر إدارة الدخل هنا.',
+        'expenses.title': 'إدارة المصروفات',
+        'expenses.add': 'إضافة مصروف',
+        'expenses.search': 'البحث في المصروفات...',
+        'expenses.empty': 'لا توجد بيانات مصروفات. أضف أول إدخال للمصروفات.',
+        'expenses.placeholder': 'مثال: مشتريات البقالة',
+        'expenses.repeat': 'كرّر هذا المصروف',
+        'expenses.splits': 'التقسيم على عدة فئات (اختياري)',
+        'expenses.addSplit': 'إضافة سطر تقسيم',
+        'expenses.removeSplit': 'إزالة سطر التقسيم',
+        'expenses.splitTags': 'الوسوم',
+        'expenses.splitNotes': 'ملاحظات',
+        'expenses.splitsMatch': 'مجموع الأقسام يطابق مبلغ المصروف',
+        'expenses.splitsLeft': 'متبقٍ للتوزيع: {amount}',
+        'expenses.splitsOver': 'زيادة على مبلغ المصروف: {amount}',
+        'expenses.splitMismatch': 'يجب أن يساوي مجموع الأقسام مبلغ المصروف',
+        'expenses.receipt': 'رفع الإيصال (اختياري)',
+        'expenses.receiptTooLarge': 'حجم ملف الإيصال يتجاوز 2 ميغابايت',
+        'expenses.receiptType': 'يُرجى اختيار صورة أو ملف PDF',
+        'expenses.receiptFailed': 'حدث خطأ أثناء معالجة ملف الإيصال',
+        'expenses.save': 'حفظ المصروف',
+        'expenses.added': 'تمت إضافة المصروف بنجاح',
+        'expenses.updated': 'تم تحديث المصروف بنجاح',
+        'expenses.deleted': 'تم حذف إدخال المصروف',
+        'expenses.pageTitle': 'صفحة المصروفات',
+        'expenses.pageBody': 'ستتوفر إدارة المصروفات هنا.',
+        'savings.pageTitle': 'صفحة المدخرات',
+        'savings.pageBody': 'ستتوفر أهداف الادخار هنا.',
+        'form.selectCategory': 'اختر فئة',
+        'form.account': 'الحساب (اختياري)',
+        'form.noAccount': 'بدون حساب',
+        'form.repeats': 'التكرار',
+        'form.endsOn': 'ينتهي في (اختياري)',
+        'form.endsAfter': 'أو بعد هذا العدد من المرات (اختياري)',
+        'form.notes': 'ملاحظات (اختياري)',
+        'form.required': 'يُرجى ملء جميع الحقول المطلوبة',
+        'table.empty': 'لا توجد بيانات لعرضها',
+        'table.confirmDelete': 'هل تريد بالتأكيد حذف هذا الإدخال؟',
+        'interval.daily': 'يوميًا',
+        'interval.weekly': 'أسبوعيًا',
+        'interval.biweekly': 'كل أسبوعين',
+        'interval.monthly': 'شهريًا',
+        'interval.quarterly': 'ربع سنوي',
+        'interval.yearly': 'سنويًا',
+
+        // Budgets
+        'budget.title': 'إدارة الميزانية',
+        'budget.planning': 'تخطيط الميزانية',
+        'budget.create': 'إنشاء ميزانية',
+        'budget.createNew': 'إنشاء ميزانية جديدة',
+        'budget.update': 'تحديث الميزانية',
+        'budget.edit': 'تعديل الميزانية',
+        'budget.delete': 'حذف الميزانية',
+        'budget.confirmDelete': 'هل تريد بالتأكيد حذف هذه الميزانية؟',
+        'budget.monthlyOverview': 'نظرة عامة على الميزانية الشهرية',
+        'budget.forMonth': 'ميزانية {month}',
+        'budget.totalBudget': 'إجمالي الميزانية',
+        'budget.totalSpent': 'إجمالي الإنفاق',
+        'budget.budget': 'الميزانية',
+        'budget.spent': 'المُنفَق',
+        'budget.remaining': 'المتبقي',
+        'budget.progress': 'التقدم',
+        'budget.yourBudgets': 'ميزانياتك',
+        'budget.empty': 'لم تُنشأ أي ميزانية بعد. انقر على زر "إنشاء ميزانية جديدة" للبدء.',
+        'budget.overview': 'نظرة عامة على الميزانية',
+        'budget.chartTitle': 'الميزانية مقابل الإنفاق الفعلي',
+        'budget.insights': 'رؤى الميزانية',
+        'budget.insightsEmpty': 'أنشئ ميزانيات لعرض الرؤى.',
+        'budget.overBudget': 'تجاوز الميزانية',
+        'budget.approachingLimit': 'قريب من الحد',
+        'budget.onTrack': 'ضمن المسار',
+        'budget.spentOf': 'أنفقت {spent} من ميزانيتك البالغة {budget} ({percentage}٪).',
+        'budget.tips': 'نصائح الميزانية',
+        'budget.tipOver': {
+            one: 'لديك فئة واحدة تجاوزت الميزانية. فكّر في تعديل إنفاقك أو زيادة هذه الميزانية الشهر القادم.',
+            two: 'لديك فئتان تجاوزتا الميزانية. فكّر في تعديل إنفاقك أو زيادة هاتين الميزانيتين الشهر القادم.',
+            few: 'لديك {count} فئات تجاوزت الميزانية. فكّر في تعديل إنفاقك أو زيادة هذه الميزانيات الشهر القادم.',
+            many: 'لديك {count} فئة تجاوزت الميزانية. فكّر في تعديل إنفاقك أو زيادة هذه الميزانيات الشهر القادم.',
+            other: 'لديك {count} فئة تجاوزت الميزانية. فكّر في تعديل إنفاقك أو زيادة هذه الميزانيات الشهر القادم.'
+        },
+        'budget.tipNearLimit': {
+            one: 'راقب إنفاقك في فئة واحدة تقترب من حدها.',
+            two: 'راقب إنفاقك في فئتين تقتربان من حدّيهما.',
+            few: 'راقب إنفاقك في {count} فئات تقترب من حدودها.',
+            many: 'راقب إنفاقك في {count} فئة تقترب من حدودها.',
+            other: 'راقب إنفاقك في {count} فئة تقترب من حدودها.'
+        },
+        'budget.tipOnTrack': {
+            one: 'أحسنت! إنفاقك ضمن الميزانية في فئة واحدة.',
+            two: 'أحسنت! إنفاقك ضمن الميزانية في فئتين.',
+            few: 'أحسنت! إنفاقك ضمن الميزانية في {count} فئات.',
+            many: 'أحسنت! إنفاقك ضمن الميزانية في {count} فئة.',
+            other: 'أحسنت! إنفاقك ضمن الميزانية في {count} فئة.'
+        },
+        'budget.addCategory': 'إضافة فئة جديدة',
+        'budget.newCategoryName': 'اسم الفئة الجديدة',
+        'budget.newCategoryPlaceholder': 'أدخل اسم الفئة',
+        'budget.categoryRequired': 'يُرجى إدخال اسم الفئة',
+        'budget.amount': 'مبلغ الميزانية',
+        'budget.amountPlaceholder': 'أدخل المبلغ',
+        'budget.period': 'فترة الميزانية',
+        'budget.alertThresholds': 'حدود التنبيه',
+        'budget.warningAt': 'تحذير عند (٪)',
+        'budget.dangerAt': 'خطر عند (٪)',
+        'budget.thresholdOrder': 'يجب أن يكون حد التحذير أقل من حد الخطر',
+        'budget.enableNotifications': 'تفعيل الإشعارات عند الاقتراب من الحدود',
+        'insights.overspending': 'تجاوز الميزانية',
+        'insights.approaching': 'الاقتراب من حد الميزانية',
+        'insights.healthy': 'فئات ميزانية سليمة',
+        'insights.spentOf': '{category}: أُنفق {spent} من {budget} ({percentage}٪)',
+        'tips.overspent': {
+            one: 'تجاوزت الإنفاق في فئة واحدة. فكّر في تعديل عادات إنفاقك أو إعادة توزيع ميزانيتك.',
+            two: 'تجاوزت الإنفاق في فئتين. فكّر في تعديل عادات إنفاقك أو إعادة توزيع ميزانيتك.',
+            few: 'تجاوزت الإنفاق في {count} فئات. فكّر في تعديل عادات إنفاقك أو إعادة توزيع ميزانيتك.',
+            many: 'تجاوزت الإنفاق في {count} فئة. فكّر في تعديل عادات إنفاقك أو إعادة توزيع ميزانيتك.',
+            other: 'تجاوزت الإنفاق في {count} فئة. فكّر في تعديل عادات إنفاقك أو إعادة توزيع ميزانيتك.'
+        },
+        'tips.nearTotal': 'أنفقت {percentage}٪ من إجمالي ميزانيتك. حاول الحد من الإنفاق الإضافي لبقية الفترة.',
+        'tips.underHalf': 'أحسنت! لم تنفق سوى {percentage}٪ من إجمالي ميزانيتك.',
+        'tips.noBudgets': 'لم تُنشئ أي ميزانية بعد. ابدأ بإضافة ميزانية لفئات مصروفاتك الرئيسية.',
+
+        // Calendar
+        'calendar.previous': 'السابق',
+        'calendar.next': 'التالي',
+        'calendar.today': 'اليوم',
+        'calendar.month': 'شهر',
+        'calendar.week': 'أسبوع',
+        'calendar.addIncome': '+ دخل',
+        'calendar.addExpense': '+ مصروف',
+        'calendar.scheduled': '{category} (مجدولة)',
+
+        // Accounts and transfers
+        'accounts.title': 'الحسابات',
+        'accounts.add': 'إضافة حساب',
+        'accounts.create': 'إنشاء حساب',
+        'accounts.update': 'تحديث الحساب',
+        'accounts.edit': 'تعديل الحساب',
+        'accounts.delete': 'حذف الحساب',
+        'accounts.confirmDelete': 'حذف هذا الحساب؟ ستبقى معاملاته، لكن ستُحذف التحويلات منه وإليه.',
+        'accounts.netWorth': 'صافي الثروة',
+        'accounts.empty': 'لا توجد حسابات بعد. أضف حساباتك المصرفية وبطاقاتك ومحافظك لتتبع أرصدتها.',
+        'accounts.account': 'الحساب',
+        'accounts.type': 'النوع',
+        'accounts.institution': 'المؤسسة',
+        'accounts.institutionOptional': 'المؤسسة (اختياري)',
+        'accounts.name': 'الاسم',
+        'accounts.namePlaceholder': 'مثال: حساب الراتب',
+        'accounts.nameRequired': 'يُرجى إدخال اسم الحساب',
+        'accounts.openingBalance': 'الرصيد الافتتاحي',
+        'accounts.openingDate': 'تاريخ الافتتاح',
+        'accounts.archived': 'مؤرشف (مخفي من قوائم اختيار الحسابات)',
+        'accounts.deleted': 'حساب محذوف',
+        'accounts.addedNotice': 'تمت إضافة الحساب',
+        'accounts.updatedNotice': 'تم تحديث الحساب',
+        'accounts.deletedNotice': 'تم حذف الحساب',
+        'accountType.checking': 'جارٍ',
+        'accountType.savings': 'توفير',
+        'accountType.cash': 'نقد',
+        'accountType.credit_card': 'بطاقة ائتمان',
+        'accountType.wallet': 'محفظة',
+        'transfers.title': 'التحويلات',
+        'transfers.transfer': 'تحويل',
+        'transfers.modalTitle': 'التحويل بين الحسابات',
+        'transfers.from': 'من',
+        'transfers.to': 'إلى',
+        'transfers.fromAccount': 'من حساب',
+        'transfers.toAccount': 'إلى حساب',
+        'transfers.invalid': 'اختر حسابين مختلفين ومبلغًا أكبر من صفر',
+        'transfers.delete': 'حذف التحويل',
+        'transfers.confirmDelete': 'هل تريد بالتأكيد حذف هذا التحويل؟',
+        'transfers.savedNotice': 'تم حفظ التحويل',
+        'transfers.deletedNotice': 'تم حذف التحويل',
+
+        // Reports and statements
+        'reports.title': 'التقارير المالية',
+        'reports.period': 'الفترة:',
+        'reports.lastMonth': 'الشهر الماضي',
+        'reports.last3Months': 'آخر 3 أشهر',
+        'reports.last6Months': 'آخر 6 أشهر',
+        'reports.lastYear': 'العام الماضي',
+        'reports.customRange': 'نطاق مخصص',
+        'reports.from': 'من:',
+        'reports.to': 'إلى:',
+        'reports.trend': 'اتجاه الدخل مقابل المصروفات',
+        'reports.savingsProgress': 'تقدم المدخرات',
+        'reports.expenseCategories': 'فئات المصروفات',
+        'reports.monthlyTrends': 'الاتجاهات الشهرية',
+        'reports.summaryStatistics': 'إحصاءات موجزة',
+        'reports.totalIncome': 'إجمالي الدخل',
+        'reports.totalExpenses': 'إجمالي المصروفات',
+        'reports.netSavings': 'صافي المدخرات',
+        'reports.savingsRate': 'معدل الادخار',
+        'charts.actual': 'الفعلي',
+        'charts.actualSavings': 'المدخرات الفعلية',
+        'charts.targetSavings': 'المدخرات المستهدفة',
+        'charts.other': 'أخرى',
+        'statement.month': 'كشف الحساب:',
+        'statement.from': 'أو من',
+        'statement.to': 'إلى',
+        'statement.download': 'تنزيل PDF',
+        'statement.rangeRequired': 'اختر شهرًا أو نطاقًا زمنيًا لكشف الحساب',
+        'statement.rangeReversed': 'ينتهي نطاق كشف الحساب قبل أن يبدأ',
+        'statement.downloaded': 'تم تنزيل كشف الحساب',
+        'statement.failed': 'تعذّر إنشاء كشف الحساب',
+
+        // Settings
+        'settings.title': 'الإعدادات',
+        'settings.general': 'الإعدادات العامة',
+        'settings.baseCurrency': 'العملة الأساسية',
+        'settings.currencyUpdated': 'تم تحديث العملة الأساسية. تُحوَّل المجاميع بأسعار الصرف لديك.',
+        'settings.language': 'اللغة',
+        'settings.languageUpdated': 'تم تحديث اللغة',
+        'settings.dateFormat': 'تنسيق التاريخ',
+        'settings.dateFormatUpdated': 'تُعرض التواريخ الآن بالتنسيق {format}',
+        'settings.theme': 'المظهر',
+        'settings.themeLight': 'فاتح',
+        'settings.themeDark': 'داكن',
+        'settings.themeSystem': 'النظام',
+        'settings.themeApplied.light': 'تم تطبيق المظهر الفاتح',
+        'settings.themeApplied.dark': 'تم تطبيق المظهر الداكن',
+        'settings.themeApplied.system': 'تم تطبيق مظهر النظام',
+        'settings.save': 'حفظ الإعدادات',
+        'settings.saved': 'تم حفظ الإعدادات بنجاح',
+        'currency.INR': 'روبية هندية (₹)',
+        'currency.USD': 'دولار أمريكي ($)',
+        'currency.EUR': 'يورو (€)',
+        'currency.GBP': 'جنيه إسترليني (£)',
+        'currency.JPY': 'ين ياباني (¥)',
+        'currency.CAD': 'دولار كندي ($)',
+        'currency.AUD': 'دولار أسترالي ($)',
+
+        // Exchange rates
+        'rates.title': 'أسعار الصرف',
+        'rates.from': 'وحدة واحدة من',
+        'rates.value': 'تساوي',
+        'rates.to': 'من',
+        'rates.rate': 'السعر',
+        'rates.add': 'إضافة سعر',
+        'rates.import': 'استيراد الأسعار (CSV)',
+        'rates.empty': 'لا توجد أسعار صرف بعد.',
+        'rates.older': {
+            one: 'وسعر واحد أقدم.',
+            two: 'وسعران أقدم.',
+            few: 'و{count} أسعار أقدم.',
+            many: 'و{count} سعرًا أقدم.',
+            other: 'و{count} سعر أقدم.'
+        },
+        'rates.status': 'تُعرض المجاميع بـ{base} باستخدام أحدث سعر في تاريخ كل معاملة أو قبله.',
+        'rates.missing': {
+            one: 'لا يوجد سعر يحوّل {currency} إلى {base}؛ تُحتسب معاملة واحدة دون تحويل.',
+            two: 'لا يوجد سعر يحوّل {currency} إلى {base}؛ تُحتسب معاملتان دون تحويل.',
+            few: 'لا يوجد سعر يحوّل {currency} إلى {base}؛ تُحتسب {count} معاملات دون تحويل.',
+            many: 'لا يوجد سعر يحوّل {currency} إلى {base}؛ تُحتسب {count} معاملة دون تحويل.',
+            other: 'لا يوجد سعر يحوّل {currency} إلى {base}؛ تُحتسب {count} معاملة دون تحويل.'
+        },
+        'rates.saved': 'تم حفظ سعر الصرف',
+        'rates.delete': 'حذف السعر',
+        'rates.confirmDelete': 'حذف سعر الصرف هذا؟',
+        'rates.deleted': 'تم حذف سعر الصرف',
+        'rates.imported': 'تم استيراد {added} سعر جديد وتحديث {updated} سعر.',
+        'rates.importFailed': 'تعذّر استيراد أسعار الصرف',
+        'rates.errorDate': 'يحتاج سعر الصرف إلى تاريخ',
+        'rates.errorCurrency': 'يجب أن تكون العملات رموزًا من ثلاثة أحرف مثل USD',
+        'rates.errorSameCurrency': 'يجب أن يكون سعر الصرف بين عملتين مختلفتين',
+        'rates.errorRate': 'يجب أن يكون سعر الصرف أكبر من صفر',
+        'rates.errorColumns': 'يحتاج ملف CSV إلى أعمدة التاريخ والعملة والسعر',
+
+        // App lock
+        'lock.title': 'قفل التطبيق',
+        'lock.kind': 'القفل باستخدام',
+        'lock.pin': 'رمز PIN',
+        'lock.passphrase': 'عبارة المرور',
+        'lock.name.pin': 'رمز PIN',
+        'lock.name.passphrase': 'عبارة المرور',
+        'lock.autoLock': 'القفل بعد عدم النشاط',
+        'lock.never': 'أبدًا',
+        'lock.after1Minute': 'دقيقة واحدة',
+        'lock.after5Minutes': '5 دقائق',
+        'lock.after15Minutes': '15 دقيقة',
+        'lock.after30Minutes': '30 دقيقة',
+        'lock.after1Hour': 'ساعة واحدة',
+        'lock.autoLockUpdated': 'تم تحديث قفل عدم النشاط',
+        'lock.status.pin': 'مقفل برمز PIN. بياناتك مشفرة على هذا الجهاز.',
+        'lock.status.passphrase': 'مقفل بعبارة مرور. بياناتك مشفرة على هذا الجهاز.',
+        'lock.statusOff': 'لا يوجد قفل. يمكن لأي شخص يستخدم هذا المتصفح قراءة بياناتك.',
+        'lock.turnOn': 'تفعيل القفل',
+        'lock.lockNow': 'اقفل الآن',
+        'lock.change': 'تغيير رمز PIN أو عبارة المرور',
+        'lock.changeButton': 'تغيير',
+        'lock.remove': 'إزالة القفل',
+        'lock.setTitle': 'تعيين {kind}',
+        'lock.newTitle': '{kind} جديد',
+        'lock.setMessage': 'سيُشفَّر كل ما يخزنه CashBoard باستخدام {kind} هذا. إن نسيته فلن يمكن استعادة بياناتك، لذا احتفظ بنسخة احتياطية في مكان آمن.',
+        'lock.enterCurrent': 'أدخل {kind} الحالي.',
+        'lock.chooseNew': 'اختر {kind} الجديد.',
+        'lock.turnedOn': 'تم تفعيل قفل التطبيق',
+        'lock.changed': 'تم تغيير {kind}',
+        'lock.removed': 'تمت إزالة قفل التطبيق',
+        'lock.turnOnFailed': 'تعذّر تفعيل قفل التطبيق',
+        'lock.changeFailed': 'تعذّر تغيير قفل التطبيق',
+        'lock.removeFailed': 'تعذّرت إزالة قفل التطبيق',
+        'lock.wrong.pin': 'رمز PIN غير صحيح',
+        'lock.wrong.passphrase': 'عبارة المرور غير صحيحة',
+        'lock.errorKind': 'نوع قفل غير معروف',
+        'lock.errorPinDigits': 'يجب أن يتكون رمز PIN من أرقام فقط',
+        'lock.errorLength.pin': {
+            one: 'يجب ألا يقل رمز PIN عن رقم واحد',
+            two: 'يجب ألا يقل رمز PIN عن رقمين',
+            few: 'يجب ألا يقل رمز PIN عن {count} أرقام',
+            many: 'يجب ألا يقل رمز PIN عن {count} رقمًا',
+            other: 'يجب ألا يقل رمز PIN عن {count} رقم'
+        },
+        'lock.errorLength.passphrase': {
+            one: 'يجب ألا تقل عبارة المرور عن حرف واحد',
+            two: 'يجب ألا تقل عبارة المرور عن حرفين',
+            few: 'يجب ألا تقل عبارة المرور عن {count} أحرف',
+            many: 'يجب ألا تقل عبارة المرور عن {count} حرفًا',
+            other: 'يجب ألا تقل عبارة المرور عن {count} حرف'
+        },
+        'lock.errorVersion': 'قُفلت هذه البيانات بإصدار أحدث من CashBoard',
+        'lock.errorTampered': 'سجل القفل تالف أو تم تعديله',
+        'lock.errorDataTampered': 'البيانات المخزنة لـ{key} تالفة أو تم تعديلها',
+        'lockScreen.message': 'بياناتك مقفلة. أدخل {kind} للمتابعة.',
+        'lockScreen.unlock': 'فتح القفل',
+        'lockScreen.unlocking': 'جارٍ فتح القفل...',
+        'lockScreen.forgot': 'هل نسيت {kind}؟',
+        'lockScreen.confirmReset': 'بدون {kind} لا يمكن فك تشفير بياناتك. يمكنك مسح كل شيء والبدء من جديد، أو استعادة نسخة احتياطية بعد ذلك. هل تريد مسح جميع البيانات؟',
+        'passphrase.title': 'أدخل عبارة المرور',
+        'passphrase.confirm': 'تأكيد {kind}',
+        'passphrase.required': 'يُرجى إدخال {kind}',
+        'passphrase.mismatch': 'الإدخالان غير متطابقين',
+        'privacy.hide': 'إخفاء المبالغ ({shortcut})',
+        'privacy.show': 'إظهار المبالغ ({shortcut})',
+        'privacy.hiddenAmount': 'مبلغ مخفي، اختره لإظهاره',
+
+        // Automatic backups
+        'backups.title': 'النسخ الاحتياطي التلقائي',
+        'backups.daily': 'التقاط لقطة كل يوم',
+        'backups.now': 'نسخ احتياطي الآن',
+        'backups.restore': 'استعادة لقطة',
+        'backups.folder': 'مجلد النسخ الاحتياطي',
+        'backups.chooseFolder': 'اختيار مجلد',
+        'backups.allowAccess': 'السماح بالوصول',
+        'backups.forgetFolder': 'إيقاف استخدام المجلد',
+        'backups.unsupported': 'اللقطات غير مدعومة في هذا المتصفح.',
+        'backups.empty': 'لا توجد لقطات بعد.',
+        'backups.kept': {
+            one: 'لقطة واحدة محفوظة. آخر لقطة في {date}.',
+            two: 'لقطتان محفوظتان. آخر لقطة في {date}.',
+            few: '{count} لقطات محفوظة. آخر لقطة في {date}.',
+            many: '{count} لقطة محفوظة. آخر لقطة في {date}.',
+            other: '{count} لقطة محفوظة. آخر لقطة في {date}.'
+        },
+        'backups.browserOnly': 'تُحفظ اللقطات في هذا المتصفح فقط.',
+        'backups.folderLocked': 'لا تتم الكتابة إلى "{folder}" ما دام قفل التطبيق مفعّلًا، لأن الملفات لن تكون مشفرة.',
+        'backups.folderActive': 'تُحفظ كل لقطة أيضًا في "{folder}".',
+        'backups.folderPermission': 'اسمح بالوصول إلى "{folder}" مجددًا لمواصلة حفظ اللقطات فيه.',
+        'backups.folderChosen': 'ستُحفظ اللقطات في "{folder}"',
+        'backups.folderForgotten': 'لم تعد اللقطات تُحفظ في المجلد',
+        'backups.folderFailed': 'تعذّر استخدام مجلد النسخ الاحتياطي',
+        'backups.enabled': 'تم تفعيل اللقطات التلقائية',
+        'backups.disabled': 'تم إيقاف اللقطات التلقائية',
+        'backups.saved': 'تم حفظ اللقطة',
+        'backups.saveFailed': 'تعذّر حفظ اللقطة',
+        'backups.restored': 'تمت استعادة اللقطة بنجاح',
+        'backups.readFailed': 'تعذّرت قراءة اللقطات',
+        'snapshots.retention': 'تُحفظ أحدث لقطة من كل فترة خلال آخر {days} و{weeks} و{months}.',
+        'snapshots.days': { one: 'يوم واحد', two: 'يومين', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+        'snapshots.weeks': { one: 'أسبوع واحد', two: 'أسبوعين', few: '{count} أسابيع', many: '{count} أسبوعًا', other: '{count} أسبوع' },
+        'snapshots.months': { one: 'شهر واحد', two: 'شهرين', few: '{count} أشهر', many: '{count} شهرًا', other: '{count} شهر' },
+        'snapshots.restoreNote': 'تستبدل الاستعادة جميع البيانات الحالية، وتُلتقط لقطة منها أولًا.',
+        'snapshots.taken': 'وقت الالتقاط',
+        'snapshots.keptAs': 'محفوظة كـ',
+        'snapshots.records': 'السجلات',
+        'snapshots.reasonAuto': 'تلقائية',
+        'snapshots.reasonManual': 'يدوية',
+        'snapshots.reasonBeforeRestore': 'قبل الاستعادة',
+        'snapshots.incomes': { zero: 'لا دخل', one: 'دخل واحد', two: 'دخلان', few: '{count} مداخيل', many: '{count} دخلًا', other: '{count} دخل' },
+        'snapshots.expenses': { zero: 'لا مصروفات', one: 'مصروف واحد', two: 'مصروفان', few: '{count} مصروفات', many: '{count} مصروفًا', other: '{count} مصروف' },
+        'snapshots.budgets': { zero: 'لا ميزانيات', one: 'ميزانية واحدة', two: 'ميزانيتان', few: '{count} ميزانيات', many: '{count} ميزانية', other: '{count} ميزانية' },
+        'snapshots.accounts': { zero: 'لا حسابات', one: 'حساب واحد', two: 'حسابان', few: '{count} حسابات', many: '{count} حسابًا', other: '{count} حساب' },
+        'snapshots.transfers': { zero: 'لا تحويلات', one: 'تحويل واحد', two: 'تحويلان', few: '{count} تحويلات', many: '{count} تحويلًا', other: '{count} تحويل' },
+        'snapshots.unreadable': 'مشفرة بقفل لم يعد مفعّلًا',
+        'snapshots.restore': 'استعادة',
+        'snapshots.download': 'تنزيل',
+        'snapshots.confirmRestore': 'تستبدل استعادة هذه اللقطة جميع البيانات الحالية. هل تريد المتابعة؟',
+        'snapshots.confirmDelete': 'حذف هذه اللقطة؟',
+        'snapshots.restoreFailed': 'تعذّرت استعادة اللقطة',
+        'snapshots.downloadFailed': 'تعذّر تنزيل اللقطة',
+        'snapshots.deleteFailed': 'تعذّر حذف اللقطة',
+
+        // Data management, backups and imports
+        'data.title': 'إدارة البيانات',
+        'data.export': 'تصدير البيانات',
+        'data.exportEncrypted': 'تصدير نسخة احتياطية مشفرة',
+        'data.exportQif': 'تصدير المعاملات (QIF)',
+        'data.journalFormat': 'دفتر محاسبة بنص عادي',
+        'data.exportJournal': 'تصدير الدفتر',
+        'data.import': 'استيراد البيانات (دمج)',
+        'data.restore': 'استعادة نسخة احتياطية (استبدال الكل)',
+        'data.importStatement': 'استيراد كشف حساب بنكي (CSV، OFX، QIF، camt.053، MT940، ledger، beancount)',
+        'data.clear': 'مسح جميع البيانات',
+        'data.confirmRestore': 'تستبدل استعادة النسخة الاحتياطية جميع البيانات الحالية، بما فيها الإدخالات الأحدث من النسخة. هل تريد المتابعة؟',
+        'data.confirmClear': 'هل تريد بالتأكيد مسح جميع البيانات؟ لا يمكن التراجع عن هذا الإجراء.',
+        'data.cleared': 'تم مسح جميع البيانات بنجاح',
+        'data.exported': 'تم تصدير البيانات بنجاح',
+        'data.exportFailed': 'تعذّر تصدير البيانات',
+        'data.imported': 'تم استيراد البيانات بنجاح',
+        'data.importFailed': 'تعذّر استيراد البيانات. يُرجى التحقق من تنسيق الملف.',
+        'data.transactionsExported': 'تم تصدير المعاملات بنجاح',
+        'data.transactionsExportFailed': 'تعذّر تصدير المعاملات',
+        'data.journalExported': 'تم تصدير الدفتر بنجاح',
+        'data.journalFailed': 'تعذّر تصدير الدفتر',
+        'backup.encryptedTitle': 'نسخة احتياطية مشفرة',
+        'backup.choosePassphrase': 'اختر عبارة مرور لهذه النسخة الاحتياطية. لا يمكن استعادتها بدونها، لذا احتفظ بها في مكان آمن.',
+        'backup.enterPassphrase': 'هذه النسخة الاحتياطية محمية. أدخل عبارة المرور الخاصة بها للمتابعة.',
+        'backup.decrypt': 'فك التشفير',
+        'backup.encryptedExported': 'تم تصدير النسخة الاحتياطية المشفرة بنجاح',
+        'backup.wrongPassphrase': 'عبارة المرور غير صحيحة. تعذّر فك تشفير النسخة الاحتياطية.',
+        'backup.tampered': 'النسخة الاحتياطية المشفرة تالفة أو تم تعديلها، لذا لم تُستورد.',
+        'backup.merged': 'تم دمج النسخة الاحتياطية: أُضيف {added}، وحُدّث {updated}، وتُخطي {skipped}',
+        'backup.readFailed': 'تعذّرت قراءة النسخة الاحتياطية. يُرجى التحقق من تنسيق الملف.',
+        'backup.errorUnsupported': 'يحتاج التشفير إلى متصفح يدعم WebCrypto عبر اتصال آمن (https)',
+        'backup.errorVersion': 'أُنشئت هذه النسخة الاحتياطية بإصدار أحدث من CashBoard (التنسيق {version})',
+        'backup.errorTampered': 'النسخة الاحتياطية المشفرة تالفة أو تم تعديلها',
+        'backup.errorNotEncrypted': 'ليست نسخة احتياطية مشفرة من CashBoard',
+        'import.imported': {
+            zero: 'لم تُستورد أي معاملة',
+            one: 'تم استيراد معاملة واحدة',
+            two: 'تم استيراد معاملتين',
+            few: 'تم استيراد {count} معاملات',
+            many: 'تم استيراد {count} معاملة',
+            other: 'تم استيراد {count} معاملة'
+        },
+        'import.importedSkipped': '{imported} (تم تخطي {notes})',
+        'import.duplicates': '{count} مستوردة مسبقًا',
+        'import.unreadable': '{count} غير مقروءة',
+        'import.skippedLines': 'تم تخطي الأسطر غير المقروءة: {lines}.',
+        'import.readFailed': 'تعذّرت قراءة ملف كشف الحساب',
+
+        // Import wizard and merge review
+        'import.title': 'استيراد {fileName}',
+        'import.usingProfile': 'يتم استخدام الملف التعريفي المحفوظ "{name}".',
+        'import.stepLayout': '1. بنية الملف',
+        'import.stepColumns': '2. الأعمدة',
+        'import.stepPreview': '3. معاينة',
+        'import.stepImport': '4. الاستيراد',
+        'import.encoding': 'الترميز',
+        'import.encodingUtf8': 'UTF-8',
+        'import.encodingWindows1252': 'Windows-1252 (غربي)',
+        'import.encodingLatin1': 'ISO-8859-1 (لاتيني 1)',
+        'import.encodingUtf16': 'UTF-16',
+        'import.delimiter': 'الفاصل',
+        'import.delimiterComma': 'فاصلة',
+        'import.delimiterSemicolon': 'فاصلة منقوطة',
+        'import.delimiterTab': 'مسافة جدولة',
+        'import.delimiterPipe': 'خط عمودي',
+        'import.dateFormat': 'تنسيق التاريخ',
+        'import.decimalSeparator': 'الفاصل العشري',
+        'import.decimalPoint': 'نقطة (1,234.56)',
+        'import.decimalComma': 'فاصلة (1.234,56)',
+        'import.hasHeader': 'الصف الأول يحتوي على أسماء الأعمدة',
+        'import.invertAmounts': 'المبالغ الموجبة مدفوعات صادرة (كشوف البطاقات)',
+        'import.column': 'العمود {number}',
+        'import.notInFile': '- غير موجود في الملف -',
+        'import.fieldDebit': 'مدين (مدفوعات صادرة)',
+        'import.fieldCredit': 'دائن (مبالغ واردة)',
+        'import.fieldPaymentMethod': 'طريقة الدفع',
+        'import.type': 'النوع',
+        'import.typeIncome': 'دخل',
+        'import.typeExpense': 'مصروف',
+        'import.badDate': 'تاريخ غير معروف "{value}"',
+        'import.badAmount': 'المبلغ مفقود أو صفر',
+        'import.rowError': 'الصف {row} ({message})',
+        'import.noRows': 'تعذّرت قراءة أي صف بهذه الإعدادات.',
+        'import.rowsReady': {
+            zero: 'لا توجد صفوف جاهزة للاستيراد.',
+            one: 'صف واحد جاهز للاستيراد.',
+            two: 'صفان جاهزان للاستيراد.',
+            few: '{count} صفوف جاهزة للاستيراد.',
+            many: '{count} صفًا جاهزًا للاستيراد.',
+            other: '{count} صف جاهز للاستيراد.'
+        },
+        'import.rowsSkipped': {
+            zero: 'لن يتم تخطي أي صف:',
+            one: 'سيتم تخطي صف واحد:',
+            two: 'سيتم تخطي صفين:',
+            few: 'سيتم تخطي {count} صفوف:',
+            many: 'سيتم تخطي {count} صفًا:',
+            other: 'سيتم تخطي {count} صف:'
+        },
+        'import.nothingToImport': 'لا توجد صفوف للاستيراد. تحقق من ربط الأعمدة وتنسيق التاريخ.',
+        'import.assignAccount': 'التعيين إلى حساب',
+        'import.profileName': 'حفظ الإعدادات كملف تعريفي للبنك (اختياري)',
+        'import.profilePlaceholder': 'مثال: الحساب الجاري في بنكي',
+        'import.submit': 'استيراد',
+        'import.account': 'حساب',
+        'import.accountChecking': 'حساب جارٍ',
+        'import.accountSavings': 'حساب توفير',
+        'import.accountMoneyMarket': 'حساب سوق المال',
+        'import.accountCreditLine': 'خط ائتمان',
+        'import.accountCreditCard': 'بطاقة ائتمان',
+        'import.accountCash': 'حساب نقدي',
+        'import.statementNamed': '{name} - {type}',
+        'import.statementEnding': '{type} المنتهي بـ {digits}',
+        'import.statementInstitution': '{institution} - {title}',
+        'import.statementCurrency': '{title} ({currency})',
+        'import.transactionCount': {
+            zero: 'لا توجد معاملات',
+            one: 'معاملة واحدة',
+            two: 'معاملتان',
+            few: '{count} معاملات',
+            many: '{count} معاملة',
+            other: '{count} معاملة'
+        },
+        'import.dateRange': '{count} من {from} إلى {to}',
+        'import.alreadyImported': {
+            one: 'معاملة واحدة مستوردة مسبقًا وسيتم تخطيها',
+            two: 'معاملتان مستوردتان مسبقًا وسيتم تخطيهما',
+            few: '{count} معاملات مستوردة مسبقًا وسيتم تخطيها',
+            many: '{count} معاملة مستوردة مسبقًا وسيتم تخطيها',
+            other: '{count} معاملة مستوردة مسبقًا وسيتم تخطيها'
+        },
+        'import.statementSummary': '{summary}.',
+        'import.unreadableSkipped': {
+            one: 'سيتم تخطي معاملة واحدة غير مقروءة.',
+            two: 'سيتم تخطي معاملتين غير مقروءتين.',
+            few: 'سيتم تخطي {count} معاملات غير مقروءة.',
+            many: 'سيتم تخطي {count} معاملة غير مقروءة.',
+            other: 'سيتم تخطي {count} معاملة غير مقروءة.'
+        },
+        'import.intoAccount': 'الاستيراد إلى حساب',
+        'import.newAccount': 'إنشاء حساب جديد',
+        'import.paymentMethod': 'طريقة الدفع للمصروفات',
+        'import.paymentFromAccount': 'حسب الحساب ونوع المعاملة',
+        'import.untitled': 'معاملة مستوردة',
+        'import.checkNumber': 'شيك رقم {number}',
+        'import.transferWith': 'تحويل مع {account}',
+        'merge.title': 'دمج نسخة احتياطية',
+        'merge.added': {
+            zero: 'لن تُضاف أي سجلات جديدة.',
+            one: 'ستتم إضافة سجل جديد واحد.',
+            two: 'ستتم إضافة سجلين جديدين.',
+            few: 'ستتم إضافة {count} سجلات جديدة.',
+            many: 'ستتم إضافة {count} سجلًا جديدًا.',
+            other: 'ستتم إضافة {count} سجل جديد.'
+        },
+        'merge.unchanged': {
+            zero: 'لا توجد سجلات محدّثة مسبقًا.',
+            one: 'سجل واحد محدّث مسبقًا.',
+            two: 'سجلان محدّثان مسبقًا.',
+            few: '{count} سجلات محدّثة مسبقًا.',
+            many: '{count} سجلًا محدّثًا مسبقًا.',
+            other: '{count} سجل محدّث مسبقًا.'
+        },
+        'merge.nothingToReview': 'لا يوجد ما يحتاج إلى مراجعة.',
+        'merge.toReview': {
+            one: 'سجل واحد يحتاج إلى مراجعة:',
+            two: 'سجلان يحتاجان إلى مراجعة:',
+            few: '{count} سجلات تحتاج إلى مراجعة:',
+            many: '{count} سجلًا يحتاج إلى مراجعة:',
+            other: '{count} سجل يحتاج إلى مراجعة:'
+        },
+        'merge.keepMine': 'الاحتفاظ بنسختي',
+        'merge.keepTheirs': 'الاحتفاظ بنسخة النسخة الاحتياطية',
+        'merge.keepBoth': 'الاحتفاظ بالاثنتين',
+        'merge.keepMineAll': 'الاحتفاظ بنسختي للكل',
+        'merge.keepTheirsAll': 'الاحتفاظ بنسخة النسخة الاحتياطية للكل',
+        'merge.keepBothAll': 'الاحتفاظ بالاثنتين للكل',
+        'merge.type': 'النوع',
+        'merge.mine': 'نسختي',
+        'merge.theirs': 'النسخة الاحتياطية',
+        'merge.keep': 'الاحتفاظ',
+        'merge.reasonChanged': 'تغيّر منذ النسخة الاحتياطية',
+        'merge.reasonDuplicate': 'تكرار محتمل',
+        'merge.typeIncome': 'دخل',
+        'merge.typeExpense': 'مصروف',
+        'merge.typeBudget': 'ميزانية',
+        'merge.typeAccount': 'حساب',
+        'merge.typeTransfer': 'تحويل',
+        'merge.typeExchangeRate': 'سعر صرف',
+        'merge.typeSavingsGoal': 'هدف ادخار',
+        'merge.typeImportProfile': 'ملف تعريفي للاستيراد',
+        'merge.apply': 'دمج'
+    }
+});
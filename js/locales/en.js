@@ -0,0 +1,619 @@
+/**
+ * CashBoard English Messages
+ * Every message key the interface uses. Other languages fall back to these
+ * for keys they do not translate.
+ */
+
+I18n.addLocale('en', {
+    name: 'English',
+    dir: 'ltr',
+    messages: {
+        // Application
+        'app.title': 'CashBoard - Smart Finance Management',
+        'app.tagline': 'Smart Finance Management',
+        'app.footer': '© 2025 CashBoard. Smart Finance Management.',
+        'app.pageNotFound': 'Page not found',
+        'install.prompt': 'Install CashBoard for a better experience',
+        'install.button': 'Install',
+        'notify.loadFailed': 'Could not load your data. Please reload the page.',
+        'notify.saveFailed': 'Could not save your changes. Please reload the page and try again.',
+
+        // Shared labels
+        'common.date': 'Date',
+        'common.category': 'Category',
+        'common.description': 'Description',
+        'common.amount': 'Amount',
+        'common.currency': 'Currency',
+        'common.actions': 'Actions',
+        'common.allCategories': 'All Categories',
+        'common.exportCsv': 'Export CSV',
+        'common.exportExcel': 'Export Excel',
+        'common.apply': 'Apply',
+        'common.save': 'Save',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'common.delete': 'Delete',
+        'common.export': 'Export',
+        'common.continue': 'Continue',
+        'common.ok': 'OK',
+        'common.listSeparator': ', ',
+
+        // Navigation
+        'nav.dashboard': 'Dashboard',
+        'nav.income': 'Income',
+        'nav.expenses': 'Expenses',
+        'nav.budget': 'Budget',
+        'nav.calendar': 'Calendar',
+        'nav.accounts': 'Accounts',
+        'nav.reports': 'Reports',
+        'nav.settings': 'Settings',
+
+        // Dashboard
+        'dashboard.title': 'Dashboard',
+        'dashboard.previousMonth': 'Previous month',
+        'dashboard.nextMonth': 'Next month',
+        'dashboard.savings': 'Savings',
+        'dashboard.incomeVsExpenses': 'Income vs Expenses',
+        'dashboard.expenseBreakdown': 'Expense Breakdown',
+        'dashboard.recentTransactions': 'Recent Transactions',
+        'dashboard.upcoming': 'Upcoming Recurring Transactions',
+        'dashboard.noRecent': 'No recent transactions found.',
+        'dashboard.noUpcoming': {
+            one: 'No recurring transactions due in the next day.',
+            other: 'No recurring transactions due in the next {count} days.'
+        },
+        'summary.income': 'Income',
+        'summary.expenses': 'Expenses',
+        'summary.balance': 'Balance',
+
+        // Upcoming recurring occurrences
+        'upcoming.edited': '(edited)',
+        'upcoming.skipped': 'Skipped',
+        'upcoming.undo': 'Undo',
+        'upcoming.edit': 'Edit this occurrence',
+        'upcoming.skip': 'Skip this occurrence',
+        'upcoming.editTitle': 'Edit Occurrence',
+        'upcoming.editNote': 'Changes apply to the {date} occurrence only.',
+        'upcoming.generateFailed': {
+            one: 'Could not create the recurring transaction "{title}".',
+            other: 'Could not create {count} recurring transactions, starting with "{title}".'
+        },
+
+        // Income and expense forms and tables
+        'income.title': 'Income Management',
+        'income.add': 'Add Income',
+        'income.search': 'Search income...',
+        'income.empty': 'No income data available. Add your first income entry.',
+        'income.placeholder': 'E.g. Monthly salary',
+        'income.repeat': 'Repeat this income',
+        'income.save': 'Save Income',
+        'income.added': 'Income added successfully',
+        'income.updated': 'Income updated successfully',
+        'income.deleted': 'Income entry deleted',
+        'income.pageTitle': 'Income Page',
+        'income.pageBody': 'Income management would be implemented here.',
+        'expenses.title': 'Expense Management',
+        'expenses.add': 'Add Expense',
+        'expenses.search': 'Search expenses...',
+        'expenses.empty': 'No expense data available. Add your first expense entry.',
+        'expenses.placeholder': 'E.g. Grocery shopping',
+        'expenses.repeat': 'Repeat this expense',
+        'expenses.splits': 'Split across categories (optional)',
+        'expenses.addSplit': 'Add split line',
+        'expenses.removeSplit': 'Remove split line',
+        'expenses.splitTags': 'Tags',
+        'expenses.splitNotes': 'Notes',
+        'expenses.splitsMatch': 'Splits match the expense amount',
+        'expenses.splitsLeft': '{amount} left to allocate',
+        'expenses.splitsOver': '{amount} over the expense amount',
+        'expenses.splitMismatch': 'Split amounts must add up to the expense amount',
+        'expenses.receipt': 'Upload Receipt (optional)',
+        'expenses.receiptTooLarge': 'Receipt file size exceeds 2MB limit',
+        'expenses.receiptType': 'Please select an image or PDF file',
+        'expenses.receiptFailed': 'Error processing receipt file',
+        'expenses.save': 'Save Expense',
+        'expenses.added': 'Expense added successfully',
+        'expenses.updated': 'Expense updated successfully',
+        'expenses.deleted': 'Expense entry deleted',
+        'expenses.pageTitle': 'Expenses Page',
+        'expenses.pageBody': 'Expense management would be implemented here.',
+        'savings.pageTitle': 'Savings Page',
+        'savings.pageBody': 'Savings goals would be implemented here.',
+        'form.selectCategory': 'Select a category',
+        'form.account': 'Account (optional)',
+        'form.noAccount': 'No account',
+        'form.repeats': 'Repeats',
+        'form.endsOn': 'Ends on (optional)',
+        'form.endsAfter': 'Or after this many times (optional)',
+        'form.notes': 'Notes (optional)',
+        'form.required': 'Please fill out all required fields',
+        'table.empty': 'No data to display',
+        'table.confirmDelete': 'Are you sure you want to delete this entry?',
+        'interval.daily': 'Daily',
+        'interval.weekly': 'Weekly',
+        'interval.biweekly': 'Every 2 Weeks',
+        'interval.monthly': 'Monthly',
+        'interval.quarterly': 'Quarterly',
+        'interval.yearly': 'Yearly',
+
+        // Budgets
+        'budget.title': 'Budget Management',
+        'budget.planning': 'Budget Planning',
+        'budget.create': 'Create Budget',
+        'budget.createNew': 'Create New Budget',
+        'budget.update': 'Update Budget',
+        'budget.edit': 'Edit Budget',
+        'budget.delete': 'Delete Budget',
+        'budget.confirmDelete': 'Are you sure you want to delete this budget?',
+        'budget.monthlyOverview': 'Monthly Budget Overview',
+        'budget.forMonth': 'Budget for {month}',
+        'budget.totalBudget': 'Total Budget',
+        'budget.totalSpent': 'Total Spent',
+        'budget.budget': 'Budget',
+        'budget.spent': 'Spent',
+        'budget.remaining': 'Remaining',
+        'budget.progress': 'Progress',
+        'budget.yourBudgets': 'Your Budgets',
+        'budget.empty': 'No budgets created yet. Click the "Create New Budget" button to get started.',
+        'budget.overview': 'Budget Overview',
+        'budget.chartTitle': 'Budget vs. Actual Spending',
+        'budget.insights': 'Budget Insights',
+        'budget.insightsEmpty': 'Create budgets to see insights.',
+        'budget.overBudget': 'Over Budget',
+        'budget.approachingLimit': 'Approaching Limit',
+        'budget.onTrack': 'On Track',
+        'budget.spentOf': "You've spent {spent} of your {budget} budget ({percentage}%).",
+        'budget.tips': 'Budget Tips',
+        'budget.tipOver': {
+            one: 'You have {count} category over budget. Consider adjusting your spending or increasing this budget next month.',
+            other: 'You have {count} categories over budget. Consider adjusting your spending or increasing these budgets next month.'
+        },
+        'budget.tipNearLimit': {
+            one: 'Monitor your spending in {count} category that is approaching its limit.',
+            other: 'Monitor your spending in {count} categories that are approaching their limits.'
+        },
+        'budget.tipOnTrack': {
+            one: "Great job! You're staying within budget for {count} category.",
+            other: "Great job! You're staying within budget for {count} categories."
+        },
+        'budget.addCategory': 'Add New Category',
+        'budget.newCategoryName': 'New Category Name',
+        'budget.newCategoryPlaceholder': 'Enter category name',
+        'budget.categoryRequired': 'Please enter a category name',
+        'budget.amount': 'Budget Amount',
+        'budget.amountPlaceholder': 'Enter amount',
+        'budget.period': 'Budget Period',
+        'budget.alertThresholds': 'Alert Thresholds',
+        'budget.warningAt': 'Warning at (%)',
+        'budget.dangerAt': 'Danger at (%)',
+        'budget.thresholdOrder': 'Warning threshold must be less than danger threshold',
+        'budget.enableNotifications': 'Enable notifications when approaching limits',
+        'insights.overspending': 'Budget Overspending',
+        'insights.approaching': 'Approaching Budget Limit',
+        'insights.healthy': 'Healthy Budget Categories',
+        'insights.spentOf': '{category}: Spent {spent} of {budget} ({percentage}%)',
+        'tips.overspent': {
+            one: "You've overspent in {count} category. Consider adjusting your spending habits or reallocating your budget.",
+            other: "You've overspent in {count} categories. Consider adjusting your spending habits or reallocating your budget."
+        },
+        'tips.nearTotal': "You've spent {percentage}% of your total budget. Try to limit additional spending for the rest of the period.",
+        'tips.underHalf': "Great job! You've only spent {percentage}% of your total budget.",
+        'tips.noBudgets': "You haven't created any budgets yet. Start by adding a budget for your main expense categories.",
+
+        // Calendar
+        'calendar.previous': 'Previous',
+        'calendar.next': 'Next',
+        'calendar.today': 'Today',
+        'calendar.month': 'Month',
+        'calendar.week': 'Week',
+        'calendar.addIncome': '+ Income',
+        'calendar.addExpense': '+ Expense',
+        'calendar.scheduled': '{category} (scheduled)',
+
+        // Accounts and transfers
+        'accounts.title': 'Accounts',
+        'accounts.add': 'Add Account',
+        'accounts.create': 'Create Account',
+        'accounts.update': 'Update Account',
+        'accounts.edit': 'Edit Account',
+        'accounts.delete': 'Delete Account',
+        'accounts.confirmDelete': 'Delete this account? Its transactions are kept but transfers to or from it are removed.',
+        'accounts.netWorth': 'Net Worth',
+        'accounts.empty': 'No accounts yet. Add your bank accounts, cards and wallets to track their balances.',
+        'accounts.account': 'Account',
+        'accounts.type': 'Type',
+        'accounts.institution': 'Institution',
+        'accounts.institutionOptional': 'Institution (optional)',
+        'accounts.name': 'Name',
+        'accounts.namePlaceholder': 'E.g. Salary account',
+        'accounts.nameRequired': 'Please enter an account name',
+        'accounts.openingBalance': 'Opening Balance',
+        'accounts.openingDate': 'Opening Date',
+        'accounts.archived': 'Archived (hidden from account pickers)',
+        'accounts.deleted': 'Deleted account',
+        'accounts.addedNotice': 'Account added',
+        'accounts.updatedNotice': 'Account updated',
+        'accounts.deletedNotice': 'Account deleted',
+        'accountType.checking': 'Checking',
+        'accountType.savings': 'Savings',
+        'accountType.cash': 'Cash',
+        'accountType.credit_card': 'Credit Card',
+        'accountType.wallet': 'Wallet',
+        'transfers.title': 'Transfers',
+        'transfers.transfer': 'Transfer',
+        'transfers.modalTitle': 'Transfer Between Accounts',
+        'transfers.from': 'From',
+        'transfers.to': 'To',
+        'transfers.fromAccount': 'From Account',
+        'transfers.toAccount': 'To Account',
+        'transfers.invalid': 'Choose two different accounts and an amount greater than zero',
+        'transfers.delete': 'Delete Transfer',
+        'transfers.confirmDelete': 'Are you sure you want to delete this transfer?',
+        'transfers.savedNotice': 'Transfer saved',
+        'transfers.deletedNotice': 'Transfer deleted',
+
+        // Reports and statements
+        'reports.title': 'Financial Reports',
+        'reports.period': 'Period:',
+        'reports.lastMonth': 'Last Month',
+        'reports.last3Months': 'Last 3 Months',
+        'reports.last6Months': 'Last 6 Months',
+        'reports.lastYear': 'Last Year',
+        'reports.customRange': 'Custom Range',
+        'reports.from': 'From:',
+        'reports.to': 'To:',
+        'reports.trend': 'Income vs Expenses Trend',
+        'reports.savingsProgress': 'Savings Progress',
+        'reports.expenseCategories': 'Expense Categories',
+        'reports.monthlyTrends': 'Monthly Trends',
+        'reports.summaryStatistics': 'Summary Statistics',
+        'reports.totalIncome': 'Total Income',
+        'reports.totalExpenses': 'Total Expenses',
+        'reports.netSavings': 'Net Savings',
+        'reports.savingsRate': 'Savings Rate',
+        'charts.actual': 'Actual',
+        'charts.actualSavings': 'Actual Savings',
+        'charts.targetSavings': 'Target Savings',
+        'charts.other': 'Other',
+        'statement.month': 'Statement:',
+        'statement.from': 'or from',
+        'statement.to': 'to',
+        'statement.download': 'Download PDF',
+        'statement.rangeRequired': 'Choose a month or a date range for the statement',
+        'statement.rangeReversed': 'The statement range ends before it starts',
+        'statement.downloaded': 'Statement downloaded',
+        'statement.failed': 'Failed to create the statement',
+
+        // Settings
+        'settings.title': 'Settings',
+        'settings.general': 'General Settings',
+        'settings.baseCurrency': 'Base Currency',
+        'settings.currencyUpdated': 'Base currency updated. Totals are converted at your exchange rates.',
+        'settings.language': 'Language',
+        'settings.languageUpdated': 'Language updated',
+        'settings.dateFormat': 'Date Format',
+        'settings.dateFormatUpdated': 'Dates are now shown as {format}',
+        'settings.theme': 'Theme',
+        'settings.themeLight': 'Light',
+        'settings.themeDark': 'Dark',
+        'settings.themeSystem': 'System',
+        'settings.themeApplied.light': 'Light theme applied',
+        'settings.themeApplied.dark': 'Dark theme applied',
+        'settings.themeApplied.system': 'System theme applied',
+        'settings.save': 'Save Settings',
+        'settings.saved': 'Settings saved successfully',
+        'currency.INR': 'Indian Rupee (₹)',
+        'currency.USD': 'US Dollar ($)',
+        'currency.EUR': 'Euro (€)',
+        'currency.GBP': 'British Pound (£)',
+        'currency.JPY': 'Japanese Yen (¥)',
+        'currency.CAD': 'Canadian Dollar ($)',
+        'currency.AUD': 'Australian Dollar ($)',
+
+        // Exchange rates
+        'rates.title': 'Exchange Rates',
+        'rates.from': '1 unit of',
+        'rates.value': 'is worth',
+        'rates.to': 'of',
+        'rates.rate': 'Rate',
+        'rates.add': 'Add Rate',
+        'rates.import': 'Import Rates (CSV)',
+        'rates.empty': 'No exchange rates yet.',
+        'rates.older': {
+            one: 'And {count} older rate.',
+            other: 'And {count} older rates.'
+        },
+        'rates.status': "Totals are shown in {base}, using the latest rate on or before each transaction's date.",
+        'rates.missing': {
+            one: 'No rate converts {currency} into {base}; {count} transaction is counted unconverted.',
+            other: 'No rate converts {currency} into {base}; {count} transactions are counted unconverted.'
+        },
+        'rates.saved': 'Exchange rate saved',
+        'rates.delete': 'Delete Rate',
+        'rates.confirmDelete': 'Delete this exchange rate?',
+        'rates.deleted': 'Exchange rate deleted',
+        'rates.imported': 'Imported {added} new and {updated} updated exchange rates.',
+        'rates.importFailed': 'Failed to import exchange rates',
+        'rates.errorDate': 'Exchange rate needs a date',
+        'rates.errorCurrency': 'Currencies must be three-letter codes such as USD',
+        'rates.errorSameCurrency': 'Exchange rate must be between two different currencies',
+        'rates.errorRate': 'Exchange rate must be greater than zero',
+        'rates.errorColumns': 'The CSV needs date, currency and rate columns',
+
+        // App lock
+        'lock.title': 'App Lock',
+        'lock.kind': 'Lock with',
+        'lock.pin': 'PIN',
+        'lock.passphrase': 'Passphrase',
+        'lock.name.pin': 'PIN',
+        'lock.name.passphrase': 'passphrase',
+        'lock.autoLock': 'Lock after inactivity',
+        'lock.never': 'Never',
+        'lock.after1Minute': '1 minute',
+        'lock.after5Minutes': '5 minutes',
+        'lock.after15Minutes': '15 minutes',
+        'lock.after30Minutes': '30 minutes',
+        'lock.after1Hour': '1 hour',
+        'lock.autoLockUpdated': 'Inactivity lock updated',
+        'lock.status.pin': 'Locked with a PIN. Your data is encrypted on this device.',
+        'lock.status.passphrase': 'Locked with a passphrase. Your data is encrypted on this device.',
+        'lock.statusOff': 'No lock set. Anyone using this browser can read your data.',
+        'lock.turnOn': 'Turn On Lock',
+        'lock.lockNow': 'Lock Now',
+        'lock.change': 'Change PIN or Passphrase',
+        'lock.changeButton': 'Change',
+        'lock.remove': 'Remove Lock',
+        'lock.setTitle': 'Set {kind}',
+        'lock.newTitle': 'New {kind}',
+        'lock.setMessage': 'Everything CashBoard stores will be encrypted with this {kind}. If you forget it, your data cannot be recovered, so keep a backup somewhere safe.',
+        'lock.enterCurrent': 'Enter your current {kind}.',
+        'lock.chooseNew': 'Choose your new {kind}.',
+        'lock.turnedOn': 'App lock turned on',
+        'lock.changed': '{kind} changed',
+        'lock.removed': 'App lock removed',
+        'lock.turnOnFailed': 'Failed to turn on the app lock',
+        'lock.changeFailed': 'Failed to change the app lock',
+        'lock.removeFailed': 'Failed to remove the app lock',
+        'lock.wrong.pin': 'Wrong PIN',
+        'lock.wrong.passphrase': 'Wrong passphrase',
+        'lock.errorKind': 'Unknown lock type',
+        'lock.errorPinDigits': 'The PIN may only contain digits',
+        'lock.errorLength.pin': {
+            one: 'The PIN must be at least {count} digit',
+            other: 'The PIN must be at least {count} digits'
+        },
+        'lock.errorLength.passphrase': {
+            one: 'The passphrase must be at least {count} character',
+            other: 'The passphrase must be at least {count} characters'
+        },
+        'lock.errorVersion': 'This data was locked by a newer version of CashBoard',
+        'lock.errorTampered': 'The lock record is damaged or has been modified',
+        'lock.errorDataTampered': 'Stored data for {key} is damaged or has been modified',
+        'lockScreen.message': 'Your data is locked. Enter your {kind} to continue.',
+        'lockScreen.unlock': 'Unlock',
+        'lockScreen.unlocking': 'Unlocking...',
+        'lockScreen.forgot': 'Forgot your {kind}?',
+        'lockScreen.confirmReset': 'Without the {kind} your data cannot be decrypted. You can erase everything and start over, or restore a backup afterwards. Erase all data?',
+        'passphrase.title': 'Enter Passphrase',
+        'passphrase.confirm': 'Confirm {kind}',
+        'passphrase.required': 'Please enter the {kind}',
+        'passphrase.mismatch': 'The two entries do not match',
+        'privacy.hide': 'Hide amounts ({shortcut})',
+        'privacy.show': 'Show amounts ({shortcut})',
+        'privacy.hiddenAmount': 'Hidden amount, select to reveal',
+
+        // Automatic backups
+        'backups.title': 'Automatic Backups',
+        'backups.daily': 'Take a snapshot every day',
+        'backups.now': 'Back Up Now',
+        'backups.restore': 'Restore Snapshot',
+        'backups.folder': 'Backup Folder',
+        'backups.chooseFolder': 'Choose Folder',
+        'backups.allowAccess': 'Allow Access',
+        'backups.forgetFolder': 'Stop Using Folder',
+        'backups.unsupported': 'Snapshots are not supported in this browser.',
+        'backups.empty': 'No snapshots yet.',
+        'backups.kept': {
+            one: '{count} snapshot kept. Last taken {date}.',
+            other: '{count} snapshots kept. Last taken {date}.'
+        },
+        'backups.browserOnly': 'Snapshots are only kept in this browser.',
+        'backups.folderLocked': 'Not writing to "{folder}" while an app lock is set, since files would not be encrypted.',
+        'backups.folderActive': 'Each snapshot is also saved to "{folder}".',
+        'backups.folderPermission': 'Allow access to "{folder}" again to keep saving snapshots there.',
+        'backups.folderChosen': 'Snapshots will be saved to "{folder}"',
+        'backups.folderForgotten': 'Snapshots are no longer saved to the folder',
+        'backups.folderFailed': 'Failed to use the backup folder',
+        'backups.enabled': 'Automatic snapshots enabled',
+        'backups.disabled': 'Automatic snapshots disabled',
+        'backups.saved': 'Snapshot saved',
+        'backups.saveFailed': 'Failed to save the snapshot',
+        'backups.restored': 'Snapshot restored successfully',
+        'backups.readFailed': 'Failed to read snapshots',
+        'snapshots.retention': 'The latest snapshot of each of the last {days}, {weeks} and {months} is kept.',
+        'snapshots.days': { one: '{count} day', other: '{count} days' },
+        'snapshots.weeks': { one: '{count} week', other: '{count} weeks' },
+        'snapshots.months': { one: '{count} month', other: '{count} months' },
+        'snapshots.restoreNote': 'Restoring replaces all current data; a snapshot of it is taken first.',
+        'snapshots.taken': 'Taken',
+        'snapshots.keptAs': 'Kept as',
+        'snapshots.records': 'Records',
+        'snapshots.reasonAuto': 'Automatic',
+        'snapshots.reasonManual': 'Manual',
+        'snapshots.reasonBeforeRestore': 'Before restore',
+        'snapshots.incomes': { one: '{count} income', other: '{count} incomes' },
+        'snapshots.expenses': { one: '{count} expense', other: '{count} expenses' },
+        'snapshots.budgets': { one: '{count} budget', other: '{count} budgets' },
+        'snapshots.accounts': { one: '{count} account', other: '{count} accounts' },
+        'snapshots.transfers': { one: '{count} transfer', other: '{count} transfers' },
+        'snapshots.unreadable': 'Encrypted with a lock that is no longer set',
+        'snapshots.restore': 'Restore',
+        'snapshots.download': 'Download',
+        'snapshots.confirmRestore': 'Restoring this snapshot replaces all current data. Continue?',
+        'snapshots.confirmDelete': 'Delete this snapshot?',
+        'snapshots.restoreFailed': 'Failed to restore the snapshot',
+        'snapshots.downloadFailed': 'Failed to download the snapshot',
+        'snapshots.deleteFailed': 'Failed to delete the snapshot',
+
+        // Data management, backups and imports
+        'data.title': 'Data Management',
+        'data.export': 'Export Data',
+        'data.exportEncrypted': 'Export Encrypted Backup',
+        'data.exportQif': 'Export Transactions (QIF)',
+        'data.journalFormat': 'Plain-Text Accounting Journal',
+        'data.exportJournal': 'Export Journal',
+        'data.import': 'Import Data (Merge)',
+        'data.restore': 'Restore Backup (Replace All)',
+        'data.importStatement': 'Import Bank Statement (CSV, OFX, QIF, camt.053, MT940, ledger, beancount)',
+        'data.clear': 'Clear All Data',
+        'data.confirmRestore': 'Restoring a backup replaces all current data, including entries newer than the backup. Continue?',
+        'data.confirmClear': 'Are you sure you want to clear all data? This action cannot be undone.',
+        'data.cleared': 'All data cleared successfully',
+        'data.exported': 'Data exported successfully',
+        'data.exportFailed': 'Failed to export data',
+        'data.imported': 'Data imported successfully',
+        'data.importFailed': 'Failed to import data. Please check the file format.',
+        'data.transactionsExported': 'Transactions exported successfully',
+        'data.transactionsExportFailed': 'Failed to export transactions',
+        'data.journalExported': 'Journal exported successfully',
+        'data.journalFailed': 'Failed to export journal',
+        'backup.encryptedTitle': 'Encrypted Backup',
+        'backup.choosePassphrase': 'Choose a passphrase for this backup. It cannot be restored without it, so keep it somewhere safe.',
+        'backup.enterPassphrase': 'This backup is protected. Enter its passphrase to continue.',
+        'backup.decrypt': 'Decrypt',
+        'backup.encryptedExported': 'Encrypted backup exported successfully',
+        'backup.wrongPassphrase': 'Wrong passphrase. The backup could not be decrypted.',
+        'backup.tampered': 'The encrypted backup is damaged or has been modified, so it was not imported.',
+        'backup.merged': 'Backup merged: {added} added, {updated} updated, {skipped} skipped',
+        'backup.readFailed': 'Failed to read backup. Please check the file format.',
+        'backup.errorUnsupported': 'Encryption needs a browser with WebCrypto over a secure (https) connection',
+        'backup.errorVersion': 'This backup was made by a newer version of CashBoard (format {version})',
+        'backup.errorTampered': 'The encrypted backup is damaged or has been modified',
+        'backup.errorNotEncrypted': 'Not a CashBoard encrypted backup',
+        'import.imported': {
+            one: 'Imported {count} transaction',
+            other: 'Imported {count} transactions'
+        },
+        'import.importedSkipped': '{imported} (skipped {notes})',
+        'import.duplicates': '{count} already imported',
+        'import.unreadable': '{count} unreadable',
+        'import.skippedLines': 'Skipped unreadable lines: {lines}.',
+        'import.readFailed': 'Failed to read the statement file',
+
+        // Import wizard and merge review
+        'import.title': 'Import {fileName}',
+        'import.usingProfile': 'Using saved profile "{name}".',
+        'import.stepLayout': '1. File layout',
+        'import.stepColumns': '2. Columns',
+        'import.stepPreview': '3. Preview',
+        'import.stepImport': '4. Import',
+        'import.encoding': 'Encoding',
+        'import.encodingUtf8': 'UTF-8',
+        'import.encodingWindows1252': 'Windows-1252 (Western)',
+        'import.encodingLatin1': 'ISO-8859-1 (Latin-1)',
+        'import.encodingUtf16': 'UTF-16',
+        'import.delimiter': 'Delimiter',
+        'import.delimiterComma': 'Comma',
+        'import.delimiterSemicolon': 'Semicolon',
+        'import.delimiterTab': 'Tab',
+        'import.delimiterPipe': 'Pipe',
+        'import.dateFormat': 'Date format',
+        'import.decimalSeparator': 'Decimal separator',
+        'import.decimalPoint': 'Point (1,234.56)',
+        'import.decimalComma': 'Comma (1.234,56)',
+        'import.hasHeader': 'First row contains column names',
+        'import.invertAmounts': 'Positive amounts are money out (card statements)',
+        'import.column': 'Column {number}',
+        'import.notInFile': '- Not in file -',
+        'import.fieldDebit': 'Debit (money out)',
+        'import.fieldCredit': 'Credit (money in)',
+        'import.fieldPaymentMethod': 'Payment Method',
+        'import.type': 'Type',
+        'import.typeIncome': 'Income',
+        'import.typeExpense': 'Expense',
+        'import.badDate': 'Unrecognized date "{value}"',
+        'import.badAmount': 'Missing or zero amount',
+        'import.rowError': 'row {row} ({message})',
+        'import.noRows': 'No rows could be read with these settings.',
+        'import.rowsReady': {
+            one: '{count} row ready to import.',
+            other: '{count} rows ready to import.'
+        },
+        'import.rowsSkipped': {
+            one: '{count} row will be skipped:',
+            other: '{count} rows will be skipped:'
+        },
+        'import.nothingToImport': 'There are no rows to import. Check the column mapping and date format.',
+        'import.assignAccount': 'Assign to account',
+        'import.profileName': 'Save settings as bank profile (optional)',
+        'import.profilePlaceholder': 'E.g. My Bank current account',
+        'import.submit': 'Import',
+        'import.account': 'Account',
+        'import.accountChecking': 'Checking account',
+        'import.accountSavings': 'Savings account',
+        'import.accountMoneyMarket': 'Money market account',
+        'import.accountCreditLine': 'Line of credit',
+        'import.accountCreditCard': 'Credit card',
+        'import.accountCash': 'Cash account',
+        'import.statementNamed': '{name} - {type}',
+        'import.statementEnding': '{type} ending {digits}',
+        'import.statementInstitution': '{institution} - {title}',
+        'import.statementCurrency': '{title} ({currency})',
+        'import.transactionCount': {
+            one: '{count} transaction',
+            other: '{count} transactions'
+        },
+        'import.dateRange': '{count} from {from} to {to}',
+        'import.alreadyImported': {
+            one: '{count} already imported and will be skipped',
+            other: '{count} already imported and will be skipped'
+        },
+        'import.statementSummary': '{summary}.',
+        'import.unreadableSkipped': {
+            one: '{count} unreadable transaction will be skipped.',
+            other: '{count} unreadable transactions will be skipped.'
+        },
+        'import.intoAccount': 'Import into account',
+        'import.newAccount': 'Create new account',
+        'import.paymentMethod': 'Payment method for expenses',
+        'import.paymentFromAccount': 'From account and transaction type',
+        'import.untitled': 'Imported transaction',
+        'import.checkNumber': 'Check #{number}',
+        'import.transferWith': 'Transfer with {account}',
+        'merge.title': 'Merge Backup',
+        'merge.added': {
+            one: '{count} new record will be added.',
+            other: '{count} new records will be added.'
+        },
+        'merge.unchanged': {
+            one: '{count} record is already up to date.',
+            other: '{count} records are already up to date.'
+        },
+        'merge.nothingToReview': 'Nothing needs reviewing.',
+        'merge.toReview': {
+            one: '{count} record needs reviewing:',
+            other: '{count} records need reviewing:'
+        },
+        'merge.keepMine': 'Keep mine',
+        'merge.keepTheirs': 'Keep theirs',
+        'merge.keepBoth': 'Keep both',
+        'merge.keepMineAll': 'Keep mine for all',
+        'merge.keepTheirsAll': 'Keep theirs for all',
+        'merge.keepBothAll': 'Keep both for all',
+        'merge.type': 'Type',
+        'merge.mine': 'Mine',
+        'merge.theirs': 'Theirs',
+        'merge.keep': 'Keep',
+        'merge.reasonChanged': 'Changed since backup',
+        'merge.reasonDuplicate': 'Possible duplicate',
+        'merge.typeIncome': 'Income',
+        'merge.typeExpense': 'Expense',
+        'merge.typeBudget': 'Budget',
+        'merge.typeAccount': 'Account',
+        'merge.typeTransfer': 'Transfer',
+        'merge.typeExchangeRate': 'Exchange rate',
+        'merge.typeSavingsGoal': 'Savings goal',
+        'merge.typeImportProfile': 'Import profile',
+        'merge.apply': 'Merge'
+    }
+});
@@ -0,0 +1,367 @@
+/**
+ * CashBoard Currency Service
+ * Keeps the offline exchange-rate table and converts amounts between
+ * currencies using the rate in force on a transaction's date
+ *
+ * A rate { date, from, to, rate } says one unit of `from` was worth `rate`
+ * units of `to` on that date, and also serves the opposite direction. A
+ * conversion uses the latest rate on or before the date, falling back to the
+ * earliest later rate, and goes through a third currency when no rate links
+ * the two directly.
+ */
+
+const CurrencyService = (function() {
+    // ISO 4217 currency code
+    const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+    // Header names that suggest a column of a rate CSV
+    const CSV_HEADER_HINTS = {
+        date: /date|day/i,
+        from: /^(from|base|currency|source)/i,
+        to: /^(to|quote|target|counter)/i,
+        rate: /rate|price|value|close/i
+    };
+
+    // Exchange rate models
+    let rates = [];
+
+    // Rates by 'FROM>TO' pair, oldest first, built on first use
+    let rateIndex = null;
+
+    /**
+     * Load exchange rates from storage
+     */
+    function init() {
+        rates = Repository.getExchangeRates();
+        rateIndex = null;
+    }
+
+    /**
+     * Save exchange rates to storage
+     */
+    function saveRates() {
+        Repository.saveExchangeRates(rates);
+        rateIndex = null;
+    }
+
+    /**
+     * Get the base currency totals are reported in
+     * @returns {string} ISO currency code
+     */
+    function getBaseCurrency() {
+        return Repository.getSettings().currency;
+    }
+
+    /**
+     * Get the currency of a record, with blank meaning the base currency
+     * @param {Object} record - Income, expense or transaction entry
+     * @returns {string} ISO currency code
+     */
+    function getCurrency(record) {
+        return (record && record.currency) || getBaseCurrency();
+    }
+
+    /**
+     * Get all exchange rates
+     * @returns {Array<ExchangeRate>} Rates, newest first
+     */
+    function getRates() {
+        return [...rates].sort((a, b) => b.date.localeCompare(a.date) || a.from.localeCompare(b.from));
+    }
+
+    /**
+     * Check that an exchange rate is complete
+     * @param {Object} rate - Exchange rate data
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validateRate(rate) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(rate.date || '')) {
+            return I18n.t('rates.errorDate');
+        }
+        if (!CURRENCY_PATTERN.test(rate.from || '') || !CURRENCY_PATTERN.test(rate.to || '')) {
+            return I18n.t('rates.errorCurrency');
+        }
+        if (rate.from === rate.to) {
+            return I18n.t('rates.errorSameCurrency');
+        }
+        if (!(Number(rate.rate) > 0)) {
+            return I18n.t('rates.errorRate');
+        }
+        return null;
+    }
+
+    /**
+     * Normalize exchange rate input
+     * @param {Object} data - Exchange rate data
+     * @returns {Object} Data with upper-case currency codes and a numeric rate
+     */
+    function normalizeRate(data) {
+        return {
+            ...data,
+            from: String(data.from || '').trim().toUpperCase(),
+            to: String(data.to || '').trim().toUpperCase(),
+            rate: Number(data.rate)
+        };
+    }
+
+    /**
+     * Find the stored rate for a currency pair on a date
+     * @param {Object} rate - { date, from, to }
+     * @returns {ExchangeRate|undefined} Rate for the same day and pair
+     */
+    function findSameDay(rate) {
+        return rates.find(existing =>
+            existing.date === rate.date && existing.from === rate.from && existing.to === rate.to
+        );
+    }
+
+    /**
+     * Add an exchange rate, replacing one for the same day and pair
+     * @param {Object} data - { date, from, to, rate }
+     * @returns {ExchangeRate|null} Saved rate, or null if invalid
+     */
+    function addRate(data) {
+        const normalized = normalizeRate(data);
+        const error = validateRate(normalized);
+        if (error) {
+            console.error('Failed to add exchange rate:', error);
+            return null;
+        }
+
+        const existing = findSameDay(normalized);
+        if (existing) {
+            existing.update(normalized);
+            saveRates();
+            return existing;
+        }
+
+        const newRate = new ExchangeRate(normalized);
+        rates.push(newRate);
+        saveRates();
+        return newRate;
+    }
+
+    /**
+     * Delete an exchange rate
+     * @param {string} id - Exchange rate ID
+     * @returns {boolean} Success status
+     */
+    function deleteRate(id) {
+        const index = rates.findIndex(rate => rate.id === id);
+        if (index === -1) return false;
+
+        rates.splice(index, 1);
+        saveRates();
+        return true;
+    }
+
+    /**
+     * Read exchange rates from CSV text
+     * Columns are found by their headers: date, from (or base/currency),
+     * optionally to (or quote) and rate. Without a `to` column every rate is
+     * into the base currency.
+     * @param {string} text - CSV text
+     * @returns {Object} { rates, errors } - Parsed rate data and unreadable line numbers
+     */
+    function parseRatesCsv(text) {
+        const rows = CsvParser.parse(text, CsvParser.detectDelimiter(text));
+        const headers = rows[0] || [];
+        const columns = {};
+        Object.entries(CSV_HEADER_HINTS).forEach(([field, hint]) => {
+            const index = headers.findIndex((header, i) =>
+                hint.test(header) && !Object.values(columns).includes(i)
+            );
+            if (index !== -1) columns[field] = index;
+        });
+
+        if (columns.date === undefined || columns.from === undefined || columns.rate === undefined) {
+            throw new Error(I18n.t('rates.errorColumns'));
+        }
+
+        const body = rows.slice(1);
+        const dateFormat = CsvParser.detectDateFormat(body.map(row => row[columns.date]));
+        const decimalSeparator = CsvParser.detectDecimalSeparator(body.map(row => row[columns.rate]));
+        const baseCurrency = getBaseCurrency();
+        const parsed = [];
+        const errors = [];
+
+        body.forEach((row, i) => {
+            const rate = normalizeRate({
+                date: dateFormat ? CsvParser.parseDate(row[columns.date], dateFormat) : null,
+                from: row[columns.from],
+                to: columns.to !== undefined ? row[columns.to] : baseCurrency,
+                rate: CsvParser.parseAmount(row[columns.rate], decimalSeparator),
+                source: 'csv'
+            });
+
+            if (validateRate(rate)) {
+                errors.push(i + 2);
+            } else {
+                parsed.push(rate);
+            }
+        });
+
+        return { rates: parsed, errors };
+    }
+
+    /**
+     * Import exchange rates from CSV text
+     * A rate for a day and pair that is already stored replaces it.
+     * @param {string} text - CSV text
+     * @returns {Object} { added, updated, errors } - Counts and unreadable line numbers
+     */
+    function importRatesCsv(text) {
+        const { rates: parsed, errors } = parseRatesCsv(text);
+        let added = 0;
+        let updated = 0;
+
+        parsed.forEach(rate => {
+            const existing = findSameDay(rate);
+            if (existing) {
+                existing.update(rate);
+                updated++;
+            } else {
+                rates.push(new ExchangeRate(rate));
+                added++;
+            }
+        });
+
+        if (parsed.length > 0) {
+            saveRates();
+        }
+
+        return { added, updated, errors };
+    }
+
+    /**
+     * Index rates by currency pair in both directions
+     * @returns {Object} { date, rate } lists by 'FROM>TO', oldest first
+     */
+    function getRateIndex() {
+        if (rateIndex) return rateIndex;
+
+        rateIndex = {};
+        const add = (from, to, date, rate) => {
+            const key = `${from}>${to}`;
+            (rateIndex[key] = rateIndex[key] || []).push({ date, rate });
+        };
+
+        rates.forEach(rate => {
+            add(rate.from, rate.to, rate.date, rate.rate);
+            add(rate.to, rate.from, rate.date, 1 / rate.rate);
+        });
+
+        Object.values(rateIndex).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+        return rateIndex;
+    }
+
+    /**
+     * Find the rate for a pair that applies on a date
+     * @param {string} from - Currency converted from
+     * @param {string} to - Currency converted to
+     * @param {string} date - YYYY-MM-DD date
+     * @returns {Object|null} { date, rate }, or null if the pair has no rates
+     */
+    function findDirectRate(from, to, date) {
+        const list = getRateIndex()[`${from}>${to}`];
+        if (!list) return null;
+
+        let match = null;
+        for (const entry of list) {
+            if (entry.date > date) break;
+            match = entry;
+        }
+        return match || list[0];
+    }
+
+    /**
+     * Get the exchange rate between two currencies on a date
+     * @param {string} from - Currency converted from
+     * @param {string} to - Currency converted to
+     * @param {string} date - YYYY-MM-DD date
+     * @returns {Object|null} { rate, date } - Rate and the date it was quoted for, or null if unknown
+     */
+    function getRate(from, to, date) {
+        if (from === to) return { rate: 1, date };
+
+        const direct = findDirectRate(from, to, date);
+        if (direct) return { rate: direct.rate, date: direct.date };
+
+        // Cross rate through a currency both have rates with
+        const via = Object.keys(getRateIndex())
+            .filter(key => key.startsWith(`${from}>`))
+            .map(key => key.split('>')[1]);
+        for (const currency of via) {
+            const second = findDirectRate(currency, to, date);
+            if (!second) continue;
+
+            const first = findDirectRate(from, currency, date);
+            return {
+                rate: first.rate * second.rate,
+                date: first.date < second.date ? first.date : second.date
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert an amount between currencies using the rate on a date
+     * The result is rounded to a whole minor unit of the target currency.
+     * @param {number} amount - Minor units of the `from` currency
+     * @param {string} from - Currency of the amount (blank for the base currency)
+     * @param {string} date - YYYY-MM-DD date
+     * @param {string} to - Currency to convert into (defaults to the base currency)
+     * @returns {number|null} Minor units of the `to` currency, or null if no rate is known
+     */
+    function convert(amount, from, date, to = getBaseCurrency()) {
+        const currency = from || getBaseCurrency();
+        const rate = getRate(currency, to, date);
+        return rate ? Money.rescale(amount * rate.rate, currency, to) : null;
+    }
+
+    /**
+     * Convert an amount of a record into the base currency
+     * Amounts in a currency without any rate are counted unconverted, so
+     * totals stay usable; DataService.getMissingRates reports them.
+     * @param {number} amount - Minor units of the record's currency
+     * @param {Object} record - Income, expense or transaction entry with currency and date
+     * @returns {number} Minor units of the base currency
+     */
+    function toBase(amount, record) {
+        const currency = getCurrency(record);
+        const converted = convert(amount, currency, record.date);
+        return converted === null ? Money.rescale(amount, currency, getBaseCurrency()) : converted;
+    }
+
+    /**
+     * Check whether a record's amount can be converted into the base currency
+     * @param {Object} record - Income, expense or transaction entry with currency and date
+     * @returns {boolean} Whether a rate is known
+     */
+    function canConvert(record) {
+        return getRate(getCurrency(record), getBaseCurrency(), record.date) !== null;
+    }
+
+    // Public API
+    return {
+        init,
+        getBaseCurrency,
+        getCurrency,
+
+        // Rate table
+        getRates,
+        validateRate,
+        addRate,
+        deleteRate,
+        parseRatesCsv,
+        importRatesCsv,
+
+        // Conversion
+        getRate,
+        convert,
+        toBase,
+        canConvert
+    };
+})();
@@ -1,6 +1,10 @@
 /**
  * CashBoard Data Service
- * Handles data operations for income, expenses, and budgets
+ * Handles data operations for income, expenses, budgets and accounts
+ *
+ * Amounts are integer minor units (see Money): a record's amount is in its
+ * own currency, and totals, balances and budget figures are in the base
+ * currency, so sums are exact.
  */
 
 const DataService = (function() {
@@ -8,6 +12,8 @@ const DataService = (function() {
     let incomeData = [];
     let expenseData = [];
     let budgetData = [];
+    let accountData = [];
+    let transferData = [];
     
     // Event listeners
     const eventListeners = {
@@ -19,9 +25,14 @@ const DataService = (function() {
      * Load data from storage
      */
     function init() {
+        // Rates are needed to total amounts in other currencies
+        CurrencyService.init();
+        
         loadIncome();
         loadExpenses();
         loadBudgets();
+        loadAccounts();
+        loadTransfers();
     }
     
     /**
@@ -50,16 +61,14 @@ const DataService = (function() {
      * Load income data from storage
      */
     function loadIncome() {
-        const stored = StorageUtil.getData(StorageUtil.KEYS.INCOME, []);
-        incomeData = stored.map(item => createIncomeFromData(item));
+        incomeData = Repository.getIncomes();
     }
     
     /**
      * Save income data to storage
      */
     function saveIncome() {
-        const data = incomeData.map(income => income.toJSON());
-        StorageUtil.saveData(StorageUtil.KEYS.INCOME, data);
+        Repository.saveIncomes(incomeData);
         triggerDataChanged('income');
     }
     
@@ -75,21 +84,10 @@ const DataService = (function() {
      * Get total income amount for a period
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
-     * @returns {number} Total income
+     * @returns {number} Total income in the base currency
      */
     function getTotalIncome(startDate = null, endDate = null) {
-        // If no dates provided, return total of all income
-        if (!startDate && !endDate) {
-            return incomeData.reduce((total, income) => total + income.amount, 0);
-        }
-        
-        // Filter by date range
-        return incomeData
-            .filter(income => {
-                const date = new Date(income.date);
-                return (!startDate || date >= startDate) && (!endDate || date <= endDate);
-            })
-            .reduce((total, income) => total + income.amount, 0);
+        return sumAmounts(query({ type: 'income', from: startDate, to: endDate }));
     }
     
     /**
@@ -98,12 +96,26 @@ const DataService = (function() {
      * @returns {Income} New income record
      */
     function addIncome(data) {
-        const newIncome = new Income(data);
+        const newIncome = new Income(withCurrency(data));
         incomeData.push(newIncome);
         saveIncome();
         return newIncome;
     }
     
+    /**
+     * Add several income records at once
+     * @param {Array<Object>} list - Income data
+     * @returns {Array<Income>} New income records
+     */
+    function addIncomes(list) {
+        const newIncomes = list.map(data => new Income(withCurrency(data)));
+        if (newIncomes.length === 0) return newIncomes;
+        
+        incomeData.push(...newIncomes);
+        saveIncome();
+        return newIncomes;
+    }
+    
     /**
      * Update an existing income record
      * @param {string} id - Income ID
@@ -137,23 +149,17 @@ const DataService = (function() {
      * Get income by category for a period
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
-     * @returns {Object} Income by category
+     * @returns {Object} Income by category, in the base currency
      */
     function getIncomeByCategory(startDate = null, endDate = null) {
         const result = {};
         
-        // Filter by date range if provided
-        const filtered = incomeData.filter(income => {
-            const date = new Date(income.date);
-            return (!startDate || date >= startDate) && (!endDate || date <= endDate);
-        });
-        
         // Group by category
-        filtered.forEach(income => {
+        query({ type: 'income', from: startDate, to: endDate }).forEach(income => {
             if (!result[income.category]) {
                 result[income.category] = 0;
             }
-            result[income.category] += income.amount;
+            result[income.category] += income.baseAmount;
         });
         
         return result;
@@ -167,16 +173,14 @@ const DataService = (function() {
      * Load expense data from storage
      */
     function loadExpenses() {
-        const stored = StorageUtil.getData(StorageUtil.KEYS.EXPENSES, []);
-        expenseData = stored.map(item => createExpenseFromData(item));
+        expenseData = Repository.getExpenses();
     }
     
     /**
      * Save expense data to storage
      */
     function saveExpenses() {
-        const data = expenseData.map(expense => expense.toJSON());
-        StorageUtil.saveData(StorageUtil.KEYS.EXPENSES, data);
+        Repository.saveExpenses(expenseData);
         triggerDataChanged('expense');
     }
     
@@ -192,48 +196,68 @@ const DataService = (function() {
      * Get total expenses amount for a period
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
-     * @returns {number} Total expenses
+     * @returns {number} Total expenses in the base currency
      */
     function getTotalExpenses(startDate = null, endDate = null) {
-        // If no dates provided, return total of all expenses
-        if (!startDate && !endDate) {
-            return expenseData.reduce((total, expense) => total + expense.amount, 0);
-        }
-        
-        // Filter by date range
-        return expenseData
-            .filter(expense => {
-                const date = new Date(expense.date);
-                return (!startDate || date >= startDate) && (!endDate || date <= endDate);
-            })
-            .reduce((total, expense) => total + expense.amount, 0);
+        return sumAmounts(query({ type: 'expense', from: startDate, to: endDate }));
     }
     
     /**
      * Add a new expense record
      * @param {Object} data - Expense data
-     * @returns {Expense} New expense record
+     * @returns {Expense|null} New expense record, or null if its splits do not add up
      */
     function addExpense(data) {
-        const newExpense = new Expense(data);
+        const newExpense = new Expense(withCurrency(data));
+        if (!newExpense.splitsMatchAmount()) {
+            console.error('Failed to add expense:', 'Split amounts must add up to the expense amount');
+            return null;
+        }
+        
         expenseData.push(newExpense);
         saveExpenses();
         return newExpense;
     }
     
+    /**
+     * Add several expense records at once
+     * Expenses whose splits do not add up are left out.
+     * @param {Array<Object>} list - Expense data
+     * @returns {Array<Expense>} New expense records
+     */
+    function addExpenses(list) {
+        const newExpenses = list.map(data => new Expense(withCurrency(data))).filter(expense => {
+            if (expense.splitsMatchAmount()) return true;
+            console.error('Failed to add expense:', 'Split amounts must add up to the expense amount');
+            return false;
+        });
+        if (newExpenses.length === 0) return newExpenses;
+        
+        expenseData.push(...newExpenses);
+        saveExpenses();
+        return newExpenses;
+    }
+    
     /**
      * Update an existing expense record
      * @param {string} id - Expense ID
      * @param {Object} data - Updated expense data
-     * @returns {Expense|null} Updated expense record or null
+     * @returns {Expense|null} Updated expense record, or null if missing or its splits do not add up
      */
     function updateExpense(id, data) {
         const index = expenseData.findIndex(expense => expense.id === id);
         if (index === -1) return null;
         
-        expenseData[index].update(data);
+        const updated = new Expense(expenseData[index].toJSON());
+        updated.update(data);
+        if (!updated.splitsMatchAmount()) {
+            console.error('Failed to update expense:', 'Split amounts must add up to the expense amount');
+            return null;
+        }
+        
+        expenseData[index] = updated;
         saveExpenses();
-        return expenseData[index];
+        return updated;
     }
     
     /**
@@ -251,26 +275,42 @@ const DataService = (function() {
     }
     
     /**
-     * Get expenses by category for a period
+     * Get the category allocations of an expense
+     * A split expense counts each split line towards its own category;
+     * any other expense counts in full towards its category.
+     * @param {Expense|Object} expense - Expense model or transaction entry
+     * @returns {Array<Object>} { category, amount, tags, notes } lines
+     */
+    function getExpenseAllocations(expense) {
+        if (expense.splits && expense.splits.length > 0) {
+            return expense.splits;
+        }
+        
+        return [{
+            category: expense.category,
+            amount: expense.amount,
+            tags: expense.tags || [],
+            notes: expense.notes || ''
+        }];
+    }
+    
+    /**
+     * Get expenses by category for a period, in the base currency
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
-     * @returns {Object} Expenses by category
+     * @returns {Object} Expenses by category, with split lines in their own categories
      */
     function getExpensesByCategory(startDate = null, endDate = null) {
         const result = {};
         
-        // Filter by date range if provided
-        const filtered = expenseData.filter(expense => {
-            const date = new Date(expense.date);
-            return (!startDate || date >= startDate) && (!endDate || date <= endDate);
-        });
-        
         // Group by category
-        filtered.forEach(expense => {
-            if (!result[expense.category]) {
-                result[expense.category] = 0;
-            }
-            result[expense.category] += expense.amount;
+        query({ type: 'expense', from: startDate, to: endDate }).forEach(expense => {
+            getExpenseAllocations(expense).forEach(allocation => {
+                if (!result[allocation.category]) {
+                    result[allocation.category] = 0;
+                }
+                result[allocation.category] += CurrencyService.toBase(allocation.amount, expense);
+            });
         });
         
         return result;
@@ -284,16 +324,14 @@ const DataService = (function() {
      * Load budget data from storage
      */
     function loadBudgets() {
-        const stored = StorageUtil.getData(StorageUtil.KEYS.BUDGETS, []);
-        budgetData = stored.map(item => createBudgetFromData(item));
+        budgetData = Repository.getBudgets();
     }
     
     /**
      * Save budget data to storage
      */
     function saveBudgets() {
-        const data = budgetData.map(budget => budget.toJSON());
-        StorageUtil.saveData(StorageUtil.KEYS.BUDGETS, data);
+        Repository.saveBudgets(budgetData);
         triggerDataChanged('budget');
     }
     
@@ -367,39 +405,33 @@ const DataService = (function() {
     /**
      * Get budget status for current period
      * @param {string} id - Budget ID (optional)
+     * @param {Date} date - Date in the budget period to report on (defaults to today)
      * @returns {Array|Object} Budget status for each budget or for a specific budget
      */
-    function getBudgetStatus(id = null) {
+    function getBudgetStatus(id = null, date = new Date()) {
         // If id is provided, get status for a single budget
         if (id) {
             const budget = getBudget(id);
             if (!budget) return null;
-            return calculateBudgetStatus(budget);
+            return calculateBudgetStatus(budget, date);
         }
         
         // Otherwise, get status for all budgets
-        return budgetData.map(budget => calculateBudgetStatus(budget));
+        return budgetData.map(budget => calculateBudgetStatus(budget, date));
     }
     
     /**
      * Calculate budget status for a single budget
      * @param {Budget} budget - Budget object
+     * @param {Date} date - Date in the budget period to report on
      * @returns {Object} Budget status
      */
-    function calculateBudgetStatus(budget) {
-        // Get current period start and end dates based on budget period
-        const { startDate, endDate } = getCurrentPeriodDates(budget.period);
+    function calculateBudgetStatus(budget, date = new Date()) {
+        // Get start and end dates of the period holding the date
+        const { startDate, endDate } = getCurrentPeriodDates(budget.period, date);
         
-        // Get expenses for this category and period
-        const expenses = expenseData.filter(expense => {
-            const date = new Date(expense.date);
-            return expense.category === budget.category && 
-                   date >= startDate && 
-                   date <= endDate;
-        });
-        
-        // Calculate total spent
-        const spent = expenses.reduce((total, expense) => total + expense.amount, 0);
+        // Calculate total spent in this category, including split lines
+        const spent = getExpensesByCategory(startDate, endDate)[budget.category] || 0;
         
         // Calculate remaining amount
         const remaining = Math.max(0, budget.amount - spent);
@@ -407,12 +439,13 @@ const DataService = (function() {
         // Calculate percentage spent
         const percentSpent = budget.amount > 0 ? (spent / budget.amount) * 100 : 100;
         
-        // Determine status
+        // Determine status from the budget's alert percentages
+        const alerts = budget.alerts || {};
         let status = 'good';
-        if (percentSpent >= budget.alertThreshold) {
+        if (percentSpent >= (alerts.warning ?? 80)) {
             status = 'warning';
         }
-        if (percentSpent >= budget.criticalThreshold) {
+        if (percentSpent >= (alerts.danger ?? 100)) {
             status = 'danger';
         }
         
@@ -433,37 +466,13 @@ const DataService = (function() {
     /**
      * Get current period start and end dates based on period type
      * @param {string} periodType - Period type ('monthly', 'weekly', etc.)
-     * @returns {Object} Start and end dates
-     */
-    function getCurrentPeriodDates(periodType) {
-        const now = new Date();
-        let startDate, endDate;
-        
-        switch (periodType) {
-            case 'daily':
-                startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-                endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
-                break;
-            case 'weekly':
-                const dayOfWeek = now.getDay();
-                const diff = dayOfWeek === 0 ? 6 : dayOfWeek - 1; // Start week on Monday
-                startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - diff);
-                endDate = new Date(now.getFullYear(), now.getMonth(), startDate.getDate() + 6, 23, 59, 59);
-                break;
-            case 'monthly':
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-                break;
-            case 'yearly':
-                startDate = new Date(now.getFullYear(), 0, 1);
-                endDate = new Date(now.getFullYear(), 11, 31, 23, 59, 59);
-                break;
-            default:
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-        }
+     * @param {Date|string} date - Date or YYYY-MM-DD date in the period (defaults to today)
+     * @returns {Object} Start and end dates, as local midnight of the first and last day
+     */
+    function getCurrentPeriodDates(periodType, date = new Date()) {
+        const { start, end } = CalendarDate.getPeriod(periodType, date);
         
-        return { startDate, endDate };
+        return { startDate: CalendarDate.parse(start), endDate: CalendarDate.parse(end) };
     }
     
     /**
@@ -479,36 +488,48 @@ const DataService = (function() {
         if (overspent.length > 0) {
             insights.push({
                 type: 'danger',
-                title: 'Budget Overspending',
+                title: I18n.t('insights.overspending'),
                 items: overspent.map(status => 
-                    `${status.category}: Spent ${formatCurrency(status.spent)} of ${formatCurrency(status.amount)} (${Math.round(status.percentSpent)}%)`
+                    I18n.t('insights.spentOf', {
+                        category: status.category,
+                        spent: FormatService.formatCurrency(status.spent),
+                        budget: FormatService.formatCurrency(status.amount),
+                        percentage: Math.round(status.percentSpent)
+                    })
                 )
             });
         }
         
-        // Find categories approaching budget limit
-        const approaching = budgetStatuses.filter(
-            status => status.percentSpent >= status.alertThreshold && 
-                     status.percentSpent < status.criticalThreshold
-        );
+        // Find categories approaching budget limit, by each budget's own alert percentages
+        const approaching = budgetStatuses.filter(status => status.status === 'warning');
         if (approaching.length > 0) {
             insights.push({
                 type: 'warning',
-                title: 'Approaching Budget Limit',
+                title: I18n.t('insights.approaching'),
                 items: approaching.map(status => 
-                    `${status.category}: Spent ${formatCurrency(status.spent)} of ${formatCurrency(status.amount)} (${Math.round(status.percentSpent)}%)`
+                    I18n.t('insights.spentOf', {
+                        category: status.category,
+                        spent: FormatService.formatCurrency(status.spent),
+                        budget: FormatService.formatCurrency(status.amount),
+                        percentage: Math.round(status.percentSpent)
+                    })
                 )
             });
         }
         
         // Find healthy budget categories
-        const healthy = budgetStatuses.filter(status => status.percentSpent < status.alertThreshold);
+        const healthy = budgetStatuses.filter(status => status.status === 'good');
         if (healthy.length > 0) {
             insights.push({
                 type: 'success',
-                title: 'Healthy Budget Categories',
+                title: I18n.t('insights.healthy'),
                 items: healthy.map(status => 
-                    `${status.category}: Spent ${formatCurrency(status.spent)} of ${formatCurrency(status.amount)} (${Math.round(status.percentSpent)}%)`
+                    I18n.t('insights.spentOf', {
+                        category: status.category,
+                        spent: FormatService.formatCurrency(status.spent),
+                        budget: FormatService.formatCurrency(status.amount),
+                        percentage: Math.round(status.percentSpent)
+                    })
                 )
             });
         }
@@ -516,18 +537,6 @@ const DataService = (function() {
         return insights;
     }
     
-    /**
-     * Format currency amount
-     * @param {number} amount - Amount to format
-     * @returns {string} Formatted currency string
-     */
-    function formatCurrency(amount) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount);
-    }
-    
     /**
      * Get budgeting tips based on budget status
      * @returns {Array} Array of tip objects
@@ -542,7 +551,7 @@ const DataService = (function() {
             tips.push({
                 type: 'danger',
                 icon: 'warning',
-                text: `You've overspent in ${overspent.length} ${overspent.length === 1 ? 'category' : 'categories'}. Consider adjusting your spending habits or reallocating your budget.`
+                text: I18n.t('tips.overspent', { count: overspent.length })
             });
         }
         
@@ -555,13 +564,13 @@ const DataService = (function() {
             tips.push({
                 type: 'warning',
                 icon: 'insights',
-                text: `You've spent ${Math.round(percentSpent)}% of your total budget. Try to limit additional spending for the rest of the period.`
+                text: I18n.t('tips.nearTotal', { percentage: Math.round(percentSpent) })
             });
         } else if (percentSpent < 50) {
             tips.push({
                 type: 'success',
                 icon: 'thumb_up',
-                text: `Great job! You've only spent ${Math.round(percentSpent)}% of your total budget.`
+                text: I18n.t('tips.underHalf', { percentage: Math.round(percentSpent) })
             });
         }
         
@@ -570,49 +579,648 @@ const DataService = (function() {
             tips.push({
                 type: 'warning',
                 icon: 'add_circle',
-                text: `You haven't created any budgets yet. Start by adding a budget for your main expense categories.`
+                text: I18n.t('tips.noBudgets')
             });
         }
         
         return tips;
     }
     
+    /*
+     * Account Methods
+     */
+    
+    /**
+     * Load account data from storage
+     */
+    function loadAccounts() {
+        accountData = Repository.getAccounts();
+    }
+    
+    /**
+     * Save account data to storage
+     */
+    function saveAccounts() {
+        Repository.saveAccounts(accountData);
+        triggerDataChanged('account');
+    }
+    
+    /**
+     * Get all accounts
+     * @param {boolean} includeArchived - Whether to include archived accounts
+     * @returns {Array} Account records
+     */
+    function getAllAccounts(includeArchived = true) {
+        return accountData.filter(account => includeArchived || !account.archived);
+    }
+    
+    /**
+     * Get account by id
+     * @param {string} id - Account ID
+     * @returns {Account|null} Account record or null if not found
+     */
+    function getAccount(id) {
+        return accountData.find(account => account.id === id) || null;
+    }
+    
+    /**
+     * Add a new account
+     * @param {Object} data - Account data
+     * @returns {Account} New account record
+     */
+    function addAccount(data) {
+        const newAccount = new Account(data);
+        accountData.push(newAccount);
+        saveAccounts();
+        return newAccount;
+    }
+    
+    /**
+     * Update an existing account
+     * @param {string} id - Account ID
+     * @param {Object} data - Updated account data
+     * @returns {Account|null} Updated account record or null
+     */
+    function updateAccount(id, data) {
+        const index = accountData.findIndex(account => account.id === id);
+        if (index === -1) return null;
+        
+        accountData[index].update(data);
+        saveAccounts();
+        return accountData[index];
+    }
+    
+    /**
+     * Delete an account
+     * Its incomes and expenses are kept but no longer assigned to an account;
+     * transfers to or from it are deleted since they have nowhere to go.
+     * @param {string} id - Account ID
+     * @returns {boolean} Success status
+     */
+    function deleteAccount(id) {
+        const index = accountData.findIndex(account => account.id === id);
+        if (index === -1) return false;
+        
+        accountData.splice(index, 1);
+        saveAccounts();
+        
+        if (incomeData.some(income => income.accountId === id)) {
+            incomeData.forEach(income => {
+                if (income.accountId === id) income.accountId = null;
+            });
+            saveIncome();
+        }
+        
+        if (expenseData.some(expense => expense.accountId === id)) {
+            expenseData.forEach(expense => {
+                if (expense.accountId === id) expense.accountId = null;
+            });
+            saveExpenses();
+        }
+        
+        const remainingTransfers = transferData.filter(
+            transfer => transfer.fromAccountId !== id && transfer.toAccountId !== id
+        );
+        if (remainingTransfers.length !== transferData.length) {
+            transferData = remainingTransfers;
+            saveTransfers();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get the ledger of an account: every movement with a running balance
+     * @param {string} id - Account ID
+     * @param {Date|string} asOf - Last date to include (null for all)
+     * @returns {Array<Object>} Transactions, oldest first, with signed amount and balance in the base currency
+     */
+    function getAccountLedger(id, asOf = null) {
+        const account = getAccount(id);
+        if (!account) return [];
+        
+        let balance = account.openingBalance;
+        return query({ type: 'all-with-transfers', accountIds: [id], to: asOf, sort: 'date-asc' })
+            .map(transaction => {
+                const isInflow = transaction.type === 'income' ||
+                    (transaction.type === 'transfer' && transaction.toAccountId === id);
+                const signedAmount = isInflow ? transaction.baseAmount : -transaction.baseAmount;
+                balance += signedAmount;
+                return { ...transaction, signedAmount, balance };
+            });
+    }
+    
+    /**
+     * Get the balance of an account
+     * @param {string} id - Account ID
+     * @param {Date|string} asOf - Balance at the end of this date (null for current)
+     * @returns {number} Opening balance plus incomes and transfers in, minus expenses and transfers out
+     */
+    function getAccountBalance(id, asOf = null) {
+        const account = getAccount(id);
+        if (!account) return 0;
+        
+        const ledger = getAccountLedger(id, asOf);
+        return ledger.length > 0 ? ledger[ledger.length - 1].balance : account.openingBalance;
+    }
+    
+    /**
+     * Get balances for all accounts
+     * @param {Date|string} asOf - Balance at the end of this date (null for current)
+     * @returns {Array<Object>} { account, balance } entries
+     */
+    function getAccountBalances(asOf = null) {
+        return getAllAccounts().map(account => ({
+            account,
+            balance: getAccountBalance(account.id, asOf)
+        }));
+    }
+    
+    /*
+     * Transfer Methods
+     */
+    
+    /**
+     * Load transfer data from storage
+     */
+    function loadTransfers() {
+        transferData = Repository.getTransfers();
+    }
+    
+    /**
+     * Save transfer data to storage
+     */
+    function saveTransfers() {
+        Repository.saveTransfers(transferData);
+        triggerDataChanged('transfer');
+    }
+    
+    /**
+     * Get all transfers
+     * @returns {Array} Transfer records
+     */
+    function getAllTransfers() {
+        return [...transferData];
+    }
+    
+    /**
+     * Check that a transfer moves a positive amount between two existing accounts
+     * @param {Transfer} transfer - Transfer to check
+     * @returns {string|null} Problem description, or null if valid
+     */
+    function validateTransfer(transfer) {
+        if (!getAccount(transfer.fromAccountId) || !getAccount(transfer.toAccountId)) {
+            return 'Both accounts must exist';
+        }
+        if (transfer.fromAccountId === transfer.toAccountId) {
+            return 'Cannot transfer to the same account';
+        }
+        if (!(transfer.amount > 0)) {
+            return 'Transfer amount must be greater than zero';
+        }
+        return null;
+    }
+    
+    /**
+     * Add a new transfer between accounts
+     * @param {Object} data - Transfer data
+     * @returns {Transfer|null} New transfer record, or null if invalid
+     */
+    function addTransfer(data) {
+        const newTransfer = new Transfer(data);
+        const problem = validateTransfer(newTransfer);
+        if (problem) {
+            console.error('Failed to add transfer:', problem);
+            return null;
+        }
+        
+        transferData.push(newTransfer);
+        saveTransfers();
+        return newTransfer;
+    }
+    
+    /**
+     * Update an existing transfer
+     * @param {string} id - Transfer ID
+     * @param {Object} data - Updated transfer data
+     * @returns {Transfer|null} Updated transfer record, or null if missing or invalid
+     */
+    function updateTransfer(id, data) {
+        const index = transferData.findIndex(transfer => transfer.id === id);
+        if (index === -1) return null;
+        
+        const updated = new Transfer(transferData[index].toJSON());
+        updated.update(data);
+        const problem = validateTransfer(updated);
+        if (problem) {
+            console.error('Failed to update transfer:', problem);
+            return null;
+        }
+        
+        transferData[index] = updated;
+        saveTransfers();
+        return updated;
+    }
+    
+    /**
+     * Delete a transfer
+     * @param {string} id - Transfer ID
+     * @returns {boolean} Success status
+     */
+    function deleteTransfer(id) {
+        const index = transferData.findIndex(transfer => transfer.id === id);
+        if (index === -1) return false;
+        
+        transferData.splice(index, 1);
+        saveTransfers();
+        return true;
+    }
+    
+    /*
+     * Query Methods
+     */
+    
+    // Sort orders accepted by query()
+    const SORT_ORDERS = {
+        'date-desc': (a, b) => b.date.localeCompare(a.date),
+        'date-asc': (a, b) => a.date.localeCompare(b.date),
+        'amount-desc': (a, b) => b.baseAmount - a.baseAmount,
+        'amount-asc': (a, b) => a.baseAmount - b.baseAmount,
+        'title-asc': (a, b) => a.title.localeCompare(b.title)
+    };
+    
+    /**
+     * Sum the base currency amounts of a list of transactions
+     * @param {Array} records - Transaction entries with a baseAmount
+     * @returns {number} Total amount in the base currency
+     */
+    function sumAmounts(records) {
+        return records.reduce((total, record) => total + record.baseAmount, 0);
+    }
+    
+    /**
+     * Give new income or expense data the base currency unless it has one
+     * @param {Object} data - Income or expense data
+     * @returns {Object} Data with a currency
+     */
+    function withCurrency(data) {
+        return { ...data, currency: data.currency || CurrencyService.getBaseCurrency() };
+    }
+    
+    /**
+     * Convert a model to a transaction entry tagged with its type
+     * The entry's baseAmount is its amount in the base currency, converted
+     * at the rate on its date.
+     * @param {Income|Expense|Transfer} record - Income, expense or transfer model
+     * @param {string} type - 'income', 'expense' or 'transfer'
+     * @returns {Object} Transaction entry
+     */
+    function toTransaction(record, type) {
+        const transaction = { ...record.toJSON(), type };
+        
+        // Transfers have no category of their own, and move money in the base currency
+        if (type === 'transfer') {
+            transaction.category = 'Transfer';
+            transaction.baseAmount = transaction.amount;
+        } else {
+            transaction.currency = CurrencyService.getCurrency(transaction);
+            transaction.baseAmount = CurrencyService.toBase(transaction.amount, transaction);
+        }
+        
+        return transaction;
+    }
+    
+    /**
+     * Re-express amounts held in the base currency after the base currency changes
+     * Budgets, opening balances, transfers and transactions without a currency
+     * of their own keep their value as a number; only the minor-unit digits
+     * change, e.g. a budget of $500.00 becomes ¥500.
+     * @param {string} from - Previous base currency
+     * @param {string} to - New base currency
+     */
+    function rescaleBaseAmounts(from, to) {
+        if (Money.getMinorDigits(from) === Money.getMinorDigits(to)) return;
+        
+        const rescale = (amount) => Money.rescale(amount, from, to);
+        const rescaleSplits = (splits) => splits.map(split => ({ ...split, amount: rescale(split.amount) }));
+        
+        [...incomeData, ...expenseData]
+            .filter(record => !record.currency)
+            .forEach(record => {
+                record.amount = rescale(record.amount);
+                if (record.splits) {
+                    record.splits = rescaleSplits(record.splits);
+                }
+                Object.values(record.recurrenceExceptions).forEach(exception => {
+                    if (!exception.changes) return;
+                    if (exception.changes.amount !== undefined) {
+                        exception.changes.amount = rescale(exception.changes.amount);
+                    }
+                    if (exception.changes.splits) {
+                        exception.changes.splits = rescaleSplits(exception.changes.splits);
+                    }
+                });
+            });
+        budgetData.forEach(budget => {
+            budget.amount = rescale(budget.amount);
+        });
+        accountData.forEach(account => {
+            account.openingBalance = rescale(account.openingBalance);
+        });
+        transferData.forEach(transfer => {
+            transfer.amount = rescale(transfer.amount);
+        });
+        
+        saveIncome();
+        saveExpenses();
+        saveBudgets();
+        saveAccounts();
+        saveTransfers();
+    }
+    
+    /**
+     * Find incomes and expenses in currencies no exchange rate converts
+     * into the base currency; their totals count them unconverted
+     * @returns {Array<Object>} { currency, count } entries
+     */
+    function getMissingRates() {
+        const counts = {};
+        [...incomeData, ...expenseData]
+            .filter(record => !CurrencyService.canConvert(record))
+            .forEach(record => {
+                const currency = CurrencyService.getCurrency(record);
+                counts[currency] = (counts[currency] || 0) + 1;
+            });
+        
+        return Object.entries(counts).map(([currency, count]) => ({ currency, count }));
+    }
+    
+    /**
+     * Lower-case a list of filter values for case-insensitive matching
+     * @param {Array|string} values - Filter values
+     * @returns {Array<string>} Normalized values
+     */
+    function normalizeFilter(values) {
+        const list = Array.isArray(values) ? values : [values];
+        return list.filter(Boolean).map(value => String(value).toLowerCase());
+    }
+    
+    /**
+     * Query incomes, expenses and transfers
+     * Transfers only move money between accounts, so 'all' leaves them out;
+     * ask for 'transfer' or 'all-with-transfers' to include them.
+     * @param {Object} criteria - Query criteria
+     * @param {string} criteria.type - 'income', 'expense', 'transfer', 'all' or 'all-with-transfers'
+     * @param {Date|string} criteria.from - Earliest date (inclusive)
+     * @param {Date|string} criteria.to - Latest date (inclusive)
+     * @param {Array<string>} criteria.categories - Match any of these categories
+     * @param {Array<string>} criteria.tags - Match any of these tags
+     * @param {Array<string>} criteria.paymentMethods - Match any of these payment methods
+     * @param {Array<string>} criteria.accountIds - Match transactions moving money in or out of these accounts
+     * @param {string} criteria.text - Search title, notes, category, source and tags
+     * @param {number} criteria.minAmount - Smallest amount in minor units of the base currency (inclusive)
+     * @param {number} criteria.maxAmount - Largest amount in minor units of the base currency (inclusive)
+     * @param {string} criteria.sort - One of the SORT_ORDERS keys
+     * @returns {Array<Object>} Matching transactions, each with its baseAmount
+     */
+    function query(criteria = {}) {
+        const {
+            type = 'all',
+            from = null,
+            to = null,
+            categories = [],
+            tags = [],
+            paymentMethods = [],
+            accountIds = [],
+            text = '',
+            minAmount = null,
+            maxAmount = null,
+            sort = 'date-desc'
+        } = criteria;
+        
+        const fromKey = CalendarDate.toKey(from);
+        const toKey = CalendarDate.toKey(to);
+        const categoryFilter = normalizeFilter(categories);
+        const tagFilter = normalizeFilter(tags);
+        const paymentFilter = normalizeFilter(paymentMethods);
+        const accountFilter = (Array.isArray(accountIds) ? accountIds : [accountIds]).filter(Boolean);
+        const searchTerm = text.trim().toLowerCase();
+        
+        const includeAll = type === 'all' || type === 'all-with-transfers';
+        
+        let transactions = [];
+        if (includeAll || type === 'income') {
+            transactions = transactions.concat(incomeData.map(income => toTransaction(income, 'income')));
+        }
+        if (includeAll || type === 'expense') {
+            transactions = transactions.concat(expenseData.map(expense => toTransaction(expense, 'expense')));
+        }
+        if (type === 'all-with-transfers' || type === 'transfer') {
+            transactions = transactions.concat(transferData.map(transfer => toTransaction(transfer, 'transfer')));
+        }
+        
+        const results = transactions.filter(transaction => {
+            if (fromKey && transaction.date < fromKey) return false;
+            if (toKey && transaction.date > toKey) return false;
+            if (minAmount !== null && transaction.baseAmount < minAmount) return false;
+            if (maxAmount !== null && transaction.baseAmount > maxAmount) return false;
+            
+            // Split lines make an expense match each of their categories and tags
+            const splits = transaction.splits || [];
+            const transactionCategories = [transaction.category, ...splits.map(split => split.category)]
+                .map(category => category.toLowerCase());
+            if (categoryFilter.length > 0 && !categoryFilter.some(category => transactionCategories.includes(category))) {
+                return false;
+            }
+            
+            const transactionTags = [...(transaction.tags || []), ...splits.flatMap(split => split.tags)]
+                .map(tag => tag.toLowerCase());
+            if (tagFilter.length > 0 && !tagFilter.some(tag => transactionTags.includes(tag))) {
+                return false;
+            }
+            
+            if (accountFilter.length > 0 &&
+                ![transaction.accountId, transaction.fromAccountId, transaction.toAccountId]
+                    .some(accountId => accountId && accountFilter.includes(accountId))) {
+                return false;
+            }
+            
+            // Incomes have no payment method, so they never match this filter
+            if (paymentFilter.length > 0 &&
+                !(transaction.paymentMethod && paymentFilter.includes(transaction.paymentMethod.toLowerCase()))) {
+                return false;
+            }
+            
+            if (searchTerm) {
+                const haystack = [
+                    transaction.title,
+                    transaction.notes,
+                    transaction.category,
+                    transaction.source,
+                    ...transactionCategories,
+                    ...splits.map(split => split.notes),
+                    ...transactionTags
+                ].filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(searchTerm)) return false;
+            }
+            
+            return true;
+        });
+        
+        return results.sort(SORT_ORDERS[sort] || SORT_ORDERS['date-desc']);
+    }
+    
+    /**
+     * Get a page of the merged, chronological transaction feed
+     * @param {Object} options - Query criteria plus paging options
+     * @param {number} options.page - Page number, starting at 1
+     * @param {number} options.pageSize - Transactions per page
+     * @returns {Object} Page of transactions with paging details
+     */
+    function getTransactionFeed(options = {}) {
+        const { page = 1, pageSize = 20, ...criteria } = options;
+        const transactions = query({ sort: 'date-desc', ...criteria });
+        const totalPages = Math.max(1, Math.ceil(transactions.length / pageSize));
+        const currentPage = Math.min(Math.max(1, page), totalPages);
+        const start = (currentPage - 1) * pageSize;
+        
+        return {
+            items: transactions.slice(start, start + pageSize),
+            page: currentPage,
+            pageSize,
+            total: transactions.length,
+            totalPages,
+            hasMore: currentPage < totalPages
+        };
+    }
+    
+    /**
+     * Get the most recent transactions
+     * @param {number} limit - Number of transactions
+     * @returns {Array<Object>} Latest incomes and expenses, newest first
+     */
+    function getRecentTransactions(limit = 5) {
+        return getTransactionFeed({ pageSize: limit }).items;
+    }
+    
+    /**
+     * Rank category totals by amount
+     * @param {Object} totals - Amounts by category
+     * @param {number} grandTotal - Total used for percentages
+     * @param {number} limit - Maximum number of categories
+     * @returns {Array<Object>} { category, amount, percentage } entries
+     */
+    function rankCategories(totals, grandTotal, limit) {
+        return Object.entries(totals)
+            .map(([category, amount]) => ({
+                category,
+                amount,
+                percentage: grandTotal > 0 ? (amount / grandTotal) * 100 : 0
+            }))
+            .sort((a, b) => b.amount - a.amount)
+            .slice(0, limit);
+    }
+    
+    /**
+     * Get a financial summary for a period
+     * @param {Date|string} startDate - Start date (null for no lower bound)
+     * @param {Date|string} endDate - End date (null for no upper bound)
+     * @param {number} topCount - Number of top categories to include
+     * @returns {Object} Income, expenses, net, savings rate and top categories
+     */
+    function getFinancialSummary(startDate = null, endDate = null, topCount = 5) {
+        const incomes = query({ type: 'income', from: startDate, to: endDate });
+        const expenses = query({ type: 'expense', from: startDate, to: endDate });
+        
+        const totalIncome = sumAmounts(incomes);
+        const totalExpenses = sumAmounts(expenses);
+        const net = totalIncome - totalExpenses;
+        
+        return {
+            startDate,
+            endDate,
+            totalIncome,
+            totalExpenses,
+            net,
+            savingsRate: totalIncome > 0 ? (net / totalIncome) * 100 : 0,
+            incomeCount: incomes.length,
+            expenseCount: expenses.length,
+            topIncomeCategories: rankCategories(getIncomeByCategory(startDate, endDate), totalIncome, topCount),
+            topExpenseCategories: rankCategories(getExpensesByCategory(startDate, endDate), totalExpenses, topCount)
+        };
+    }
+    
+    /**
+     * Get expense breakdown by category for a period
+     * @param {Date|string} startDate - Start date
+     * @param {Date|string} endDate - End date
+     * @returns {Object} { name, amount, percentage } by category
+     */
+    function getExpenseBreakdown(startDate = null, endDate = null) {
+        const totals = getExpensesByCategory(startDate, endDate);
+        const grandTotal = Object.values(totals).reduce((sum, amount) => sum + amount, 0);
+        const breakdown = {};
+        
+        rankCategories(totals, grandTotal, Infinity).forEach(entry => {
+            breakdown[entry.category] = {
+                name: entry.category,
+                amount: entry.amount,
+                percentage: entry.percentage
+            };
+        });
+        
+        return breakdown;
+    }
+    
     /**
      * Export user data to JSON
-     * @returns {Object} All user data
+     * @returns {Object} All user data, stamped with the schema version
      */
     function exportData() {
         return {
-            income: incomeData.map(income => income.toJSON()),
-            expenses: expenseData.map(expense => expense.toJSON()),
-            budgets: budgetData.map(budget => budget.toJSON())
+            schemaVersion: Migrations.getCurrentVersion(),
+            INCOME: incomeData.map(income => income.toJSON()),
+            EXPENSES: expenseData.map(expense => expense.toJSON()),
+            BUDGETS: budgetData.map(budget => budget.toJSON()),
+            ACCOUNTS: accountData.map(account => account.toJSON()),
+            TRANSFERS: transferData.map(transfer => transfer.toJSON())
         };
     }
     
     /**
      * Import user data from JSON
+     * Older exports are upgraded to the current schema before importing.
      * @param {Object} data - User data
      * @returns {boolean} Success status
      */
     function importData(data) {
         try {
+            const { data: migrated } = Migrations.run(data);
+            
             // Validate data structure
-            if (!data.income || !data.expenses || !data.budgets) {
+            if (!Array.isArray(migrated.INCOME) || !Array.isArray(migrated.EXPENSES) || !Array.isArray(migrated.BUDGETS)) {
                 return false;
             }
             
             // Import income data
-            incomeData = data.income.map(item => createIncomeFromData(item));
+            incomeData = migrated.INCOME.map(item => createIncomeFromData(item));
             saveIncome();
             
             // Import expense data
-            expenseData = data.expenses.map(item => createExpenseFromData(item));
+            expenseData = migrated.EXPENSES.map(item => createExpenseFromData(item));
             saveExpenses();
             
             // Import budget data
-            budgetData = data.budgets.map(item => createBudgetFromData(item));
+            budgetData = migrated.BUDGETS.map(item => createBudgetFromData(item));
             saveBudgets();
             
+            // Exports made before accounts existed have none
+            accountData = (migrated.ACCOUNTS || []).map(item => new Account(item));
+            saveAccounts();
+            
+            transferData = (migrated.TRANSFERS || []).map(item => new Transfer(item));
+            saveTransfers();
+            
             return true;
         } catch (error) {
             console.error('Error importing data:', error);
@@ -656,6 +1264,7 @@ const DataService = (function() {
         getAllIncome,
         getTotalIncome,
         addIncome,
+        addIncomes,
         updateIncome,
         deleteIncome,
         getIncomeByCategory,
@@ -664,9 +1273,11 @@ const DataService = (function() {
         getAllExpenses,
         getTotalExpenses,
         addExpense,
+        addExpenses,
         updateExpense,
         deleteExpense,
         getExpensesByCategory,
+        getExpenseAllocations,
         
         // Budget methods
         getAllBudgets,
@@ -679,6 +1290,31 @@ const DataService = (function() {
         getBudgetInsights,
         getBudgetTips,
         
+        // Account methods
+        getAllAccounts,
+        getAccount,
+        addAccount,
+        updateAccount,
+        deleteAccount,
+        getAccountBalance,
+        getAccountBalances,
+        getAccountLedger,
+        
+        // Transfer methods
+        getAllTransfers,
+        addTransfer,
+        updateTransfer,
+        deleteTransfer,
+        
+        // Query methods
+        query,
+        getTransactionFeed,
+        getRecentTransactions,
+        getFinancialSummary,
+        getExpenseBreakdown,
+        getMissingRates,
+        rescaleBaseAmounts,
+        
         // Data import/export
         exportData,
         importData
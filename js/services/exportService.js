@@ -0,0 +1,481 @@
+/**
+ * CashBoard Export Service
+ * Writes CashBoard data in formats other finance apps can read
+ */
+
+const ExportService = (function() {
+    // QIF section types for account types
+    const QIF_SECTION_TYPES = {
+        checking: 'Bank',
+        savings: 'Bank',
+        cash: 'Cash',
+        credit_card: 'CCard',
+        wallet: 'Cash'
+    };
+
+    // Columns of transaction exports, by transaction type
+    const TRANSACTION_COLUMNS = {
+        income: [
+            { header: 'Date', field: 'date', type: 'date', width: 12 },
+            { header: 'Category', field: 'category', type: 'string', width: 18 },
+            { header: 'Description', field: 'title', type: 'string', width: 32 },
+            { header: 'Amount', field: 'amount', type: 'amount', width: 14 },
+            { header: 'Currency', field: 'currency', type: 'string', width: 10 },
+            { header: 'Account', field: 'account', type: 'string', width: 18 },
+            { header: 'Tags', field: 'tags', type: 'string', width: 18 },
+            { header: 'Notes', field: 'notes', type: 'string', width: 32 }
+        ],
+        expense: [
+            { header: 'Date', field: 'date', type: 'date', width: 12 },
+            { header: 'Category', field: 'category', type: 'string', width: 18 },
+            { header: 'Description', field: 'title', type: 'string', width: 32 },
+            { header: 'Amount', field: 'amount', type: 'amount', width: 14 },
+            { header: 'Currency', field: 'currency', type: 'string', width: 10 },
+            { header: 'Payment Method', field: 'paymentMethod', type: 'string', width: 16 },
+            { header: 'Account', field: 'account', type: 'string', width: 18 },
+            { header: 'Tags', field: 'tags', type: 'string', width: 18 },
+            { header: 'Notes', field: 'notes', type: 'string', width: 32 }
+        ]
+    };
+
+    // Sheet and file names of transaction exports, by transaction type
+    const TYPE_NAMES = {
+        income: 'Income',
+        expense: 'Expenses'
+    };
+
+    // File extensions of journal exports, by dialect
+    const JOURNAL_EXTENSIONS = {
+        ledger: 'ledger',
+        hledger: 'journal',
+        beancount: 'beancount'
+    };
+
+    /**
+     * Get today's date for file names
+     * @returns {string} Date as YYYY-MM-DD
+     */
+    function getFileDate() {
+        return CalendarDate.today();
+    }
+
+    /*
+     * QIF Export
+     */
+
+    /**
+     * Build the QIF sections for all data
+     * Records without an account come first in a section of their own;
+     * every account gets its own section. A transfer appears in both of its
+     * accounts, with the other account in brackets as its category.
+     * @returns {Array<Object>} Sections for QifFormat.stringify
+     */
+    function getQifSections() {
+        const accounts = DataService.getAllAccounts();
+        const sectionsByAccount = { '': { type: 'Bank', accountName: '', records: [] } };
+        accounts.forEach(account => {
+            sectionsByAccount[account.id] = {
+                type: QIF_SECTION_TYPES[account.type] || 'Bank',
+                accountName: account.name,
+                records: []
+            };
+        });
+
+        const add = (accountId, record) => {
+            const section = sectionsByAccount[accountId || ''] || sectionsByAccount[''];
+            section.records.push(record);
+        };
+        const accountName = (id) => {
+            const account = accounts.find(item => item.id === id);
+            return account ? account.name : '';
+        };
+        const baseCurrency = CurrencyService.getBaseCurrency();
+
+        DataService.getAllIncome().forEach(income => {
+            add(income.accountId, {
+                date: income.date,
+                amount: income.amount,
+                currency: income.currency || baseCurrency,
+                payee: income.title,
+                memo: income.notes,
+                category: income.category
+            });
+        });
+
+        DataService.getAllExpenses().forEach(expense => {
+            const hasSplits = expense.hasSplits();
+            add(expense.accountId, {
+                date: expense.date,
+                amount: -expense.amount,
+                currency: expense.currency || baseCurrency,
+                payee: expense.title,
+                memo: expense.notes,
+                category: hasSplits ? '' : expense.category,
+                splits: hasSplits ? expense.splits.map(split => ({
+                    category: split.category,
+                    memo: split.notes,
+                    amount: -split.amount
+                })) : []
+            });
+        });
+
+        DataService.getAllTransfers().forEach(transfer => {
+            add(transfer.fromAccountId, {
+                date: transfer.date,
+                amount: -transfer.amount,
+                currency: baseCurrency,
+                payee: transfer.title,
+                memo: transfer.notes,
+                category: `[${accountName(transfer.toAccountId)}]`
+            });
+            add(transfer.toAccountId, {
+                date: transfer.date,
+                amount: transfer.amount,
+                currency: baseCurrency,
+                payee: transfer.title,
+                memo: transfer.notes,
+                category: `[${accountName(transfer.fromAccountId)}]`
+            });
+        });
+
+        return Object.values(sectionsByAccount)
+            .filter(section => section.records.length > 0)
+            .map(section => ({
+                ...section,
+                records: section.records.sort((a, b) => a.date.localeCompare(b.date))
+            }));
+    }
+
+    /**
+     * Export all transactions as QIF text
+     * @returns {string} QIF file contents
+     */
+    function toQif() {
+        return QifFormat.stringify(getQifSections());
+    }
+
+    /**
+     * Export all transactions as a QIF file download
+     * @returns {boolean} Success status
+     */
+    function exportQifToFile() {
+        try {
+            Repository.downloadFile(toQif(), `cashboard_${getFileDate()}.qif`, 'application/qif');
+            return true;
+        } catch (error) {
+            console.error('Failed to export QIF:', error);
+            return false;
+        }
+    }
+
+    /*
+     * CSV and Excel Export
+     */
+
+    /**
+     * Get the transactions a filtered table shows
+     * @param {Object} criteria - DataService.query criteria with type 'income' or 'expense'
+     * @returns {Array<Object>} Transactions, oldest first
+     */
+    function getFilteredTransactions(criteria) {
+        return DataService.query({ ...criteria, sort: 'date-asc' });
+    }
+
+    /**
+     * Turn transactions into table rows
+     * Split expenses list every split category, e.g. "Food, Household".
+     * @param {Array<Object>} transactions - Transactions of one type
+     * @param {string} type - 'income' or 'expense'
+     * @param {Function} formatAmount - Called with minor units and currency (defaults to Money.toMajor)
+     * @returns {Array<Array>} Row values in TRANSACTION_COLUMNS order
+     */
+    function getTransactionRows(transactions, type, formatAmount = Money.toMajor) {
+        const baseCurrency = CurrencyService.getBaseCurrency();
+        const accountNames = {};
+        DataService.getAllAccounts().forEach(account => {
+            accountNames[account.id] = account.name;
+        });
+
+        return transactions.map(transaction => {
+            const splits = transaction.splits || [];
+            const values = {
+                ...transaction,
+                amount: formatAmount(transaction.amount, transaction.currency || baseCurrency),
+                category: splits.length > 0 ? splits.map(split => split.category).join(', ') : transaction.category,
+                account: accountNames[transaction.accountId] || '',
+                tags: (transaction.tags || []).join(', ')
+            };
+            return TRANSACTION_COLUMNS[type].map(column => values[column.field]);
+        });
+    }
+
+    /**
+     * Quote a CSV cell when it needs it
+     * Text starting with =, +, -, @ or a tab would run as a spreadsheet
+     * formula, so it gets a leading apostrophe; plain numbers such as
+     * negative amounts are left alone.
+     * @param {*} value - Cell value
+     * @returns {string} CSV cell
+     */
+    function toCsvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Export the transactions of a filtered table as CSV text
+     * @param {Object} criteria - DataService.query criteria with type 'income' or 'expense'
+     * @returns {string} CSV file contents
+     */
+    function toCsv(criteria) {
+        const columns = TRANSACTION_COLUMNS[criteria.type];
+        const rows = getTransactionRows(getFilteredTransactions(criteria), criteria.type, Money.toDecimalString);
+
+        return [columns.map(column => column.header)]
+            .concat(rows)
+            .map(values => values.map(toCsvCell).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Export the transactions of a filtered table as a CSV file download
+     * A byte order mark makes Excel read the file as UTF-8.
+     * @param {Object} criteria - DataService.query criteria with type 'income' or 'expense'
+     * @returns {boolean} Success status
+     */
+    function exportCsvToFile(criteria) {
+        try {
+            const name = TYPE_NAMES[criteria.type].toLowerCase();
+            Repository.downloadFile('\uFEFF' + toCsv(criteria), `cashboard_${name}_${getFileDate()}.csv`, 'text/csv;charset=utf-8');
+            return true;
+        } catch (error) {
+            console.error('Failed to export CSV:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Build the summary sheet: totals per category of the exported transactions,
+     * in the base currency
+     * Split expenses count towards each of their split categories.
+     * @param {Array<Object>} incomes - Exported income transactions
+     * @param {Array<Object>} expenses - Exported expense transactions
+     * @returns {Object} Sheet for XlsxWriter.build
+     */
+    function getSummarySheet(incomes, expenses) {
+        const major = (amount) => Money.toMajor(amount, CurrencyService.getBaseCurrency());
+        const totalsByCategory = (allocations) => {
+            const totals = {};
+            allocations.forEach(({ category, amount }) => {
+                totals[category] = totals[category] || { count: 0, amount: 0 };
+                totals[category].count++;
+                totals[category].amount += amount;
+            });
+            return Object.keys(totals).sort().map(category => [category, totals[category].count, major(totals[category].amount)]);
+        };
+        const sum = (transactions) => transactions.reduce((total, t) => total + t.baseAmount, 0);
+        const incomeAllocations = incomes.map(income => ({ category: income.category, amount: income.baseAmount }));
+        const expenseAllocations = expenses.flatMap(expense => DataService.getExpenseAllocations(expense).map(allocation => ({
+            category: allocation.category,
+            amount: CurrencyService.toBase(allocation.amount, expense)
+        })));
+
+        const incomeTotal = sum(incomes);
+        const expenseTotal = sum(expenses);
+        const rows = [
+            ...totalsByCategory(incomeAllocations).map(row => ['Income', ...row]),
+            ['Income', 'Total', incomes.length, major(incomeTotal)],
+            ...totalsByCategory(expenseAllocations).map(row => ['Expenses', ...row]),
+            ['Expenses', 'Total', expenses.length, major(expenseTotal)],
+            ['Net', '', null, major(incomeTotal - expenseTotal)]
+        ];
+
+        return {
+            name: 'Summary',
+            columns: [
+                { header: 'Type', type: 'string', width: 12 },
+                { header: 'Category', type: 'string', width: 20 },
+                { header: 'Transactions', type: 'number', width: 14 },
+                { header: 'Total', type: 'amount', width: 14 }
+            ],
+            rows
+        };
+    }
+
+    /**
+     * Export the filtered income and expense tables as an Excel workbook
+     * @param {Object} criteria - { income, expense } DataService.query criteria for each table
+     * @returns {Uint8Array} .xlsx file bytes
+     */
+    function toXlsx(criteria = {}) {
+        const incomes = getFilteredTransactions({ ...criteria.income, type: 'income' });
+        const expenses = getFilteredTransactions({ ...criteria.expense, type: 'expense' });
+        const transactionSheet = (transactions, type) => ({
+            name: TYPE_NAMES[type],
+            columns: TRANSACTION_COLUMNS[type],
+            rows: getTransactionRows(transactions, type)
+        });
+
+        return XlsxWriter.build([
+            transactionSheet(incomes, 'income'),
+            transactionSheet(expenses, 'expense'),
+            getSummarySheet(incomes, expenses)
+        ]);
+    }
+
+    /**
+     * Export the filtered income and expense tables as an Excel file download
+     * @param {Object} criteria - { income, expense } DataService.query criteria for each table
+     * @returns {boolean} Success status
+     */
+    function exportXlsxToFile(criteria) {
+        try {
+            const blob = new Blob([toXlsx(criteria)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+            Repository.downloadFile(blob, `cashboard_${getFileDate()}.xlsx`);
+            return true;
+        } catch (error) {
+            console.error('Failed to export Excel workbook:', error);
+            return false;
+        }
+    }
+
+    /*
+     * Plain-Text Accounting Export
+     */
+
+    /**
+     * Build a journal of all data for LedgerFormat.stringify
+     * Accounts become Assets: accounts (Liabilities: for credit cards) and
+     * categories Income: and Expenses: accounts. Every category in
+     * INCOME_CATEGORIES and EXPENSE_CATEGORIES is declared, used or not.
+     * Notes and payment methods are kept as metadata, and incomes and expenses
+     * keep their own currency.
+     * @param {string} dialect - 'ledger', 'hledger' or 'beancount'
+     * @returns {Object} Journal
+     */
+    function getJournal(dialect) {
+        const commodity = Repository.getSettings().currency;
+        const part = (name) => LedgerFormat.toAccountPart(name, dialect);
+        const assetNames = {};
+        DataService.getAllAccounts().forEach(account => {
+            assetNames[account.id] = `${account.type === 'credit_card' ? 'Liabilities' : 'Assets'}:${part(account.name)}`;
+        });
+
+        const assetName = (id) => assetNames[id] || LedgerFormat.UNASSIGNED_ACCOUNT;
+        const posting = (account, amount, currency = commodity) => ({ account, amount, commodity: currency });
+        const transactions = [];
+
+        DataService.getAllAccounts().forEach(account => {
+            if (!account.openingBalance) return;
+            transactions.push({
+                date: account.openingDate,
+                payee: 'Opening balance',
+                postings: [
+                    posting(assetName(account.id), account.openingBalance),
+                    posting(LedgerFormat.OPENING_BALANCE_ACCOUNT, -account.openingBalance)
+                ]
+            });
+        });
+
+        DataService.getAllIncome().forEach(income => {
+            transactions.push({
+                date: income.date,
+                payee: income.title,
+                tags: income.tags,
+                metadata: { notes: income.notes },
+                postings: [
+                    posting(assetName(income.accountId), income.amount, income.currency || commodity),
+                    posting(`Income:${part(income.category)}`, -income.amount, income.currency || commodity)
+                ]
+            });
+        });
+
+        DataService.getAllExpenses().forEach(expense => {
+            transactions.push({
+                date: expense.date,
+                payee: expense.title,
+                tags: expense.tags,
+                metadata: { notes: expense.notes, payment: expense.paymentMethod },
+                postings: [
+                    ...DataService.getExpenseAllocations(expense).map(allocation =>
+                        posting(`Expenses:${part(allocation.category)}`, allocation.amount, expense.currency || commodity)
+                    ),
+                    posting(assetName(expense.accountId), -expense.amount, expense.currency || commodity)
+                ]
+            });
+        });
+
+        DataService.getAllTransfers().forEach(transfer => {
+            transactions.push({
+                date: transfer.date,
+                payee: transfer.title,
+                metadata: { notes: transfer.notes },
+                postings: [
+                    posting(assetName(transfer.toAccountId), transfer.amount),
+                    posting(assetName(transfer.fromAccountId), -transfer.amount)
+                ]
+            });
+        });
+
+        // beancount needs every account opened before its first use
+        const firstDate = transactions.reduce((earliest, transaction) =>
+            transaction.date < earliest ? transaction.date : earliest, getFileDate());
+        const used = new Set(transactions.flatMap(transaction => transaction.postings.map(item => item.account)));
+        const names = new Set([
+            ...Object.values(assetNames),
+            ...INCOME_CATEGORIES.map(category => `Income:${part(category)}`),
+            ...EXPENSE_CATEGORIES.map(category => `Expenses:${part(category)}`),
+            ...used
+        ]);
+
+        return {
+            commodity,
+            accounts: [...names].sort().map(name => ({ name, date: firstDate })),
+            transactions
+        };
+    }
+
+    /**
+     * Export all data as a plain-text accounting journal
+     * @param {string} dialect - 'ledger', 'hledger' or 'beancount'
+     * @returns {string} Journal text
+     */
+    function toJournal(dialect) {
+        return LedgerFormat.stringify(getJournal(dialect), dialect);
+    }
+
+    /**
+     * Export all data as a journal file download
+     * @param {string} dialect - 'ledger', 'hledger' or 'beancount'
+     * @returns {boolean} Success status
+     */
+    function exportJournalToFile(dialect) {
+        try {
+            Repository.downloadFile(toJournal(dialect), `cashboard_${getFileDate()}.${JOURNAL_EXTENSIONS[dialect]}`, 'text/plain');
+            return true;
+        } catch (error) {
+            console.error('Failed to export journal:', error);
+            return false;
+        }
+    }
+
+    // Public API
+    return {
+        // QIF
+        toQif,
+        exportQifToFile,
+
+        // CSV and Excel
+        toCsv,
+        exportCsvToFile,
+        toXlsx,
+        exportXlsxToFile,
+
+        // ledger, hledger and beancount
+        toJournal,
+        exportJournalToFile
+    };
+})();
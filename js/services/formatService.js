@@ -0,0 +1,166 @@
+/**
+ * CashBoard Format Service
+ * Formats amounts, numbers and dates for display with Intl, following the
+ * stored currency, language and dateFormat settings. Currency amounts use
+ * each currency's own minor units, so yen are shown without decimals.
+ */
+
+const FormatService = (function() {
+    // Date patterns offered in settings; DD, MM and YYYY are replaced by the date's parts
+    const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD.MM.YYYY'];
+
+    // Locale used when the language setting is not a valid language tag
+    const FALLBACK_LOCALE = 'en';
+
+    // Intl formatters by locale and options, since creating them is slow
+    const formatters = {};
+
+    /**
+     * Get the locale formatting follows
+     * @returns {string} BCP 47 language tag from the language setting
+     */
+    function getLocale() {
+        const language = Repository.getSettings().language;
+        try {
+            return Intl.getCanonicalLocales(language || FALLBACK_LOCALE)[0];
+        } catch (e) {
+            return FALLBACK_LOCALE;
+        }
+    }
+
+    /**
+     * Get a cached Intl formatter
+     * @param {Function} Formatter - Intl.NumberFormat or Intl.DateTimeFormat
+     * @param {Object} options - Formatter options
+     * @returns {Object} Formatter for the current locale
+     */
+    function getFormatter(Formatter, options) {
+        const locale = getLocale();
+        const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+        if (!formatters[key]) {
+            formatters[key] = new Formatter(locale, options);
+        }
+        return formatters[key];
+    }
+
+    /**
+     * Get the number of decimals a currency is shown with
+     * @param {string} currency - ISO currency code (defaults to the base currency)
+     * @returns {number} Minor-unit digits, e.g. 2 for USD and 0 for JPY
+     */
+    function getFractionDigits(currency = null) {
+        return Money.getMinorDigits(currency || Repository.getSettings().currency);
+    }
+
+    /**
+     * Format a currency amount
+     * @param {number} amount - Amount in minor units of the currency
+     * @param {string} currency - ISO currency code (defaults to the base currency)
+     * @param {Object} options - Extra Intl.NumberFormat options, e.g. { currencyDisplay: 'code' }
+     * @returns {string} Formatted amount, e.g. '₹1,200.50' or '¥1,201'
+     */
+    function formatCurrency(amount, currency = null, options = {}) {
+        const code = currency || Repository.getSettings().currency;
+        const value = Money.toMajor(amount, code);
+        try {
+            return getFormatter(Intl.NumberFormat, { ...options, style: 'currency', currency: code }).format(value);
+        } catch (e) {
+            console.error('Failed to format currency:', e);
+            return `${formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${code}`;
+        }
+    }
+
+    /**
+     * Format a number
+     * @param {number} value - Number to format
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    function formatNumber(value, options = {}) {
+        return getFormatter(Intl.NumberFormat, options).format(value);
+    }
+
+    /**
+     * Format a date following the dateFormat setting
+     * @param {Date|string} date - Date object or date string
+     * @param {Object} options - Extra Intl.NumberFormat options for the day, month and year numbers
+     * @returns {string} Formatted date, e.g. '05/03/2024'
+     */
+    function formatDate(date, options = {}) {
+        const dateObj = CalendarDate.parse(date);
+        if (isNaN(dateObj.getTime())) return '';
+
+        const pattern = Repository.getSettings().dateFormat;
+        if (!DATE_FORMATS.includes(pattern)) {
+            return getFormatter(Intl.DateTimeFormat, { ...options, dateStyle: 'medium' }).format(dateObj);
+        }
+
+        const twoDigits = { ...options, minimumIntegerDigits: 2, useGrouping: false };
+        const parts = {
+            DD: formatNumber(dateObj.getDate(), twoDigits),
+            MM: formatNumber(dateObj.getMonth() + 1, twoDigits),
+            YYYY: formatNumber(dateObj.getFullYear(), { ...options, useGrouping: false })
+        };
+        return pattern.replace(/YYYY|MM|DD/g, token => parts[token]);
+    }
+
+    /**
+     * Format a date with Intl.DateTimeFormat options, for month names and
+     * other text the numeric dateFormat cannot express
+     * @param {Date|string} date - Date object or date string
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    function formatDateParts(date, options) {
+        return getFormatter(Intl.DateTimeFormat, options).format(CalendarDate.parse(date));
+    }
+
+    /**
+     * Format the month a date falls in
+     * @param {Date|string} date - Date object or date string
+     * @param {string} style - 'long' ('March 2024') or 'short' ('Mar 2024')
+     * @returns {string} Month and year
+     */
+    function formatMonth(date, style = 'long') {
+        return formatDateParts(date, { month: style, year: 'numeric' });
+    }
+
+    /**
+     * Format the time of day
+     * @param {Date|string} date - Date object or timestamp
+     * @returns {string} Hours and minutes
+     */
+    function formatTime(date) {
+        return formatDateParts(date, { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Escape text for use in HTML markup or a quoted attribute value
+     * Titles, names and anything read from an imported file must pass
+     * through here before they are put into innerHTML.
+     * @param {*} value - Text to escape (null and undefined become '')
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Public API
+    return {
+        DATE_FORMATS,
+        getLocale,
+        getFractionDigits,
+        formatCurrency,
+        formatNumber,
+        formatDate,
+        formatDateParts,
+        formatMonth,
+        formatTime,
+        escapeHtml
+    };
+})();
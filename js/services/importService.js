@@ -0,0 +1,818 @@
+/**
+ * CashBoard Import Service
+ * Turns bank statement files into Income and Expense records
+ *
+ * Every statement format is first converted to plain transactions of the form
+ * { date, title, amount, category, paymentMethod, notes, importId, splits },
+ * where a positive amount is money in and a negative amount is money out.
+ * Plain transactions hold decimal amounts as the file wrote them; records
+ * get integer minor units of their currency.
+ * importId is the bank's own ID for the transaction, when the format has one,
+ * and splits ({ category, amount, notes }, signed the same way) and tags are
+ * only set by formats that have them. importTransactions then creates the
+ * matching records through DataService.
+ *
+ * OFX, QIF, camt.053, MT940 and ledger/hledger/beancount files are read as statements: { accountId, accountName,
+ * accountType, currency, institution, transactions, errors }, one per account
+ * in the file, which the user matches to CashBoard accounts.
+ */
+
+const ImportService = (function() {
+    // Fields a CSV column can be mapped to, with their label message keys
+    const CSV_FIELDS = {
+        date: 'common.date',
+        description: 'common.description',
+        amount: 'common.amount',
+        debit: 'import.fieldDebit',
+        credit: 'import.fieldCredit',
+        category: 'common.category',
+        paymentMethod: 'import.fieldPaymentMethod'
+    };
+
+    // Header names that suggest a column's field
+    const HEADER_HINTS = {
+        date: /date|datum|fecha|posted/i,
+        description: /desc|narration|details|memo|payee|particulars|beschreibung|verwendungszweck|concepto/i,
+        amount: /^amount|amount$|betrag|importe|^value$/i,
+        debit: /debit|withdrawal|paid out|money out|^dr$/i,
+        credit: /credit|deposit|paid in|money in|^cr$/i,
+        category: /categ/i,
+        paymentMethod: /method|mode|channel/i
+    };
+
+    // CashBoard account types for statement (OFX) account types
+    const STATEMENT_ACCOUNT_TYPES = {
+        CHECKING: 'checking',
+        SAVINGS: 'savings',
+        MONEYMRKT: 'savings',
+        CREDITLINE: 'credit_card',
+        CREDITCARD: 'credit_card',
+        CASH: 'cash'
+    };
+
+    // Quicken writes month-first dates, so they win when a file's dates read either way
+    const QIF_DATE_FORMATS = ['MM/DD/YYYY', 'MM/DD/YY'];
+
+    // Statement account types for QIF section types
+    const QIF_ACCOUNT_TYPES = {
+        'Bank': 'CHECKING',
+        'CCard': 'CREDITCARD',
+        'Cash': 'CASH',
+        'Oth A': 'SAVINGS',
+        'Oth L': 'CREDITLINE'
+    };
+
+    // Payment methods implied by OFX transaction types
+    const OFX_PAYMENT_METHODS = {
+        CHECK: 'Check',
+        ATM: 'Cash',
+        CASH: 'Cash',
+        POS: 'Debit Card',
+        XFER: 'Bank Transfer',
+        DIRECTDEBIT: 'Bank Transfer',
+        DIRECTDEP: 'Bank Transfer',
+        PAYMENT: 'Bank Transfer',
+        REPEATPMT: 'Bank Transfer'
+    };
+
+    /**
+     * Detect the format of a statement file
+     * @param {string} fileName - Name of the file
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @returns {string} 'ofx', 'qif', 'camt', 'mt940', 'ledger' or 'csv'
+     */
+    function detectFormat(fileName, buffer) {
+        if (/\.(ofx|qfx)$/i.test(fileName)) return 'ofx';
+        if (/\.qif$/i.test(fileName)) return 'qif';
+        if (/\.(sta|mt940|940)$/i.test(fileName)) return 'mt940';
+        if (/\.(ledger|journal|hledger|beancount|bean)$/i.test(fileName)) return 'ledger';
+
+        const start = CsvParser.decode(buffer.slice(0, 2048)).text;
+        if (/OFXHEADER|<OFX>/i.test(start)) return 'ofx';
+        if (/^\s*!(Type|Account|Option)/i.test(start)) return 'qif';
+        if (/camt\.053|<BkToCstmrStmt/.test(start)) return 'camt';
+        if (/^\s*(\{1:|:20:)/.test(start) && /:25:/.test(start)) return 'mt940';
+
+        // A dated line followed by an indented posting
+        return /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}[^\n]*\r?\n[ \t]+[^\s;][^\n]*(\t|\S {2,})/m.test(start) ? 'ledger' : 'csv';
+    }
+
+    /*
+     * Import Profiles
+     */
+
+    /**
+     * Get saved import profiles
+     * @returns {Array<Object>} Profiles
+     */
+    function getProfiles() {
+        return Repository.getImportProfiles();
+    }
+
+    /**
+     * Save an import profile, replacing one with the same id or name
+     * @param {Object} profile - Profile with name, parse options and column mapping
+     * @returns {Object} Saved profile
+     */
+    function saveProfile(profile) {
+        const profiles = getProfiles();
+        const index = profiles.findIndex(existing =>
+            existing.id === profile.id || existing.name === profile.name
+        );
+        const saved = { ...profile, id: index === -1 ? generateID() : profiles[index].id };
+
+        if (index === -1) {
+            profiles.push(saved);
+        } else {
+            profiles[index] = saved;
+        }
+
+        Repository.saveImportProfiles(profiles);
+        return saved;
+    }
+
+    /**
+     * Delete an import profile
+     * @param {string} id - Profile ID
+     * @returns {boolean} Success status
+     */
+    function deleteProfile(id) {
+        const profiles = getProfiles();
+        const remaining = profiles.filter(profile => profile.id !== id);
+        if (remaining.length === profiles.length) return false;
+
+        return Repository.saveImportProfiles(remaining);
+    }
+
+    /**
+     * Find the profile saved for files with these headers
+     * @param {Array<string>} headers - Header row of the file
+     * @returns {Object|null} Matching profile or null
+     */
+    function findProfile(headers) {
+        const signature = headers.join('|').toLowerCase();
+        return getProfiles().find(profile =>
+            profile.headers && profile.headers.join('|').toLowerCase() === signature
+        ) || null;
+    }
+
+    /*
+     * CSV Import
+     */
+
+    /**
+     * Decode and split a CSV file
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @param {Object} options - { encoding, delimiter }, 'auto' to detect either
+     * @returns {Object} { encoding, delimiter, rows }
+     */
+    function readCsv(buffer, options = {}) {
+        const { encoding = 'auto', delimiter = 'auto' } = options;
+        const decoded = CsvParser.decode(buffer, encoding);
+        const detectedDelimiter = delimiter === 'auto' ? CsvParser.detectDelimiter(decoded.text) : delimiter;
+
+        return {
+            encoding: decoded.encoding,
+            delimiter: detectedDelimiter,
+            rows: CsvParser.parse(decoded.text, detectedDelimiter)
+        };
+    }
+
+    /**
+     * Guess which column holds which field from the header row
+     * @param {Array<string>} headers - Header row
+     * @returns {Object} Column index (or null) by CSV_FIELDS key
+     */
+    function guessMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+
+        Object.keys(CSV_FIELDS).forEach(field => {
+            const index = headers.findIndex((header, i) => !used.has(i) && HEADER_HINTS[field].test(header));
+            mapping[field] = index === -1 ? null : index;
+            if (index !== -1) used.add(index);
+        });
+
+        // Separate debit and credit columns take precedence over an amount column
+        if (mapping.debit !== null && mapping.credit !== null && mapping.amount !== null) {
+            mapping.amount = null;
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Suggest options for a parsed CSV file
+     * A saved profile for the same headers is used as-is.
+     * @param {Array<Array<string>>} rows - Parsed rows
+     * @returns {Object} { profile, hasHeader, mapping, dateFormat, decimalSeparator, invertAmounts }
+     */
+    function suggestOptions(rows) {
+        const headers = rows[0] || [];
+        const profile = findProfile(headers);
+        if (profile) {
+            return { ...profile, profile };
+        }
+
+        // A header row has no parsable date in any cell
+        const hasHeader = !headers.some(cell => CsvParser.detectDateFormat([cell]));
+        const mapping = hasHeader ? guessMapping(headers) : { date: 0, description: 1, amount: 2 };
+        const body = hasHeader ? rows.slice(1) : rows;
+        const column = (index) => index === null || index === undefined ? [] : body.map(row => row[index]);
+        const amountValues = [...column(mapping.amount), ...column(mapping.debit), ...column(mapping.credit)];
+
+        return {
+            profile: null,
+            hasHeader,
+            mapping: { ...guessMapping([]), ...mapping },
+            dateFormat: CsvParser.detectDateFormat(column(mapping.date)) || CsvParser.DATE_FORMATS[0],
+            decimalSeparator: CsvParser.detectDecimalSeparator(amountValues),
+            invertAmounts: false
+        };
+    }
+
+    /**
+     * Convert CSV rows to transactions using a column mapping
+     * @param {Array<Array<string>>} rows - Parsed rows
+     * @param {Object} options - { hasHeader, mapping, dateFormat, decimalSeparator, invertAmounts }
+     * @returns {Object} { transactions, errors } with errors as { row, message }
+     */
+    function mapRows(rows, options) {
+        const { hasHeader, mapping, dateFormat, decimalSeparator, invertAmounts } = options;
+        const transactions = [];
+        const errors = [];
+        const cell = (row, field) => {
+            const index = mapping[field];
+            return index === null || index === undefined ? '' : (row[index] || '').trim();
+        };
+
+        (hasHeader ? rows.slice(1) : rows).forEach((row, i) => {
+            const rowNumber = i + (hasHeader ? 2 : 1);
+
+            const date = CsvParser.parseDate(cell(row, 'date'), dateFormat);
+            if (!date) {
+                errors.push({ row: rowNumber, message: I18n.t('import.badDate', { value: cell(row, 'date') }) });
+                return;
+            }
+
+            let amount;
+            if (mapping.amount !== null && mapping.amount !== undefined) {
+                amount = CsvParser.parseAmount(cell(row, 'amount'), decimalSeparator);
+            } else {
+                const credit = CsvParser.parseAmount(cell(row, 'credit'), decimalSeparator);
+                const debit = CsvParser.parseAmount(cell(row, 'debit'), decimalSeparator);
+                amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+                if (isNaN(credit) && isNaN(debit)) amount = NaN;
+            }
+
+            if (isNaN(amount) || amount === 0) {
+                errors.push({ row: rowNumber, message: I18n.t('import.badAmount') });
+                return;
+            }
+
+            transactions.push({
+                date,
+                title: cell(row, 'description') || I18n.t('import.untitled'),
+                amount: invertAmounts ? -amount : amount,
+                category: cell(row, 'category'),
+                paymentMethod: cell(row, 'paymentMethod'),
+                notes: ''
+            });
+        });
+
+        return { transactions, errors };
+    }
+
+    /*
+     * OFX Import
+     */
+
+    /**
+     * Get the payment method of an OFX transaction
+     * Everything on a credit card statement was paid by card; on bank
+     * statements the transaction type tells cheques, cash and transfers apart.
+     * @param {Object} statement - Parsed statement
+     * @param {Object} entry - Parsed statement transaction
+     * @returns {string} Payment method
+     */
+    function getOfxPaymentMethod(statement, entry) {
+        if (STATEMENT_ACCOUNT_TYPES[statement.accountType] === 'credit_card') return 'Credit Card';
+        return OFX_PAYMENT_METHODS[entry.type.toUpperCase()] || 'Debit Card';
+    }
+
+    /**
+     * Read the statements in an OFX or QFX file
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @returns {Array<Object>} Statements with transactions converted to plain transactions and unreadable entries counted in errors
+     */
+    function readOfx(buffer) {
+        const { text } = CsvParser.decode(buffer);
+
+        return OfxParser.parse(text).map(statement => {
+            const transactions = statement.transactions
+                .filter(entry => entry.date && !isNaN(entry.amount) && entry.amount !== 0)
+                .map(entry => ({
+                    date: entry.date,
+                    title: entry.name || entry.memo || I18n.t('import.untitled'),
+                    amount: entry.amount,
+                    category: '',
+                    paymentMethod: getOfxPaymentMethod(statement, entry),
+                    notes: [entry.name && entry.memo !== entry.name ? entry.memo : '', entry.checkNumber ? I18n.t('import.checkNumber', { number: entry.checkNumber }) : '']
+                        .filter(Boolean).join(' - '),
+                    importId: entry.fitId ? `ofx:${statement.bankId}:${statement.accountId}:${entry.fitId}` : null
+                }));
+
+            return {
+                ...statement,
+                accountName: '',
+                transactions,
+                errors: statement.transactions.length - transactions.length
+            };
+        });
+    }
+
+    /*
+     * QIF Import
+     */
+
+    /**
+     * Get the payment method of a QIF record
+     * @param {Object} section - Parsed QIF section
+     * @param {Object} record - Parsed QIF record
+     * @returns {string} Payment method, or an empty string if the file does not say
+     */
+    function getQifPaymentMethod(section, record) {
+        if (section.type === 'CCard') return 'Credit Card';
+        if (section.type === 'Cash') return 'Cash';
+        return /^\d+$/.test(record.number) ? 'Check' : '';
+    }
+
+    /**
+     * Read the account sections of a QIF file
+     * The date format and decimal separator are detected across the whole
+     * file, since QIF files do not say which they use. Dates that read either
+     * way are taken as month-first, as Quicken writes them.
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @returns {Array<Object>} Statements with records converted to plain transactions and unreadable records counted in errors
+     */
+    function readQif(buffer) {
+        const sections = QifFormat.parse(CsvParser.decode(buffer).text);
+        const records = sections.reduce((all, section) => all.concat(section.records), []);
+        const dateFormat = CsvParser.detectDateFormat(records.map(record => QifFormat.normalizeDate(record.date)), QIF_DATE_FORMATS);
+        const decimalSeparator = CsvParser.detectDecimalSeparator(records.map(record => record.amount));
+
+        return sections.map(section => {
+            const transactions = [];
+
+            section.records.forEach(record => {
+                const date = dateFormat ? CsvParser.parseDate(QifFormat.normalizeDate(record.date), dateFormat) : null;
+                const amount = CsvParser.parseAmount(record.amount, decimalSeparator);
+                if (!date || isNaN(amount) || amount === 0) return;
+
+                // [Account] in place of a category marks a transfer between Quicken accounts
+                const transfer = /^\[(.*)\]$/.exec(record.category);
+                const splits = record.splits.map(split => ({
+                    category: split.category,
+                    amount: CsvParser.parseAmount(split.amount, decimalSeparator),
+                    notes: split.memo
+                }));
+
+                transactions.push({
+                    date,
+                    title: record.payee || record.memo || I18n.t('import.untitled'),
+                    amount,
+                    category: transfer ? '' : record.category || (splits[0] ? splits[0].category : ''),
+                    paymentMethod: getQifPaymentMethod(section, record),
+                    notes: [
+                        record.payee && record.memo !== record.payee ? record.memo : '',
+                        transfer ? I18n.t('import.transferWith', { account: transfer[1] }) : ''
+                    ].filter(Boolean).join(' - '),
+                    importId: null,
+                    splits: splits.length > 1 ? splits : []
+                });
+            });
+
+            return {
+                accountId: '',
+                accountName: section.accountName,
+                accountType: QIF_ACCOUNT_TYPES[section.type] || 'CHECKING',
+                currency: '',
+                institution: '',
+                transactions,
+                errors: section.records.length - transactions.length
+            };
+        });
+    }
+
+    /*
+     * camt.053 and MT940 Import
+     */
+
+    /**
+     * Convert parsed camt.053 or MT940 statements
+     * The counterparty becomes the title and the remittance information the
+     * notes. The end-to-end ID, or else the bank's reference, is kept to skip
+     * the transaction on re-import. Neither is guaranteed to be unique, so the
+     * import ID also holds the date and amount, and entries that share all
+     * three are told apart by a counter. The counter does not depend on where
+     * the entry is in the file, so overlapping statements give the same IDs.
+     * @param {string} format - 'camt' or 'mt940', used to prefix import IDs
+     * @param {Array<Object>} statements - Statements from CamtParser or Mt940Parser
+     * @returns {Array<Object>} Statements with entries converted to plain transactions
+     */
+    function convertBankStatements(format, statements) {
+        return statements.map(statement => {
+            const seen = {};
+            const transactions = statement.entries
+                .filter(entry => entry.date && !isNaN(entry.amount) && entry.amount !== 0)
+                .map(entry => {
+                    const id = entry.endToEndId || entry.reference;
+                    const key = `${format}:${statement.accountId}:${id}:${entry.date}:${entry.amount}`;
+                    seen[key] = (seen[key] || 0) + 1;
+
+                    return {
+                        date: entry.date,
+                        title: entry.counterparty || entry.remittance.slice(0, 60) || I18n.t('import.untitled'),
+                        amount: entry.amount,
+                        category: '',
+                        paymentMethod: 'Bank Transfer',
+                        notes: entry.counterparty ? entry.remittance : '',
+                        importId: id ? `${key}:${seen[key]}` : null
+                    };
+                });
+
+            return {
+                accountId: statement.accountId,
+                accountName: '',
+                accountType: 'CHECKING',
+                currency: statement.currency,
+                institution: statement.institution,
+                transactions,
+                errors: statement.entries.length - transactions.length
+            };
+        });
+    }
+
+    /**
+     * Read the statements in a camt.053 file
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @returns {Array<Object>} Statements
+     */
+    function readCamt(buffer) {
+        return convertBankStatements('camt', CamtParser.parse(CsvParser.decode(buffer).text));
+    }
+
+    /**
+     * Read the statements in an MT940 file
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @returns {Array<Object>} Statements
+     */
+    function readMt940(buffer) {
+        return convertBankStatements('mt940', Mt940Parser.parse(CsvParser.decode(buffer).text));
+    }
+
+    /*
+     * ledger, hledger and beancount Import
+     */
+
+    /**
+     * Get the CashBoard category for an Income: or Expenses: account
+     * Names written by toAccountPart for beancount ("Gifts-Donations") are
+     * matched back to the category they came from.
+     * @param {string} account - Journal account name
+     * @param {Array<string>} list - Known categories
+     * @returns {string} Category, without the top-level account
+     */
+    function getJournalCategory(account, list) {
+        const name = account.split(':').slice(1).join(':');
+        const known = list.find(category =>
+            LedgerFormat.toAccountPart(category, 'beancount').toLowerCase() === name.toLowerCase()
+        );
+        return known || name;
+    }
+
+    /**
+     * Get the CashBoard account name for an Assets: or Liabilities: account
+     * An existing account whose name the export turned into this one is used,
+     * so re-importing a beancount journal finds "Main Bank" from Main-Bank.
+     * @param {string} account - Journal account name
+     * @returns {string} Account name, without the top-level account
+     */
+    function getJournalAccountName(account) {
+        const name = account.split(':').slice(1).join(':');
+        const known = DataService.getAllAccounts().find(item =>
+            LedgerFormat.toAccountPart(item.name, 'beancount').toLowerCase() === name.toLowerCase()
+        );
+        return known ? known.name : name;
+    }
+
+    /**
+     * Read the transactions in a ledger, hledger or beancount journal
+     * Every Assets: or Liabilities: account becomes a statement. Postings to
+     * Income: accounts become an income and postings to Expenses: accounts an
+     * expense, with a split per posting; transfers between accounts and
+     * opening balances are left out.
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @returns {Array<Object>} Statements with transactions converted to plain transactions and unbalanced ones counted in errors
+     */
+    function readLedger(buffer) {
+        const journal = LedgerFormat.parse(CsvParser.decode(buffer).text);
+        const statements = {};
+        const topLevel = (posting) => posting.account.split(':')[0].toLowerCase();
+        const sum = (postings) => {
+            const currency = postings[0].commodity;
+            return Money.toMajor(postings.reduce((total, posting) => total + Money.toMinor(posting.amount, currency), 0), currency);
+        };
+
+        const getStatement = (posting) => {
+            const key = posting && posting.account !== LedgerFormat.UNASSIGNED_ACCOUNT ? posting.account : '';
+            if (!statements[key]) {
+                statements[key] = {
+                    accountId: '',
+                    accountName: key ? getJournalAccountName(key) : '',
+                    accountType: posting && topLevel(posting) === 'liabilities' ? 'CREDITCARD' : 'CHECKING',
+                    currency: posting ? posting.commodity : '',
+                    institution: '',
+                    transactions: [],
+                    errors: 0
+                };
+            }
+            return statements[key];
+        };
+
+        journal.transactions.forEach(entry => {
+            const accountPosting = entry.postings.find(posting => ['assets', 'liabilities'].includes(topLevel(posting)));
+            const incomePostings = entry.postings.filter(posting => ['income', 'revenue', 'revenues'].includes(topLevel(posting)));
+            const expensePostings = entry.postings.filter(posting => ['expenses', 'expense'].includes(topLevel(posting)));
+            const statement = getStatement(accountPosting);
+
+            if (entry.postings.some(posting => posting.amount === null || isNaN(posting.amount))) {
+                statement.errors++;
+                return;
+            }
+
+            const common = {
+                date: entry.date,
+                title: entry.payee || entry.narration || I18n.t('import.untitled'),
+                paymentMethod: entry.metadata.payment || (statement.accountType === 'CREDITCARD' ? 'Credit Card' : ''),
+                notes: [entry.payee ? entry.narration : '', entry.metadata.notes, ...entry.comments].filter(Boolean).join(' - '),
+                tags: entry.tags,
+                importId: null
+            };
+
+            // Income postings are negative and expense postings positive
+            if (incomePostings.length > 0) {
+                statement.transactions.push({
+                    ...common,
+                    amount: -sum(incomePostings),
+                    category: getJournalCategory(incomePostings[0].account, INCOME_CATEGORIES),
+                    splits: []
+                });
+            }
+            if (expensePostings.length > 0) {
+                statement.transactions.push({
+                    ...common,
+                    amount: -sum(expensePostings),
+                    category: getJournalCategory(expensePostings[0].account, EXPENSE_CATEGORIES),
+                    splits: expensePostings.length > 1 ? expensePostings.map(posting => ({
+                        category: getJournalCategory(posting.account, EXPENSE_CATEGORIES),
+                        amount: -posting.amount,
+                        notes: ''
+                    })) : []
+                });
+            }
+        });
+
+        return Object.values(statements).filter(statement =>
+            statement.transactions.length > 0 || statement.errors > 0
+        );
+    }
+
+    /**
+     * Read the statements in a file of any statement format
+     * @param {string} format - 'ofx', 'qif', 'camt', 'mt940' or 'ledger'
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @returns {Array<Object>} Statements
+     */
+    function readStatements(format, buffer) {
+        const readers = {
+            ofx: readOfx,
+            qif: readQif,
+            camt: readCamt,
+            mt940: readMt940,
+            ledger: readLedger
+        };
+
+        if (!readers[format]) {
+            throw new Error(`Unsupported statement format: ${format}`);
+        }
+        return readers[format](buffer);
+    }
+
+    /**
+     * Find the CashBoard account linked to a statement's account
+     * Statements without an account number are matched by account name.
+     * @param {Object} statement - Statement from readStatements
+     * @returns {Account|null} Linked account or null
+     */
+    function findStatementAccount(statement) {
+        if (statement.accountId) {
+            return DataService.getAllAccounts().find(account =>
+                account.statementAccountId === statement.accountId
+            ) || null;
+        }
+
+        if (!statement.accountName) return null;
+        return DataService.getAllAccounts().find(account =>
+            account.name.toLowerCase() === statement.accountName.toLowerCase()
+        ) || null;
+    }
+
+    /**
+     * Link a statement's account to a CashBoard account, so later imports find it
+     * @param {Object} statement - Statement from readStatements
+     * @param {string} accountId - CashBoard account ID, or 'new' to create one
+     * @returns {string|null} ID of the linked account, or null on failure
+     */
+    function linkStatementAccount(statement, accountId) {
+        if (accountId === 'new') {
+            const type = STATEMENT_ACCOUNT_TYPES[statement.accountType] || 'checking';
+            const account = DataService.addAccount({
+                name: statement.accountName || `${statement.institution || ACCOUNT_TYPES[type]} ${statement.accountId.slice(-4)}`.trim(),
+                type,
+                institution: statement.institution,
+                statementAccountId: statement.accountId
+            });
+            return account ? account.id : null;
+        }
+
+        const account = DataService.getAccount(accountId);
+        if (!account) return null;
+
+        if (statement.accountId && account.statementAccountId !== statement.accountId) {
+            DataService.updateAccount(accountId, { statementAccountId: statement.accountId });
+        }
+        return account.id;
+    }
+
+    /*
+     * Record Creation
+     */
+
+    /**
+     * Get the bank IDs of transactions that have been imported before
+     * @returns {Set<string>} Import IDs
+     */
+    function getImportedIds() {
+        const ids = new Set();
+        [...DataService.getAllIncome(), ...DataService.getAllExpenses()].forEach(record => {
+            if (record.importId) ids.add(record.importId);
+        });
+        return ids;
+    }
+
+    /**
+     * Match a value against a list case-insensitively
+     * Quicken-style "Parent:Child" categories match on either part.
+     * @param {string} value - Value from the file
+     * @param {Array<string>} list - Known values
+     * @param {string} fallback - Value to use when the file has none
+     * @returns {string} Known spelling, the value itself, or the fallback
+     */
+    function matchKnown(value, list, fallback) {
+        if (!value) return fallback;
+
+        const candidates = [value, ...value.split(':')].map(candidate => candidate.trim().toLowerCase());
+        for (const candidate of candidates) {
+            const known = list.find(item => item.toLowerCase() === candidate);
+            if (known) return known;
+        }
+        return value;
+    }
+
+    /**
+     * Build expense splits for a transaction
+     * Splits are dropped if any line is not money out or they do not add up
+     * to the total, since the expense could not be saved with them.
+     * @param {Object} transaction - Plain transaction
+     * @param {number} total - Expense amount in minor units
+     * @param {string} currency - Currency of the expense
+     * @returns {Array<Object>} Expense splits, or an empty array
+     */
+    function toSplits(transaction, total, currency) {
+        if (!transaction.splits || transaction.splits.length === 0) return [];
+
+        const splits = transaction.splits.map(split => ({
+            category: matchKnown(split.category, EXPENSE_CATEGORIES, 'Miscellaneous'),
+            amount: Money.toMinor(-split.amount, currency),
+            tags: [],
+            notes: split.notes || ''
+        }));
+
+        const allocated = splits.reduce((sum, split) => sum + split.amount, 0);
+        const valid = splits.every(split => split.amount > 0) && allocated === total;
+        return valid ? splits : [];
+    }
+
+    /**
+     * Build Income or Expense data for a transaction
+     * @param {Object} transaction - Plain transaction
+     * @param {Object} options - { accountId, paymentMethod, currency }
+     * @returns {Object} { type, data }
+     */
+    function toRecord(transaction, options = {}) {
+        const currency = (options.currency || '').toUpperCase();
+        const amountCurrency = currency || CurrencyService.getBaseCurrency();
+        const common = {
+            date: transaction.date,
+            title: transaction.title,
+            amount: Money.toMinor(Math.abs(transaction.amount), amountCurrency),
+            currency,
+            notes: transaction.notes || '',
+            tags: transaction.tags || [],
+            accountId: options.accountId || null,
+            importId: transaction.importId || null
+        };
+
+        if (transaction.amount > 0) {
+            return {
+                type: 'income',
+                data: { ...common, category: matchKnown(transaction.category, INCOME_CATEGORIES, 'Other') }
+            };
+        }
+
+        return {
+            type: 'expense',
+            data: {
+                ...common,
+                category: matchKnown(transaction.category, EXPENSE_CATEGORIES, 'Miscellaneous'),
+                paymentMethod: matchKnown(options.paymentMethod || transaction.paymentMethod, PAYMENT_METHODS, 'Other'),
+                splits: toSplits(transaction, common.amount, amountCurrency)
+            }
+        };
+    }
+
+    /**
+     * Create Income and Expense records for transactions
+     * Transactions whose bank ID has been imported before are skipped.
+     * @param {Array<Object>} transactions - Plain transactions
+     * @param {Object} options - { accountId, paymentMethod, currency } applied to every record
+     * @returns {Object} Number of incomes and expenses created and of duplicates skipped
+     */
+    function importTransactions(transactions, options = {}) {
+        const imported = getImportedIds();
+        const incomes = [];
+        const expenses = [];
+        let duplicates = 0;
+
+        transactions.forEach(transaction => {
+            if (transaction.importId && imported.has(transaction.importId)) {
+                duplicates++;
+                return;
+            }
+            if (transaction.importId) imported.add(transaction.importId);
+
+            const record = toRecord(transaction, options);
+            (record.type === 'income' ? incomes : expenses).push(record.data);
+        });
+
+        return {
+            incomes: DataService.addIncomes(incomes).length,
+            expenses: DataService.addExpenses(expenses).length,
+            duplicates
+        };
+    }
+
+    // Public API
+    return {
+        CSV_FIELDS,
+        detectFormat,
+
+        // Profiles
+        getProfiles,
+        saveProfile,
+        deleteProfile,
+        findProfile,
+
+        // CSV
+        readCsv,
+        guessMapping,
+        suggestOptions,
+        mapRows,
+
+        // Statements
+        readOfx,
+        readQif,
+        readCamt,
+        readMt940,
+        readLedger,
+        readStatements,
+        findStatementAccount,
+        linkStatementAccount,
+
+        // Records
+        getImportedIds,
+        toRecord,
+        importTransactions
+    };
+})();
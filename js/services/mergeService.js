@@ -0,0 +1,270 @@
+/**
+ * CashBoard Merge Service
+ * Merges a backup into the stored data instead of replacing it
+ *
+ * Every incoming record is compared with the stored records of its type:
+ * a record with the same id is unchanged or a conflict, an income, expense
+ * or transfer that looks the same (amount and currency, title, accounts for
+ * transfers, and a date within a few days) is a possible duplicate, and
+ * anything else is new. New records are
+ * added; conflicts are resolved by the user as 'mine', 'theirs' or 'both'.
+ */
+
+const MergeService = (function() {
+    // Days two transactions may be apart and still count as the same one
+    const DEFAULT_DATE_TOLERANCE = 3;
+
+    // Types whose records are matched by fingerprint as well as by id
+    const FINGERPRINT_TYPES = ['INCOME', 'EXPENSES', 'TRANSFERS'];
+
+    // Fields that refer to records of another type, by referenced type
+    const REFERENCES = {
+        ACCOUNTS: {
+            INCOME: ['accountId'],
+            EXPENSES: ['accountId'],
+            TRANSFERS: ['fromAccountId', 'toAccountId']
+        },
+        INCOME: { INCOME: ['templateId'] },
+        EXPENSES: { EXPENSES: ['templateId'] }
+    };
+
+    // Conflict resolutions
+    const RESOLUTIONS = ['mine', 'theirs', 'both'];
+
+    // Budget periods, which have interval.* labels
+    const BUDGET_PERIODS = ['weekly', 'monthly', 'yearly'];
+
+    /**
+     * Serialize a value with object keys sorted, so equal records compare equal
+     * @param {*} value - Value to serialize
+     * @returns {string} JSON text
+     */
+    function stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(stableStringify).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * Normalize a title for fuzzy matching
+     * Letters and digits of every script are kept, so Arabic titles compare
+     * as text rather than all becoming empty.
+     * @param {string} title - Record title
+     * @returns {string} Lower-case letters and digits separated by single spaces
+     */
+    function normalizeTitle(title) {
+        return String(title || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    /**
+     * Count the days between two YYYY-MM-DD dates
+     * @param {string} a - First date
+     * @param {string} b - Second date
+     * @returns {number} Absolute number of days
+     */
+    function daysBetween(a, b) {
+        const toDay = (date) => {
+            const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+            return Date.UTC(year, month - 1, day) / 86400000;
+        };
+        return Math.abs(toDay(a) - toDay(b));
+    }
+
+    /**
+     * Check whether two transactions look like the same one
+     * @param {Object} a - Plain record
+     * @param {Object} b - Plain record
+     * @param {number} tolerance - Days the dates may differ
+     * @returns {boolean} Whether the fingerprints match
+     */
+    function fingerprintsMatch(a, b, tolerance) {
+        // Amounts are minor units, which only compare within one currency
+        return a.amount === b.amount
+            && CurrencyService.getCurrency(a) === CurrencyService.getCurrency(b)
+            // Transfers between other accounts are other transfers; income and expenses have neither field
+            && a.fromAccountId === b.fromAccountId
+            && a.toAccountId === b.toAccountId
+            && normalizeTitle(a.title) === normalizeTitle(b.title)
+            && daysBetween(a.date, b.date) <= tolerance;
+    }
+
+    /**
+     * Get the records of a type from a dataset
+     * @param {Object} dataset - Dataset keyed by StorageKeys type
+     * @param {string} type - StorageKeys type
+     * @returns {Array<Object>} Normalized plain records
+     */
+    function getRecords(dataset, type) {
+        const records = Array.isArray(dataset[type]) ? dataset[type] : [];
+        return records.map(record => Repository.normalizeRecord(type, record));
+    }
+
+    /**
+     * Get the data types that hold lists of records
+     * @param {Object} current - Stored dataset
+     * @param {Object} incoming - Backup dataset
+     * @returns {Array<string>} StorageKeys types
+     */
+    function getListTypes(current, incoming) {
+        return Object.keys(Repository.KEYS).filter(type =>
+            Array.isArray(current[type]) || Array.isArray(incoming[type])
+        );
+    }
+
+    /**
+     * Compare a backup with the stored data
+     * @param {Object} incoming - Backup dataset at the current schema version
+     * @param {Object} options - { dateTolerance } in days
+     * @returns {Object} Merge plan: { incoming, added, unchanged, conflicts },
+     * with added as { type, record } and conflicts as
+     * { id, type, match, mine, theirs, resolution }
+     */
+    function analyze(incoming, options = {}) {
+        const tolerance = options.dateTolerance === undefined ? DEFAULT_DATE_TOLERANCE : options.dateTolerance;
+        const current = Repository.getDataset();
+        const plan = { incoming, added: [], unchanged: 0, conflicts: [] };
+
+        getListTypes(current, incoming).forEach(type => {
+            const mine = getRecords(current, type);
+            const byId = new Map(mine.map(record => [record.id, record]));
+            const matched = new Set();
+
+            getRecords(incoming, type).forEach(theirs => {
+                const sameId = theirs.id !== undefined ? byId.get(theirs.id) : undefined;
+
+                if (sameId) {
+                    matched.add(sameId);
+                    if (stableStringify(sameId) === stableStringify(theirs)) {
+                        plan.unchanged++;
+                    } else {
+                        plan.conflicts.push({ type, match: 'id', mine: sameId, theirs });
+                    }
+                    return;
+                }
+
+                const lookalike = FINGERPRINT_TYPES.includes(type)
+                    ? mine.find(record => !matched.has(record) && fingerprintsMatch(record, theirs, tolerance))
+                    : null;
+
+                if (lookalike) {
+                    matched.add(lookalike);
+                    plan.conflicts.push({ type, match: 'fingerprint', mine: lookalike, theirs });
+                } else {
+                    plan.added.push({ type, record: theirs });
+                }
+            });
+        });
+
+        // Keeping mine is the safe default: nothing stored is lost or changed
+        plan.conflicts.forEach((conflict, index) => {
+            conflict.id = index;
+            conflict.resolution = 'mine';
+        });
+
+        return plan;
+    }
+
+    /**
+     * Point references at records that were given a new id
+     * @param {Object} record - Plain record (changed in place)
+     * @param {string} type - StorageKeys type of the record
+     * @param {Object} idChanges - New ids by old id, by StorageKeys type
+     */
+    function remapReferences(record, type, idChanges) {
+        Object.entries(REFERENCES).forEach(([referencedType, referrers]) => {
+            const changes = idChanges[referencedType];
+            (referrers[type] || []).forEach(field => {
+                if (changes && changes[record[field]]) {
+                    record[field] = changes[record[field]];
+                }
+            });
+        });
+    }
+
+    /**
+     * Apply a merge plan to the stored data
+     * @param {Object} plan - Plan from analyze, with conflict resolutions set
+     * @returns {Object} Report: { added, updated, skipped }
+     */
+    function apply(plan) {
+        const current = Repository.getDataset();
+        const merged = { ...current };
+        const report = { added: 0, updated: 0, skipped: plan.unchanged };
+        const idChanges = {};
+        const additions = plan.added.map(({ type, record }) => ({ type, record: { ...record } }));
+        const replacements = [];
+
+        getListTypes(current, plan.incoming).forEach(type => {
+            merged[type] = getRecords(current, type);
+        });
+
+        plan.conflicts.forEach(conflict => {
+            const resolution = RESOLUTIONS.includes(conflict.resolution) ? conflict.resolution : 'mine';
+            const theirs = { ...conflict.theirs };
+
+            if (resolution === 'mine') {
+                report.skipped++;
+            } else if (resolution === 'theirs') {
+                // The stored id is kept so references to the record stay valid
+                if (theirs.id !== conflict.mine.id) {
+                    idChanges[conflict.type] = { ...idChanges[conflict.type], [theirs.id]: conflict.mine.id };
+                }
+                replacements.push({ type: conflict.type, id: conflict.mine.id, record: { ...theirs, id: conflict.mine.id } });
+                report.updated++;
+            } else {
+                if (theirs.id === conflict.mine.id) {
+                    const newId = generateID();
+                    idChanges[conflict.type] = { ...idChanges[conflict.type], [theirs.id]: newId };
+                    theirs.id = newId;
+                }
+                additions.push({ type: conflict.type, record: theirs });
+                report.added++;
+            }
+        });
+
+        replacements.forEach(({ type, id, record }) => {
+            remapReferences(record, type, idChanges);
+            const index = merged[type].findIndex(existing => existing.id === id);
+            if (index !== -1) merged[type][index] = record;
+        });
+
+        additions.forEach(({ type, record }) => {
+            remapReferences(record, type, idChanges);
+            merged[type].push(record);
+        });
+        report.added += plan.added.length;
+
+        Repository.saveDataset(merged);
+        return report;
+    }
+
+    /**
+     * Describe a record for the conflict review
+     * @param {string} type - StorageKeys type
+     * @param {Object} record - Plain record
+     * @returns {string} Short description as HTML, since amounts may be masked
+     */
+    function describeRecord(type, record) {
+        const escapeHtml = FormatService.escapeHtml;
+        if (FINGERPRINT_TYPES.includes(type)) {
+            return `${FormatService.formatDate(record.date)} - ${escapeHtml(record.title)} - ${FormatService.formatCurrency(Number(record.amount), record.currency)}`;
+        }
+        if (type === 'BUDGETS') {
+            const period = BUDGET_PERIODS.includes(record.period) ? I18n.t(`interval.${record.period}`) : escapeHtml(record.period);
+            return `${escapeHtml(record.category)} - ${FormatService.formatCurrency(Number(record.amount))} ${period}`;
+        }
+        return escapeHtml(record.name || record.title || record.id || '');
+    }
+
+    // Public API
+    return {
+        RESOLUTIONS,
+        analyze,
+        apply,
+        describeRecord
+    };
+})();
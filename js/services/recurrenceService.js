@@ -0,0 +1,347 @@
+/**
+ * CashBoard Recurrence Service
+ * Materializes occurrences of recurring incomes and expenses
+ *
+ * A record with `recurring: true` is a template: it is itself the first
+ * occurrence, and every later occurrence is generated as a separate,
+ * non-recurring record that points back at it through `templateId`. The
+ * template's `lastGeneratedDate` marks how far generation has got, so
+ * running the scheduler again never creates the same occurrence twice.
+ */
+
+const RecurrenceService = (function() {
+    // How often to look for due occurrences while the app is open
+    const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+    // Interval lengths, in days or months
+    const INTERVALS = {
+        daily: { days: 1 },
+        weekly: { days: 7 },
+        biweekly: { days: 14 },
+        monthly: { months: 1 },
+        quarterly: { months: 3 },
+        yearly: { months: 12 }
+    };
+
+    // DataService accessors for each transaction type
+    const TYPES = {
+        income: {
+            getAll: () => DataService.getAllIncome(),
+            add: data => DataService.addIncome(data),
+            update: (id, data) => DataService.updateIncome(id, data)
+        },
+        expense: {
+            getAll: () => DataService.getAllExpenses(),
+            add: data => DataService.addExpense(data),
+            update: (id, data) => DataService.updateExpense(id, data)
+        }
+    };
+
+    // Timer for periodic checks
+    let timer = null;
+
+    // Callbacks told about occurrences that could not be created
+    const failureListeners = [];
+
+    /**
+     * Register a listener for occurrences that could not be created
+     * @param {Function} listener - Called with the failures as [{ type, title, date }]
+     */
+    function onFailure(listener) {
+        failureListeners.push(listener);
+    }
+
+    /**
+     * Get the date of the nth occurrence after the first
+     * Monthly steps are counted from the first date, so an occurrence on the
+     * 31st falls on the last day of shorter months and returns to the 31st after.
+     * @param {string} firstDate - Date of the first occurrence (YYYY-MM-DD)
+     * @param {string} interval - One of the RECURRENCE_INTERVALS keys
+     * @param {number} n - Occurrence number (0 is the first occurrence)
+     * @returns {string} Occurrence date (YYYY-MM-DD)
+     */
+    function getOccurrenceDate(firstDate, interval, n) {
+        const step = INTERVALS[interval] || INTERVALS.monthly;
+
+        return step.days
+            ? CalendarDate.addDays(firstDate, step.days * n)
+            : CalendarDate.addMonths(firstDate, step.months * n);
+    }
+
+    /**
+     * List the scheduled occurrence dates of a template within a range
+     * @param {Income|Expense} template - Recurring record
+     * @param {string} after - Only dates after this one (exclusive)
+     * @param {string} until - Only dates up to this one (inclusive)
+     * @returns {Array<string>} Occurrence dates, oldest first
+     */
+    function getOccurrenceDates(template, after, until) {
+        const dates = [];
+
+        for (let n = 1; ; n++) {
+            if (template.recurrenceCount && n >= template.recurrenceCount) break;
+
+            const date = getOccurrenceDate(template.date, template.recurrenceInterval, n);
+            if (date > until) break;
+            if (template.recurrenceEndDate && date > template.recurrenceEndDate) break;
+
+            if (date > after) {
+                dates.push(date);
+            }
+        }
+
+        return dates;
+    }
+
+    /**
+     * Get every recurring template
+     * @returns {Array<Object>} { type, template } entries
+     */
+    function getTemplates() {
+        const templates = [];
+
+        Object.entries(TYPES).forEach(([type, accessors]) => {
+            accessors.getAll()
+                .filter(record => record.recurring)
+                .forEach(template => templates.push({ type, template }));
+        });
+
+        return templates;
+    }
+
+    /**
+     * Build the data for one occurrence of a template
+     * An edited occurrence may have been moved to another date; it is still
+     * generated when its scheduled date comes round.
+     * @param {Income|Expense} template - Recurring record
+     * @param {string} date - Scheduled occurrence date
+     * @returns {Object} Data for a new, non-recurring record
+     */
+    function buildOccurrence(template, date) {
+        const data = template.toJSON();
+        const exception = template.recurrenceExceptions[date] || {};
+        delete data.id;
+
+        // Splits no longer add up once a single occurrence has a different amount
+        if (exception.changes && exception.changes.amount !== undefined && !exception.changes.splits) {
+            data.splits = [];
+        }
+
+        return {
+            ...data,
+            recurring: false,
+            recurrenceEndDate: null,
+            recurrenceCount: null,
+            recurrenceExceptions: {},
+            lastGeneratedDate: null,
+            importId: null,
+            date,
+            ...exception.changes,
+            templateId: template.id
+        };
+    }
+
+    /**
+     * Create every occurrence that is due
+     * @param {Date|string} asOf - Generate occurrences up to this date (default today)
+     * @returns {number} Number of occurrences created
+     */
+    function processDue(asOf = new Date()) {
+        const until = CalendarDate.toKey(asOf);
+        const failures = [];
+        let created = 0;
+
+        getTemplates().forEach(({ type, template }) => {
+            const after = template.lastGeneratedDate || template.date;
+            const dates = getOccurrenceDates(template, after, until);
+            if (dates.length === 0) return;
+
+            dates.forEach(date => {
+                const exception = template.recurrenceExceptions[date];
+                if (exception && exception.skip) return;
+
+                if (TYPES[type].add(buildOccurrence(template, date))) {
+                    created++;
+                } else {
+                    failures.push({ type, title: template.title, date });
+                }
+            });
+
+            TYPES[type].update(template.id, { lastGeneratedDate: dates[dates.length - 1] });
+        });
+
+        if (failures.length > 0) {
+            failureListeners.forEach(listener => listener(failures));
+        }
+
+        return created;
+    }
+
+    /**
+     * Get projected occurrences that have not been generated yet
+     * @param {Date|string} from - First scheduled date to include
+     * @param {Date|string} to - Last scheduled date to include
+     * @returns {Array<Object>} { type, templateId, scheduledDate, date, title, amount, currency, category, skipped, edited }, soonest first
+     */
+    function getProjected(from, to) {
+        const fromKey = CalendarDate.toKey(from);
+        const toKey = CalendarDate.toKey(to);
+        const projected = [];
+
+        getTemplates().forEach(({ type, template }) => {
+            const generatedUntil = template.lastGeneratedDate || template.date;
+
+            getOccurrenceDates(template, generatedUntil, toKey)
+                .filter(date => date >= fromKey)
+                .forEach(date => {
+                    const occurrence = buildOccurrence(template, date);
+                    const exception = template.recurrenceExceptions[date] || {};
+
+                    projected.push({
+                        type,
+                        templateId: template.id,
+                        scheduledDate: date,
+                        date: occurrence.date,
+                        title: occurrence.title,
+                        amount: occurrence.amount,
+                        currency: occurrence.currency,
+                        category: occurrence.category,
+                        skipped: Boolean(exception.skip),
+                        edited: Boolean(exception.changes)
+                    });
+                });
+        });
+
+        return projected.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Get occurrences due after today that have not been generated yet
+     * @param {number} days - How many days ahead to look
+     * @returns {Array<Object>} Projected occurrences, soonest first
+     */
+    function getUpcoming(days = 30) {
+        const today = CalendarDate.today();
+
+        return getProjected(CalendarDate.addDays(today, 1), CalendarDate.addDays(today, days));
+    }
+
+    /**
+     * Find a recurring template
+     * @param {string} type - 'income' or 'expense'
+     * @param {string} templateId - Template record ID
+     * @returns {Income|Expense|null} Template or null if not found
+     */
+    function getTemplate(type, templateId) {
+        if (!TYPES[type]) return null;
+        return TYPES[type].getAll().find(record => record.id === templateId && record.recurring) || null;
+    }
+
+    /**
+     * Store the exception for one occurrence of a template
+     * @param {string} type - 'income' or 'expense'
+     * @param {string} templateId - Template record ID
+     * @param {string} date - Occurrence date
+     * @param {Object|null} exception - { skip } or { changes }, or null to clear
+     * @returns {boolean} Success status
+     */
+    function setException(type, templateId, date, exception) {
+        const template = getTemplate(type, templateId);
+        if (!template) return false;
+
+        const exceptions = { ...template.recurrenceExceptions };
+        if (exception) {
+            exceptions[date] = exception;
+        } else {
+            delete exceptions[date];
+        }
+
+        return TYPES[type].update(templateId, { recurrenceExceptions: exceptions }) !== null;
+    }
+
+    /**
+     * Skip a single upcoming occurrence
+     * @param {string} type - 'income' or 'expense'
+     * @param {string} templateId - Template record ID
+     * @param {string} date - Occurrence date
+     * @returns {boolean} Success status
+     */
+    function skipOccurrence(type, templateId, date) {
+        return setException(type, templateId, date, { skip: true });
+    }
+
+    /**
+     * Change a single upcoming occurrence, e.g. a one-off bigger bill
+     * Changes add to any earlier changes of the same occurrence.
+     * @param {string} type - 'income' or 'expense'
+     * @param {string} templateId - Template record ID
+     * @param {string} date - Scheduled occurrence date
+     * @param {Object} changes - Fields to change for that occurrence only
+     * @returns {boolean} Success status
+     */
+    function editOccurrence(type, templateId, date, changes) {
+        const template = getTemplate(type, templateId);
+        if (!template) return false;
+
+        const existing = template.recurrenceExceptions[date] || {};
+        return setException(type, templateId, date, { changes: { ...existing.changes, ...changes } });
+    }
+
+    /**
+     * Move a single upcoming occurrence to another day
+     * @param {string} type - 'income' or 'expense'
+     * @param {string} templateId - Template record ID
+     * @param {string} scheduledDate - Scheduled occurrence date
+     * @param {string} newDate - Date the occurrence should fall on instead
+     * @returns {boolean} Success status
+     */
+    function moveOccurrence(type, templateId, scheduledDate, newDate) {
+        return editOccurrence(type, templateId, scheduledDate, { date: newDate });
+    }
+
+    /**
+     * Undo a skip or edit of a single occurrence
+     * @param {string} type - 'income' or 'expense'
+     * @param {string} templateId - Template record ID
+     * @param {string} date - Occurrence date
+     * @returns {boolean} Success status
+     */
+    function restoreOccurrence(type, templateId, date) {
+        return setException(type, templateId, date, null);
+    }
+
+    /**
+     * Generate due occurrences now and keep checking while the app is open
+     * @returns {number} Number of occurrences created by the first run
+     */
+    function start() {
+        stop();
+        timer = setInterval(() => processDue(), CHECK_INTERVAL_MS);
+        return processDue();
+    }
+
+    /**
+     * Stop periodic checks
+     */
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    // Public API
+    return {
+        start,
+        stop,
+        onFailure,
+        processDue,
+        getProjected,
+        getUpcoming,
+        getOccurrenceDate,
+        skipOccurrence,
+        editOccurrence,
+        moveOccurrence,
+        restoreOccurrence
+    };
+})();
@@ -0,0 +1,803 @@
+/**
+ * CashBoard Repository
+ * Single entry point for persisted data: storage keys, defaults and entity access.
+ * Every module reads and writes application data through here rather than
+ * touching Storage keys directly.
+ */
+
+const Repository = (function() {
+    // Storage keys accessible by consumers
+    const KEYS = StorageKeys;
+
+    // Default settings
+    const DEFAULT_SETTINGS = {
+        theme: 'light',
+        currency: 'INR',
+        language: 'en',
+        notifications: true,
+        dateFormat: 'DD/MM/YYYY',
+        savingsTarget: 20, // Percentage of income
+        autoLockMinutes: 5, // Inactivity before an app lock engages; 0 never
+        privacyMode: false, // Mask amounts on screen
+        autoSnapshots: true, // Keep a daily snapshot in the browser
+        firstTimeSetup: true
+    };
+
+    // Display symbols for supported currencies
+    const CURRENCY_SYMBOLS = {
+        USD: '$',
+        EUR: '€',
+        GBP: '£',
+        JPY: '¥',
+        INR: '₹',
+        CAD: '$',
+        AUD: '$'
+    };
+
+    // Snapshot store key of the backup folder handle
+    const BACKUP_FOLDER_KEY = 'backupFolder';
+
+    // Models for each entity collection, by StorageKeys type
+    const ENTITY_MODELS = {
+        INCOME: Income,
+        EXPENSES: Expense,
+        BUDGETS: Budget,
+        ACCOUNTS: Account,
+        TRANSFERS: Transfer,
+        EXCHANGE_RATES: ExchangeRate
+    };
+
+    /*
+     * Entity Methods
+     */
+
+    /**
+     * Get every record of an entity collection as models
+     * @param {string} type - StorageKeys type (e.g. 'INCOME')
+     * @returns {Array} Model instances
+     */
+    function getAll(type) {
+        const Model = ENTITY_MODELS[type];
+        if (!Model) {
+            throw new Error(`Unknown entity type: ${type}`);
+        }
+
+        return Storage.load(KEYS[type], []).map(item => new Model(item));
+    }
+
+    /**
+     * Replace an entity collection
+     * @param {string} type - StorageKeys type (e.g. 'INCOME')
+     * @param {Array} records - Models or plain objects
+     * @returns {boolean} Success status
+     */
+    function saveAll(type, records) {
+        const Model = ENTITY_MODELS[type];
+        if (!Model) {
+            throw new Error(`Unknown entity type: ${type}`);
+        }
+
+        const data = records.map(record => {
+            const model = record instanceof Model ? record : new Model(record);
+            return model.toJSON();
+        });
+        return Storage.save(KEYS[type], data);
+    }
+
+    /**
+     * Normalize a plain record the way saving it would
+     * Records of types without a model are returned unchanged.
+     * @param {string} type - StorageKeys type (e.g. 'INCOME')
+     * @param {Object} record - Plain record
+     * @returns {Object} Plain record with every model field present
+     */
+    function normalizeRecord(type, record) {
+        const Model = ENTITY_MODELS[type];
+        return Model ? new Model(record).toJSON() : record;
+    }
+
+    /**
+     * Get all income records
+     * @returns {Array<Income>} Income models
+     */
+    function getIncomes() {
+        return getAll('INCOME');
+    }
+
+    /**
+     * Save all income records
+     * @param {Array} incomes - Income models or plain objects
+     * @returns {boolean} Success status
+     */
+    function saveIncomes(incomes) {
+        return saveAll('INCOME', incomes);
+    }
+
+    /**
+     * Get all expense records
+     * @returns {Array<Expense>} Expense models
+     */
+    function getExpenses() {
+        return getAll('EXPENSES');
+    }
+
+    /**
+     * Save all expense records
+     * @param {Array} expenses - Expense models or plain objects
+     * @returns {boolean} Success status
+     */
+    function saveExpenses(expenses) {
+        return saveAll('EXPENSES', expenses);
+    }
+
+    /**
+     * Get all budgets
+     * @returns {Array<Budget>} Budget models
+     */
+    function getBudgets() {
+        return getAll('BUDGETS');
+    }
+
+    /**
+     * Save all budgets
+     * @param {Array} budgets - Budget models or plain objects
+     * @returns {boolean} Success status
+     */
+    function saveBudgets(budgets) {
+        return saveAll('BUDGETS', budgets);
+    }
+
+    /**
+     * Get all accounts
+     * @returns {Array<Account>} Account models
+     */
+    function getAccounts() {
+        return getAll('ACCOUNTS');
+    }
+
+    /**
+     * Save all accounts
+     * @param {Array} accounts - Account models or plain objects
+     * @returns {boolean} Success status
+     */
+    function saveAccounts(accounts) {
+        return saveAll('ACCOUNTS', accounts);
+    }
+
+    /**
+     * Get all transfers between accounts
+     * @returns {Array<Transfer>} Transfer models
+     */
+    function getTransfers() {
+        return getAll('TRANSFERS');
+    }
+
+    /**
+     * Save all transfers
+     * @param {Array} transfers - Transfer models or plain objects
+     * @returns {boolean} Success status
+     */
+    function saveTransfers(transfers) {
+        return saveAll('TRANSFERS', transfers);
+    }
+
+    /**
+     * Get all exchange rates
+     * @returns {Array<ExchangeRate>} Exchange rate models
+     */
+    function getExchangeRates() {
+        return getAll('EXCHANGE_RATES');
+    }
+
+    /**
+     * Save all exchange rates
+     * @param {Array} rates - Exchange rate models or plain objects
+     * @returns {boolean} Success status
+     */
+    function saveExchangeRates(rates) {
+        return saveAll('EXCHANGE_RATES', rates);
+    }
+
+    /**
+     * Get savings goals
+     * @returns {Array} Savings goal objects
+     */
+    function getSavingsGoals() {
+        return Storage.load(KEYS.SAVINGS_GOALS, []);
+    }
+
+    /**
+     * Save savings goals
+     * @param {Array} goals - Savings goal objects
+     * @returns {boolean} Success status
+     */
+    function saveSavingsGoals(goals) {
+        return Storage.save(KEYS.SAVINGS_GOALS, goals);
+    }
+
+    /**
+     * Get saved import profiles (column mappings per bank)
+     * @returns {Array} Import profile objects
+     */
+    function getImportProfiles() {
+        return Storage.load(KEYS.IMPORT_PROFILES, []);
+    }
+
+    /**
+     * Save import profiles
+     * @param {Array} profiles - Import profile objects
+     * @returns {boolean} Success status
+     */
+    function saveImportProfiles(profiles) {
+        return Storage.save(KEYS.IMPORT_PROFILES, profiles);
+    }
+
+    /*
+     * Settings & User Methods
+     */
+
+    /**
+     * Get user settings merged over the defaults
+     * @returns {Object} Settings, including the symbol for the selected currency
+     */
+    function getSettings() {
+        const settings = {
+            ...DEFAULT_SETTINGS,
+            ...Storage.load(KEYS.SETTINGS, {})
+        };
+        settings.currencySymbol = getCurrencySymbol(settings.currency);
+        return settings;
+    }
+
+    /**
+     * Save user settings
+     * @param {Object} settings - Settings object
+     * @returns {boolean} Success status
+     */
+    function saveSettings(settings) {
+        const mergedSettings = {
+            ...DEFAULT_SETTINGS,
+            ...settings
+        };
+
+        // The symbol is always derived from the currency
+        delete mergedSettings.currencySymbol;
+
+        return Storage.save(KEYS.SETTINGS, mergedSettings);
+    }
+
+    /**
+     * Change some settings, keeping the rest
+     * @param {Object} changes - Settings to change
+     * @returns {Object} Updated settings
+     */
+    function updateSettings(changes) {
+        const settings = { ...getSettings(), ...changes };
+        saveSettings(settings);
+        return getSettings();
+    }
+
+    /**
+     * Get the display symbol for a currency
+     * @param {string} currency - ISO currency code
+     * @returns {string} Currency symbol, or the code itself if unknown
+     */
+    function getCurrencySymbol(currency) {
+        return CURRENCY_SYMBOLS[currency] || currency;
+    }
+
+    /**
+     * Get the currencies offered for transactions and the base currency
+     * @returns {Array<string>} ISO currency codes
+     */
+    function getCurrencies() {
+        return Object.keys(CURRENCY_SYMBOLS);
+    }
+
+    /**
+     * Get the user profile
+     * @returns {Object|null} User profile or null
+     */
+    function getUser() {
+        return Storage.load(KEYS.USER, null);
+    }
+
+    /**
+     * Save the user profile
+     * @param {Object} user - User profile data
+     * @returns {boolean} Success status
+     */
+    function saveUser(user) {
+        return Storage.save(KEYS.USER, user);
+    }
+
+    /**
+     * Check if this is the first time using the app
+     * @returns {boolean} Whether this is first use
+     */
+    function isFirstUse() {
+        return !Storage.exists(KEYS.USER);
+    }
+
+    /*
+     * App Lock Methods
+     */
+
+    /**
+     * Check whether stored data is waiting for the PIN or passphrase
+     * @returns {boolean} Whether unlock() is needed before reading data
+     */
+    function isLocked() {
+        return Storage.isLocked();
+    }
+
+    /**
+     * Get the kind of app lock that is set
+     * @returns {string|null} 'pin' or 'passphrase', or null when there is no lock
+     */
+    function getLockKind() {
+        const lock = Storage.getLock();
+        return lock ? lock.kind : null;
+    }
+
+    /**
+     * Unlock stored data
+     * @param {string} secret - PIN or passphrase
+     * @returns {Promise<void>} Rejects with code WRONG_PASSPHRASE on a wrong secret
+     */
+    function unlock(secret) {
+        return Storage.unlock(secret);
+    }
+
+    /**
+     * Set an app lock, encrypting all stored data and snapshots
+     * @param {string} secret - PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @returns {Promise<void>}
+     */
+    function setLock(secret, kind) {
+        return Storage.enableEncryption(secret, kind)
+            .then(() => readAllSnapshots())
+            .then(snapshots => rewriteSnapshots(snapshots));
+    }
+
+    /**
+     * Replace the PIN or passphrase of the app lock
+     * @param {string} currentSecret - Current PIN or passphrase
+     * @param {string} newSecret - New PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @returns {Promise<void>}
+     */
+    function changeLock(currentSecret, newSecret, kind) {
+        return Storage.changeEncryptionSecret(currentSecret, newSecret, kind);
+    }
+
+    /**
+     * Remove the app lock, decrypting all stored data and snapshots
+     * @param {string} secret - Current PIN or passphrase
+     * @returns {Promise<void>}
+     */
+    function removeLock(secret) {
+        // Snapshots are read while the data key is still available
+        return Storage.verifyEncryptionSecret(secret)
+            .then(() => readAllSnapshots())
+            .then(snapshots => Storage.disableEncryption(secret).then(() => rewriteSnapshots(snapshots)));
+    }
+
+    /**
+     * Check a PIN or passphrase against the app lock
+     * @param {string} secret - PIN or passphrase
+     * @returns {Promise<void>} Rejects with code WRONG_PASSPHRASE on a wrong secret
+     */
+    function verifyLock(secret) {
+        return Storage.verifyEncryptionSecret(secret);
+    }
+
+    /**
+     * Wait until every change has been written to storage
+     * @returns {Promise<void>} Rejects if a write failed since the last flush
+     */
+    function flush() {
+        return Storage.flush();
+    }
+
+    /**
+     * Register a listener for changes that could not be written to storage
+     * @param {Function} listener - Called with the error
+     */
+    function onWriteError(listener) {
+        Storage.onWriteError(listener);
+    }
+
+    /*
+     * Snapshot Methods
+     */
+
+    /**
+     * Decrypt the protected fields of a stored snapshot
+     * @param {Object} record - Snapshot record from the snapshot store
+     * @param {boolean} withData - Whether to include the backup JSON
+     * @returns {Promise<Object>} Snapshot with readable counts (and data)
+     */
+    function openSnapshot(record, withData) {
+        const fields = withData ? ['counts', 'data'] : ['counts'];
+
+        return Promise.all(fields.map(field => Storage.unsealValue(`snapshot:${record.id}:${field}`, record[field])))
+            .then(values => {
+                const snapshot = { ...record };
+                delete snapshot.data;
+                fields.forEach((field, index) => {
+                    snapshot[field] = values[index];
+                });
+                return snapshot;
+            });
+    }
+
+    /**
+     * Get every snapshot without its data, oldest first
+     * @returns {Promise<Array>} Snapshots; ones that cannot be decrypted are marked unreadable
+     */
+    function getSnapshots() {
+        return SnapshotStore.getAll().then(records => Promise.all(records.map(record =>
+            openSnapshot(record, false).catch(() => ({
+                id: record.id,
+                createdAt: record.createdAt,
+                reason: record.reason,
+                counts: null,
+                unreadable: true
+            }))
+        )));
+    }
+
+    /**
+     * Get a snapshot including its backup JSON
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object>} Snapshot
+     */
+    function getSnapshot(id) {
+        return SnapshotStore.get(id).then(record => {
+            if (!record) {
+                throw new Error('Snapshot not found');
+            }
+            return openSnapshot(record, true);
+        });
+    }
+
+    /**
+     * Store a snapshot, encrypted when an app lock is set
+     * @param {Object} snapshot - Snapshot with id, createdAt, reason, counts and data
+     * @returns {Promise<void>}
+     */
+    function saveSnapshot(snapshot) {
+        return Promise.all([
+            Storage.sealValue(`snapshot:${snapshot.id}:counts`, snapshot.counts),
+            Storage.sealValue(`snapshot:${snapshot.id}:data`, snapshot.data)
+        ]).then(([counts, data]) => SnapshotStore.put({ ...snapshot, counts, data }));
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<void>}
+     */
+    function deleteSnapshot(id) {
+        return SnapshotStore.remove(id);
+    }
+
+    /**
+     * Read every snapshot with its data, e.g. before the encryption key changes
+     * @returns {Promise<Array>} Snapshots
+     */
+    function readAllSnapshots() {
+        if (!SnapshotStore.isAvailable()) return Promise.resolve([]);
+
+        return SnapshotStore.getAll().then(records => Promise.all(records.map(record => openSnapshot(record, true))));
+    }
+
+    /**
+     * Store snapshots again under the current encryption state
+     * @param {Array} snapshots - Snapshots with their data
+     * @returns {Promise<void>}
+     */
+    function rewriteSnapshots(snapshots) {
+        return Promise.all(snapshots.map(saveSnapshot)).then(() => undefined);
+    }
+
+    /**
+     * Get the folder chosen for backup files
+     * @returns {Promise<FileSystemDirectoryHandle|null>} Folder handle
+     */
+    function getBackupFolder() {
+        return SnapshotStore.getValue(BACKUP_FOLDER_KEY).then(handle => handle || null);
+    }
+
+    /**
+     * Remember the folder chosen for backup files
+     * @param {FileSystemDirectoryHandle} handle - Folder handle
+     * @returns {Promise<void>}
+     */
+    function saveBackupFolder(handle) {
+        return SnapshotStore.setValue(BACKUP_FOLDER_KEY, handle);
+    }
+
+    /**
+     * Stop writing backup files to a folder
+     * @returns {Promise<void>}
+     */
+    function removeBackupFolder() {
+        return SnapshotStore.removeValue(BACKUP_FOLDER_KEY);
+    }
+
+    /*
+     * Data Management Methods
+     */
+
+    /**
+     * Clear all application data
+     * @returns {boolean} Success status
+     */
+    function clearAll() {
+        const cleared = Storage.clearAll();
+
+        // An empty store is still at the current schema version
+        Storage.save(KEYS.SCHEMA_VERSION, Migrations.getCurrentVersion());
+        return cleared;
+    }
+
+    /**
+     * Get all stored user data
+     * @returns {Object} Dataset keyed by StorageKeys type, including its schema version
+     */
+    function getDataset() {
+        return Storage.getDataset();
+    }
+
+    /**
+     * Write every data type present in a dataset
+     * @param {Object} data - Dataset keyed by StorageKeys type, at the current schema version
+     */
+    function saveDataset(data) {
+        Storage.saveDataset(data);
+    }
+
+    /**
+     * Export all data as a JSON string
+     * @returns {string|null} JSON string, or null on failure
+     */
+    function exportData() {
+        return Storage.exportData();
+    }
+
+    /**
+     * Import all data from a JSON string, replacing what is stored
+     * @param {string} jsonData - JSON string of exported data
+     * @returns {boolean} Success status
+     */
+    function importData(jsonData) {
+        return Storage.importData(jsonData);
+    }
+
+    /**
+     * Report the schema migrations an import would apply
+     * @param {string} jsonData - JSON string of exported data
+     * @returns {Object|null} Migration report
+     */
+    function previewImport(jsonData) {
+        return Storage.previewImport(jsonData);
+    }
+
+    /**
+     * Trigger a browser download
+     * @param {string|Blob} content - File contents
+     * @param {string} filename - Download file name
+     * @param {string} type - MIME type
+     */
+    function downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Export all data as JSON file download
+     * @returns {boolean} Success status
+     */
+    function exportDataToFile() {
+        const jsonData = exportData();
+        if (!jsonData) return false;
+
+        // Create filename with date
+        const dateStr = CalendarDate.today();
+        downloadFile(jsonData, `cashboard_backup_${dateStr}.json`, 'application/json');
+
+        return true;
+    }
+
+    /**
+     * Export all data as a passphrase-protected file download
+     * @param {string} passphrase - Passphrase to encrypt the backup with
+     * @returns {Promise<void>} Resolves once the download has started
+     */
+    function exportEncryptedDataToFile(passphrase) {
+        const jsonData = exportData();
+        if (!jsonData) return Promise.reject(new Error('Failed to export data'));
+
+        return BackupCrypto.encrypt(jsonData, passphrase).then(encrypted => {
+            const dateStr = CalendarDate.today();
+            downloadFile(encrypted, `cashboard_backup_${dateStr}.encrypted.json`, 'application/json');
+        });
+    }
+
+    /**
+     * Read a file as text
+     * @param {File} file - File to read
+     * @returns {Promise<string>} File contents
+     */
+    function readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (event) => resolve(event.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Read a file as raw bytes
+     * @param {File} file - File to read
+     * @returns {Promise<ArrayBuffer>} File contents
+     */
+    function readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (event) => resolve(event.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Check that a file looks like a JSON backup
+     * @param {File} file - Selected file
+     * @returns {boolean} Whether the file is JSON
+     */
+    function isBackupFile(file) {
+        return Boolean(file && (file.type === 'application/json' || /\.json$/i.test(file.name)));
+    }
+
+    /**
+     * Read the JSON from a backup file, decrypting it when it is protected
+     * @param {File} file - JSON backup file, plain or encrypted
+     * @param {Function} requestPassphrase - Called for encrypted backups; resolves to the passphrase, or null to cancel
+     * @returns {Promise<string>} Backup JSON
+     */
+    function readBackupText(file, requestPassphrase) {
+        if (!isBackupFile(file)) {
+            return Promise.reject(new Error('Invalid file type. Please select a JSON file.'));
+        }
+
+        return readFileAsText(file).then(text => {
+            if (!BackupCrypto.isEncrypted(text)) return text;
+
+            if (!requestPassphrase) {
+                const error = new Error('This backup is encrypted. A passphrase is required.');
+                error.code = 'PASSPHRASE_REQUIRED';
+                throw error;
+            }
+
+            return Promise.resolve(requestPassphrase()).then(passphrase => {
+                if (passphrase === null || passphrase === undefined) {
+                    const error = new Error('Import cancelled');
+                    error.code = 'CANCELLED';
+                    throw error;
+                }
+                return BackupCrypto.decrypt(text, passphrase);
+            });
+        });
+    }
+
+    /**
+     * Read a backup file without importing it
+     * @param {File} file - JSON backup file, plain or encrypted
+     * @param {Function} requestPassphrase - Asks for the passphrase of encrypted backups
+     * @returns {Promise<Object>} Backup contents upgraded to the current schema
+     */
+    function readBackupFile(file, requestPassphrase) {
+        return readBackupText(file, requestPassphrase).then(jsonData => Migrations.run(JSON.parse(jsonData)).data);
+    }
+
+    /**
+     * Import data from file, replacing what is stored
+     * @param {File} file - JSON file to import, plain or encrypted
+     * @param {Function} requestPassphrase - Asks for the passphrase of encrypted backups
+     * @returns {Promise<Object>} Migration report for the imported data
+     */
+    function importDataFromFile(file, requestPassphrase) {
+        return readBackupText(file, requestPassphrase).then(jsonData => {
+            const report = previewImport(jsonData);
+            if (!report || !importData(jsonData)) {
+                throw new Error('Failed to import data. Invalid format.');
+            }
+            return report;
+        });
+    }
+
+    // Public API
+    return {
+        KEYS,
+        DEFAULT_SETTINGS,
+
+        // Entity methods
+        getAll,
+        saveAll,
+        normalizeRecord,
+        getIncomes,
+        saveIncomes,
+        getExpenses,
+        saveExpenses,
+        getBudgets,
+        saveBudgets,
+        getAccounts,
+        saveAccounts,
+        getTransfers,
+        saveTransfers,
+        getExchangeRates,
+        saveExchangeRates,
+        getSavingsGoals,
+        saveSavingsGoals,
+        getImportProfiles,
+        saveImportProfiles,
+
+        // Settings & user methods
+        getSettings,
+        saveSettings,
+        updateSettings,
+        getCurrencySymbol,
+        getCurrencies,
+        getUser,
+        saveUser,
+        isFirstUse,
+
+        // App lock methods
+        isLocked,
+        getLockKind,
+        unlock,
+        setLock,
+        changeLock,
+        removeLock,
+        verifyLock,
+        flush,
+        onWriteError,
+
+        // Snapshot methods
+        getSnapshots,
+        getSnapshot,
+        saveSnapshot,
+        deleteSnapshot,
+        getBackupFolder,
+        saveBackupFolder,
+        removeBackupFolder,
+
+        // Data management
+        clearAll,
+        getDataset,
+        saveDataset,
+        exportData,
+        importData,
+        previewImport,
+        downloadFile,
+        readFileAsText,
+        readFileAsArrayBuffer,
+        exportDataToFile,
+        exportEncryptedDataToFile,
+        readBackupFile,
+        importDataFromFile
+    };
+})();
@@ -0,0 +1,363 @@
+/**
+ * CashBoard Snapshot Service
+ * Automatic local backups: a snapshot of all data is taken once a day while
+ * the app is open and thinned out by a retention policy that keeps the
+ * latest snapshot of each of the last days, weeks and months. Snapshots can
+ * also be written as backup files to a folder chosen through the File System
+ * Access API.
+ */
+
+const SnapshotService = (function() {
+    // How often to check whether today's snapshot is due while the app is open
+    const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+    // Snapshots kept per period: the latest of each of the last N days, weeks and months
+    const RETENTION = {
+        daily: 7,
+        weekly: 4,
+        monthly: 12
+    };
+
+    // Record counts shown for each snapshot, by StorageKeys type
+    const COUNTED_TYPES = ['INCOME', 'EXPENSES', 'BUDGETS', 'ACCOUNTS', 'TRANSFERS'];
+
+    // Backup files written to the chosen folder
+    const FILE_PATTERN = /^cashboard_snapshot_(\d{4}-\d{2}-\d{2})\.json$/;
+
+    // Periodic check timer
+    let timer = null;
+
+    /**
+     * Check whether snapshots can be kept in this browser
+     * @returns {boolean} Whether snapshots are supported
+     */
+    function isSupported() {
+        return SnapshotStore.isAvailable();
+    }
+
+    /**
+     * Check whether backup files can be written to a folder
+     * @returns {boolean} Whether the File System Access API is available
+     */
+    function isFolderSupported() {
+        return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Key of the Monday-based week a date falls in
+     * @param {Date} date - Date
+     * @returns {string} Day key of the week's Monday
+     */
+    function getWeekKey(date) {
+        return CalendarDate.getPeriod('weekly', date).start;
+    }
+
+    /**
+     * Key of the month a date falls in
+     * @param {Date} date - Date
+     * @returns {string} YYYY-MM
+     */
+    function getMonthKey(date) {
+        return CalendarDate.toKey(date).slice(0, 7);
+    }
+
+    // Period keys for each retention tier
+    const TIER_KEYS = {
+        daily: CalendarDate.toKey,
+        weekly: getWeekKey,
+        monthly: getMonthKey
+    };
+
+    /**
+     * Work out which snapshots the retention policy keeps
+     * @param {Array} snapshots - Snapshots with createdAt
+     * @returns {Object} Tiers ('daily', 'weekly', 'monthly') each kept snapshot counts for, by ID
+     */
+    function getRetainedTiers(snapshots) {
+        const newestFirst = [...snapshots].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        const tiers = {};
+
+        Object.entries(RETENTION).forEach(([tier, limit]) => {
+            const periods = new Set();
+            newestFirst.forEach(snapshot => {
+                const period = TIER_KEYS[tier](new Date(snapshot.createdAt));
+                if (periods.has(period) || periods.size >= limit) return;
+
+                periods.add(period);
+                (tiers[snapshot.id] = tiers[snapshot.id] || []).push(tier);
+            });
+        });
+
+        return tiers;
+    }
+
+    /**
+     * Count the records in a dataset
+     * @param {Object} dataset - Dataset keyed by StorageKeys type
+     * @returns {Object} Record counts by StorageKeys type
+     */
+    function countRecords(dataset) {
+        const counts = {};
+        COUNTED_TYPES.forEach(type => {
+            counts[type] = Array.isArray(dataset[type]) ? dataset[type].length : 0;
+        });
+        return counts;
+    }
+
+    /**
+     * List snapshots, newest first, with the retention tiers they are kept for
+     * @returns {Promise<Array>} Snapshots without their data
+     */
+    function listSnapshots() {
+        return Repository.getSnapshots().then(snapshots => {
+            const tiers = getRetainedTiers(snapshots);
+            return snapshots
+                .map(snapshot => ({ ...snapshot, tiers: tiers[snapshot.id] || [] }))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        });
+    }
+
+    /**
+     * Take a snapshot of all data now
+     * @param {string} reason - 'auto', 'manual' or 'before-restore'
+     * @returns {Promise<Object>} The snapshot, without its data
+     */
+    function createSnapshot(reason = 'manual') {
+        const data = Repository.exportData();
+        if (!data) {
+            return Promise.reject(new Error('Failed to read data for the snapshot'));
+        }
+
+        const snapshot = {
+            id: generateID(),
+            createdAt: new Date().toISOString(),
+            reason,
+            counts: countRecords(Repository.getDataset())
+        };
+
+        return Repository.saveSnapshot({ ...snapshot, data })
+            .then(() => applyRetention())
+            .then(kept => writeToFolder(snapshot, data, kept))
+            .then(() => snapshot);
+    }
+
+    /**
+     * Delete the snapshots the retention policy no longer keeps
+     * @returns {Promise<Array>} Snapshots that were kept
+     */
+    function applyRetention() {
+        return Repository.getSnapshots().then(snapshots => {
+            const tiers = getRetainedTiers(snapshots);
+            const expired = snapshots.filter(snapshot => !tiers[snapshot.id]);
+
+            return Promise.all(expired.map(snapshot => Repository.deleteSnapshot(snapshot.id)))
+                .then(() => snapshots.filter(snapshot => tiers[snapshot.id]));
+        });
+    }
+
+    /**
+     * Take today's automatic snapshot if there is none yet
+     * @returns {Promise<Object|null>} New snapshot, or null if none was due
+     */
+    function runDue() {
+        if (!Repository.getSettings().autoSnapshots || !isSupported()) {
+            return Promise.resolve(null);
+        }
+
+        const today = CalendarDate.today();
+
+        return Repository.getSnapshots().then(snapshots => {
+            const takenToday = snapshots.some(snapshot => CalendarDate.toKey(snapshot.createdAt) === today);
+            return takenToday ? null : createSnapshot('auto');
+        });
+    }
+
+    /**
+     * Start taking daily snapshots while the app is open
+     * @returns {Promise<Object|null>} Result of the first check
+     */
+    function start() {
+        stop();
+        timer = setInterval(() => {
+            runDue().catch(error => console.error('Automatic snapshot failed:', error));
+        }, CHECK_INTERVAL_MS);
+
+        return runDue().catch(error => {
+            console.error('Automatic snapshot failed:', error);
+            return null;
+        });
+    }
+
+    /**
+     * Stop periodic checks
+     */
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    /**
+     * Replace all data with a snapshot. A snapshot of the current data is
+     * taken first, so the restore can be undone.
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object>} Migration report for the restored data
+     */
+    function restoreSnapshot(id) {
+        return Repository.getSnapshot(id).then(snapshot =>
+            createSnapshot('before-restore').then(() => {
+                const report = Repository.previewImport(snapshot.data);
+                if (!report || !Repository.importData(snapshot.data)) {
+                    throw new Error('Failed to restore snapshot. Invalid format.');
+                }
+                return report;
+            })
+        );
+    }
+
+    /**
+     * Download a snapshot as a JSON backup file
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<void>}
+     */
+    function downloadSnapshot(id) {
+        return Repository.getSnapshot(id).then(snapshot => {
+            const dayKey = CalendarDate.toKey(snapshot.createdAt);
+            Repository.downloadFile(snapshot.data, `cashboard_snapshot_${dayKey}.json`, 'application/json');
+        });
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<void>}
+     */
+    function deleteSnapshot(id) {
+        return Repository.deleteSnapshot(id);
+    }
+
+    /**
+     * Let the user pick a folder for backup files
+     * @returns {Promise<string>} Folder name
+     */
+    function chooseFolder() {
+        if (!isFolderSupported()) {
+            return Promise.reject(new Error('This browser cannot write to folders'));
+        }
+
+        return window.showDirectoryPicker({ id: 'cashboard-backups', mode: 'readwrite' })
+            .then(handle => Repository.saveBackupFolder(handle).then(() => handle.name));
+    }
+
+    /**
+     * Stop writing backup files to the chosen folder
+     * @returns {Promise<void>}
+     */
+    function forgetFolder() {
+        return Repository.removeBackupFolder();
+    }
+
+    /**
+     * Describe the backup folder
+     * @returns {Promise<Object|null>} Folder name and permission state, or null if none is chosen
+     */
+    function getFolderStatus() {
+        if (!isSupported()) return Promise.resolve(null);
+
+        return Repository.getBackupFolder().then(handle => {
+            if (!handle) return null;
+            return handle.queryPermission({ mode: 'readwrite' })
+                .then(permission => ({ name: handle.name, permission }));
+        });
+    }
+
+    /**
+     * Ask again for permission to write to the backup folder. Browsers
+     * only grant this from a user action such as a click.
+     * @returns {Promise<boolean>} Whether writing is allowed
+     */
+    function reconnectFolder() {
+        return Repository.getBackupFolder().then(handle => {
+            if (!handle) return false;
+            return handle.requestPermission({ mode: 'readwrite' }).then(permission => permission === 'granted');
+        });
+    }
+
+    /**
+     * Write a snapshot to the backup folder and remove files the retention
+     * policy no longer keeps. Skipped while an app lock is set, since files
+     * would be written unencrypted, and while the folder permission has not
+     * been granted in this session.
+     * @param {Object} snapshot - Snapshot without its data
+     * @param {string} data - Backup JSON
+     * @param {Array} kept - Snapshots kept by the retention policy
+     * @returns {Promise<boolean>} Whether a file was written
+     */
+    function writeToFolder(snapshot, data, kept) {
+        if (!isFolderSupported() || Repository.getLockKind()) {
+            return Promise.resolve(false);
+        }
+
+        return Repository.getBackupFolder().then(handle => {
+            if (!handle) return false;
+
+            return handle.queryPermission({ mode: 'readwrite' }).then(permission => {
+                if (permission !== 'granted') return false;
+
+                const fileName = `cashboard_snapshot_${CalendarDate.toKey(snapshot.createdAt)}.json`;
+                return handle.getFileHandle(fileName, { create: true })
+                    .then(fileHandle => fileHandle.createWritable())
+                    .then(writable => writable.write(data).then(() => writable.close()))
+                    .then(() => pruneFolder(handle, kept))
+                    .then(() => true);
+            });
+        }).catch(error => {
+            console.error('Failed to write backup to folder:', error);
+            return false;
+        });
+    }
+
+    /**
+     * Remove backup files for days no kept snapshot was taken on
+     * @param {FileSystemDirectoryHandle} handle - Backup folder
+     * @param {Array} kept - Snapshots kept by the retention policy
+     * @returns {Promise<void>}
+     */
+    function pruneFolder(handle, kept) {
+        const keptDays = new Set(kept.map(snapshot => CalendarDate.toKey(snapshot.createdAt)));
+        const entries = handle.values();
+        const expired = [];
+
+        const next = () => entries.next().then(({ done, value }) => {
+            if (done) return;
+
+            const match = value.kind === 'file' && value.name.match(FILE_PATTERN);
+            if (match && !keptDays.has(match[1])) {
+                expired.push(value.name);
+            }
+            return next();
+        });
+
+        return next().then(() => Promise.all(expired.map(name => handle.removeEntry(name))));
+    }
+
+    // Public API
+    return {
+        RETENTION,
+        isSupported,
+        isFolderSupported,
+        start,
+        stop,
+        runDue,
+        createSnapshot,
+        listSnapshots,
+        restoreSnapshot,
+        downloadSnapshot,
+        deleteSnapshot,
+        chooseFolder,
+        forgetFolder,
+        getFolderStatus,
+        reconnectFolder
+    };
+})();
@@ -0,0 +1,317 @@
+/**
+ * CashBoard Statement Service
+ * Builds printable PDF statements for a month or any date range
+ *
+ * A statement opens with a cover page of totals and charts, followed by
+ * the category breakdown, budget performance and the income and expense
+ * tables. Everything is drawn with PdfWriter in the browser.
+ */
+
+const StatementService = (function() {
+    // Page layout in points
+    const MARGIN = 48;
+    const ROW_HEIGHT = 16;
+    const FOOTER_SPACE = 40;
+
+    // Colors
+    const COLORS = {
+        text: '#333333',
+        muted: '#777777',
+        rule: '#DDDDDD',
+        band: '#F5F5F5',
+        income: '#2E7D32',
+        expense: '#C62828'
+    };
+
+    // Budget status labels
+    const BUDGET_STATUS_LABELS = {
+        good: 'On track',
+        warning: 'Near limit',
+        danger: 'Over limit'
+    };
+
+    /**
+     * Get the first and last day of a month
+     * @param {string} month - Month as YYYY-MM
+     * @returns {Object} { startDate, endDate }
+     */
+    function getMonthRange(month) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return {
+            startDate: new Date(year, monthNumber - 1, 1),
+            endDate: new Date(year, monthNumber, 0)
+        };
+    }
+
+    /**
+     * Collect everything a statement shows
+     * Budgets are reported for their period holding the last day of the
+     * range, which for a monthly statement is the statement month.
+     * @param {Date} startDate - First day of the statement
+     * @param {Date} endDate - Last day of the statement
+     * @returns {Object} Statement data
+     */
+    function getStatement(startDate, endDate) {
+        const summary = DataService.getFinancialSummary(startDate, endDate, Infinity);
+
+        return {
+            from: CalendarDate.toKey(startDate),
+            to: CalendarDate.toKey(endDate),
+            summary,
+            incomes: DataService.query({ type: 'income', from: startDate, to: endDate, sort: 'date-asc' }),
+            expenses: DataService.query({ type: 'expense', from: startDate, to: endDate, sort: 'date-asc' }),
+            budgets: DataService.getBudgetStatus(null, endDate)
+        };
+    }
+
+    // The PDF fonts only have Latin digits
+    const PDF_NUMBERS = { numberingSystem: 'latn' };
+
+    /**
+     * Make formatted text drawable with the PDF fonts
+     * @param {string} text - Text from FormatService
+     * @returns {string} Text with plain spaces and without direction marks
+     */
+    function toPdfText(text) {
+        return text.replace(/[\u00A0\u202F]/g, ' ').replace(/[\u061C\u200E\u200F]/g, '');
+    }
+
+    /**
+     * Format an amount in the base currency with a symbol the PDF fonts can show
+     * Symbols outside the built-in fonts (such as ₹) are replaced by the currency code.
+     * @param {number} amount - Amount in minor units of the base currency
+     * @returns {string} Formatted amount
+     */
+    function formatAmount(amount) {
+        const formatted = toPdfText(FormatService.formatCurrency(amount, null, PDF_NUMBERS));
+        return PdfWriter.canEncode(formatted)
+            ? formatted
+            : toPdfText(FormatService.formatCurrency(amount, null, { ...PDF_NUMBERS, currencyDisplay: 'code' }));
+    }
+
+    /**
+     * Format a date in the dateFormat setting with digits the PDF fonts can show
+     * @param {Date|string} date - Date object or YYYY-MM-DD string
+     * @returns {string} Formatted date
+     */
+    function formatDate(date) {
+        return toPdfText(FormatService.formatDate(date, PDF_NUMBERS));
+    }
+
+    /**
+     * Draw a table, continuing on new pages as needed
+     * @param {Object} doc - PdfWriter document
+     * @param {Object} layout - { top } position to start at; updated as rows are drawn
+     * @param {Array<Object>} columns - Columns as { header, width, align }
+     * @param {Array<Array<string>>} rows - Cell text
+     */
+    function drawTable(doc, layout, columns, rows) {
+        const drawHeader = () => {
+            doc.rect(MARGIN, layout.top - 11, doc.width - MARGIN * 2, ROW_HEIGHT, { fill: COLORS.band });
+            let x = MARGIN + 4;
+            columns.forEach(column => {
+                doc.text(column.header, column.align === 'right' ? x + column.width - 8 : x, layout.top, { font: 'bold', size: 9, color: COLORS.text, align: column.align });
+                x += column.width;
+            });
+            layout.top += ROW_HEIGHT;
+        };
+
+        drawHeader();
+        rows.forEach(cells => {
+            if (layout.top > doc.height - MARGIN - FOOTER_SPACE) {
+                doc.addPage();
+                layout.top = MARGIN + 12;
+                drawHeader();
+            }
+
+            let x = MARGIN + 4;
+            cells.forEach((cell, i) => {
+                const column = columns[i];
+                const text = doc.fitText(cell, column.width - 8, 9);
+                doc.text(text, column.align === 'right' ? x + column.width - 8 : x, layout.top, { size: 9, color: column.color || COLORS.text, align: column.align });
+                x += column.width;
+            });
+            doc.line(MARGIN, layout.top + 5, doc.width - MARGIN, layout.top + 5, { color: COLORS.rule });
+            layout.top += ROW_HEIGHT;
+        });
+
+        if (rows.length === 0) {
+            doc.text('Nothing in this period.', MARGIN + 4, layout.top, { size: 9, color: COLORS.muted });
+            layout.top += ROW_HEIGHT;
+        }
+        layout.top += ROW_HEIGHT;
+    }
+
+    /**
+     * Draw a section heading, starting a new page if little room is left
+     * @param {Object} doc - PdfWriter document
+     * @param {Object} layout - { top }; updated
+     * @param {string} title - Heading
+     */
+    function drawHeading(doc, layout, title) {
+        if (layout.top > doc.height - MARGIN - FOOTER_SPACE - ROW_HEIGHT * 4) {
+            doc.addPage();
+            layout.top = MARGIN + 12;
+        }
+        doc.text(title, MARGIN, layout.top, { font: 'bold', size: 14, color: COLORS.text });
+        layout.top += ROW_HEIGHT * 1.5;
+    }
+
+    /**
+     * Draw the cover page: title, totals and charts
+     * @param {Object} doc - PdfWriter document
+     * @param {Object} statement - Statement from getStatement
+     * @param {Object} charts - { trend, breakdown } JPEG data URLs, either may be missing
+     * @returns {number} Position below the cover content
+     */
+    function drawCover(doc, statement, charts) {
+        const { summary } = statement;
+        const contentWidth = doc.width - MARGIN * 2;
+
+        doc.text('CashBoard Statement', MARGIN, MARGIN + 14, { font: 'bold', size: 22, color: COLORS.text });
+        doc.text(`${formatDate(statement.from)} to ${formatDate(statement.to)}`, MARGIN, MARGIN + 34, { size: 11, color: COLORS.muted });
+        doc.text(`Generated ${formatDate(new Date())}`, doc.width - MARGIN, MARGIN + 34, { size: 9, color: COLORS.muted, align: 'right' });
+        doc.line(MARGIN, MARGIN + 46, doc.width - MARGIN, MARGIN + 46, { color: COLORS.rule, width: 1 });
+
+        // Summary boxes
+        const boxes = [
+            { label: 'Income', value: formatAmount(summary.totalIncome), note: `${summary.incomeCount} entries`, color: COLORS.income },
+            { label: 'Expenses', value: formatAmount(summary.totalExpenses), note: `${summary.expenseCount} entries`, color: COLORS.expense },
+            { label: 'Net', value: formatAmount(summary.net), note: summary.net >= 0 ? 'Saved' : 'Overspent', color: summary.net >= 0 ? COLORS.income : COLORS.expense },
+            { label: 'Savings Rate', value: `${summary.savingsRate.toFixed(1)}%`, note: 'of income', color: COLORS.text }
+        ];
+        const gap = 10;
+        const boxWidth = (contentWidth - gap * (boxes.length - 1)) / boxes.length;
+        const boxTop = MARGIN + 62;
+
+        boxes.forEach((box, i) => {
+            const x = MARGIN + i * (boxWidth + gap);
+            doc.rect(x, boxTop, boxWidth, 62, { fill: COLORS.band, stroke: COLORS.rule });
+            doc.text(box.label, x + 10, boxTop + 18, { size: 9, color: COLORS.muted });
+            doc.text(doc.fitText(box.value, boxWidth - 20, 14, 'bold'), x + 10, boxTop + 38, { font: 'bold', size: 14, color: box.color });
+            doc.text(box.note, x + 10, boxTop + 53, { size: 8, color: COLORS.muted });
+        });
+
+        let top = boxTop + 84;
+
+        // Charts, side by side
+        const chartWidth = (contentWidth - gap) / 2;
+        const chartHeight = chartWidth / 2;
+        const chartImages = [
+            { title: 'Income vs Expenses', image: charts.trend },
+            { title: 'Expenses by Category', image: charts.breakdown }
+        ].filter(chart => chart.image);
+
+        chartImages.forEach((chart, i) => {
+            const x = MARGIN + i * (chartWidth + gap);
+            doc.text(chart.title, x, top, { font: 'bold', size: 10, color: COLORS.text });
+            doc.image(chart.image, x, top + 8, chartWidth, chartHeight);
+        });
+        if (chartImages.length > 0) {
+            top += chartHeight + 32;
+        }
+
+        return top;
+    }
+
+    /**
+     * Draw a statement as a PDF
+     * @param {Object} statement - Statement from getStatement
+     * @param {Object} charts - { trend, breakdown } JPEG data URLs, either may be missing
+     * @returns {Uint8Array} PDF file bytes
+     */
+    function toPdf(statement, charts = {}) {
+        const doc = PdfWriter.createDocument({ size: 'a4', title: `CashBoard Statement ${statement.from} to ${statement.to}` });
+        const contentWidth = doc.width - MARGIN * 2;
+        const categoryName = (transaction) => (transaction.splits || []).length > 0
+            ? transaction.splits.map(split => split.category).join(', ')
+            : transaction.category;
+
+        doc.addPage();
+        const layout = { top: drawCover(doc, statement, charts) };
+
+        drawHeading(doc, layout, 'Category Breakdown');
+        const shareRows = (categories) => categories.map(entry => [entry.category, formatAmount(entry.amount), `${entry.percentage.toFixed(1)}%`]);
+        drawTable(doc, layout, [
+            { header: 'Expense category', width: contentWidth * 0.5 },
+            { header: 'Amount', width: contentWidth * 0.3, align: 'right' },
+            { header: 'Share', width: contentWidth * 0.2, align: 'right' }
+        ], shareRows(statement.summary.topExpenseCategories));
+        drawTable(doc, layout, [
+            { header: 'Income category', width: contentWidth * 0.5 },
+            { header: 'Amount', width: contentWidth * 0.3, align: 'right' },
+            { header: 'Share', width: contentWidth * 0.2, align: 'right' }
+        ], shareRows(statement.summary.topIncomeCategories));
+
+        drawHeading(doc, layout, 'Budget Performance');
+        drawTable(doc, layout, [
+            { header: 'Category', width: contentWidth * 0.24 },
+            { header: 'Period', width: contentWidth * 0.22 },
+            { header: 'Budget', width: contentWidth * 0.15, align: 'right' },
+            { header: 'Spent', width: contentWidth * 0.15, align: 'right' },
+            { header: 'Used', width: contentWidth * 0.1, align: 'right' },
+            { header: 'Status', width: contentWidth * 0.14 }
+        ], statement.budgets.map(status => [
+            status.category,
+            `${formatDate(status.startDate)} - ${formatDate(status.endDate)}`,
+            formatAmount(status.amount),
+            formatAmount(status.spent),
+            `${status.percentSpent.toFixed(0)}%`,
+            BUDGET_STATUS_LABELS[status.status] || status.status
+        ]));
+
+        drawHeading(doc, layout, 'Income');
+        drawTable(doc, layout, [
+            { header: 'Date', width: contentWidth * 0.15 },
+            { header: 'Description', width: contentWidth * 0.45 },
+            { header: 'Category', width: contentWidth * 0.2 },
+            { header: 'Amount', width: contentWidth * 0.2, align: 'right', color: COLORS.income }
+        ], statement.incomes.map(income => [formatDate(income.date), income.title, categoryName(income), formatAmount(income.baseAmount)]));
+
+        drawHeading(doc, layout, 'Expenses');
+        drawTable(doc, layout, [
+            { header: 'Date', width: contentWidth * 0.15 },
+            { header: 'Description', width: contentWidth * 0.35 },
+            { header: 'Category', width: contentWidth * 0.2 },
+            { header: 'Payment', width: contentWidth * 0.12 },
+            { header: 'Amount', width: contentWidth * 0.18, align: 'right', color: COLORS.expense }
+        ], statement.expenses.map(expense => [formatDate(expense.date), expense.title, categoryName(expense), expense.paymentMethod, formatAmount(expense.baseAmount)]));
+
+        // Page numbers, once the page count is known
+        const pageCount = doc.getPageCount();
+        for (let i = 0; i < pageCount; i++) {
+            doc.setPage(i);
+            doc.text(`CashBoard Statement ${statement.from} to ${statement.to}`, MARGIN, doc.height - MARGIN / 2, { size: 8, color: COLORS.muted });
+            doc.text(`Page ${i + 1} of ${pageCount}`, doc.width - MARGIN, doc.height - MARGIN / 2, { size: 8, color: COLORS.muted, align: 'right' });
+        }
+
+        return doc.build();
+    }
+
+    /**
+     * Build a statement as a PDF file download
+     * @param {Date} startDate - First day of the statement
+     * @param {Date} endDate - Last day of the statement
+     * @param {Object} charts - { trend, breakdown } JPEG data URLs, either may be missing
+     * @returns {boolean} Success status
+     */
+    function exportPdfToFile(startDate, endDate, charts = {}) {
+        try {
+            const statement = getStatement(startDate, endDate);
+            const blob = new Blob([toPdf(statement, charts)], { type: 'application/pdf' });
+            Repository.downloadFile(blob, `cashboard_statement_${statement.from}_${statement.to}.pdf`);
+            return true;
+        } catch (error) {
+            console.error('Failed to export statement:', error);
+            return false;
+        }
+    }
+
+    // Public API
+    return {
+        getMonthRange,
+        getStatement,
+        toPdf,
+        exportPdfToFile
+    };
+})();
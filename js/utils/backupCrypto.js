@@ -0,0 +1,256 @@
+/**
+ * CashBoard Backup Encryption
+ * Passphrase-protected backups using WebCrypto: PBKDF2-SHA-256 derives the key,
+ * AES-GCM encrypts the backup JSON. The envelope is itself JSON, with a small
+ * header (format version, salt, iterations, IV) that is authenticated along
+ * with the data.
+ */
+
+const BackupCrypto = (function() {
+    // Envelope identifier and the version this build writes
+    const FORMAT = 'cashboard-encrypted-backup';
+    const VERSION = 1;
+
+    // Key derivation cost for new backups, and the range accepted when reading
+    const DEFAULT_ITERATIONS = 600000;
+    const MIN_ITERATIONS = 10000;
+    const MAX_ITERATIONS = 10000000;
+
+    // Random value sizes in bytes
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+
+    // Shortest passphrase accepted for new backups
+    const MIN_PASSPHRASE_LENGTH = 8;
+
+    /**
+     * Create an error the UI can tell apart by its code
+     * @param {string} code - Error code
+     * @param {string} message - Message shown to the user
+     * @returns {Error} Error with a code property
+     */
+    function createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Get the WebCrypto interface
+     * @returns {SubtleCrypto} Subtle crypto
+     */
+    function getSubtle() {
+        const cryptoApi = typeof crypto !== 'undefined' ? crypto : null;
+        if (!cryptoApi || !cryptoApi.subtle || !cryptoApi.getRandomValues) {
+            throw createError('UNSUPPORTED', I18n.t('backup.errorUnsupported'));
+        }
+        return cryptoApi.subtle;
+    }
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 text
+     */
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 text
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Read the envelope from backup text
+     * @param {string} text - Backup file contents
+     * @returns {Object|null} Parsed envelope, or null when the text is not one
+     */
+    function parseEnvelope(text) {
+        if (typeof text !== 'string' || text.indexOf(FORMAT) === -1) return null;
+
+        try {
+            const envelope = JSON.parse(text);
+            return envelope && envelope.format === FORMAT ? envelope : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether backup text is an encrypted backup
+     * @param {string} text - Backup file contents
+     * @returns {boolean} Whether the text is an encrypted envelope
+     */
+    function isEncrypted(text) {
+        return parseEnvelope(text) !== null;
+    }
+
+    /**
+     * Serialize the header fields that are authenticated with the data
+     * @param {Object} envelope - Envelope without its data
+     * @returns {Uint8Array} Additional authenticated data
+     */
+    function getHeaderBytes(envelope) {
+        const { kdf, cipher } = envelope;
+        return new TextEncoder().encode(JSON.stringify([
+            envelope.format, envelope.version,
+            kdf.name, kdf.hash, kdf.iterations, kdf.salt,
+            cipher.name, cipher.iv,
+            envelope.check
+        ]));
+    }
+
+    /**
+     * Derive the encryption key and passphrase check from a passphrase.
+     * One PBKDF2 run yields 512 bits: the first half is the AES key, the
+     * hash of the second half is stored so a wrong passphrase can be told
+     * apart from a damaged file.
+     * @param {string} passphrase - User passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<Object>} Key and base64 passphrase check
+     */
+    function deriveKey(passphrase, salt, iterations) {
+        const subtle = getSubtle();
+
+        return subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits'])
+            .then(baseKey => subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, baseKey, 512))
+            .then(bits => {
+                const bytes = new Uint8Array(bits);
+                return Promise.all([
+                    subtle.importKey('raw', bytes.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+                    subtle.digest('SHA-256', bytes.slice(32))
+                ]);
+            })
+            .then(([key, check]) => ({ key, check: toBase64(new Uint8Array(check)) }));
+    }
+
+    /**
+     * Encrypt backup JSON with a passphrase
+     * @param {string} jsonData - Backup JSON
+     * @param {string} passphrase - User passphrase
+     * @param {Object} options - Options
+     * @param {number} options.iterations - PBKDF2 iterations
+     * @returns {Promise<string>} Encrypted envelope as JSON
+     */
+    function encrypt(jsonData, passphrase, options = {}) {
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            return Promise.reject(createError('WEAK_PASSPHRASE', I18n.t('lock.errorLength.passphrase', { count: MIN_PASSPHRASE_LENGTH })));
+        }
+
+        let subtle;
+        try {
+            subtle = getSubtle();
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        const iterations = options.iterations || DEFAULT_ITERATIONS;
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+        return deriveKey(passphrase, salt, iterations).then(({ key, check }) => {
+            const envelope = {
+                format: FORMAT,
+                version: VERSION,
+                kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+                cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+                check
+            };
+
+            return subtle.encrypt(
+                { name: 'AES-GCM', iv, additionalData: getHeaderBytes(envelope) },
+                key,
+                new TextEncoder().encode(jsonData)
+            ).then(data => {
+                envelope.data = toBase64(new Uint8Array(data));
+                return JSON.stringify(envelope);
+            });
+        });
+    }
+
+    /**
+     * Check the envelope header before deriving a key from it
+     * @param {Object} envelope - Parsed envelope
+     */
+    function validateEnvelope(envelope) {
+        if (envelope.version !== VERSION) {
+            throw createError('UNSUPPORTED_VERSION', I18n.t('backup.errorVersion', { version: envelope.version }));
+        }
+
+        const { kdf, cipher } = envelope;
+        const valid = kdf && cipher &&
+            kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+            Number.isInteger(kdf.iterations) && kdf.iterations >= MIN_ITERATIONS && kdf.iterations <= MAX_ITERATIONS &&
+            typeof kdf.salt === 'string' && cipher.name === 'AES-GCM' && typeof cipher.iv === 'string' &&
+            typeof envelope.check === 'string' && typeof envelope.data === 'string';
+
+        if (!valid) {
+            throw createError('TAMPERED', I18n.t('backup.errorTampered'));
+        }
+    }
+
+    /**
+     * Decrypt an encrypted backup
+     * @param {string} text - Encrypted envelope as JSON
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<string>} Backup JSON
+     */
+    function decrypt(text, passphrase) {
+        const envelope = parseEnvelope(text);
+        if (!envelope) {
+            return Promise.reject(createError('NOT_ENCRYPTED', I18n.t('backup.errorNotEncrypted')));
+        }
+
+        let subtle, salt, iv, data;
+        try {
+            validateEnvelope(envelope);
+            subtle = getSubtle();
+            salt = fromBase64(envelope.kdf.salt);
+            iv = fromBase64(envelope.cipher.iv);
+            data = fromBase64(envelope.data);
+        } catch (e) {
+            return Promise.reject(e.code ? e : createError('TAMPERED', I18n.t('backup.errorTampered')));
+        }
+
+        return deriveKey(passphrase || '', salt, envelope.kdf.iterations).then(({ key, check }) => {
+            if (check !== envelope.check) {
+                throw createError('WRONG_PASSPHRASE', I18n.t('lock.wrong.passphrase'));
+            }
+
+            return subtle.decrypt({ name: 'AES-GCM', iv, additionalData: getHeaderBytes(envelope) }, key, data)
+                .catch(() => {
+                    throw createError('TAMPERED', I18n.t('backup.errorTampered'));
+                });
+        }).then(plain => new TextDecoder().decode(plain));
+    }
+
+    // Public API
+    return {
+        DEFAULT_ITERATIONS,
+        MIN_PASSPHRASE_LENGTH,
+        isEncrypted,
+        encrypt,
+        decrypt,
+
+        // Shared with storage encryption
+        getSubtle,
+        deriveKey,
+        toBase64,
+        fromBase64
+    };
+})();
@@ -0,0 +1,111 @@
+/**
+ * CashBoard Calendar Date Utility
+ * Transactions, budgets and accounts store plain calendar dates as
+ * YYYY-MM-DD keys in the user's local time. Keys compare as strings, and
+ * are only turned into Date objects at local midnight, never through UTC,
+ * so an expense entered late in the evening stays on the day it was made.
+ */
+
+const CalendarDate = (function() {
+    // A bare calendar date, as stored on records and used by date inputs
+    const KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    /**
+     * Format a date value as a local YYYY-MM-DD key
+     * @param {Date|string|number} value - Date, date key, ISO timestamp or epoch milliseconds
+     * @returns {string|null} Date key, or null if the value is empty or unreadable
+     */
+    function toKey(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'string' && KEY_PATTERN.test(value)) return value;
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Turn a date value into a Date
+     * @param {Date|string|number} value - Date, date key, ISO timestamp or epoch milliseconds
+     * @returns {Date} Date; date keys are read as local midnight rather than UTC
+     */
+    function parse(value) {
+        if (value instanceof Date) return value;
+
+        const match = KEY_PATTERN.exec(value);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+    }
+
+    /**
+     * Get today's local date key
+     * @returns {string} Date key
+     */
+    function today() {
+        return toKey(new Date());
+    }
+
+    /**
+     * Move a date by whole days
+     * @param {Date|string} value - Date or date key
+     * @param {number} days - Days to add (negative to go back)
+     * @returns {string} Date key
+     */
+    function addDays(value, days) {
+        const date = parse(value);
+        return toKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+    }
+
+    /**
+     * Move a date by whole months
+     * Days past the end of a shorter month fall on its last day, so
+     * January 31st plus one month is the last day of February.
+     * @param {Date|string} value - Date or date key
+     * @param {number} months - Months to add (negative to go back)
+     * @returns {string} Date key
+     */
+    function addMonths(value, months) {
+        const date = parse(value);
+        const monthIndex = date.getMonth() + months;
+        const lastDayOfMonth = new Date(date.getFullYear(), monthIndex + 1, 0).getDate();
+        return toKey(new Date(date.getFullYear(), monthIndex, Math.min(date.getDate(), lastDayOfMonth)));
+    }
+
+    /**
+     * Get the first and last day of the period holding a date
+     * Weeks start on Monday.
+     * @param {string} periodType - 'daily', 'weekly', 'monthly' or 'yearly' (anything else is monthly)
+     * @param {Date|string} value - Date or date key in the period
+     * @returns {Object} { start, end } as date keys
+     */
+    function getPeriod(periodType, value) {
+        const date = parse(value);
+        const year = date.getFullYear();
+        const month = date.getMonth();
+
+        switch (periodType) {
+            case 'daily':
+                return { start: toKey(date), end: toKey(date) };
+            case 'weekly': {
+                const start = addDays(date, -((date.getDay() + 6) % 7));
+                return { start, end: addDays(start, 6) };
+            }
+            case 'yearly':
+                return { start: toKey(new Date(year, 0, 1)), end: toKey(new Date(year, 11, 31)) };
+            default:
+                return { start: toKey(new Date(year, month, 1)), end: toKey(new Date(year, month + 1, 0)) };
+        }
+    }
+
+    // Public API
+    return {
+        toKey,
+        parse,
+        today,
+        addDays,
+        addMonths,
+        getPeriod
+    };
+})();
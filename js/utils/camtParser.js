@@ -0,0 +1,169 @@
+/**
+ * CashBoard camt.053 Parser
+ * Reads ISO 20022 bank-to-customer statements (camt.053) in any schema version
+ *
+ * Elements are found by local name, so the namespace of the schema version
+ * does not matter. Like the MT940 parser, statements are returned as
+ * { accountId, currency, institution, entries } with entries as
+ * { date, amount, counterparty, remittance, endToEndId, reference }.
+ */
+
+const CamtParser = (function() {
+    // End-to-end ID banks use when the payer did not give one
+    const NOT_PROVIDED = 'NOTPROVIDED';
+
+    /**
+     * Get the direct children of an element with a local name
+     * @param {Element} element - Parent element
+     * @param {string} name - Local name
+     * @returns {Array<Element>} Matching children
+     */
+    function children(element, name) {
+        if (!element) return [];
+        return Array.from(element.children).filter(child => child.localName === name);
+    }
+
+    /**
+     * Follow a path of local names from an element
+     * @param {Element} element - Starting element
+     * @param {string} path - Local names separated by slashes, e.g. 'Acct/Id/IBAN'
+     * @returns {Element|null} First element at the end of the path, or null
+     */
+    function find(element, path) {
+        return path.split('/').reduce((current, name) => current ? children(current, name)[0] || null : null, element);
+    }
+
+    /**
+     * Get the text at the end of the first path that has one
+     * @param {Element} element - Starting element
+     * @param {...string} paths - Paths to try in order
+     * @returns {string} Trimmed text, or an empty string
+     */
+    function text(element, ...paths) {
+        for (const path of paths) {
+            const found = find(element, path);
+            if (found && found.textContent.trim()) return found.textContent.trim();
+        }
+        return '';
+    }
+
+    /**
+     * Read the party on the other side of a transaction
+     * Money in comes from the debtor and money out goes to the creditor.
+     * @param {Element} details - TxDtls element
+     * @param {boolean} credit - Whether the transaction is money in
+     * @returns {string} Counterparty name
+     */
+    function readCounterparty(details, credit) {
+        const role = credit ? 'Dbtr' : 'Cdtr';
+        const ultimate = credit ? 'UltmtDbtr' : 'UltmtCdtr';
+
+        // Version 8 and later wrap the party in a Pty element
+        return text(details,
+            `RltdPties/${role}/Nm`,
+            `RltdPties/${role}/Pty/Nm`,
+            `RltdPties/${ultimate}/Nm`,
+            `RltdPties/${ultimate}/Pty/Nm`
+        );
+    }
+
+    /**
+     * Read the remittance information of a transaction
+     * @param {Element} details - TxDtls element, or null
+     * @param {Element} entry - Ntry element
+     * @returns {string} Unstructured lines, or the creditor reference, or additional information
+     */
+    function readRemittance(details, entry) {
+        const remittance = find(details, 'RmtInf');
+        const lines = children(remittance, 'Ustrd').map(line => line.textContent.trim()).filter(Boolean);
+        if (lines.length > 0) return lines.join(' ');
+
+        return text(remittance, 'Strd/CdtrRefInf/Ref')
+            || text(details, 'AddtlTxInf')
+            || text(entry, 'AddtlNtryInf');
+    }
+
+    /**
+     * Read the transactions of a statement entry
+     * A batch entry holds one TxDtls element per transaction.
+     * @param {Element} entry - Ntry element
+     * @returns {Array<Object>} Statement entries
+     */
+    function readEntry(entry) {
+        const credit = text(entry, 'CdtDbtInd') === 'CRDT';
+        const reversed = text(entry, 'RvslInd') === 'true';
+        const date = text(entry, 'BookgDt/Dt', 'BookgDt/DtTm', 'ValDt/Dt', 'ValDt/DtTm').slice(0, 10) || null;
+        const allDetails = children(find(entry, 'NtryDtls'), 'TxDtls');
+        const entryReference = text(entry, 'AcctSvcrRef');
+
+        // A batch's own reference is shared by its transactions, so each gets its position added
+        const read = (details, amountText, detailsCredit, index) => {
+            const amount = parseFloat(amountText);
+            const moneyIn = reversed ? !detailsCredit : detailsCredit;
+            const endToEndId = text(details, 'Refs/EndToEndId');
+
+            return {
+                date,
+                amount: isNaN(amount) ? NaN : (moneyIn ? amount : -amount),
+                counterparty: readCounterparty(details, moneyIn),
+                remittance: readRemittance(details, entry),
+                endToEndId: endToEndId === NOT_PROVIDED ? '' : endToEndId,
+                reference: text(details, 'Refs/AcctSvcrRef')
+                    || (entryReference && allDetails.length > 1 ? `${entryReference}/${index + 1}` : entryReference)
+            };
+        };
+
+        if (allDetails.length <= 1) {
+            return [read(allDetails[0] || null, text(entry, 'Amt'), credit, 0)];
+        }
+
+        return allDetails.map((details, index) => {
+            const indicator = text(details, 'CdtDbtInd');
+            return read(
+                details,
+                text(details, 'Amt', 'AmtDtls/TxAmt/Amt') || text(entry, 'Amt'),
+                indicator ? indicator === 'CRDT' : credit,
+                index
+            );
+        });
+    }
+
+    /**
+     * Parse a camt.053 file
+     * Pending entries are left out, since they may still change.
+     * @param {string} xml - File contents
+     * @returns {Array<Object>} Statements as { accountId, currency, institution, entries }
+     */
+    function parse(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not a valid XML file');
+        }
+
+        const root = find(doc.documentElement, 'BkToCstmrStmt');
+        if (!root) {
+            throw new Error('Not a camt.053 statement');
+        }
+
+        return children(root, 'Stmt').map(statement => {
+            const account = find(statement, 'Acct');
+            const balance = find(statement, 'Bal/Amt');
+            const entries = children(statement, 'Ntry').filter(entry => {
+                const status = text(entry, 'Sts/Cd', 'Sts');
+                return !status || status === 'BOOK';
+            });
+
+            return {
+                accountId: text(account, 'Id/IBAN', 'Id/Othr/Id'),
+                currency: text(account, 'Ccy') || (balance && balance.getAttribute('Ccy')) || '',
+                institution: text(account, 'Svcr/FinInstnId/Nm', 'Svcr/FinInstnId/BICFI', 'Svcr/FinInstnId/BIC'),
+                entries: entries.reduce((all, entry) => all.concat(readEntry(entry)), [])
+            };
+        });
+    }
+
+    // Public API
+    return {
+        parse
+    };
+})();
@@ -0,0 +1,255 @@
+/**
+ * CashBoard CSV Parser
+ * Decoding, parsing and value conversion for bank statement CSV files
+ */
+
+const CsvParser = (function() {
+    // Delimiters tried when detecting the delimiter of a file
+    const DELIMITERS = [',', ';', '\t', '|'];
+
+    // Date formats accepted in statement files, most common first
+    const DATE_FORMATS = [
+        'YYYY-MM-DD',
+        'DD/MM/YYYY',
+        'MM/DD/YYYY',
+        'DD.MM.YYYY',
+        'DD-MM-YYYY',
+        'YYYY/MM/DD',
+        'DD/MM/YY',
+        'MM/DD/YY',
+        'DD MMM YYYY',
+        'DD-MMM-YYYY'
+    ];
+
+    // English month abbreviations for MMM dates
+    const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    /**
+     * Decode file contents, detecting the encoding unless one is given
+     * A byte order mark wins; otherwise the file is read as UTF-8 if it is
+     * valid UTF-8 and as Windows-1252 (what most bank exports use) if not.
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @param {string} encoding - Encoding label, or 'auto' to detect
+     * @returns {Object} { text, encoding }
+     */
+    function decode(buffer, encoding = 'auto') {
+        const bytes = new Uint8Array(buffer);
+
+        if (encoding === 'auto') {
+            if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+                encoding = 'utf-8';
+            } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+                encoding = 'utf-16le';
+            } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+                encoding = 'utf-16be';
+            } else {
+                try {
+                    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+                    encoding = 'utf-8';
+                } catch (error) {
+                    encoding = 'windows-1252';
+                }
+            }
+        }
+
+        // TextDecoder drops the byte order mark itself
+        return { text: new TextDecoder(encoding).decode(bytes), encoding };
+    }
+
+    /**
+     * Parse CSV text into rows of cells
+     * Handles quoted cells with embedded delimiters, quotes and line breaks.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Cell delimiter
+     * @returns {Array<Array<string>>} Rows, without blank lines
+     */
+    function parse(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell);
+        rows.push(row);
+
+        return rows
+            .map(cells => cells.map(value => value.trim()))
+            .filter(cells => cells.some(value => value !== ''));
+    }
+
+    /**
+     * Detect the delimiter of CSV text
+     * The delimiter that splits the first lines into the same number of
+     * cells most often, with more than one cell, wins.
+     * @param {string} text - CSV text
+     * @returns {string} Detected delimiter (',' if nothing fits)
+     */
+    function detectDelimiter(text) {
+        const sample = text.split(/\r?\n/).slice(0, 20).join('\n');
+        let best = { delimiter: ',', score: 0 };
+
+        DELIMITERS.forEach(delimiter => {
+            const counts = parse(sample, delimiter).map(row => row.length);
+            if (counts.length === 0) return;
+
+            // Most common column count, ignoring single-cell lines
+            const frequency = {};
+            counts.filter(count => count > 1).forEach(count => {
+                frequency[count] = (frequency[count] || 0) + 1;
+            });
+            const score = Math.max(0, ...Object.values(frequency));
+
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * Parse a date in the given format
+     * @param {string} value - Date text
+     * @param {string} format - One of DATE_FORMATS
+     * @returns {string|null} Date as YYYY-MM-DD, or null if it does not match
+     */
+    function parseDate(value, format) {
+        if (!value) return null;
+
+        const tokens = format.match(/Y+|M+|D+/g);
+        const parts = value.trim().split(/[^0-9A-Za-z]+/).filter(Boolean);
+        if (parts.length < tokens.length) return null;
+
+        let year, month, day;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const part = parts[i];
+
+            if (token === 'MMM') {
+                month = MONTH_NAMES.indexOf(part.slice(0, 3).toLowerCase()) + 1;
+            } else if (!/^\d+$/.test(part) || part.length > token.length) {
+                return null;
+            } else if (token[0] === 'Y') {
+                if (part.length !== token.length) return null;
+                year = Number(part);
+                if (token === 'YY') year += year < 70 ? 2000 : 1900;
+            } else if (token[0] === 'M') {
+                month = Number(part);
+            } else {
+                day = Number(part);
+            }
+        }
+
+        // Reject impossible dates such as 31/02
+        const date = new Date(year, month - 1, day);
+        if (!month || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Detect the date format used by a column
+     * A stray summary or footer line does not rule a format out.
+     * @param {Array<string>} values - Sample date values
+     * @param {Array<string>} preferred - Formats that win a tie, e.g. the file type's usual order
+     * @returns {string|null} Format that parses the most values (preferred, then earliest on a tie), or null
+     */
+    function detectDateFormat(values, preferred = []) {
+        const sample = values.filter(Boolean).slice(0, 50);
+        let best = { format: null, parsed: 0 };
+
+        [...preferred, ...DATE_FORMATS.filter(format => !preferred.includes(format))].forEach(format => {
+            const parsed = sample.filter(value => parseDate(value, format) !== null).length;
+            if (parsed > best.parsed) {
+                best = { format, parsed };
+            }
+        });
+
+        return best.format;
+    }
+
+    /**
+     * Parse an amount, ignoring currency symbols and thousands separators
+     * Negative amounts may be written as -12.50, 12.50- or (12.50).
+     * @param {string} value - Amount text
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {number} Amount, or NaN if the text is not a number
+     */
+    function parseAmount(value, decimalSeparator = '.') {
+        if (value === undefined || value === null) return NaN;
+
+        let text = String(value).trim();
+        if (!text) return NaN;
+
+        const negative = /^\(.*\)$/.test(text) || text.includes('-');
+
+        // Keep digits and separators only
+        text = text.replace(/[^\d.,]/g, '');
+        if (decimalSeparator === ',') {
+            text = text.replace(/\./g, '').replace(',', '.');
+        } else {
+            text = text.replace(/,/g, '');
+        }
+
+        if (!/^\d*\.?\d+$|^\d+\.$/.test(text)) return NaN;
+
+        const amount = parseFloat(text);
+        return negative ? -amount : amount;
+    }
+
+    /**
+     * Detect whether amounts use a decimal comma
+     * @param {Array<string>} values - Sample amount values
+     * @returns {string} ',' if amounts end in a comma and one or two digits, otherwise '.'
+     */
+    function detectDecimalSeparator(values) {
+        const sample = values.filter(Boolean);
+        const commaDecimals = sample.filter(value => /\d,\d{1,2}\D*$/.test(value)).length;
+        const pointDecimals = sample.filter(value => /\d\.\d{1,2}\D*$/.test(value)).length;
+
+        return commaDecimals > pointDecimals ? ',' : '.';
+    }
+
+    // Public API
+    return {
+        DELIMITERS,
+        DATE_FORMATS,
+        decode,
+        parse,
+        detectDelimiter,
+        parseDate,
+        detectDateFormat,
+        parseAmount,
+        detectDecimalSeparator
+    };
+})();
@@ -0,0 +1,210 @@
+/**
+ * CashBoard I18n
+ * Message catalogs for the user interface. Locale files register their
+ * messages with addLocale; t() looks a key up in the active language, falling
+ * back to English, fills in {placeholders} and picks plural forms with
+ * Intl.PluralRules. Static markup is translated through data-i18n attributes,
+ * so switching language updates the page without a reload.
+ */
+
+const I18n = (function() {
+    // Language every key has a message in
+    const DEFAULT_LANGUAGE = 'en';
+
+    // Attributes holding a message key, and the attribute each one sets (null for the text)
+    const ATTRIBUTES = {
+        'data-i18n': null,
+        'data-i18n-placeholder': 'placeholder',
+        'data-i18n-title': 'title',
+        'data-i18n-aria-label': 'aria-label'
+    };
+
+    // Registered locales by language code: { name, dir, messages }
+    const locales = {};
+
+    // Active language code
+    let language = DEFAULT_LANGUAGE;
+
+    // Called with the new language code whenever the language is switched
+    const listeners = [];
+
+    // Intl.PluralRules and Intl.NumberFormat for the active language, created on first use
+    let pluralRules = null;
+    let numberFormat = null;
+
+    /**
+     * Register the messages of a language
+     * @param {string} code - Language code, e.g. 'ar'
+     * @param {Object} locale - { name, dir, messages }
+     * @param {string} locale.name - Name of the language in that language
+     * @param {string} locale.dir - 'ltr' or 'rtl'
+     * @param {Object} locale.messages - Messages by key; plural messages are objects by plural category
+     */
+    function addLocale(code, locale) {
+        locales[code] = {
+            name: locale.name,
+            dir: locale.dir || 'ltr',
+            messages: locale.messages || {}
+        };
+    }
+
+    /**
+     * Get the languages that can be chosen
+     * @returns {Array<Object>} { code, name, dir } for each registered locale
+     */
+    function getLanguages() {
+        return Object.entries(locales).map(([code, locale]) => ({ code, name: locale.name, dir: locale.dir }));
+    }
+
+    /**
+     * Find the registered language for a language tag
+     * @param {string} tag - Language tag, e.g. 'ar-EG'
+     * @returns {string} Registered code, e.g. 'ar', or the default language
+     */
+    function resolveLanguage(tag) {
+        if (tag && locales[tag]) return tag;
+
+        const base = String(tag || '').split('-')[0].toLowerCase();
+        return locales[base] ? base : DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Get the active language
+     * @returns {string} Language code
+     */
+    function getLanguage() {
+        return language;
+    }
+
+    /**
+     * Get the text direction of the active language
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    function getDirection() {
+        return locales[language] ? locales[language].dir : 'ltr';
+    }
+
+    /**
+     * Switch the interface language and translate the page
+     * @param {string} tag - Language tag from the language setting
+     * @returns {string} Language now in use
+     */
+    function setLanguage(tag) {
+        language = resolveLanguage(tag);
+        pluralRules = null;
+        numberFormat = null;
+
+        document.documentElement.lang = language;
+        document.documentElement.dir = getDirection();
+        translatePage();
+
+        listeners.forEach(listener => listener(language));
+        return language;
+    }
+
+    /**
+     * Register a listener for language changes
+     * @param {Function} listener - Called with the new language code
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Find the message for a key
+     * @param {string} key - Message key
+     * @returns {string|Object|undefined} Message in the active language, else in English
+     */
+    function lookup(key) {
+        const active = locales[language];
+        if (active && active.messages[key] !== undefined) {
+            return active.messages[key];
+        }
+
+        const fallback = locales[DEFAULT_LANGUAGE];
+        return fallback ? fallback.messages[key] : undefined;
+    }
+
+    /**
+     * Pick the plural form of a message
+     * @param {Object} forms - Messages by plural category ('zero', 'one', 'two', 'few', 'many', 'other')
+     * @param {number} count - Number the message is about
+     * @returns {string} Message for the count
+     */
+    function selectPlural(forms, count) {
+        if (!pluralRules) {
+            pluralRules = new Intl.PluralRules(language);
+        }
+
+        const category = pluralRules.select(Number(count) || 0);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    /**
+     * Fill the {placeholders} of a message
+     * @param {string} message - Message text
+     * @param {Object} params - Values by placeholder name; numbers are formatted for the language
+     * @returns {string} Message with the values filled in
+     */
+    function interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined) return match;
+            if (typeof params[name] !== 'number') return params[name];
+
+            if (!numberFormat) {
+                numberFormat = new Intl.NumberFormat(language);
+            }
+            return numberFormat.format(params[name]);
+        });
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key, e.g. 'budget.title'
+     * @param {Object} params - Placeholder values; `count` also selects the plural form
+     * @returns {string} Translated message, or the key if no language has it
+     */
+    function t(key, params = {}) {
+        let message = lookup(key);
+        if (message === undefined) {
+            console.warn('Missing translation:', key);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = selectPlural(message, params.count);
+        }
+
+        return interpolate(message, params);
+    }
+
+    /**
+     * Translate the elements that carry data-i18n attributes
+     * @param {ParentNode} root - Element or document to translate (defaults to the whole page)
+     */
+    function translatePage(root = document) {
+        Object.entries(ATTRIBUTES).forEach(([attribute, target]) => {
+            root.querySelectorAll(`[${attribute}]`).forEach(element => {
+                const text = t(element.getAttribute(attribute));
+                if (target) {
+                    element.setAttribute(target, text);
+                } else {
+                    element.textContent = text;
+                }
+            });
+        });
+    }
+
+    // Public API
+    return {
+        DEFAULT_LANGUAGE,
+        addLocale,
+        getLanguages,
+        getLanguage,
+        getDirection,
+        setLanguage,
+        onChange,
+        t,
+        translatePage
+    };
+})();
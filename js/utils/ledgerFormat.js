@@ -0,0 +1,351 @@
+/**
+ * CashBoard Ledger Format
+ * Reads and writes plain-text accounting journals for ledger, hledger and beancount
+ *
+ * A journal is a list of dated transactions, each with two or more postings
+ * that move an amount into or out of an account such as Assets:Checking or
+ * Expenses:Food. The postings of a transaction add up to zero. ledger and
+ * hledger share one syntax apart from how tags are written; beancount quotes
+ * descriptions, declares accounts with open directives and has #tags.
+ */
+
+const LedgerFormat = (function() {
+    // Supported journal dialects
+    const DIALECTS = ['ledger', 'hledger', 'beancount'];
+
+    // Account for transactions that are not in any CashBoard account
+    const UNASSIGNED_ACCOUNT = 'Assets:Unassigned';
+
+    // Account opening balances are booked against
+    const OPENING_BALANCE_ACCOUNT = 'Equity:Opening-Balances';
+
+    // beancount directives that are not transactions
+    const BEANCOUNT_DIRECTIVES = ['open', 'close', 'balance', 'pad', 'note', 'document', 'event', 'price', 'commodity', 'custom', 'query'];
+
+    // Lines that only beancount files have
+    const BEANCOUNT_LINE = new RegExp(`^(option\\s+"|\\d{4}-\\d{2}-\\d{2}\\s+((${BEANCOUNT_DIRECTIVES.join('|')})\\s|(\\*|!|txn)\\s+"))`, 'm');
+
+    /**
+     * Turn a name into one component of an account name
+     * beancount components start with a capital letter or digit and hold only
+     * letters, digits and dashes; ledger allows anything but colons and runs
+     * of spaces.
+     * @param {string} name - Account, category or other name
+     * @param {string} dialect - Journal dialect
+     * @returns {string} Account name component
+     */
+    function toAccountPart(name, dialect) {
+        if (dialect !== 'beancount') {
+            return String(name || '').replace(/:/g, '-').replace(/\s+/g, ' ').trim() || 'Unknown';
+        }
+
+        const part = String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Za-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        if (!part) return 'Unknown';
+        return /^[A-Za-z0-9]/.test(part) ? part.charAt(0).toUpperCase() + part.slice(1) : `X${part}`;
+    }
+
+    /**
+     * Quote a beancount string
+     * @param {string} value - Text
+     * @returns {string} Quoted text
+     */
+    function quote(value) {
+        return `"${String(value || '').replace(/[\r\n]+/g, ' ').replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Turn a tag into a name all dialects accept
+     * @param {string} tag - Tag
+     * @returns {string} Tag without spaces, colons, commas or hashes
+     */
+    function cleanTag(tag) {
+        return String(tag).trim().replace(/[\s:,#]+/g, '-');
+    }
+
+    /**
+     * Write the tag and metadata lines of a ledger or hledger transaction
+     * ledger writes tags as ; :one:two: and hledger as ; one:, two:.
+     * Metadata is written as ; key: value in both.
+     * @param {Object} transaction - Journal transaction
+     * @param {string} dialect - 'ledger' or 'hledger'
+     * @returns {Array<string>} Comment lines
+     */
+    function ledgerComments(transaction, dialect) {
+        const lines = [];
+        const tags = (transaction.tags || []).map(cleanTag).filter(Boolean);
+
+        if (tags.length > 0) {
+            lines.push(dialect === 'hledger' ? `; ${tags.map(tag => `${tag}:`).join(', ')}` : `; :${tags.join(':')}:`);
+        }
+        Object.entries(transaction.metadata || {}).forEach(([key, value]) => {
+            if (value) lines.push(`; ${key}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Write a posting line
+     * @param {Object} posting - { account, amount, commodity } with the amount in minor units of the commodity
+     * @param {string} indent - Indentation of the line
+     * @returns {string} Posting line with the amount lined up
+     */
+    function postingLine(posting, indent) {
+        const amount = `${Money.toDecimalString(posting.amount, posting.commodity)} ${posting.commodity}`.trim();
+        return `${indent}${posting.account.padEnd(40)}  ${amount.padStart(16)}`;
+    }
+
+    /**
+     * Write a journal
+     * @param {Object} journal - { commodity, accounts: [{ name, date }],
+     * transactions: [{ date, payee, narration, tags, metadata, postings }] },
+     * with postings as { account, amount, commodity } and amounts in minor units
+     * @param {string} dialect - 'ledger', 'hledger' or 'beancount'
+     * @returns {string} Journal text
+     */
+    function stringify(journal, dialect) {
+        const lines = [];
+        const transactions = [...journal.transactions].sort((a, b) => a.date.localeCompare(b.date));
+
+        if (dialect === 'beancount') {
+            if (journal.commodity) lines.push(`option "operating_currency" ${quote(journal.commodity)}`, '');
+
+            journal.accounts.forEach(account => {
+                lines.push(`${account.date} open ${account.name}`);
+            });
+            if (journal.accounts.length > 0) lines.push('');
+
+            transactions.forEach(transaction => {
+                const tags = (transaction.tags || []).map(tag => ` #${cleanTag(tag)}`).join('');
+                const strings = transaction.narration
+                    ? `${quote(transaction.payee)} ${quote(transaction.narration)}`
+                    : quote(transaction.payee);
+
+                lines.push(`${transaction.date} * ${strings}${tags}`);
+                Object.entries(transaction.metadata || {}).forEach(([key, value]) => {
+                    if (value) lines.push(`  ${key}: ${quote(value)}`);
+                });
+                transaction.postings.forEach(posting => lines.push(postingLine(posting, '  ')));
+                lines.push('');
+            });
+        } else {
+            journal.accounts.forEach(account => {
+                lines.push(`account ${account.name}`);
+            });
+            if (journal.accounts.length > 0) lines.push('');
+
+            transactions.forEach(transaction => {
+                // ; starts a comment and | ends the payee, so neither may appear in it
+                const description = String(transaction.payee || '').replace(/[\r\n]+/g, ' ').replace(/;/g, ',').replace(/\|/g, '/');
+                const note = transaction.narration ? ` | ${String(transaction.narration).replace(/[\r\n]+/g, ' ').replace(/;/g, ',')}` : '';
+
+                lines.push(`${transaction.date} * ${description}${note}`);
+                ledgerComments(transaction, dialect).forEach(line => lines.push(`    ${line}`));
+                transaction.postings.forEach(posting => lines.push(postingLine(posting, '    ')));
+                lines.push('');
+            });
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Read an amount such as 12.50 USD, $-12.50 or EUR 1,200.00
+     * Prices (@), costs ({}) and balance assertions (=) are left out.
+     * @param {string} text - Amount text
+     * @returns {Object|null} { amount, commodity }, or null if there is no number
+     */
+    function parseAmount(text) {
+        const value = text.split(/\s*(?:@|\{|=)/)[0].trim();
+        const number = /\d[\d,]*(?:\.\d+)?|\.\d+/.exec(value);
+        if (!number) return null;
+
+        const before = value.slice(0, number.index);
+        const amount = parseFloat(number[0].replace(/,/g, ''));
+        const commodity = (before + value.slice(number.index + number[0].length)).replace(/[-+"\s]/g, '');
+
+        return { amount: before.includes('-') ? -amount : amount, commodity };
+    }
+
+    /**
+     * Read the tags and metadata in a ledger or hledger comment
+     * @param {string} comment - Comment text after the semicolon
+     * @param {Object} transaction - Transaction to add them to
+     */
+    function readComment(comment, transaction) {
+        const text = comment.trim();
+
+        // ledger tags: :one:two:
+        const tagList = /^:(\S+):$/.exec(text);
+        if (tagList) {
+            transaction.tags.push(...tagList[1].split(':').filter(Boolean));
+            return;
+        }
+
+        // A single key: value runs to the end of the line, commas and all
+        const single = /^([^\s,:]+):\s+(.+)$/.exec(text);
+        if (single && !/(?:^|[\s,])[^\s,:]+:(?=[\s,]|$)/.test(single[2])) {
+            transaction.metadata[single[1].toLowerCase()] = single[2].trim();
+            return;
+        }
+
+        // hledger tags and metadata: one:, key: value
+        const pairs = [...text.matchAll(/(?:^|[\s,])([^\s,:]+):(?=[\s,]|$)[ \t]*([^,]*)/g)];
+        if (pairs.length === 0) {
+            if (text) transaction.comments.push(text);
+            return;
+        }
+
+        pairs.forEach(([, key, value]) => {
+            if (value.trim()) {
+                transaction.metadata[key.toLowerCase()] = value.trim();
+            } else {
+                transaction.tags.push(key);
+            }
+        });
+    }
+
+    /**
+     * Read a transaction header line
+     * @param {string} date - Date as written
+     * @param {string} rest - Rest of the line
+     * @param {string} dialect - 'ledger' or 'beancount'
+     * @returns {Object} Journal transaction without postings yet
+     */
+    function readHeader(date, rest, dialect) {
+        const [year, month, day] = date.split(/[-/.]/);
+        const transaction = {
+            date: `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`,
+            payee: '',
+            narration: '',
+            tags: [],
+            metadata: {},
+            comments: [],
+            postings: []
+        };
+
+        if (dialect === 'beancount') {
+            const strings = [...rest.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+            if (strings.length >= 2) {
+                transaction.payee = strings[0];
+                transaction.narration = strings[1];
+            } else {
+                transaction.narration = strings[0] || '';
+            }
+            transaction.tags = [...rest.replace(/"((?:[^"\\]|\\.)*)"/g, '').matchAll(/#([\w\-/.]+)/g)].map(match => match[1]);
+            return transaction;
+        }
+
+        // Status mark and (code) come before the description; a ; starts a comment
+        const [description, ...comment] = rest.replace(/^[*!]\s*/, '').replace(/^\([^)]*\)\s*/, '').split(';');
+        const [payee, ...note] = description.split('|');
+        transaction.payee = payee.trim();
+        transaction.narration = note.join('|').trim();
+        if (comment.length > 0) readComment(comment.join(';'), transaction);
+
+        return transaction;
+    }
+
+    /**
+     * Read a posting line
+     * @param {string} line - Trimmed posting line
+     * @returns {Object} { account, amount, commodity } with a null amount if left out
+     */
+    function readPosting(line) {
+        const [text] = line.replace(/^[*!]\s+/, '').split(/\s;|^;/);
+        const [account, ...amountParts] = text.trim().split(/\t|\s{2,}/);
+        const amount = amountParts.length > 0 ? parseAmount(amountParts.join(' ')) : null;
+
+        return {
+            // Virtual postings are written in brackets or parentheses
+            account: account.replace(/^[[(]|[\])]$/g, '').trim(),
+            amount: amount ? amount.amount : null,
+            commodity: amount ? amount.commodity : ''
+        };
+    }
+
+    /**
+     * Parse a journal
+     * Prices, balances and other directives are skipped.
+     * @param {string} text - Journal text in any supported dialect
+     * @returns {Object} { dialect, accounts, transactions }, with dialect 'ledger'
+     * (which covers hledger) or 'beancount', accounts as names and transactions
+     * as { date, payee, narration, tags, metadata, comments, postings }
+     */
+    function parse(text) {
+        const dialect = BEANCOUNT_LINE.test(text) ? 'beancount' : 'ledger';
+        const accounts = [];
+        const transactions = [];
+        let transaction = null;
+
+        text.split(/\r\n|\r|\n/).forEach(line => {
+            if (!line.trim()) return;
+
+            // Indented lines belong to the transaction above
+            if (/^\s/.test(line)) {
+                if (!transaction) return;
+
+                const content = line.trim();
+                const metadata = /^([a-z][\w-]*):\s+(.*)$/.exec(content);
+                if (content[0] === ';' || content[0] === '#') {
+                    if (dialect === 'ledger') readComment(content.slice(1), transaction);
+                } else if (dialect === 'beancount' && metadata) {
+                    transaction.metadata[metadata[1]] = metadata[2].replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+                } else {
+                    transaction.postings.push(readPosting(content));
+                }
+                return;
+            }
+
+            transaction = null;
+
+            const header = /^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2})(?:=\S+)?\s+(.*)$/.exec(line);
+            if (header) {
+                const rest = header[2];
+                const directive = /^(\w+)\s+(\S+)/.exec(rest);
+
+                if (dialect === 'beancount' && directive && BEANCOUNT_DIRECTIVES.includes(directive[1])) {
+                    if (directive[1] === 'open') accounts.push(directive[2]);
+                    return;
+                }
+
+                transaction = readHeader(header[1], rest, dialect);
+                transactions.push(transaction);
+                return;
+            }
+
+            const account = /^account\s+(.+?)(?:\s{2,}|\t|\s;|$)/.exec(line);
+            if (account) accounts.push(account[1].trim());
+        });
+
+        // One posting may leave out its amount; it balances the others
+        transactions.forEach(item => {
+            const missing = item.postings.filter(posting => posting.amount === null);
+            if (missing.length !== 1) return;
+
+            const known = item.postings.filter(posting => posting.amount !== null);
+            missing[0].amount = -known.reduce((sum, posting) => sum + posting.amount, 0);
+            missing[0].commodity = known.length > 0 ? known[0].commodity : '';
+        });
+
+        if (transactions.length === 0 && accounts.length === 0) {
+            throw new Error('Not a ledger, hledger or beancount journal');
+        }
+
+        return { dialect, accounts, transactions };
+    }
+
+    // Public API
+    return {
+        DIALECTS,
+        UNASSIGNED_ACCOUNT,
+        OPENING_BALANCE_ACCOUNT,
+        toAccountPart,
+        stringify,
+        parse
+    };
+})();
@@ -0,0 +1,278 @@
+/**
+ * CashBoard Schema Migrations
+ * Upgrades stored and imported data to the current schema version
+ *
+ * Migrations operate on a dataset keyed by StorageKeys type
+ * ({ INCOME: [...], EXPENSES: [...], BUDGETS: [...], SETTINGS: {...}, ... })
+ * plus a `schemaVersion` number. Each migration receives a working copy of
+ * the dataset and a `log` function to record what it changed, which is what
+ * makes dry runs possible.
+ */
+
+const Migrations = (function() {
+    // Registered migrations, ordered by version
+    const registry = [];
+
+    /**
+     * Register a migration
+     * @param {number} version - Schema version the migration upgrades data to
+     * @param {string} description - Human-readable summary
+     * @param {Function} migrate - Receives (data, log) and mutates data in place
+     */
+    function register(version, description, migrate) {
+        if (registry.some(migration => migration.version === version)) {
+            throw new Error(`Migration for schema version ${version} is already registered`);
+        }
+
+        registry.push({ version, description, migrate });
+        registry.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Get the schema version produced by the latest migration
+     * @returns {number} Current schema version
+     */
+    function getCurrentVersion() {
+        return registry.length > 0 ? registry[registry.length - 1].version : 0;
+    }
+
+    /**
+     * Get the schema version of a dataset (unversioned data is version 0)
+     * @param {Object} data - Dataset
+     * @returns {number} Schema version
+     */
+    function getDataVersion(data) {
+        return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    }
+
+    /**
+     * Run every pending migration on a copy of the dataset
+     * @param {Object} data - Dataset to upgrade
+     * @returns {Object} { data, report } - Upgraded copy and what changed
+     */
+    function run(data) {
+        const working = JSON.parse(JSON.stringify(data || {}));
+        const fromVersion = getDataVersion(working);
+        const toVersion = getCurrentVersion();
+
+        if (fromVersion > toVersion) {
+            throw new Error(`Data schema version ${fromVersion} is newer than this app supports (${toVersion})`);
+        }
+
+        const steps = registry
+            .filter(migration => migration.version > fromVersion)
+            .map(migration => {
+                const changes = [];
+                migration.migrate(working, message => changes.push(message));
+                working.schemaVersion = migration.version;
+                return {
+                    version: migration.version,
+                    description: migration.description,
+                    changes
+                };
+            });
+
+        working.schemaVersion = toVersion;
+
+        return {
+            data: working,
+            report: {
+                fromVersion,
+                toVersion,
+                changed: steps.some(step => step.changes.length > 0),
+                steps
+            }
+        };
+    }
+
+    /**
+     * Report what migrations would change without returning upgraded data
+     * @param {Object} data - Dataset to inspect
+     * @returns {Object} Migration report
+     */
+    function dryRun(data) {
+        return run(data).report;
+    }
+
+    /**
+     * Summarize a migration report as text lines
+     * @param {Object} report - Migration report
+     * @returns {Array<string>} One line per migration step
+     */
+    function describeReport(report) {
+        if (report.steps.length === 0) {
+            return [`Data is already at schema version ${report.toVersion}`];
+        }
+
+        return report.steps.map(step => {
+            const count = step.changes.length;
+            return `v${step.version} ${step.description}: ${count} ${count === 1 ? 'change' : 'changes'}`;
+        });
+    }
+
+    /*
+     * Migrations
+     */
+
+    register(1, 'Normalize legacy export layouts', (data, log) => {
+        // Older exports from App.exportData and DataService.exportData used lowercase keys
+        const legacyKeys = {
+            incomes: 'INCOME',
+            income: 'INCOME',
+            expenses: 'EXPENSES',
+            budgets: 'BUDGETS',
+            settings: 'SETTINGS',
+            currentUser: 'USER',
+            user: 'USER'
+        };
+
+        Object.entries(legacyKeys).forEach(([legacyKey, type]) => {
+            if (data[legacyKey] === undefined) return;
+
+            if (data[type] === undefined || data[type] === null) {
+                data[type] = data[legacyKey];
+                log(`Moved "${legacyKey}" to ${type}`);
+            } else {
+                log(`Dropped "${legacyKey}" in favour of existing ${type}`);
+            }
+            delete data[legacyKey];
+        });
+    });
+
+    register(2, 'Rename transaction description to title', (data, log) => {
+        ['INCOME', 'EXPENSES'].forEach(type => {
+            if (!Array.isArray(data[type])) return;
+
+            data[type].forEach(record => {
+                if (record.description === undefined) return;
+
+                if (!record.title) {
+                    record.title = record.description;
+                }
+                delete record.description;
+                log(`${type} ${record.id}: description renamed to title`);
+            });
+        });
+    });
+
+    register(3, 'Store dates as YYYY-MM-DD calendar dates', (data, log) => {
+        const fields = {
+            INCOME: 'date',
+            EXPENSES: 'date',
+            BUDGETS: 'startDate'
+        };
+
+        Object.entries(fields).forEach(([type, field]) => {
+            if (!Array.isArray(data[type])) return;
+
+            data[type].forEach(record => {
+                if (record[field] === undefined || record[field] === null) return;
+
+                const calendarDate = CalendarDate.toKey(record[field]);
+                if (calendarDate === record[field]) return;
+
+                if (calendarDate) {
+                    log(`${type} ${record.id}: ${field} "${record[field]}" became ${calendarDate}`);
+                    record[field] = calendarDate;
+                } else {
+                    log(`${type} ${record.id}: unreadable ${field} "${record[field]}" removed`);
+                    delete record[field];
+                }
+            });
+        });
+    });
+
+    register(4, 'Store amounts as numbers', (data, log) => {
+        ['INCOME', 'EXPENSES', 'BUDGETS'].forEach(type => {
+            if (!Array.isArray(data[type])) return;
+
+            data[type].forEach(record => {
+                if (typeof record.amount === 'number' || record.amount === undefined) return;
+
+                const amount = parseFloat(String(record.amount).replace(/,/g, ''));
+                log(`${type} ${record.id}: amount "${record.amount}" became ${isNaN(amount) ? 0 : amount}`);
+                record.amount = isNaN(amount) ? 0 : amount;
+            });
+        });
+    });
+
+    register(5, 'Record the currency of each transaction', (data, log) => {
+        // Without settings there is no base currency to record; blank keeps meaning the base currency
+        const currency = data.SETTINGS && data.SETTINGS.currency;
+        if (!currency) return;
+
+        ['INCOME', 'EXPENSES'].forEach(type => {
+            if (!Array.isArray(data[type])) return;
+
+            data[type].forEach(record => {
+                if (record.currency) return;
+
+                record.currency = currency;
+                log(`${type} ${record.id}: currency set to ${currency}`);
+            });
+        });
+    });
+
+    register(6, 'Store amounts as integer minor units', (data, log) => {
+        // Amounts without a currency of their own are in the base currency
+        const baseCurrency = (data.SETTINGS && data.SETTINGS.currency) || '';
+        const fields = {
+            INCOME: ['amount'],
+            EXPENSES: ['amount'],
+            BUDGETS: ['amount'],
+            ACCOUNTS: ['openingBalance'],
+            TRANSFERS: ['amount'],
+            SAVINGS_GOALS: ['targetAmount', 'currentAmount']
+        };
+        const toMinor = (value, currency) => {
+            const minor = Money.toMinor(value, currency);
+            return isNaN(minor) ? 0 : minor;
+        };
+
+        Object.entries(fields).forEach(([type, names]) => {
+            if (!Array.isArray(data[type])) return;
+
+            data[type].forEach(record => {
+                const currency = record.currency || baseCurrency;
+                const changed = [];
+
+                names.forEach(name => {
+                    if (record[name] === undefined || record[name] === null) return;
+                    record[name] = toMinor(record[name], currency);
+                    changed.push(name);
+                });
+
+                (record.splits || []).forEach(split => {
+                    split.amount = toMinor(split.amount, currency);
+                });
+
+                // Edited occurrences of recurring records keep their own amounts
+                Object.values(record.recurrenceExceptions || {}).forEach(exception => {
+                    const changes = exception && exception.changes;
+                    if (!changes) return;
+
+                    if (changes.amount !== undefined) {
+                        changes.amount = toMinor(changes.amount, currency);
+                    }
+                    (changes.splits || []).forEach(split => {
+                        split.amount = toMinor(split.amount, currency);
+                    });
+                });
+
+                if (changed.length > 0) {
+                    log(`${type} ${record.id}: ${changed.join(', ')} stored in minor units of ${currency || 'the base currency'}`);
+                }
+            });
+        });
+    });
+
+    // Public API
+    return {
+        register,
+        getCurrentVersion,
+        getDataVersion,
+        run,
+        dryRun,
+        describeReport
+    };
+})();
@@ -0,0 +1,118 @@
+/**
+ * CashBoard Money Utility
+ * Amounts are stored and added up as whole numbers of a currency's minor
+ * unit (cents for USD, yen for JPY), so totals never drift. Amounts only
+ * become decimals when they are shown or written to a file.
+ *
+ * Conversions that cannot be exact, such as applying an exchange rate,
+ * round half away from zero to a whole minor unit.
+ */
+
+const Money = (function() {
+    // Minor-unit digits used for unknown or missing currency codes
+    const DEFAULT_DIGITS = 2;
+
+    // Minor-unit digits by currency code, since Intl lookups are slow
+    const digitsByCurrency = {};
+
+    /**
+     * Get the number of minor-unit digits of a currency
+     * @param {string} currency - ISO currency code
+     * @returns {number} Digits, e.g. 2 for USD, 0 for JPY and 3 for KWD
+     */
+    function getMinorDigits(currency) {
+        if (digitsByCurrency[currency] === undefined) {
+            try {
+                digitsByCurrency[currency] = new Intl.NumberFormat('en', { style: 'currency', currency })
+                    .resolvedOptions().maximumFractionDigits;
+            } catch (e) {
+                digitsByCurrency[currency] = DEFAULT_DIGITS;
+            }
+        }
+        return digitsByCurrency[currency];
+    }
+
+    /**
+     * Round to a whole number, halves away from zero
+     * @param {number} value - Value to round
+     * @returns {number} Integer
+     */
+    function round(value) {
+        return value < 0 ? -Math.round(-value) : Math.round(value);
+    }
+
+    /**
+     * Convert a decimal amount into minor units
+     * The decimal digits are read from the amount's text, so 0.1 + 0.2 or
+     * 1.005 become 30 and 101 cents rather than what binary floats multiply to.
+     * @param {number|string} amount - Amount in whole currency units, e.g. 12.5 or '12.50'
+     * @param {string} currency - ISO currency code
+     * @returns {number} Integer minor units, or NaN if the amount is not a number
+     */
+    function toMinor(amount, currency) {
+        const digits = getMinorDigits(currency);
+        const text = String(amount).trim();
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+
+        if (!match || !(match[2] || match[3])) {
+            // Exponent notation, e.g. 1e-7, has no digits to read
+            const value = text === '' || amount === null ? NaN : Number(amount);
+            return isFinite(value) ? round(value * Math.pow(10, digits)) : NaN;
+        }
+
+        const fraction = match[3] || '';
+        const minor = Number((match[2] || '0') + fraction.slice(0, digits).padEnd(digits, '0'));
+        const roundsUp = fraction.charAt(digits) >= '5';
+        const magnitude = roundsUp ? minor + 1 : minor;
+        return match[1] === '-' && magnitude !== 0 ? -magnitude : magnitude;
+    }
+
+    /**
+     * Convert minor units into a decimal amount for display or charts
+     * @param {number} minor - Integer minor units
+     * @param {string} currency - ISO currency code
+     * @returns {number} Amount in whole currency units
+     */
+    function toMajor(minor, currency) {
+        return minor / Math.pow(10, getMinorDigits(currency));
+    }
+
+    /**
+     * Write minor units as an exact decimal string
+     * @param {number} minor - Integer minor units
+     * @param {string} currency - ISO currency code
+     * @returns {string} Plain decimal, e.g. '-1200.50', for form fields and files
+     */
+    function toDecimalString(minor, currency) {
+        const digits = getMinorDigits(currency);
+        const sign = minor < 0 ? '-' : '';
+        const text = String(Math.abs(round(minor))).padStart(digits + 1, '0');
+        if (digits === 0) return sign + text;
+
+        return `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`;
+    }
+
+    /**
+     * Change minor units from one currency's digits to another's
+     * Used when an amount is converted at a rate or read as a different
+     * currency; moving to fewer digits rounds.
+     * @param {number} amount - Minor units of the `from` currency (may be fractional, e.g. after a rate)
+     * @param {string} from - Currency the amount is in
+     * @param {string} to - Currency to express it in
+     * @returns {number} Integer minor units of the `to` currency
+     */
+    function rescale(amount, from, to) {
+        const shift = getMinorDigits(to) - getMinorDigits(from);
+        return round(shift >= 0 ? amount * Math.pow(10, shift) : amount / Math.pow(10, -shift));
+    }
+
+    // Public API
+    return {
+        getMinorDigits,
+        round,
+        toMinor,
+        toMajor,
+        toDecimalString,
+        rescale
+    };
+})();
@@ -0,0 +1,214 @@
+/**
+ * CashBoard MT940 Parser
+ * Reads SWIFT MT940 customer statement messages
+ *
+ * Each :61: statement line is followed by an optional :86: line with details
+ * of the transaction. Banks fill :86: in one of three ways, all of which are
+ * read: German ?NN subfields, /KEYWORD/ pairs, or free text. Statements are
+ * returned in the same shape as CamtParser.parse.
+ */
+
+const Mt940Parser = (function() {
+    // Statement line: value date, booking date, mark, funds code, amount, type, references
+    const STATEMENT_LINE = /^(\d{2})(\d{2})(\d{2})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([NFS][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+    // Keywords of /KEYWORD/value details, as used by Dutch and Belgian banks
+    const DETAIL_KEYWORDS = ['TRTP', 'IBAN', 'BIC', 'NAME', 'REMI', 'EREF', 'MARF', 'CSID', 'CNTP', 'RTRN', 'ORDP', 'BENM', 'ID', 'PREF', 'USTD', 'PURP', 'ADDR', 'ULTC', 'ULTD', 'ISDT'];
+
+    // End-to-end ID banks use when the payer did not give one
+    const NOT_PROVIDED = 'NOTPROVIDED';
+
+    /**
+     * Read an end-to-end ID, dropping the SEPA placeholder
+     * @param {string} value - EREF value
+     * @returns {string} End-to-end ID, or '' if none was given
+     */
+    function readEndToEndId(value) {
+        const endToEndId = (value || '').trim();
+        return endToEndId === NOT_PROVIDED ? '' : endToEndId;
+    }
+
+    /**
+     * Split message text into tagged fields
+     * @param {string} text - Message text
+     * @returns {Array<Object>} Fields as { tag, value }, with continuation lines joined by newlines
+     */
+    function readFields(text) {
+        const fields = [];
+
+        text.split(/\r\n|\r|\n/).forEach(line => {
+            const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+            if (match) {
+                fields.push({ tag: match[1], value: match[2] });
+            } else if (fields.length > 0 && line.trim() !== '-' && !/^-?\}/.test(line.trim())) {
+                fields[fields.length - 1].value += '\n' + line;
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Read a :61: statement line
+     * @param {string} value - Field value
+     * @returns {Object|null} { date, amount, customerReference, bankReference }, or null if invalid
+     */
+    function readStatementLine(value) {
+        const match = STATEMENT_LINE.exec(value.trim());
+        if (!match) return null;
+
+        const [, yy, mm, dd, bookingMonthDay, mark, , amountText, , customerReference, bankReference] = match;
+        let year = 2000 + Number(yy);
+
+        // The booking date has no year; it can fall in the year before or after the value date
+        let month = mm;
+        let day = dd;
+        if (bookingMonthDay) {
+            month = bookingMonthDay.slice(0, 2);
+            day = bookingMonthDay.slice(2);
+            if (Number(mm) === 12 && Number(month) === 1) year++;
+            if (Number(mm) === 1 && Number(month) === 12) year--;
+        }
+
+        // Reversal of a debit is money in, reversal of a credit is money out
+        const moneyIn = mark === 'C' || mark === 'RD';
+        const amount = parseFloat(amountText.replace(',', '.'));
+
+        return {
+            date: `${year}-${month}-${day}`,
+            amount: moneyIn ? amount : -amount,
+            customerReference: customerReference.trim() === 'NONREF' ? '' : customerReference.trim(),
+            bankReference: (bankReference || '').trim()
+        };
+    }
+
+    /**
+     * Read German-style ?NN subfields
+     * ?20-?29 and ?60-?63 hold the remittance text, ?32 and ?33 the
+     * counterparty name. SEPA keys such as EREF+ and SVWZ+ in the
+     * remittance text are picked out.
+     * @param {string} value - :86: value
+     * @returns {Object} { counterparty, remittance, endToEndId }
+     */
+    function readSubfields(value) {
+        const subfields = {};
+        value.replace(/\n/g, '').split('?').slice(1).forEach(part => {
+            const code = part.slice(0, 2);
+            subfields[code] = (subfields[code] || '') + part.slice(2);
+        });
+
+        const codes = Object.keys(subfields).sort();
+        const text = codes
+            .filter(code => (code >= '20' && code <= '29') || (code >= '60' && code <= '63'))
+            .map(code => subfields[code])
+            .join('');
+
+        // Split "EREF+123SVWZ+Invoice 42" into its keyed parts
+        const keyed = {};
+        const keyPattern = /(EREF|KREF|MREF|CRED|DEBT|SVWZ|ABWA|ABWE|IBAN|BIC)\+/g;
+        const keys = [...text.matchAll(keyPattern)];
+        keys.forEach((key, i) => {
+            const end = i + 1 < keys.length ? keys[i + 1].index : text.length;
+            keyed[key[1]] = text.slice(key.index + key[0].length, end).trim();
+        });
+
+        return {
+            counterparty: [subfields['32'], subfields['33']].filter(Boolean).join('').trim(),
+            remittance: keys.length > 0 ? keyed.SVWZ || '' : text.trim(),
+            endToEndId: readEndToEndId(keyed.EREF)
+        };
+    }
+
+    /**
+     * Read /KEYWORD/value details
+     * @param {string} value - :86: value
+     * @returns {Object} { counterparty, remittance, endToEndId }
+     */
+    function readKeywords(value) {
+        const text = value.replace(/\n/g, '');
+        const pattern = new RegExp(`/(${DETAIL_KEYWORDS.join('|')})/`, 'g');
+        const keys = [...text.matchAll(pattern)];
+        const keyed = {};
+
+        keys.forEach((key, i) => {
+            const end = i + 1 < keys.length ? keys[i + 1].index : text.length;
+            keyed[key[1]] = text.slice(key.index + key[0].length, end).replace(/\/$/, '').trim();
+        });
+
+        return {
+            counterparty: keyed.NAME || '',
+            remittance: keyed.REMI || keyed.USTD || '',
+            endToEndId: readEndToEndId(keyed.EREF)
+        };
+    }
+
+    /**
+     * Read a :86: information line
+     * @param {string} value - :86: value
+     * @returns {Object} { counterparty, remittance, endToEndId }
+     */
+    function readDetails(value) {
+        if (/^\d{3}\?|\?20/.test(value)) return readSubfields(value);
+        if (/^\/[A-Z]{2,4}\//.test(value.trim())) return readKeywords(value);
+
+        return { counterparty: '', remittance: value.replace(/\n/g, ' ').trim(), endToEndId: '' };
+    }
+
+    /**
+     * Parse an MT940 file
+     * @param {string} text - File contents, one or more messages
+     * @returns {Array<Object>} Statements as { accountId, currency, institution, entries }
+     */
+    function parse(text) {
+        const statements = [];
+        let statement = null;
+        let entry = null;
+
+        readFields(text).forEach(({ tag, value }) => {
+            if (tag === '20') {
+                statement = null;
+            } else if (tag === '25') {
+                // Daily messages for the same account become one statement
+                const accountId = value.trim();
+                statement = statements.find(existing => existing.accountId === accountId) || null;
+                if (!statement) {
+                    statement = { accountId, currency: '', institution: '', entries: [] };
+                    statements.push(statement);
+                }
+            }
+
+            if (tag !== '86') {
+                entry = null;
+            }
+            if (!statement) return;
+
+            if (tag === '60F' || tag === '60M') {
+                statement.currency = value.trim().slice(7, 10);
+            } else if (tag === '61') {
+                const line = readStatementLine(value);
+                entry = {
+                    date: line ? line.date : null,
+                    amount: line ? line.amount : NaN,
+                    counterparty: '',
+                    remittance: '',
+                    endToEndId: '',
+                    reference: line ? line.bankReference || line.customerReference : ''
+                };
+                statement.entries.push(entry);
+            } else if (tag === '86' && entry) {
+                Object.assign(entry, readDetails(value));
+            }
+        });
+
+        if (statements.length === 0) {
+            throw new Error('Not an MT940 statement');
+        }
+
+        return statements;
+    }
+
+    // Public API
+    return {
+        parse
+    };
+})();
@@ -0,0 +1,181 @@
+/**
+ * CashBoard OFX Parser
+ * Reads bank and credit card statements from OFX 1.x (SGML) and 2.x (XML) files
+ *
+ * QFX files are OFX files with a few Intuit-specific tags and are read the
+ * same way.
+ */
+
+const OfxParser = (function() {
+    // Characters escaped in OFX values
+    const ENTITIES = {
+        '&amp;': '&',
+        '&lt;': '<',
+        '&gt;': '>',
+        '&quot;': '"',
+        '&apos;': "'",
+        '&nbsp;': ' '
+    };
+
+    /**
+     * Build an element tree from OFX text
+     * OFX 1.x leaves the closing tag off elements that hold a value, so an
+     * element with text is always treated as a leaf and any matching closing
+     * tag (as written by OFX 2.x) is ignored.
+     * @param {string} text - OFX file contents
+     * @returns {Object} Root element { name, values, children }
+     */
+    function buildTree(text) {
+        const start = text.search(/<OFX>/i);
+        if (start === -1) {
+            throw new Error('Not an OFX file');
+        }
+
+        const body = text.slice(start);
+        const root = { name: 'ROOT', values: {}, children: [] };
+        const stack = [root];
+        const tagPattern = /<(\/?)([A-Za-z0-9.]+)[^>]*>([^<]*)/g;
+        let lastLeaf = null;
+        let match;
+
+        while ((match = tagPattern.exec(body)) !== null) {
+            const [, closing, rawName, rawText] = match;
+            const name = rawName.toUpperCase();
+            const value = decodeEntities(rawText.trim());
+            const current = stack[stack.length - 1];
+
+            if (closing) {
+                if (name === lastLeaf) {
+                    lastLeaf = null;
+                    continue;
+                }
+
+                // Close the element and anything left open inside it
+                const index = stack.map(element => element.name).lastIndexOf(name);
+                if (index > 0) {
+                    stack.length = index;
+                }
+                lastLeaf = null;
+            } else if (value) {
+                current.values[name] = value;
+                lastLeaf = name;
+            } else {
+                const element = { name, values: {}, children: [] };
+                current.children.push(element);
+                stack.push(element);
+                lastLeaf = null;
+            }
+        }
+
+        return root;
+    }
+
+    /**
+     * Replace character entities in a value
+     * @param {string} value - Raw value
+     * @returns {string} Decoded value
+     */
+    function decodeEntities(value) {
+        return value.replace(/&[a-z]+;/gi, entity => ENTITIES[entity.toLowerCase()] || entity);
+    }
+
+    /**
+     * Find every descendant element with a name
+     * @param {Object} element - Element to search
+     * @param {string} name - Element name
+     * @returns {Array<Object>} Matching elements in document order
+     */
+    function findAll(element, name) {
+        const found = [];
+        element.children.forEach(child => {
+            if (child.name === name) found.push(child);
+            found.push(...findAll(child, name));
+        });
+        return found;
+    }
+
+    /**
+     * Find the first descendant element with a name
+     * @param {Object} element - Element to search
+     * @param {string} name - Element name
+     * @returns {Object|null} Matching element or null
+     */
+    function findFirst(element, name) {
+        return findAll(element, name)[0] || null;
+    }
+
+    /**
+     * Convert an OFX date-time such as 20240131120000.000[-5:EST]
+     * @param {string} value - OFX date-time
+     * @returns {string|null} Date as YYYY-MM-DD, or null if invalid
+     */
+    function parseDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    /**
+     * Convert an OFX amount, which some banks write with a decimal comma
+     * @param {string} value - OFX amount
+     * @returns {number} Amount, or NaN if invalid
+     */
+    function parseAmount(value) {
+        const text = (value || '').replace(/\s/g, '').replace(',', '.');
+        return /^[-+]?\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+    }
+
+    /**
+     * Read a statement transaction
+     * @param {Object} element - STMTTRN element
+     * @returns {Object} { fitId, type, date, amount, name, memo, checkNumber }
+     */
+    function readTransaction(element) {
+        const values = element.values;
+        const payee = findFirst(element, 'PAYEE');
+
+        return {
+            fitId: values.FITID || '',
+            type: values.TRNTYPE || 'OTHER',
+            date: parseDate(values.DTPOSTED || values.DTUSER),
+            amount: parseAmount(values.TRNAMT),
+            name: values.NAME || (payee && payee.values.NAME) || '',
+            memo: values.MEMO || '',
+            checkNumber: values.CHECKNUM || ''
+        };
+    }
+
+    /**
+     * Parse an OFX or QFX file
+     * @param {string} text - File contents
+     * @returns {Array<Object>} Statements as { accountId, bankId, accountType, currency, institution, transactions }
+     */
+    function parse(text) {
+        const root = buildTree(text);
+        const signOn = findFirst(root, 'FI');
+        const institution = signOn ? signOn.values.ORG || '' : '';
+
+        const bankStatements = findAll(root, 'STMTRS').map(statement => ({ statement, from: findFirst(statement, 'BANKACCTFROM') }));
+        const cardStatements = findAll(root, 'CCSTMTRS').map(statement => ({ statement, from: findFirst(statement, 'CCACCTFROM') }));
+
+        return [...bankStatements, ...cardStatements].map(({ statement, from }) => {
+            const account = from ? from.values : {};
+            const transactionList = findFirst(statement, 'BANKTRANLIST');
+
+            return {
+                accountId: account.ACCTID || '',
+                bankId: account.BANKID || '',
+                accountType: from && from.name === 'CCACCTFROM' ? 'CREDITCARD' : account.ACCTTYPE || 'CHECKING',
+                currency: statement.values.CURDEF || '',
+                institution,
+                transactions: transactionList ? findAll(transactionList, 'STMTTRN').map(readTransaction) : []
+            };
+        });
+    }
+
+    // Public API
+    return {
+        parse,
+        parseDate,
+        parseAmount
+    };
+})();
@@ -0,0 +1,391 @@
+/**
+ * CashBoard PDF Writer
+ * Builds simple PDF documents (text, lines, boxes and JPEG images) without any library
+ *
+ * Text uses the Helvetica fonts every PDF reader has built in, so nothing is
+ * embedded; characters are written in WinAnsi encoding and anything outside
+ * it becomes a question mark. Positions are in points from the top-left
+ * corner of the page.
+ */
+
+const PdfWriter = (function() {
+    // Page sizes in points
+    const PAGE_SIZES = {
+        a4: [595.28, 841.89],
+        letter: [612, 792]
+    };
+
+    // Built-in fonts by style
+    const FONTS = {
+        regular: 'Helvetica',
+        bold: 'Helvetica-Bold'
+    };
+
+    // Glyph widths (per 1000 units of font size) of characters 32 to 126
+    const WIDTHS = {
+        regular: [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ],
+        bold: [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+        ]
+    };
+
+    // WinAnsi codes of characters outside Latin-1
+    const WIN_ANSI = {
+        '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+        '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A,
+        '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92,
+        '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+        '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C,
+        'ž': 0x9E, 'Ÿ': 0x9F
+    };
+
+    /**
+     * Get the WinAnsi code of a character
+     * @param {string} char - Character
+     * @returns {number|null} Code, or null if WinAnsi has no such character
+     */
+    function toWinAnsi(char) {
+        if (WIN_ANSI[char]) return WIN_ANSI[char];
+
+        const code = char.charCodeAt(0);
+        if (code === 0xA0) return 0x20;
+        return (code >= 0x20 && code < 0x7F) || (code > 0xA0 && code <= 0xFF) ? code : null;
+    }
+
+    /**
+     * Check whether text can be written without losing characters
+     * @param {string} text - Text
+     * @returns {boolean} Whether every character is in WinAnsi
+     */
+    function canEncode(text) {
+        return Array.from(String(text)).every(char => toWinAnsi(char) !== null);
+    }
+
+    /**
+     * Write text as a PDF string literal
+     * @param {string} text - Text
+     * @returns {string} String literal in parentheses
+     */
+    function toPdfString(text) {
+        const body = Array.from(String(text).replace(/[\r\n\t]+/g, ' ')).map(char => {
+            const code = toWinAnsi(char);
+            if (code === null) return '?';
+            if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+            return code < 0x80 ? char : `\\${code.toString(8)}`;
+        }).join('');
+        return `(${body})`;
+    }
+
+    /**
+     * Measure text
+     * @param {string} text - Text
+     * @param {number} size - Font size in points
+     * @param {string} font - 'regular' or 'bold'
+     * @returns {number} Width in points
+     */
+    function textWidth(text, size, font = 'regular') {
+        const widths = WIDTHS[font] || WIDTHS.regular;
+        const units = Array.from(String(text)).reduce((total, char) => {
+            const code = char.charCodeAt(0);
+            return total + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+        }, 0);
+        return units * size / 1000;
+    }
+
+    /**
+     * Shorten text to fit a width, ending it with an ellipsis
+     * @param {string} text - Text
+     * @param {number} width - Available width in points
+     * @param {number} size - Font size in points
+     * @param {string} font - 'regular' or 'bold'
+     * @returns {string} Text that fits
+     */
+    function fitText(text, width, size, font = 'regular') {
+        let fitted = String(text || '');
+        if (textWidth(fitted, size, font) <= width) return fitted;
+
+        while (fitted.length > 0 && textWidth(`${fitted}...`, size, font) > width) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted.trimEnd()}...`;
+    }
+
+    /**
+     * Convert a CSS-style hex color to PDF color operands
+     * @param {string} color - Color as #RRGGBB
+     * @returns {string} Red, green and blue from 0 to 1
+     */
+    function toRgb(color) {
+        const hex = /^#?([0-9a-f]{6})$/i.exec(color || '') ? color.replace('#', '') : '000000';
+        return [0, 2, 4].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+    }
+
+    /**
+     * Read the pixel size of a JPEG image
+     * @param {Uint8Array} bytes - JPEG data
+     * @returns {Object|null} { width, height }, or null if it is not a JPEG
+     */
+    function readJpegSize(bytes) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xFF) return null;
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+            // Start-of-frame markers hold the image size
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                    width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+                };
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    /**
+     * Decode a base64 data URL
+     * @param {string} dataUrl - Data URL
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function fromDataUrl(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Create a document
+     * Drawing goes to the current page; addPage starts a new one and
+     * setPage goes back to an earlier one, e.g. to add page numbers.
+     * @param {Object} options - { size: 'a4' or 'letter', title }
+     * @returns {Object} Document with drawing methods and build()
+     */
+    function createDocument(options = {}) {
+        const [width, height] = PAGE_SIZES[options.size] || PAGE_SIZES.a4;
+        const pages = [];
+        const images = [];
+        let page = null;
+
+        const y = (top) => (height - top).toFixed(2);
+
+        const doc = {
+            width,
+            height,
+            textWidth,
+            fitText,
+            canEncode,
+
+            /**
+             * Start a new page
+             * @returns {number} Index of the new page
+             */
+            addPage() {
+                page = { content: [], images: new Set() };
+                pages.push(page);
+                return pages.length - 1;
+            },
+
+            /**
+             * Go to an existing page
+             * @param {number} index - Page index
+             */
+            setPage(index) {
+                page = pages[index];
+            },
+
+            /**
+             * Get the number of pages
+             * @returns {number} Page count
+             */
+            getPageCount() {
+                return pages.length;
+            },
+
+            /**
+             * Write a line of text
+             * @param {string} text - Text
+             * @param {number} x - Left edge, or right edge or center depending on align
+             * @param {number} top - Baseline position from the top
+             * @param {Object} style - { size, font: 'regular' or 'bold', color, align: 'left', 'right' or 'center' }
+             */
+            text(text, x, top, style = {}) {
+                const size = style.size || 10;
+                const font = style.font === 'bold' ? 'bold' : 'regular';
+                const widthOfText = textWidth(text, size, font);
+                const left = style.align === 'right' ? x - widthOfText : style.align === 'center' ? x - widthOfText / 2 : x;
+
+                page.content.push(`BT /${font === 'bold' ? 'F2' : 'F1'} ${size} Tf ${toRgb(style.color)} rg ${left.toFixed(2)} ${y(top)} Td ${toPdfString(text)} Tj ET`);
+            },
+
+            /**
+             * Draw a straight line
+             * @param {number} x1 - Start x
+             * @param {number} top1 - Start position from the top
+             * @param {number} x2 - End x
+             * @param {number} top2 - End position from the top
+             * @param {Object} style - { color, width }
+             */
+            line(x1, top1, x2, top2, style = {}) {
+                page.content.push(`${toRgb(style.color)} RG ${(style.width || 0.5).toFixed(2)} w ${x1.toFixed(2)} ${y(top1)} m ${x2.toFixed(2)} ${y(top2)} l S`);
+            },
+
+            /**
+             * Draw a rectangle
+             * @param {number} x - Left edge
+             * @param {number} top - Top edge from the top of the page
+             * @param {number} w - Width
+             * @param {number} h - Height
+             * @param {Object} style - { fill, stroke } colors; at least one should be set
+             */
+            rect(x, top, w, h, style = {}) {
+                const path = `${x.toFixed(2)} ${y(top + h)} ${w.toFixed(2)} ${h.toFixed(2)} re`;
+                if (style.fill && style.stroke) {
+                    page.content.push(`${toRgb(style.fill)} rg ${toRgb(style.stroke)} RG ${path} B`);
+                } else if (style.fill) {
+                    page.content.push(`${toRgb(style.fill)} rg ${path} f`);
+                } else {
+                    page.content.push(`${toRgb(style.stroke)} RG 0.5 w ${path} S`);
+                }
+            },
+
+            /**
+             * Draw a JPEG image
+             * @param {string} dataUrl - JPEG data URL, e.g. from canvas.toDataURL('image/jpeg')
+             * @param {number} x - Left edge
+             * @param {number} top - Top edge from the top of the page
+             * @param {number} w - Width
+             * @param {number} h - Height
+             * @returns {boolean} Whether the image could be drawn
+             */
+            image(dataUrl, x, top, w, h) {
+                const bytes = fromDataUrl(dataUrl);
+                const size = readJpegSize(bytes);
+                if (!size) return false;
+
+                const name = `Im${images.length + 1}`;
+                images.push({ name, bytes, ...size });
+                page.images.add(name);
+                page.content.push(`q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${x.toFixed(2)} ${y(top + h)} cm /${name} Do Q`);
+                return true;
+            },
+
+            /**
+             * Build the PDF file
+             * @returns {Uint8Array} PDF file bytes
+             */
+            build() {
+                return build(pages, images, width, height, options.title);
+            }
+        };
+
+        return doc;
+    }
+
+    /**
+     * Assemble the objects of a PDF file
+     * @param {Array<Object>} pages - Pages as { content, images }
+     * @param {Array<Object>} images - Images as { name, bytes, width, height }
+     * @param {number} width - Page width
+     * @param {number} height - Page height
+     * @param {string} title - Document title
+     * @returns {Uint8Array} PDF file bytes
+     */
+    function build(pages, images, width, height, title) {
+        const encoder = new TextEncoder();
+        const objects = [];
+
+        // Objects 1-4 are fixed; images and pages follow
+        const imageIds = {};
+        images.forEach((image, i) => {
+            imageIds[image.name] = 5 + i;
+        });
+        const firstPageId = 5 + images.length;
+        const pageIds = pages.map((page, i) => firstPageId + i * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`;
+        objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`;
+
+        images.forEach(image => {
+            objects[imageIds[image.name]] = [
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+                image.bytes,
+                '\nendstream'
+            ];
+        });
+
+        pages.forEach((page, i) => {
+            const id = pageIds[i];
+            const content = page.content.join('\n');
+            const xObjects = [...page.images].map(name => `/${name} ${imageIds[name]} 0 R`).join(' ');
+
+            objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] `
+                + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> `
+                + `/Contents ${id + 1} 0 R >>`;
+            objects[id + 1] = `<< /Length ${encoder.encode(content).length} >>\nstream\n${content}\nendstream`;
+        });
+
+        const infoId = objects.length;
+        objects[infoId] = `<< /Title ${toPdfString(title || '')} /Producer (CashBoard) >>`;
+
+        // Write the objects, remembering where each starts for the cross-reference table
+        const chunks = [encoder.encode('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        const offsets = [];
+        let length = chunks[0].length;
+        const push = (part) => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = length;
+            push(`${id} 0 obj\n`);
+            [].concat(objects[id]).forEach(push);
+            push('\nendobj\n');
+        }
+
+        const xrefOffset = length;
+        push(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objects.length; id++) {
+            push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes;
+    }
+
+    // Public API
+    return {
+        PAGE_SIZES,
+        canEncode,
+        textWidth,
+        createDocument
+    };
+})();
@@ -0,0 +1,188 @@
+/**
+ * CashBoard QIF Format
+ * Reads and writes Quicken Interchange Format files
+ *
+ * A QIF file is a list of sections started by a !Type header. Each record in
+ * a section is a run of lines whose first character names the field, ended by
+ * a line holding only ^. An !Account block before a section names the account
+ * the section belongs to.
+ */
+
+const QifFormat = (function() {
+    // Section types holding bank-style transactions
+    const TRANSACTION_TYPES = ['Bank', 'CCard', 'Cash', 'Oth A', 'Oth L'];
+
+    /**
+     * Parse QIF text
+     * Sections of other types (investments, category lists, memorized
+     * transactions) are skipped.
+     * @param {string} text - QIF file contents
+     * @returns {Array<Object>} Sections as { type, accountName, records }, with
+     * records as { date, amount, payee, memo, category, number, splits } of raw
+     * field text and splits as { category, memo, amount }
+     */
+    function parse(text) {
+        const sections = [];
+        let section = null;
+        let account = null;
+        let inAccount = false;
+        let record = {};
+
+        text.split(/\r\n|\r|\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line[0] === '!') {
+                const header = line.slice(1).trim();
+                inAccount = /^Account$/i.test(header);
+                record = {};
+
+                if (inAccount) {
+                    account = {};
+                    section = null;
+                } else if (/^Type:/i.test(header)) {
+                    const type = TRANSACTION_TYPES.find(name => name.toLowerCase() === header.slice(5).trim().toLowerCase());
+                    section = type ? { type, accountName: account ? account.name || '' : '', records: [] } : null;
+                    if (section) sections.push(section);
+                }
+                return;
+            }
+
+            if (inAccount) {
+                if (line === '^') {
+                    inAccount = false;
+                } else if (line[0] === 'N') {
+                    account.name = line.slice(1).trim();
+                }
+                return;
+            }
+
+            if (!section) return;
+
+            if (line === '^') {
+                if (record.date !== undefined || record.amount !== undefined) {
+                    section.records.push({ payee: '', memo: '', category: '', number: '', splits: [], ...record });
+                }
+                record = {};
+                return;
+            }
+
+            readField(record, line[0], line.slice(1).trim());
+        });
+
+        return sections;
+    }
+
+    /**
+     * Read a single field line into a record
+     * @param {Object} record - Record being built
+     * @param {string} code - Field code
+     * @param {string} value - Field text
+     */
+    function readField(record, code, value) {
+        const splits = record.splits || (record.splits = []);
+        const lastSplit = splits[splits.length - 1];
+
+        switch (code) {
+            case 'D':
+                record.date = value;
+                break;
+            case 'T':
+            case 'U':
+                record.amount = value;
+                break;
+            case 'P':
+                record.payee = value;
+                break;
+            case 'M':
+                record.memo = value;
+                break;
+            case 'L':
+                record.category = value;
+                break;
+            case 'N':
+                record.number = value;
+                break;
+            case 'S':
+                splits.push({ category: value, memo: '', amount: '' });
+                break;
+            case 'E':
+                if (lastSplit) lastSplit.memo = value;
+                break;
+            case '$':
+                if (lastSplit) lastSplit.amount = value;
+                break;
+        }
+    }
+
+    /**
+     * Convert a QIF date to a form CsvParser.parseDate understands
+     * Quicken writes years from 2000 on as 1/15'24 or 1/15' 4.
+     * @param {string} value - QIF date
+     * @returns {string} Date with a four-digit year where it had an apostrophe
+     */
+    function normalizeDate(value) {
+        const match = /^(\d{1,2})[/-](\d{1,2})'\s*(\d{1,2})$/.exec((value || '').trim());
+        if (!match) return (value || '').trim();
+
+        return `${match[1]}/${match[2]}/${2000 + Number(match[3])}`;
+    }
+
+    /**
+     * Format a YYYY-MM-DD date the way Quicken expects it
+     * @param {string} date - Date as YYYY-MM-DD
+     * @returns {string} Date as MM/DD/YYYY
+     */
+    function formatDate(date) {
+        const [year, month, day] = date.slice(0, 10).split('-');
+        return `${month}/${day}/${year}`;
+    }
+
+    /**
+     * Write sections as QIF text
+     * @param {Array<Object>} sections - { type, accountName, records } with
+     * records as { date, amount, currency, payee, memo, category, number, splits },
+     * dates as YYYY-MM-DD, amounts as signed minor units of the record's currency
+     * and splits as { category, memo, amount }
+     * @returns {string} QIF file contents
+     */
+    function stringify(sections) {
+        const lines = [];
+        const clean = (value) => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+
+        sections.forEach(section => {
+            if (section.accountName) {
+                lines.push('!Account', `N${clean(section.accountName)}`, `T${section.type}`, '^');
+            }
+            lines.push(`!Type:${section.type}`);
+
+            section.records.forEach(record => {
+                lines.push(`D${formatDate(record.date)}`);
+                lines.push(`T${Money.toDecimalString(record.amount, record.currency)}`);
+                if (record.number) lines.push(`N${clean(record.number)}`);
+                if (record.payee) lines.push(`P${clean(record.payee)}`);
+                if (record.memo) lines.push(`M${clean(record.memo)}`);
+                if (record.category) lines.push(`L${clean(record.category)}`);
+
+                (record.splits || []).forEach(split => {
+                    lines.push(`S${clean(split.category)}`);
+                    if (split.memo) lines.push(`E${clean(split.memo)}`);
+                    lines.push(`$${Money.toDecimalString(split.amount, record.currency)}`);
+                });
+
+                lines.push('^');
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Public API
+    return {
+        TRANSACTION_TYPES,
+        parse,
+        normalizeDate,
+        formatDate,
+        stringify
+    };
+})();
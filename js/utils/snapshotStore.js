@@ -0,0 +1,161 @@
+/**
+ * CashBoard Snapshot Store
+ * IndexedDB database for automatic backup snapshots, kept apart from the
+ * application data so snapshots are never loaded into the Storage cache and
+ * survive clearing all data. Also remembers the backup folder handle.
+ */
+
+const SnapshotStore = (function() {
+    const DB_NAME = 'cashboard-snapshots';
+    const DB_VERSION = 1;
+    const SNAPSHOT_STORE = 'snapshots';
+    const KEY_VALUE_STORE = 'keyval';
+
+    // Open database connection
+    let db = null;
+
+    /**
+     * Check whether snapshots can be stored in this browser
+     * @returns {boolean} Whether IndexedDB exists
+     */
+    function isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating its object stores on first use
+     * @returns {Promise<void>}
+     */
+    function open() {
+        if (db) return Promise.resolve();
+        if (!isAvailable()) {
+            return Promise.reject(new Error('Snapshots need IndexedDB, which this browser does not provide'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                    database.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' })
+                        .createIndex('createdAt', 'createdAt', { unique: false });
+                }
+                if (!database.objectStoreNames.contains(KEY_VALUE_STORE)) {
+                    database.createObjectStore(KEY_VALUE_STORE);
+                }
+            };
+
+            request.onsuccess = () => {
+                db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    db = null;
+                };
+                resolve();
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run requests in a transaction once the database is open
+     * @param {string} storeName - Object store to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object store; may return a request
+     * @returns {Promise<*>} Result of the returned request, once the transaction completes
+     */
+    function transaction(storeName, mode, callback) {
+        return open().then(() => new Promise((resolve, reject) => {
+            const tx = db.transaction([storeName], mode);
+            const request = callback(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        }));
+    }
+
+    /**
+     * Read every snapshot, oldest first
+     * @returns {Promise<Array>} Snapshot records
+     */
+    function getAll() {
+        return transaction(SNAPSHOT_STORE, 'readonly', store => store.index('createdAt').getAll());
+    }
+
+    /**
+     * Read one snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object|undefined>} Snapshot record
+     */
+    function get(id) {
+        return transaction(SNAPSHOT_STORE, 'readonly', store => store.get(id));
+    }
+
+    /**
+     * Add or replace a snapshot
+     * @param {Object} snapshot - Snapshot record with an id
+     * @returns {Promise<void>}
+     */
+    function put(snapshot) {
+        return transaction(SNAPSHOT_STORE, 'readwrite', store => {
+            store.put(snapshot);
+        });
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<void>}
+     */
+    function remove(id) {
+        return transaction(SNAPSHOT_STORE, 'readwrite', store => {
+            store.delete(id);
+        });
+    }
+
+    /**
+     * Read a stored value
+     * @param {string} key - Value key
+     * @returns {Promise<*>} Stored value, or undefined
+     */
+    function getValue(key) {
+        return transaction(KEY_VALUE_STORE, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Value key
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<void>}
+     */
+    function setValue(key, value) {
+        return transaction(KEY_VALUE_STORE, 'readwrite', store => {
+            store.put(value, key);
+        });
+    }
+
+    /**
+     * Delete a stored value
+     * @param {string} key - Value key
+     * @returns {Promise<void>}
+     */
+    function removeValue(key) {
+        return transaction(KEY_VALUE_STORE, 'readwrite', store => {
+            store.delete(key);
+        });
+    }
+
+    // Public API
+    return {
+        isAvailable,
+        getAll,
+        get,
+        put,
+        remove,
+        getValue,
+        setValue,
+        removeValue
+    };
+})();
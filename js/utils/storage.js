@@ -1,6 +1,6 @@
 /**
  * CashBoard Storage Utility
- * Handles local storage operations for persistent data
+ * Handles persistent storage operations and data models
  */
 
 const StorageKeys = {
@@ -8,467 +8,529 @@ const StorageKeys = {
     EXPENSES: 'cashboard_expenses',
     BUDGETS: 'cashboard_budgets',
     SETTINGS: 'cashboard_settings',
-    USER: 'cashboard_user'
+    USER: 'cashboard_user',
+    SAVINGS_GOALS: 'cashboard_savings_goals',
+    ACCOUNTS: 'cashboard_accounts',
+    TRANSFERS: 'cashboard_transfers',
+    IMPORT_PROFILES: 'cashboard_import_profiles',
+    EXCHANGE_RATES: 'cashboard_exchange_rates',
+    SCHEMA_VERSION: 'cashboard_schema_version',
+    LOCK: 'cashboard_lock'
 };
 
+// Keys holding bookkeeping rather than user data; never exported or imported
+const MetaStorageKeys = ['SCHEMA_VERSION', 'LOCK'];
+
 /**
- * Storage utility for handling localStorage operations
+ * Storage utility for persisting application data
+ *
+ * Reads and writes are served from an in-memory cache so callers stay
+ * synchronous; changes are written through to the active storage adapter
+ * (IndexedDB, or localStorage as a fallback) in the background. A write
+ * that fails, for example on a full quota, is passed to onWriteError()
+ * listeners and makes the next flush() reject.
+ * Call Storage.init() once before using it.
+ *
+ * When an app lock is set, every value except the lock record is encrypted
+ * before it reaches the adapter, and init() leaves the data unread until
+ * unlock() is given the PIN or passphrase.
  */
 const Storage = {
+    // Active storage adapter
+    adapter: null,
+
+    // Serialized values by storage key
+    cache: {},
+
+    // Whether init() has completed
+    ready: false,
+
+    // Queue of adapter writes, so they land in the order they were made
+    pendingWrites: Promise.resolve(),
+
+    // First write failure since the last flush(), or null
+    writeError: null,
+
+    // Callbacks told about failed writes
+    writeErrorListeners: [],
+
+    // Data key while an app lock is set and unlocked
+    encryptionKey: null,
+
+    // Raw adapter data waiting for unlock(), or null when not locked
+    lockedData: null,
+
     /**
-     * Save data to localStorage
-     * @param {string} key - Storage key
-     * @param {*} data - Data to store
-     * @returns {boolean} - Success status
+     * Pick a storage adapter and load persisted data into memory.
+     * IndexedDB is preferred; data found in the legacy localStorage keys
+     * is moved into it on first run.
+     * @returns {Promise<string>} - Name of the active adapter
      */
-    save(key, data) {
-        try {
-            const serializedData = JSON.stringify(data);
-            localStorage.setItem(key, serializedData);
-            return true;
-        } catch (error) {
-            console.error('Failed to save data to storage:', error);
-            return false;
+    init() {
+        if (this.ready) {
+            return Promise.resolve(this.adapter.name);
+        }
+
+        if (!IndexedDBAdapter.isAvailable()) {
+            return this.useAdapter(LocalStorageAdapter);
         }
+
+        return this.useAdapter(IndexedDBAdapter)
+            .catch(error => {
+                console.error('IndexedDB unavailable, falling back to localStorage:', error);
+                return this.useAdapter(LocalStorageAdapter);
+            });
     },
 
     /**
-     * Load data from localStorage
-     * @param {string} key - Storage key
-     * @param {*} defaultValue - Default value if key doesn't exist
-     * @returns {*} - Retrieved data or default value
+     * Open an adapter and fill the cache from it
+     * @param {Object} adapter - Storage adapter
+     * @returns {Promise<string>} - Name of the adapter
      */
-    load(key, defaultValue = null) {
-        try {
-            const serializedData = localStorage.getItem(key);
-            if (serializedData === null) {
-                return defaultValue;
-            }
-            return JSON.parse(serializedData);
-        } catch (error) {
-            console.error('Failed to load data from storage:', error);
-            return defaultValue;
-        }
+    useAdapter(adapter) {
+        return adapter.open()
+            .then(() => this.migrateFromLocalStorage(adapter))
+            .then(() => adapter.readAll())
+            .then(data => {
+                this.adapter = adapter;
+                if (data[StorageKeys.LOCK]) {
+                    this.lockedData = data;
+                } else {
+                    this.loadData(data);
+                }
+                return adapter.name;
+            });
     },
 
     /**
-     * Remove data from localStorage
-     * @param {string} key - Storage key
-     * @returns {boolean} - Success status
+     * Fill the cache from adapter data and bring it up to date
+     * @param {Object} data - Stored values by storage key
      */
-    remove(key) {
-        try {
-            localStorage.removeItem(key);
-            return true;
-        } catch (error) {
-            console.error('Failed to remove data from storage:', error);
-            return false;
-        }
+    loadData(data) {
+        this.cache = {};
+        Object.entries(data).forEach(([key, value]) => {
+            this.cache[key] = JSON.stringify(value);
+        });
+        this.ready = true;
+        this.applyMigrations();
     },
 
     /**
-     * Check if a key exists in localStorage
-     * @param {string} key - Storage key
-     * @returns {boolean} - Whether key exists
+     * Check whether stored data is waiting for the PIN or passphrase
+     * @returns {boolean} - Whether unlock() is needed before reading data
      */
-    exists(key) {
-        return localStorage.getItem(key) !== null;
+    isLocked() {
+        return this.lockedData !== null;
     },
 
     /**
-     * Save income data
-     * @param {Array} incomes - Array of income objects
-     * @returns {boolean} - Success status
+     * Get the lock record, whether or not the data is unlocked
+     * @returns {Object|null} - Lock record, or null when no lock is set
      */
-    saveIncomes(incomes) {
-        return this.save(StorageKeys.INCOME, incomes);
+    getLock() {
+        return this.isLocked() ? this.lockedData[StorageKeys.LOCK] : this.load(StorageKeys.LOCK);
     },
 
     /**
-     * Load income data
-     * @returns {Array} - Array of income objects
+     * Decrypt locked data with the PIN or passphrase and load it
+     * @param {string} secret - PIN or passphrase
+     * @returns {Promise<void>} - Rejects with code WRONG_PASSPHRASE on a wrong secret
      */
-    loadIncomes() {
-        return this.load(StorageKeys.INCOME, []);
+    unlock(secret) {
+        if (!this.isLocked()) {
+            return Promise.resolve();
+        }
+
+        const data = this.lockedData;
+
+        return StorageEncryption.unlock(data[StorageKeys.LOCK], secret).then(key => {
+            const entries = Object.entries(data).map(([storageKey, value]) => {
+                if (storageKey === StorageKeys.LOCK) return [storageKey, value];
+                return StorageEncryption.decryptValue(key, storageKey, value).then(plain => [storageKey, plain]);
+            });
+
+            return Promise.all(entries).then(decrypted => {
+                this.encryptionKey = key;
+                this.lockedData = null;
+                this.loadData(Object.fromEntries(decrypted));
+            });
+        });
     },
 
     /**
-     * Save expense data
-     * @param {Array} expenses - Array of expense objects
-     * @returns {boolean} - Success status
+     * Set an app lock and encrypt everything already stored
+     * @param {string} secret - New PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @returns {Promise<void>} - Resolves once the data has been rewritten
      */
-    saveExpenses(expenses) {
-        return this.save(StorageKeys.EXPENSES, expenses);
+    enableEncryption(secret, kind) {
+        return StorageEncryption.createLock(secret, kind).then(({ lock, key }) => {
+            // The lock record goes first, so encrypted values are never stored without it
+            this.encryptionKey = key;
+            this.save(StorageKeys.LOCK, lock);
+            this.rewriteAll();
+            return this.flush();
+        });
     },
 
     /**
-     * Load expense data
-     * @returns {Array} - Array of expense objects
+     * Protect the data with a new PIN or passphrase. Only the lock record
+     * changes; stored values keep their data key.
+     * @param {string} currentSecret - Current PIN or passphrase
+     * @param {string} newSecret - New PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @returns {Promise<void>}
      */
-    loadExpenses() {
-        return this.load(StorageKeys.EXPENSES, []);
+    changeEncryptionSecret(currentSecret, newSecret, kind) {
+        return StorageEncryption.changeSecret(this.getLock(), currentSecret, newSecret, kind).then(lock => {
+            this.save(StorageKeys.LOCK, lock);
+            return this.flush();
+        });
     },
 
     /**
-     * Save budget data
-     * @param {Array} budgets - Array of budget objects
-     * @returns {boolean} - Success status
+     * Remove the app lock and store everything unencrypted again
+     * @param {string} secret - Current PIN or passphrase
+     * @returns {Promise<void>} - Resolves once the data has been rewritten
      */
-    saveBudgets(budgets) {
-        return this.save(StorageKeys.BUDGETS, budgets);
+    disableEncryption(secret) {
+        return StorageEncryption.unlock(this.getLock(), secret).then(() => {
+            // The lock record goes last, so it outlives any value still encrypted
+            this.encryptionKey = null;
+            this.rewriteAll();
+            this.remove(StorageKeys.LOCK);
+            return this.flush();
+        });
     },
 
     /**
-     * Load budget data
-     * @returns {Array} - Array of budget objects
+     * Check a PIN or passphrase against the lock without changing anything
+     * @param {string} secret - PIN or passphrase
+     * @returns {Promise<void>} - Rejects with code WRONG_PASSPHRASE on a wrong secret
      */
-    loadBudgets() {
-        return this.load(StorageKeys.BUDGETS, []);
+    verifyEncryptionSecret(secret) {
+        return StorageEncryption.unlock(this.getLock(), secret).then(() => undefined);
     },
 
     /**
-     * Save user settings
-     * @param {Object} settings - User settings object
-     * @returns {boolean} - Success status
+     * Encrypt a value kept outside the adapter, such as a snapshot, when an
+     * app lock is set
+     * @param {string} storageKey - Name the value is authenticated under
+     * @param {*} value - Value to protect
+     * @returns {Promise<*>} - Encrypted value, or the value itself without a lock
      */
-    saveSettings(settings) {
-        return this.save(StorageKeys.SETTINGS, settings);
+    sealValue(storageKey, value) {
+        if (!this.encryptionKey) {
+            return Promise.resolve(value);
+        }
+        return StorageEncryption.encryptValue(this.encryptionKey, storageKey, value);
     },
 
     /**
-     * Load user settings
-     * @returns {Object} - User settings object
+     * Decrypt a value protected by sealValue()
+     * @param {string} storageKey - Name the value was authenticated under
+     * @param {*} value - Stored value
+     * @returns {Promise<*>} - Decrypted value
      */
-    loadSettings() {
-        return this.load(StorageKeys.SETTINGS, {
-            theme: 'light',
-            currency: 'USD',
-            language: 'en',
-            notifications: true,
-            dateFormat: 'YYYY-MM-DD'
-        });
+    unsealValue(storageKey, value) {
+        if (!StorageEncryption.isSealed(value)) {
+            return Promise.resolve(value);
+        }
+        if (!this.encryptionKey) {
+            return Promise.reject(new Error('This value is encrypted with an app lock that is no longer set'));
+        }
+        return StorageEncryption.decryptValue(this.encryptionKey, storageKey, value);
     },
 
     /**
-     * Save user profile
-     * @param {Object} user - User profile data
-     * @returns {boolean} - Success status
+     * Write every cached value to the adapter again, e.g. after the
+     * encryption key changed
      */
-    saveUser(user) {
-        return this.save(StorageKeys.USER, user);
+    rewriteAll() {
+        Object.keys(this.cache).forEach(key => {
+            if (key !== StorageKeys.LOCK) {
+                this.save(key, this.load(key));
+            }
+        });
     },
 
     /**
-     * Load user profile
-     * @returns {Object|null} - User profile or null
+     * Upgrade stored data to the current schema version
+     * @returns {Object|null} - Migration report, or null if nothing ran
      */
-    loadUser() {
-        return this.load(StorageKeys.USER, null);
+    applyMigrations() {
+        const dataset = this.getDataset();
+        if (Migrations.getDataVersion(dataset) === Migrations.getCurrentVersion()) {
+            return null;
+        }
+
+        try {
+            const { data, report } = Migrations.run(dataset);
+            this.saveDataset(data);
+            if (report.changed) {
+                Migrations.describeReport(report).forEach(line => console.log(`Schema migration ${line}`));
+            }
+            return report;
+        } catch (error) {
+            console.error('Failed to migrate stored data:', error);
+            return null;
+        }
     },
 
     /**
-     * Check if this is the first time using the app
-     * @returns {boolean} - Whether this is first use
+     * Get the StorageKeys types that hold user data
+     * @returns {Array<string>} - Data types
      */
-    isFirstUse() {
-        return !this.exists(StorageKeys.USER);
+    getDataTypes() {
+        return Object.keys(StorageKeys).filter(type => !MetaStorageKeys.includes(type));
     },
 
     /**
-     * Clear all application data
-     * @returns {boolean} - Success status
+     * Collect all stored data into a dataset keyed by StorageKeys type
+     * @returns {Object} - Dataset including its schema version
      */
-    clearAll() {
-        try {
-            Object.values(StorageKeys).forEach(key => {
-                localStorage.removeItem(key);
-            });
-            return true;
-        } catch (error) {
-            console.error('Failed to clear storage:', error);
-            return false;
-        }
+    getDataset() {
+        const data = {
+            schemaVersion: this.load(StorageKeys.SCHEMA_VERSION, 0)
+        };
+        this.getDataTypes().forEach(type => {
+            data[type] = this.load(StorageKeys[type]);
+        });
+        return data;
     },
 
     /**
-     * Export all data as JSON
-     * @returns {string} JSON string of all data
+     * Write every data type present in a dataset and stamp its schema version
+     * @param {Object} data - Dataset keyed by StorageKeys type
      */
-    exportData() {
-        try {
-            const data = {};
-            Object.entries(StorageKeys).forEach(([type, key]) => {
-                data[type] = this.load(key);
-            });
-            return JSON.stringify(data);
-        } catch (error) {
-            console.error('Failed to export data:', error);
-            return null;
-        }
+    saveDataset(data) {
+        this.getDataTypes().forEach(type => {
+            if (data[type] !== undefined && data[type] !== null) {
+                this.save(StorageKeys[type], data[type]);
+            }
+        });
+        this.save(StorageKeys.SCHEMA_VERSION, data.schemaVersion);
     },
 
     /**
-     * Import data from JSON
-     * @param {string} jsonData - JSON string of data to import
-     * @returns {boolean} - Success status
+     * Move data from the legacy localStorage keys into another adapter.
+     * The localStorage copies are removed once written, so this only
+     * happens once.
+     * @param {Object} adapter - Adapter receiving the data
+     * @returns {Promise<void>}
      */
-    importData(jsonData) {
-        try {
-            const data = JSON.parse(jsonData);
-            Object.entries(data).forEach(([type, value]) => {
-                const key = StorageKeys[type];
-                if (key) {
-                    this.save(key, value);
-                }
-            });
-            return true;
-        } catch (error) {
-            console.error('Failed to import data:', error);
-            return false;
+    migrateFromLocalStorage(adapter) {
+        if (adapter === LocalStorageAdapter || !LocalStorageAdapter.isAvailable()) {
+            return Promise.resolve();
         }
-    }
-};
 
-/**
- * User-friendly wrapper around the Storage utility
- */
-const StorageUtil = {
-    // Storage keys accessible by consumers
-    KEYS: {
-        INCOME: StorageKeys.INCOME,
-        EXPENSES: StorageKeys.EXPENSES,
-        BUDGETS: StorageKeys.BUDGETS,
-        SETTINGS: StorageKeys.SETTINGS,
-        USER: StorageKeys.USER
-    },
-    
-    // Default settings
-    DEFAULT_SETTINGS: {
-        theme: 'light',
-        currency: 'INR',
-        currencySymbol: '₹',
-        language: 'en',
-        notifications: true,
-        dateFormat: 'DD/MM/YYYY',
-        firstTimeSetup: true
+        return LocalStorageAdapter.readAll().then(legacyData => {
+            const keys = Object.keys(legacyData);
+            if (keys.length === 0) return;
+
+            console.log(`Migrating ${keys.length} storage keys from localStorage to ${adapter.name}`);
+            return Promise.all(keys.map(key => adapter.write(key, legacyData[key])))
+                .then(() => LocalStorageAdapter.clear());
+        });
     },
-    
+
     /**
-     * Save data to storage
-     * @param {string} key - Storage key
-     * @param {*} data - Data to store
-     * @returns {boolean} - Success status
+     * Register a listener for writes that fail to reach the storage adapter
+     * @param {Function} listener - Called with the error
      */
-    saveData(key, data) {
-        return Storage.save(key, data);
+    onWriteError(listener) {
+        this.writeErrorListeners.push(listener);
     },
-    
+
     /**
-     * Get data from storage
-     * @param {string} key - Storage key
-     * @param {*} defaultValue - Default value if key doesn't exist
-     * @returns {*} - Retrieved data or default value
+     * Record a failed write and tell the listeners
+     * @param {Error} error - Write error
+     * @param {string} message - Error message to log
      */
-    getData(key, defaultValue = null) {
-        return Storage.load(key, defaultValue);
+    reportWriteError(error, message) {
+        console.error(message, error);
+        this.writeError = this.writeError || error;
+        this.writeErrorListeners.forEach(listener => listener(error));
     },
-    
+
     /**
-     * Remove data from storage
-     * @param {string} key - Storage key
-     * @returns {boolean} - Success status
+     * Queue a write on the active adapter
+     * @param {Function} operation - Returns the adapter promise
+     * @param {string} message - Error message if the write fails
+     * @returns {Promise<boolean>} - Resolves once the write has landed, with whether it succeeded
      */
-    removeData(key) {
-        return Storage.remove(key);
+    queueWrite(operation, message) {
+        if (!this.adapter) {
+            this.reportWriteError(new Error('Storage has not been initialized.'), message);
+            return Promise.resolve(false);
+        }
+
+        const write = this.pendingWrites
+            .then(operation)
+            .then(() => true, error => {
+                this.reportWriteError(error, message);
+                return false;
+            });
+        this.pendingWrites = write;
+        return write;
     },
-    
+
     /**
-     * Check if data exists in storage
+     * Write a value through the adapter, encrypted when a key is given
      * @param {string} key - Storage key
-     * @returns {boolean} - Whether key exists
+     * @param {*} value - Value to store
+     * @param {CryptoKey|null} encryptionKey - Data key, or null to store as is
+     * @returns {Promise<void>}
      */
-    hasData(key) {
-        return Storage.exists(key);
+    persist(key, value, encryptionKey) {
+        if (!encryptionKey || key === StorageKeys.LOCK) {
+            return this.adapter.write(key, value);
+        }
+
+        return StorageEncryption.encryptValue(encryptionKey, key, value)
+            .then(sealed => this.adapter.write(key, sealed));
     },
-    
+
     /**
-     * Save income data with proper models
-     * @param {Array} incomes - Array of income objects
-     * @returns {boolean} - Success status
+     * Wait for all queued writes to reach the storage adapter
+     * @returns {Promise<void>} - Rejects with the first write error since the last flush
      */
-    saveIncome(incomes) {
-        // Convert plain objects to models if needed
-        const incomeModels = incomes.map(income => {
-            if (!(income instanceof Income)) {
-                return new Income(income);
-            }
-            return income;
+    flush() {
+        return this.pendingWrites.then(() => {
+            const error = this.writeError;
+            this.writeError = null;
+            if (error) throw error;
         });
-        
-        return Storage.saveIncomes(incomeModels.map(model => model.toJSON()));
     },
-    
+
     /**
-     * Get all income data as models
-     * @returns {Array<Income>} - Array of Income models
+     * Save data to storage
+     * The cache is updated at once and the adapter write is queued; a write
+     * that fails later is reported to onWriteError() listeners and by flush().
+     * @param {string} key - Storage key
+     * @param {*} data - Data to store
+     * @returns {boolean} - Whether the data could be serialized and queued
      */
-    getIncome() {
-        const incomes = Storage.loadIncomes();
-        return incomes.map(income => new Income(income));
+    save(key, data) {
+        try {
+            const serializedData = JSON.stringify(data);
+            const encryptionKey = this.encryptionKey;
+            this.cache[key] = serializedData;
+            this.queueWrite(
+                () => this.persist(key, JSON.parse(serializedData), encryptionKey),
+                'Failed to save data to storage:'
+            );
+            return true;
+        } catch (error) {
+            console.error('Failed to save data to storage:', error);
+            return false;
+        }
     },
-    
+
     /**
-     * Save expense data with proper models
-     * @param {Array} expenses - Array of expense objects
-     * @returns {boolean} - Success status
+     * Load data from storage
+     * @param {string} key - Storage key
+     * @param {*} defaultValue - Default value if key doesn't exist
+     * @returns {*} - Retrieved data or default value
      */
-    saveExpenses(expenses) {
-        // Convert plain objects to models if needed
-        const expenseModels = expenses.map(expense => {
-            if (!(expense instanceof Expense)) {
-                return new Expense(expense);
+    load(key, defaultValue = null) {
+        try {
+            const serializedData = this.cache[key];
+            if (serializedData === undefined) {
+                return defaultValue;
             }
-            return expense;
-        });
-        
-        return Storage.saveExpenses(expenseModels.map(model => model.toJSON()));
-    },
-    
-    /**
-     * Get all expense data as models
-     * @returns {Array<Expense>} - Array of Expense models
-     */
-    getExpenses() {
-        const expenses = Storage.loadExpenses();
-        return expenses.map(expense => new Expense(expense));
+            return JSON.parse(serializedData);
+        } catch (error) {
+            console.error('Failed to load data from storage:', error);
+            return defaultValue;
+        }
     },
-    
+
     /**
-     * Save budgets with proper models
-     * @param {Array} budgets - Array of budget objects
+     * Remove data from storage
+     * @param {string} key - Storage key
      * @returns {boolean} - Success status
      */
-    saveBudgets(budgets) {
-        // Convert plain objects to models if needed
-        const budgetModels = budgets.map(budget => {
-            if (!(budget instanceof Budget)) {
-                return new Budget(budget);
-            }
-            return budget;
-        });
-        
-        return Storage.saveBudgets(budgetModels.map(model => model.toJSON()));
+    remove(key) {
+        delete this.cache[key];
+        this.queueWrite(
+            () => this.adapter.remove(key),
+            'Failed to remove data from storage:'
+        );
+        return true;
     },
-    
+
     /**
-     * Get all budgets as models
-     * @returns {Array<Budget>} - Array of Budget models
+     * Check if a key exists in storage
+     * @param {string} key - Storage key
+     * @returns {boolean} - Whether key exists
      */
-    getBudgets() {
-        const budgets = Storage.loadBudgets();
-        return budgets.map(budget => new Budget(budget));
+    exists(key) {
+        return this.cache[key] !== undefined;
     },
-    
+
     /**
-     * Save user settings
-     * @param {Object} settings - User settings object
+     * Clear all application data
      * @returns {boolean} - Success status
      */
-    saveSettings(settings) {
-        // Merge with default settings
-        const mergedSettings = {
-            ...this.DEFAULT_SETTINGS,
-            ...settings
-        };
-        
-        return Storage.saveSettings(mergedSettings);
+    clearAll() {
+        const lock = this.encryptionKey ? this.load(StorageKeys.LOCK) : null;
+
+        this.cache = {};
+        this.lockedData = null;
+        this.queueWrite(
+            () => this.adapter.clear(),
+            'Failed to clear storage:'
+        );
+
+        // Cleared data stays behind the same lock
+        if (lock) {
+            this.save(StorageKeys.LOCK, lock);
+        }
+        return true;
     },
-    
+
     /**
-     * Get user settings
-     * @returns {Object} - User settings object
+     * Export all data as JSON
+     * @returns {string} JSON string of all data
      */
-    getSettings() {
-        return Storage.loadSettings();
+    exportData() {
+        try {
+            return JSON.stringify(this.getDataset());
+        } catch (error) {
+            console.error('Failed to export data:', error);
+            return null;
+        }
     },
-    
+
     /**
-     * Check if this is the first time using the app
-     * @returns {boolean} - Whether this is first use
+     * Report the schema migrations an import would apply, without saving
+     * @param {string} jsonData - JSON string of data to import
+     * @returns {Object|null} - Migration report, or null if the data is unreadable
      */
-    isFirstUse() {
-        return Storage.isFirstUse();
+    previewImport(jsonData) {
+        try {
+            return Migrations.dryRun(JSON.parse(jsonData));
+        } catch (error) {
+            console.error('Failed to read import data:', error);
+            return null;
+        }
     },
-    
+
     /**
-     * Clear all application data
+     * Import data from JSON, upgrading it to the current schema first
+     * @param {string} jsonData - JSON string of data to import
      * @returns {boolean} - Success status
      */
-    clearAllData() {
-        return Storage.clearAll();
-    },
-    
-    /**
-     * Export all data as JSON file download
-     */
-    exportDataToFile() {
-        const jsonData = Storage.exportData();
-        if (!jsonData) return false;
-        
-        // Create file for download
-        const blob = new Blob([jsonData], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        
-        // Create filename with date
-        const date = new Date();
-        const dateStr = date.toISOString().split('T')[0];
-        const filename = `cashboard_backup_${dateStr}.json`;
-        
-        // Trigger download
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        return true;
-    },
-    
-    /**
-     * Import data from file
-     * @param {File} file - JSON file to import
-     * @returns {Promise<boolean>} - Success status
-     */
-    importDataFromFile(file) {
-        return new Promise((resolve, reject) => {
-            if (!file || file.type !== 'application/json') {
-                reject(new Error('Invalid file type. Please select a JSON file.'));
-                return;
-            }
-            
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const jsonData = event.target.result;
-                    const success = Storage.importData(jsonData);
-                    if (success) {
-                        resolve(true);
-                    } else {
-                        reject(new Error('Failed to import data. Invalid format.'));
-                    }
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
-            };
-            
-            reader.readAsText(file);
-        });
+    importData(jsonData) {
+        try {
+            const { data } = Migrations.run(JSON.parse(jsonData));
+            this.saveDataset(data);
+            return true;
+        } catch (error) {
+            console.error('Failed to import data:', error);
+            return false;
+        }
     }
 };
 
@@ -524,14 +586,22 @@ class Income {
     constructor(data = {}) {
         this.id = data.id || generateID();
         this.title = data.title || '';
-        this.amount = data.amount || 0;
+        this.amount = data.amount || 0; // Integer minor units of the currency, e.g. cents
+        this.currency = data.currency || ''; // ISO code; blank for the base currency
         this.category = data.category || 'Salary';
-        this.date = data.date || new Date().toISOString().split('T')[0];
+        this.date = data.date || CalendarDate.today();
         this.recurring = data.recurring || false;
         this.recurrenceInterval = data.recurrenceInterval || 'monthly';
+        this.recurrenceEndDate = data.recurrenceEndDate || null; // Last date an occurrence may fall on
+        this.recurrenceCount = data.recurrenceCount || null; // Total occurrences, including this one
+        this.recurrenceExceptions = data.recurrenceExceptions || {}; // Skipped or edited occurrences by date
+        this.lastGeneratedDate = data.lastGeneratedDate || null; // Date of the latest generated occurrence
+        this.templateId = data.templateId || null; // Recurring record this occurrence was generated from
         this.notes = data.notes || '';
         this.source = data.source || '';
         this.tags = data.tags || [];
+        this.accountId = data.accountId || null; // Account the money was paid into
+        this.importId = data.importId || null; // Bank's ID for the transaction, set by statement imports
     }
     
     /**
@@ -542,13 +612,21 @@ class Income {
         // Only update provided properties
         if (data.title !== undefined) this.title = data.title;
         if (data.amount !== undefined) this.amount = data.amount;
+        if (data.currency !== undefined) this.currency = data.currency;
         if (data.category !== undefined) this.category = data.category;
         if (data.date !== undefined) this.date = data.date;
         if (data.recurring !== undefined) this.recurring = data.recurring;
         if (data.recurrenceInterval !== undefined) this.recurrenceInterval = data.recurrenceInterval;
+        if (data.recurrenceEndDate !== undefined) this.recurrenceEndDate = data.recurrenceEndDate;
+        if (data.recurrenceCount !== undefined) this.recurrenceCount = data.recurrenceCount;
+        if (data.recurrenceExceptions !== undefined) this.recurrenceExceptions = data.recurrenceExceptions;
+        if (data.lastGeneratedDate !== undefined) this.lastGeneratedDate = data.lastGeneratedDate;
+        if (data.templateId !== undefined) this.templateId = data.templateId;
         if (data.notes !== undefined) this.notes = data.notes;
         if (data.source !== undefined) this.source = data.source;
         if (data.tags !== undefined) this.tags = data.tags;
+        if (data.accountId !== undefined) this.accountId = data.accountId;
+        if (data.importId !== undefined) this.importId = data.importId;
     }
     
     /**
@@ -560,13 +638,21 @@ class Income {
             id: this.id,
             title: this.title,
             amount: this.amount,
+            currency: this.currency,
             category: this.category,
             date: this.date,
             recurring: this.recurring,
             recurrenceInterval: this.recurrenceInterval,
+            recurrenceEndDate: this.recurrenceEndDate,
+            recurrenceCount: this.recurrenceCount,
+            recurrenceExceptions: this.recurrenceExceptions,
+            lastGeneratedDate: this.lastGeneratedDate,
+            templateId: this.templateId,
             notes: this.notes,
             source: this.source,
-            tags: this.tags
+            tags: this.tags,
+            accountId: this.accountId,
+            importId: this.importId
         };
     }
 }
@@ -582,16 +668,25 @@ class Expense {
     constructor(data = {}) {
         this.id = data.id || generateID();
         this.title = data.title || '';
-        this.amount = data.amount || 0;
+        this.amount = data.amount || 0; // Integer minor units of the currency, e.g. cents
+        this.currency = data.currency || ''; // ISO code; blank for the base currency
         this.category = data.category || 'Miscellaneous';
-        this.date = data.date || new Date().toISOString().split('T')[0];
+        this.date = data.date || CalendarDate.today();
         this.recurring = data.recurring || false;
         this.recurrenceInterval = data.recurrenceInterval || 'monthly';
+        this.recurrenceEndDate = data.recurrenceEndDate || null; // Last date an occurrence may fall on
+        this.recurrenceCount = data.recurrenceCount || null; // Total occurrences, including this one
+        this.recurrenceExceptions = data.recurrenceExceptions || {}; // Skipped or edited occurrences by date
+        this.lastGeneratedDate = data.lastGeneratedDate || null; // Date of the latest generated occurrence
+        this.templateId = data.templateId || null; // Recurring record this occurrence was generated from
         this.paymentMethod = data.paymentMethod || 'Cash';
         this.notes = data.notes || '';
         this.tags = data.tags || [];
         this.receipt = data.receipt || null; // Optional receipt image/URL
         this.location = data.location || null; // Optional location info
+        this.accountId = data.accountId || null; // Account the money was paid from
+        this.importId = data.importId || null; // Bank's ID for the transaction, set by statement imports
+        this.splits = (data.splits || []).map(split => normalizeSplit(split)); // Per-category lines summing to amount
     }
     
     /**
@@ -602,15 +697,43 @@ class Expense {
         // Only update provided properties
         if (data.title !== undefined) this.title = data.title;
         if (data.amount !== undefined) this.amount = data.amount;
+        if (data.currency !== undefined) this.currency = data.currency;
         if (data.category !== undefined) this.category = data.category;
         if (data.date !== undefined) this.date = data.date;
         if (data.recurring !== undefined) this.recurring = data.recurring;
         if (data.recurrenceInterval !== undefined) this.recurrenceInterval = data.recurrenceInterval;
+        if (data.recurrenceEndDate !== undefined) this.recurrenceEndDate = data.recurrenceEndDate;
+        if (data.recurrenceCount !== undefined) this.recurrenceCount = data.recurrenceCount;
+        if (data.recurrenceExceptions !== undefined) this.recurrenceExceptions = data.recurrenceExceptions;
+        if (data.lastGeneratedDate !== undefined) this.lastGeneratedDate = data.lastGeneratedDate;
+        if (data.templateId !== undefined) this.templateId = data.templateId;
         if (data.paymentMethod !== undefined) this.paymentMethod = data.paymentMethod;
         if (data.notes !== undefined) this.notes = data.notes;
         if (data.tags !== undefined) this.tags = data.tags;
         if (data.receipt !== undefined) this.receipt = data.receipt;
         if (data.location !== undefined) this.location = data.location;
+        if (data.accountId !== undefined) this.accountId = data.accountId;
+        if (data.importId !== undefined) this.importId = data.importId;
+        if (data.splits !== undefined) this.splits = data.splits.map(split => normalizeSplit(split));
+    }
+    
+    /**
+     * Check whether the expense is split across categories
+     * @returns {boolean} Whether split lines exist
+     */
+    hasSplits() {
+        return this.splits.length > 0;
+    }
+    
+    /**
+     * Check that split lines add up to the expense amount
+     * @returns {boolean} Whether the splits are consistent (always true without splits)
+     */
+    splitsMatchAmount() {
+        if (!this.hasSplits()) return true;
+        
+        const splitTotal = this.splits.reduce((total, split) => total + split.amount, 0);
+        return splitTotal === this.amount;
     }
     
     /**
@@ -622,19 +745,42 @@ class Expense {
             id: this.id,
             title: this.title,
             amount: this.amount,
+            currency: this.currency,
             category: this.category,
             date: this.date,
             recurring: this.recurring,
             recurrenceInterval: this.recurrenceInterval,
+            recurrenceEndDate: this.recurrenceEndDate,
+            recurrenceCount: this.recurrenceCount,
+            recurrenceExceptions: this.recurrenceExceptions,
+            lastGeneratedDate: this.lastGeneratedDate,
+            templateId: this.templateId,
             paymentMethod: this.paymentMethod,
             notes: this.notes,
             tags: this.tags,
             receipt: this.receipt,
-            location: this.location
+            location: this.location,
+            accountId: this.accountId,
+            importId: this.importId,
+            splits: this.splits.map(split => ({ ...split }))
         };
     }
 }
 
+/**
+ * Normalize a split line of an expense
+ * @param {Object} split - Split line data
+ * @returns {Object} Split line with category, amount, tags and notes
+ */
+function normalizeSplit(split = {}) {
+    return {
+        category: split.category || 'Miscellaneous',
+        amount: Number(split.amount) || 0, // Minor units of the expense's currency
+        tags: split.tags || [],
+        notes: split.notes || ''
+    };
+}
+
 /**
  * Budget Model
  */
@@ -646,9 +792,9 @@ class Budget {
     constructor(data = {}) {
         this.id = data.id || generateID();
         this.category = data.category || '';
-        this.amount = data.amount || 0;
+        this.amount = data.amount || 0; // Minor units of the base currency
         this.period = data.period || 'monthly';
-        this.startDate = data.startDate || new Date().toISOString().split('T')[0];
+        this.startDate = data.startDate || CalendarDate.today();
         this.notes = data.notes || '';
         this.rollover = data.rollover || false;
         this.alerts = data.alerts || {
@@ -690,6 +836,166 @@ class Budget {
     }
 }
 
+/**
+ * Account Model
+ * A bank account, card or wallet that money moves through. The balance is
+ * the opening balance plus incomes and incoming transfers, minus expenses
+ * and outgoing transfers, so a credit card with spending has a negative balance.
+ */
+class Account {
+    /**
+     * Create a new Account instance
+     * @param {Object} data - Account data
+     */
+    constructor(data = {}) {
+        this.id = data.id || generateID();
+        this.name = data.name || '';
+        this.type = data.type || 'checking';
+        this.openingBalance = data.openingBalance || 0; // Minor units of the base currency
+        this.openingDate = data.openingDate || CalendarDate.today();
+        this.institution = data.institution || '';
+        this.notes = data.notes || '';
+        this.archived = data.archived || false;
+        this.statementAccountId = data.statementAccountId || ''; // Account number used in bank statements
+    }
+    
+    /**
+     * Update account properties
+     * @param {Object} data - Updated account data
+     */
+    update(data) {
+        // Only update provided properties
+        if (data.name !== undefined) this.name = data.name;
+        if (data.type !== undefined) this.type = data.type;
+        if (data.openingBalance !== undefined) this.openingBalance = data.openingBalance;
+        if (data.openingDate !== undefined) this.openingDate = data.openingDate;
+        if (data.institution !== undefined) this.institution = data.institution;
+        if (data.notes !== undefined) this.notes = data.notes;
+        if (data.archived !== undefined) this.archived = data.archived;
+        if (data.statementAccountId !== undefined) this.statementAccountId = data.statementAccountId;
+    }
+    
+    /**
+     * Convert to plain object
+     * @returns {Object} Plain object representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            openingBalance: this.openingBalance,
+            openingDate: this.openingDate,
+            institution: this.institution,
+            notes: this.notes,
+            archived: this.archived,
+            statementAccountId: this.statementAccountId
+        };
+    }
+}
+
+/**
+ * Transfer Model
+ * Moves money between two accounts. Transfers change account balances but
+ * are neither income nor expense.
+ */
+class Transfer {
+    /**
+     * Create a new Transfer instance
+     * @param {Object} data - Transfer data
+     */
+    constructor(data = {}) {
+        this.id = data.id || generateID();
+        this.title = data.title || 'Transfer';
+        this.fromAccountId = data.fromAccountId || null;
+        this.toAccountId = data.toAccountId || null;
+        this.amount = data.amount || 0; // Minor units of the base currency
+        this.date = data.date || CalendarDate.today();
+        this.notes = data.notes || '';
+        this.tags = data.tags || [];
+    }
+    
+    /**
+     * Update transfer properties
+     * @param {Object} data - Updated transfer data
+     */
+    update(data) {
+        // Only update provided properties
+        if (data.title !== undefined) this.title = data.title;
+        if (data.fromAccountId !== undefined) this.fromAccountId = data.fromAccountId;
+        if (data.toAccountId !== undefined) this.toAccountId = data.toAccountId;
+        if (data.amount !== undefined) this.amount = data.amount;
+        if (data.date !== undefined) this.date = data.date;
+        if (data.notes !== undefined) this.notes = data.notes;
+        if (data.tags !== undefined) this.tags = data.tags;
+    }
+    
+    /**
+     * Convert to plain object
+     * @returns {Object} Plain object representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            title: this.title,
+            fromAccountId: this.fromAccountId,
+            toAccountId: this.toAccountId,
+            amount: this.amount,
+            date: this.date,
+            notes: this.notes,
+            tags: this.tags
+        };
+    }
+}
+
+/**
+ * Exchange Rate Model
+ * One unit of the `from` currency is worth `rate` units of the `to`
+ * currency on the given date.
+ */
+class ExchangeRate {
+    /**
+     * Create a new ExchangeRate instance
+     * @param {Object} data - Exchange rate data
+     */
+    constructor(data = {}) {
+        this.id = data.id || generateID();
+        this.date = data.date || CalendarDate.today();
+        this.from = data.from || '';
+        this.to = data.to || '';
+        this.rate = Number(data.rate) || 0;
+        this.source = data.source || 'manual'; // 'manual' or 'csv'
+    }
+    
+    /**
+     * Update exchange rate properties
+     * @param {Object} data - Updated exchange rate data
+     */
+    update(data) {
+        // Only update provided properties
+        if (data.date !== undefined) this.date = data.date;
+        if (data.from !== undefined) this.from = data.from;
+        if (data.to !== undefined) this.to = data.to;
+        if (data.rate !== undefined) this.rate = Number(data.rate) || 0;
+        if (data.source !== undefined) this.source = data.source;
+    }
+    
+    /**
+     * Convert to plain object
+     * @returns {Object} Plain object representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            date: this.date,
+            from: this.from,
+            to: this.to,
+            rate: this.rate,
+            source: this.source
+        };
+    }
+}
+
 /**
  * Predefined income categories
  * @type {Array}
@@ -742,3 +1048,28 @@ const PAYMENT_METHODS = [
     'Check',
     'Other'
 ];
+
+/**
+ * Supported account types and their display names
+ * @type {Object}
+ */
+const ACCOUNT_TYPES = {
+    checking: 'Checking',
+    savings: 'Savings',
+    cash: 'Cash',
+    credit_card: 'Credit Card',
+    wallet: 'Wallet'
+};
+
+/**
+ * Supported recurrence intervals and their display names
+ * @type {Object}
+ */
+const RECURRENCE_INTERVALS = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    biweekly: 'Every 2 Weeks',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    yearly: 'Yearly'
+};
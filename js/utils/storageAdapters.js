@@ -0,0 +1,316 @@
+/**
+ * CashBoard Storage Adapters
+ * Pluggable persistence backends used by the Storage utility
+ *
+ * Every adapter exposes the same promise-based interface:
+ *   isAvailable()     - Whether the backend can be used in this browser
+ *   open()            - Prepare the backend for use
+ *   readAll()         - Resolve to an object of { storageKey: value }
+ *   write(key, value) - Persist a value under a storage key
+ *   remove(key)       - Delete a storage key
+ *   clear()           - Delete all application data
+ */
+
+/**
+ * localStorage adapter
+ * Stores each key as a single JSON blob. Only used as a fallback when
+ * IndexedDB is not available, and as the source for the one-time migration.
+ */
+const LocalStorageAdapter = {
+    name: 'localStorage',
+
+    /**
+     * Check whether localStorage can be written to
+     * @returns {boolean} - Whether the adapter is usable
+     */
+    isAvailable() {
+        try {
+            const probe = '__cashboard_probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Open the adapter (nothing to prepare for localStorage)
+     * @returns {Promise<void>}
+     */
+    open() {
+        return Promise.resolve();
+    },
+
+    /**
+     * Read every application key from localStorage
+     * @returns {Promise<Object>} - Stored values by storage key
+     */
+    readAll() {
+        try {
+            const data = {};
+            Object.values(StorageKeys).forEach(key => {
+                const serializedData = localStorage.getItem(key);
+                if (serializedData !== null) {
+                    data[key] = JSON.parse(serializedData);
+                }
+            });
+            return Promise.resolve(data);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    /**
+     * Write a value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {Promise<void>}
+     */
+    write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    /**
+     * Remove a key from localStorage
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        try {
+            localStorage.removeItem(key);
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    /**
+     * Remove every application key from localStorage
+     * @returns {Promise<void>}
+     */
+    clear() {
+        try {
+            Object.values(StorageKeys).forEach(key => {
+                localStorage.removeItem(key);
+            });
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+};
+
+/**
+ * IndexedDB adapter
+ * Entity collections get their own object store keyed by record id and
+ * indexed by date and category; everything else goes to a key-value store.
+ */
+const IndexedDBAdapter = {
+    name: 'indexedDB',
+    DB_NAME: 'cashboard',
+    DB_VERSION: 2,
+    KEY_VALUE_STORE: 'keyval',
+
+    // Open database connection
+    db: null,
+
+    /**
+     * Object stores for entity collections
+     * @returns {Object} - Store definitions by storage key
+     */
+    getEntityStores() {
+        return {
+            [StorageKeys.INCOME]: { name: 'incomes', indexes: ['date', 'category'] },
+            [StorageKeys.EXPENSES]: { name: 'expenses', indexes: ['date', 'category'] },
+            [StorageKeys.BUDGETS]: { name: 'budgets', indexes: ['startDate', 'category'] },
+            [StorageKeys.ACCOUNTS]: { name: 'accounts', indexes: ['type'] },
+            [StorageKeys.TRANSFERS]: { name: 'transfers', indexes: ['date', 'fromAccountId', 'toAccountId'] }
+        };
+    },
+
+    /**
+     * Check whether IndexedDB exists in this browser
+     * @returns {boolean} - Whether the adapter is usable
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Open the database, creating or upgrading object stores as needed
+     * @returns {Promise<void>}
+     */
+    open() {
+        if (this.db) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                this.upgrade(request.result);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                this.db = db;
+                // Let a newer version of the app in another tab upgrade the schema.
+                // The next transaction reopens the database; if it was upgraded
+                // that fails, and the write error asks the user to reload.
+                db.onversionchange = () => {
+                    db.close();
+                    if (this.db === db) this.db = null;
+                };
+                // The browser may also close the connection, e.g. when storage is cleared
+                db.onclose = () => {
+                    if (this.db === db) this.db = null;
+                };
+                resolve();
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+    },
+
+    /**
+     * Create any missing object stores and indexes
+     * @param {IDBDatabase} db - Database being upgraded
+     */
+    upgrade(db) {
+        if (!db.objectStoreNames.contains(this.KEY_VALUE_STORE)) {
+            db.createObjectStore(this.KEY_VALUE_STORE);
+        }
+
+        Object.values(this.getEntityStores()).forEach(definition => {
+            if (db.objectStoreNames.contains(definition.name)) return;
+
+            const store = db.createObjectStore(definition.name, { keyPath: 'id' });
+            definition.indexes.forEach(index => {
+                store.createIndex(index, index, { unique: false });
+            });
+        });
+    },
+
+    /**
+     * Get the names of every object store the adapter manages
+     * @returns {Array<string>} - Object store names
+     */
+    getStoreNames() {
+        return [
+            this.KEY_VALUE_STORE,
+            ...Object.values(this.getEntityStores()).map(definition => definition.name)
+        ];
+    },
+
+    /**
+     * Wrap an IndexedDB transaction in a promise
+     * @param {Array<string>} storeNames - Object stores to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the transaction and queues requests on it
+     * @returns {Promise<*>} - Resolves with the callback's result once the transaction completes
+     */
+    transaction(storeNames, mode, callback) {
+        // Reopen a connection closed by a version change or by the browser
+        return this.open().then(() => new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const result = callback(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        }));
+    },
+
+    /**
+     * Read every entity collection and key-value entry
+     * @returns {Promise<Object>} - Stored values by storage key
+     */
+    readAll() {
+        const entityStores = this.getEntityStores();
+
+        return this.transaction(this.getStoreNames(), 'readonly', tx => {
+            const data = {};
+
+            Object.entries(entityStores).forEach(([key, definition]) => {
+                const request = tx.objectStore(definition.name).getAll();
+                request.onsuccess = () => {
+                    if (request.result.length > 0) {
+                        data[key] = request.result;
+                    }
+                };
+            });
+
+            const cursorRequest = tx.objectStore(this.KEY_VALUE_STORE).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                data[cursor.key] = cursor.value;
+                cursor.continue();
+            };
+
+            return data;
+        });
+    },
+
+    /**
+     * Write a value. Entity collections replace the whole object store.
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {Promise<void>}
+     */
+    write(key, value) {
+        const definition = this.getEntityStores()[key];
+
+        if (!definition) {
+            return this.transaction([this.KEY_VALUE_STORE], 'readwrite', tx => {
+                tx.objectStore(this.KEY_VALUE_STORE).put(value, key);
+            });
+        }
+
+        if (!Array.isArray(value)) {
+            return Promise.reject(new Error(`Expected an array of records for ${key}`));
+        }
+
+        return this.transaction([definition.name], 'readwrite', tx => {
+            const store = tx.objectStore(definition.name);
+            store.clear();
+            value.forEach(record => store.put(record));
+        });
+    },
+
+    /**
+     * Remove a storage key
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        const definition = this.getEntityStores()[key];
+        const storeName = definition ? definition.name : this.KEY_VALUE_STORE;
+
+        return this.transaction([storeName], 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            if (definition) {
+                store.clear();
+            } else {
+                store.delete(key);
+            }
+        });
+    },
+
+    /**
+     * Empty every object store
+     * @returns {Promise<void>}
+     */
+    clear() {
+        const storeNames = this.getStoreNames();
+
+        return this.transaction(storeNames, 'readwrite', tx => {
+            storeNames.forEach(storeName => tx.objectStore(storeName).clear());
+        });
+    }
+};
@@ -0,0 +1,253 @@
+/**
+ * CashBoard Storage Encryption
+ * At-rest encryption for everything the Storage utility writes.
+ *
+ * A random AES-GCM data key encrypts stored values. The data key itself is
+ * kept in a lock record, encrypted with a key derived from the user's PIN or
+ * passphrase (see BackupCrypto.deriveKey), so changing the passphrase only
+ * rewrites the lock record.
+ */
+
+const StorageEncryption = (function() {
+    // Lock record version this build writes
+    const VERSION = 1;
+
+    // Lock kinds and their shortest accepted secret; messages name them through I18n keys lock.<kind>
+    const LOCK_KINDS = {
+        pin: { minLength: 4 },
+        passphrase: { minLength: 8 }
+    };
+
+    // Random value sizes in bytes
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+
+    // Id of the single record an encrypted collection is stored as
+    const SEALED_RECORD_ID = '__sealed__';
+
+    // Authenticated data binding the wrapped key to the lock record
+    const LOCK_CONTEXT = new TextEncoder().encode('cashboard-lock');
+
+    /**
+     * Create an error the UI can tell apart by its code
+     * @param {string} code - Error code
+     * @param {string} message - Message shown to the user
+     * @returns {Error} Error with a code property
+     */
+    function createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Check a new PIN or passphrase
+     * @param {string} secret - PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @returns {string|null} Error message, or null when acceptable
+     */
+    function validateSecret(secret, kind) {
+        const lockKind = LOCK_KINDS[kind];
+        if (!lockKind) {
+            return I18n.t('lock.errorKind');
+        }
+        if (kind === 'pin' && !/^\d+$/.test(secret || '')) {
+            return I18n.t('lock.errorPinDigits');
+        }
+        if (!secret || secret.length < lockKind.minLength) {
+            return I18n.t(`lock.errorLength.${kind}`, { count: lockKind.minLength });
+        }
+        return null;
+    }
+
+    /**
+     * Encrypt raw data key bytes into a lock record
+     * @param {Uint8Array} rawKey - Data key bytes
+     * @param {string} secret - PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @returns {Promise<Object>} Lock record
+     */
+    function wrapKey(rawKey, secret, kind) {
+        const subtle = BackupCrypto.getSubtle();
+        const iterations = BackupCrypto.DEFAULT_ITERATIONS;
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+        return BackupCrypto.deriveKey(secret, salt, iterations).then(({ key, check }) =>
+            subtle.encrypt({ name: 'AES-GCM', iv, additionalData: LOCK_CONTEXT }, key, rawKey).then(wrapped => ({
+                version: VERSION,
+                kind,
+                kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: BackupCrypto.toBase64(salt) },
+                check,
+                wrappedKey: {
+                    iv: BackupCrypto.toBase64(iv),
+                    data: BackupCrypto.toBase64(new Uint8Array(wrapped))
+                }
+            }))
+        );
+    }
+
+    /**
+     * Recover the raw data key bytes from a lock record
+     * @param {Object} lock - Lock record
+     * @param {string} secret - PIN or passphrase
+     * @returns {Promise<Uint8Array>} Data key bytes
+     */
+    function unwrapKey(lock, secret) {
+        if (!lock || lock.version !== VERSION) {
+            return Promise.reject(createError('UNSUPPORTED_VERSION', I18n.t('lock.errorVersion')));
+        }
+
+        const subtle = BackupCrypto.getSubtle();
+        const salt = BackupCrypto.fromBase64(lock.kdf.salt);
+
+        return BackupCrypto.deriveKey(secret || '', salt, lock.kdf.iterations).then(({ key, check }) => {
+            if (check !== lock.check) {
+                throw createError('WRONG_PASSPHRASE', I18n.t(`lock.wrong.${LOCK_KINDS[lock.kind] ? lock.kind : 'passphrase'}`));
+            }
+
+            return subtle.decrypt(
+                { name: 'AES-GCM', iv: BackupCrypto.fromBase64(lock.wrappedKey.iv), additionalData: LOCK_CONTEXT },
+                key,
+                BackupCrypto.fromBase64(lock.wrappedKey.data)
+            ).catch(() => {
+                throw createError('TAMPERED', I18n.t('lock.errorTampered'));
+            });
+        }).then(raw => new Uint8Array(raw));
+    }
+
+    /**
+     * Import data key bytes for encrypting and decrypting values
+     * @param {Uint8Array} rawKey - Data key bytes
+     * @returns {Promise<CryptoKey>} Non-extractable data key
+     */
+    function importDataKey(rawKey) {
+        return BackupCrypto.getSubtle().importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Create a lock: a new data key protected by a PIN or passphrase
+     * @param {string} secret - PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @returns {Promise<Object>} Lock record and data key
+     */
+    function createLock(secret, kind) {
+        const problem = validateSecret(secret, kind);
+        if (problem) {
+            return Promise.reject(createError('WEAK_PASSPHRASE', problem));
+        }
+
+        let rawKey;
+        try {
+            BackupCrypto.getSubtle();
+            rawKey = crypto.getRandomValues(new Uint8Array(32));
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        return Promise.all([wrapKey(rawKey, secret, kind), importDataKey(rawKey)])
+            .then(([lock, key]) => ({ lock, key }));
+    }
+
+    /**
+     * Open a lock with its PIN or passphrase
+     * @param {Object} lock - Lock record
+     * @param {string} secret - PIN or passphrase
+     * @returns {Promise<CryptoKey>} Data key
+     */
+    function unlock(lock, secret) {
+        return unwrapKey(lock, secret).then(importDataKey);
+    }
+
+    /**
+     * Protect the same data key with a new PIN or passphrase
+     * @param {Object} lock - Current lock record
+     * @param {string} currentSecret - Current PIN or passphrase
+     * @param {string} newSecret - New PIN or passphrase
+     * @param {string} kind - 'pin' or 'passphrase'
+     * @returns {Promise<Object>} New lock record
+     */
+    function changeSecret(lock, currentSecret, newSecret, kind) {
+        const problem = validateSecret(newSecret, kind);
+        if (problem) {
+            return Promise.reject(createError('WEAK_PASSPHRASE', problem));
+        }
+
+        return unwrapKey(lock, currentSecret).then(rawKey => wrapKey(rawKey, newSecret, kind));
+    }
+
+    /**
+     * Check whether a stored value is encrypted
+     * @param {*} value - Value read from a storage adapter
+     * @returns {boolean} Whether the value needs decrypting
+     */
+    function isSealed(value) {
+        const sealed = Array.isArray(value) && value.length === 1 ? value[0] : value;
+        return Boolean(sealed && typeof sealed === 'object' && sealed.sealed === VERSION && typeof sealed.data === 'string');
+    }
+
+    /**
+     * Encrypt a value for storage. Collections become a single record so
+     * adapters that store records by id can still hold them, without
+     * revealing how many records there are.
+     * @param {CryptoKey} key - Data key
+     * @param {string} storageKey - Storage key, authenticated with the value
+     * @param {*} value - Value to encrypt
+     * @returns {Promise<Object|Array>} Encrypted value
+     */
+    function encryptValue(key, storageKey, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+        return BackupCrypto.getSubtle().encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(storageKey) },
+            key,
+            new TextEncoder().encode(JSON.stringify(value))
+        ).then(data => {
+            const sealed = {
+                sealed: VERSION,
+                iv: BackupCrypto.toBase64(iv),
+                data: BackupCrypto.toBase64(new Uint8Array(data))
+            };
+            return Array.isArray(value) ? [{ id: SEALED_RECORD_ID, ...sealed }] : sealed;
+        });
+    }
+
+    /**
+     * Decrypt a stored value. Values written before encryption was turned
+     * on are returned as they are.
+     * @param {CryptoKey} key - Data key
+     * @param {string} storageKey - Storage key the value was read from
+     * @param {*} value - Value read from the storage adapter
+     * @returns {Promise<*>} Decrypted value
+     */
+    function decryptValue(key, storageKey, value) {
+        if (!isSealed(value)) {
+            return Promise.resolve(value);
+        }
+
+        const sealed = Array.isArray(value) ? value[0] : value;
+
+        return BackupCrypto.getSubtle().decrypt(
+            { name: 'AES-GCM', iv: BackupCrypto.fromBase64(sealed.iv), additionalData: new TextEncoder().encode(storageKey) },
+            key,
+            BackupCrypto.fromBase64(sealed.data)
+        ).then(
+            plain => JSON.parse(new TextDecoder().decode(plain)),
+            () => {
+                throw createError('TAMPERED', I18n.t('lock.errorDataTampered', { key: storageKey }));
+            }
+        );
+    }
+
+    // Public API
+    return {
+        LOCK_KINDS,
+        validateSecret,
+        createLock,
+        unlock,
+        changeSecret,
+        isSealed,
+        encryptValue,
+        decryptValue
+    };
+})();
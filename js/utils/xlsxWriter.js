@@ -0,0 +1,285 @@
+/**
+ * CashBoard XLSX Writer
+ * Builds Excel workbooks (Office Open XML) without any library
+ *
+ * A workbook is a zip of XML parts. Entries are stored uncompressed, which
+ * every spreadsheet app reads. Strings are written inline, dates as serial
+ * day numbers with a date format and amounts as numbers with two decimals,
+ * so they stay sortable and summable in the spreadsheet.
+ */
+
+const XlsxWriter = (function() {
+    // Cell style indexes in styles.xml, by column type
+    const STYLES = {
+        header: 1,
+        date: 2,
+        amount: 3
+    };
+
+    // Characters Excel does not allow in sheet names
+    const INVALID_SHEET_NAME = /[\[\]:*?/\\]/g;
+
+    // Modification date of zip entries (1980-01-01, the earliest a zip can hold)
+    const DOS_DATE = (1 << 5) | 1;
+
+    // CRC-32 lookup table for zip entries
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * Compute the CRC-32 of some bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned checksum
+     */
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Build a zip archive with stored (uncompressed) entries
+     * @param {Array<Object>} files - Entries as { name, content } with string content
+     * @returns {Uint8Array} Zip file bytes
+     */
+    function zip(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            return { name, data, crc: crc32(data) };
+        });
+
+        const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+
+        // Local file headers, each followed by its data
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 0x0800, true);
+            view.setUint16(offset + 8, 0, true);
+            view.setUint16(offset + 12, DOS_DATE, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        // Central directory
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 14, DOS_DATE, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            view.setUint32(offset + 42, entry.offset, true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        // End of central directory
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, localSize, true);
+
+        return bytes;
+    }
+
+    /**
+     * Escape text for XML
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Get the column letters for a column index
+     * @param {number} index - Zero-based column index
+     * @returns {string} Column letters, e.g. 'A' or 'AB'
+     */
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Convert a YYYY-MM-DD date to an Excel serial day number
+     * @param {string} date - Date as YYYY-MM-DD
+     * @returns {number|null} Days since 1899-12-30, or null if invalid
+     */
+    function toSerialDate(date) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+        if (!match) return null;
+        return (Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+
+    /**
+     * Render a cell
+     * @param {*} value - Cell value
+     * @param {string} type - 'string', 'number', 'amount', 'date' or 'header'
+     * @param {string} ref - Cell reference, e.g. 'B2'
+     * @returns {string} Cell XML, or an empty string for empty values
+     */
+    function renderCell(value, type, ref) {
+        if (value === null || value === undefined || value === '') return '';
+
+        if (type === 'date') {
+            const serial = toSerialDate(value);
+            if (serial !== null) return `<c r="${ref}" s="${STYLES.date}"><v>${serial}</v></c>`;
+        } else if ((type === 'number' || type === 'amount') && isFinite(value)) {
+            const style = type === 'amount' ? ` s="${STYLES.amount}"` : '';
+            return `<c r="${ref}"${style}><v>${Number(value)}</v></c>`;
+        }
+
+        const style = type === 'header' ? ` s="${STYLES.header}"` : '';
+        return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    /**
+     * Render a worksheet
+     * @param {Object} sheet - { columns: [{ header, type, width }], rows: [[values]] }
+     * @returns {string} Worksheet XML
+     */
+    function renderSheet(sheet) {
+        const columns = sheet.columns;
+        const renderRow = (values, index, type) => {
+            const cells = values
+                .map((value, column) => renderCell(value, type || columns[column].type, `${columnName(column)}${index + 1}`))
+                .join('');
+            return `<row r="${index + 1}">${cells}</row>`;
+        };
+
+        const rows = [renderRow(columns.map(column => column.header), 0, 'header')]
+            .concat(sheet.rows.map((values, index) => renderRow(values, index + 1)));
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + `<cols>${columns.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width || 14}" customWidth="1"/>`).join('')}</cols>`
+            + `<sheetData>${rows.join('')}</sheetData>`
+            + '</worksheet>';
+    }
+
+    /**
+     * Make a sheet name Excel accepts
+     * @param {string} name - Wanted name
+     * @param {number} index - Sheet index, for a fallback name
+     * @returns {string} Name of at most 31 characters without invalid characters
+     */
+    function sheetName(name, index) {
+        const cleaned = String(name || '').replace(INVALID_SHEET_NAME, ' ').trim().slice(0, 31);
+        return cleaned || `Sheet${index + 1}`;
+    }
+
+    /**
+     * Build a workbook
+     * @param {Array<Object>} sheets - Sheets as { name, columns, rows }; each column
+     * is { header, type, width } with type 'string', 'number', 'amount' or 'date'
+     * @returns {Uint8Array} .xlsx file bytes
+     */
+    function build(sheets) {
+        const names = sheets.map((sheet, i) => sheetName(sheet.name, i));
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                    + '<Default Extension="xml" ContentType="application/xml"/>'
+                    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                    + sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                    + '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                    + '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                    + `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+                    + '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                    + sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+                    + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                    + '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                    + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>'
+                    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                    + '<cellXfs count="4">'
+                    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+                    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                    + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                    + '</cellXfs>'
+                    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                    + '</styleSheet>'
+            }
+        ];
+
+        sheets.forEach((sheet, i) => {
+            files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, content: renderSheet(sheet) });
+        });
+
+        return zip(files);
+    }
+
+    // Public API
+    return {
+        build,
+        toSerialDate
+    };
+})();
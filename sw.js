@@ -3,7 +3,7 @@
  * Basic offline functionality and caching
  */
 
-const CACHE_NAME = 'cashboard-v3';
+const CACHE_NAME = 'cashboard-v25';
 
 // Files to cache for offline use
 const FILES_TO_CACHE = [
@@ -13,9 +13,43 @@ const FILES_TO_CACHE = [
   '/css/main.css',
   '/js/app.js',
   '/js/utils/storage.js',
+  '/js/utils/i18n.js',
+  '/js/locales/en.js',
+  '/js/locales/ar.js',
+  '/js/utils/storageAdapters.js',
+  '/js/utils/money.js',
+  '/js/utils/calendarDate.js',
+  '/js/utils/migrations.js',
+  '/js/utils/csvParser.js',
+  '/js/utils/ofxParser.js',
+  '/js/utils/qifFormat.js',
+  '/js/utils/camtParser.js',
+  '/js/utils/mt940Parser.js',
+  '/js/utils/xlsxWriter.js',
+  '/js/utils/ledgerFormat.js',
+  '/js/utils/pdfWriter.js',
+  '/js/utils/backupCrypto.js',
+  '/js/utils/storageEncryption.js',
+  '/js/utils/snapshotStore.js',
+  '/js/services/repository.js',
+  '/js/services/currencyService.js',
+  '/js/services/formatService.js',
   '/js/services/dataService.js',
+  '/js/services/recurrenceService.js',
+  '/js/services/importService.js',
+  '/js/services/exportService.js',
+  '/js/services/mergeService.js',
+  '/js/services/statementService.js',
+  '/js/services/snapshotService.js',
   '/js/components/ui.js',
   '/js/components/charts.js',
+  '/js/components/calendar.js',
+  '/js/components/importWizard.js',
+  '/js/components/mergeReview.js',
+  '/js/components/passphraseDialog.js',
+  '/js/components/lockScreen.js',
+  '/js/components/privacyMode.js',
+  '/js/components/snapshotRestore.js',
   '/manifest.json'
 ];
 
@@ -0,0 +1,109 @@
+/**
+ * ImportService tests
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture } = require('./loadScripts');
+
+const get = loadScripts([
+    'js/utils/storage.js',
+    'js/utils/i18n.js',
+    'js/locales/en.js',
+    'js/utils/storageAdapters.js',
+    'js/utils/money.js',
+    'js/utils/calendarDate.js',
+    'js/utils/migrations.js',
+    'js/utils/csvParser.js',
+    'js/utils/qifFormat.js',
+    'js/utils/mt940Parser.js',
+    'js/utils/ledgerFormat.js',
+    'js/services/repository.js',
+    'js/services/currencyService.js',
+    'js/services/formatService.js',
+    'js/services/dataService.js',
+    'js/services/importService.js'
+]);
+const ImportService = get('ImportService');
+
+/**
+ * Read a file's statements the way the import wizard does
+ * @param {string} format - Statement format
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Statements
+ */
+function readStatements(format, text) {
+    return ImportService.readStatements(format, new TextEncoder().encode(text).buffer);
+}
+
+test('re-importing an overlapping MT940 statement keeps the import IDs of entries seen before', () => {
+    const [first] = readStatements('mt940', readFixture('mt940-day2.sta'));
+    const [overlapping] = readStatements('mt940', readFixture('mt940-days1-2.sta'));
+
+    const imported = new Set(first.transactions.map(transaction => transaction.importId));
+    const added = overlapping.transactions.filter(transaction => !imported.has(transaction.importId));
+
+    assert.equal(imported.size, 3);
+    assert.deepEqual(Array.from(added, transaction => transaction.notes), ['Water']);
+});
+
+test('QIF dates written by the export read back as the same days', () => {
+    const QifFormat = get('QifFormat');
+    const dates = ['2024-06-01', '2024-06-02', '2024-06-03'];
+    const text = QifFormat.stringify([{
+        type: 'Bank',
+        accountName: '',
+        records: dates.map(date => ({ date, amount: -1250, currency: 'EUR', payee: 'Groceries', splits: [] }))
+    }]);
+
+    const [statement] = readStatements('qif', text);
+
+    assert.deepEqual(Array.from(statement.transactions, transaction => transaction.date), dates);
+});
+
+test('journal amounts keep the digits of their commodity', () => {
+    const LedgerFormat = get('LedgerFormat');
+    const journal = {
+        commodity: 'KWD',
+        accounts: [{ name: 'Assets:Main', date: '2024-06-01' }, { name: 'Expenses:Food', date: '2024-06-01' }],
+        transactions: [{
+            date: '2024-06-01',
+            payee: 'Groceries',
+            tags: [],
+            metadata: {},
+            postings: [
+                { account: 'Expenses:Food', amount: 1234, commodity: 'KWD' },
+                { account: 'Assets:Main', amount: -1234, commodity: 'KWD' }
+            ]
+        }]
+    };
+
+    ['ledger', 'hledger', 'beancount'].forEach(dialect => {
+        const [statement] = readStatements('ledger', LedgerFormat.stringify(journal, dialect));
+        assert.equal(statement.transactions[0].amount, -1.234, dialect);
+    });
+});
+
+test('a journal payee containing | reads back whole', () => {
+    const LedgerFormat = get('LedgerFormat');
+    const journal = {
+        commodity: 'EUR',
+        accounts: [],
+        transactions: [{
+            date: '2024-06-30',
+            payee: 'Salary | June',
+            tags: [],
+            metadata: {},
+            postings: [
+                { account: 'Assets:Main', amount: 250000, commodity: 'EUR' },
+                { account: 'Income:Salary', amount: -250000, commodity: 'EUR' }
+            ]
+        }]
+    };
+
+    ['ledger', 'hledger', 'beancount'].forEach(dialect => {
+        const [statement] = readStatements('ledger', LedgerFormat.stringify(journal, dialect));
+        assert.match(statement.transactions[0].title, /^Salary . June$/, dialect);
+    });
+});
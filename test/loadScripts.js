@@ -0,0 +1,38 @@
+/**
+ * Load CashBoard scripts for a test
+ * The scripts are plain browser scripts that declare globals, so they are
+ * run in one shared context, in the order index.html loads them.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run scripts in a fresh context
+ * @param {Array<string>} files - Script paths relative to the repository root
+ * @returns {Function} Looks up a global declared by the scripts, e.g. get('ImportService')
+ */
+function loadScripts(files) {
+    const context = vm.createContext({ console, TextDecoder, TextEncoder, Intl });
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return (name) => vm.runInContext(name, context);
+}
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name in test/fixtures
+ * @returns {string} File contents
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+module.exports = { loadScripts, readFixture };